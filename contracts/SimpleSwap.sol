@@ -2,23 +2,43 @@
 pragma solidity ^0.8.0;
 
 // OpenZeppelin imports for core functionality
-import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/IERC20Metadata.sol";
 import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/IERC20Permit.sol";
 import "@openzeppelin/contracts/utils/Pausable.sol";
-import "@openzeppelin/contracts/access/Ownable.sol";
+import "@openzeppelin/contracts/access/AccessControl.sol";
 import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
+import "@openzeppelin/contracts/utils/Multicall.sol";
 import "./interfaces/ISimpleSwap.sol";
+import "./SimpleSwapLP.sol";
+import "./SimpleSwapLPDeployer.sol";
+import "./interfaces/ISimpleSwapCallee.sol";
 
 /**
  * @title SimpleSwap - A Uniswap V2-style Decentralized Exchange
  * @dev Implements core DEX functionality including:
  * - Liquidity provision and management
- * - Token swaps with constant product formula
- * - LP token issuance and redemption
+ * - Token swaps with constant product formula and LP swap fee
+ * - Stable-swap pools (Curve-style invariant) for correlated assets,
+ *   chosen per pair at creation
+ * - Per-pair LP token issuance and redemption
+ * - Time-weighted average price (TWAP) oracle per pool
+ * - Batched calls (`multicall`) for atomic composite operations, such as
+ *   moving liquidity from one pool to another
  * - Emergency pause and withdrawal mechanisms
+ * - Role-based administration (pauser, operator, guardian, fee manager);
+ *   the admin, guardian and fee manager roles are meant to be held by
+ *   SimpleSwapTimelock
  * @author Francisco López G.
  */
-contract SimpleSwap is ERC20, Pausable, Ownable, ReentrancyGuard, ISimpleSwap {
+contract SimpleSwap is
+    Pausable,
+    AccessControl,
+    ReentrancyGuard,
+    Multicall,
+    ISimpleSwap
+{
     using SafeERC20 for IERC20;
 
     // ==============================================
@@ -56,6 +76,56 @@ contract SimpleSwap is ERC20, Pausable, Ownable, ReentrancyGuard, ISimpleSwap {
     error SelfTransfer();
     /// @notice Reverts when arithmetic operation would overflow
     error OverflowProtection();
+    /// @notice Reverts when amount is above maximum threshold
+    /// @param tokenName Identifier for the token
+    /// @param maxAmount The allowed maximum amount
+    /// @param actualAmount The required amount
+    error AboveMaximumAmount(
+        string tokenName,
+        uint256 maxAmount,
+        uint256 actualAmount
+    );
+    /// @notice Reverts when swap fee exceeds the hard cap
+    /// @param fee The requested fee in basis points
+    /// @param maxFee The maximum allowed fee in basis points
+    error FeeTooHigh(uint256 fee, uint256 maxFee);
+    /// @notice Reverts when a permit signature is rejected and no allowance exists
+    error InvalidSignature();
+    /// @notice Reverts when the oracle has no observation old enough for a TWAP
+    /// @param oldest Timestamp of the oldest stored observation
+    /// @param target Timestamp the requested period starts at
+    error InsufficientHistory(uint32 oldest, uint32 target);
+    /// @notice Reverts when a pool has been paused on its own
+    /// @param token0 Smaller token address of the pool
+    /// @param token1 Larger token address of the pool
+    error PoolPaused(address token0, address token1);
+    /// @notice Reverts when a swap would move a pool's price too far
+    /// @dev A rejected swap leaves no log, so this error is the trip signal
+    /// @param token0 Smaller token address of the pool
+    /// @param token1 Larger token address of the pool
+    /// @param referencePrice Price of token0 in token1 when the window opened
+    /// @param price Price of token0 in token1 the swap would have left
+    error CircuitBreakerTripped(
+        address token0,
+        address token1,
+        uint256 referencePrice,
+        uint256 price
+    );
+    /// @notice Reverts when circuit breaker parameters are out of bounds
+    /// @param maxPriceMove The requested move in basis points
+    /// @param window The requested window in seconds
+    error InvalidBreakerConfig(uint256 maxPriceMove, uint256 window);
+    /// @notice Reverts when a flash swap is not repaid with its fee
+    error InsufficientRepayment();
+    /// @notice Reverts when creating a pair that already exists
+    /// @param lpToken LP token of the existing pair
+    error PairExists(address lpToken);
+    /// @notice Reverts when a stable pair's tokens use different decimals
+    /// @param decimalsA Decimals of tokenA
+    /// @param decimalsB Decimals of tokenB
+    error DecimalsMismatch(uint8 decimalsA, uint8 decimalsB);
+    /// @notice Reverts when the stable-swap math fails to converge
+    error InvariantNotConverged();
 
     // ==============================================
     //                   STRUCTS
@@ -72,17 +142,171 @@ contract SimpleSwap is ERC20, Pausable, Ownable, ReentrancyGuard, ISimpleSwap {
         uint256 reserveB;
     }
 
+    /**
+     * @notice Price accumulators of a token pair
+     * @dev Prices are scaled by 1e18 like getPrice and summed once per second
+     * @param price0CumulativeLast Sum of token0 prices (in token1) over time
+     * @param price1CumulativeLast Sum of token1 prices (in token0) over time
+     * @param blockTimestampLast Timestamp of the last accumulator update
+     * @param index Ring buffer slot of the newest observation
+     * @param cardinality Number of populated ring buffer slots
+     * @param cardinalityNext Slots the ring grows to before it wraps
+     */
+    struct Oracle {
+        uint256 price0CumulativeLast;
+        uint256 price1CumulativeLast;
+        uint32 blockTimestampLast;
+        uint16 index;
+        uint16 cardinality;
+        uint16 cardinalityNext;
+    }
+
+    /**
+     * @notice Accumulator snapshot stored in the oracle ring buffer
+     * @param timestamp Block timestamp of the snapshot
+     * @param price0Cumulative Value of price0CumulativeLast at `timestamp`
+     * @param price1Cumulative Value of price1CumulativeLast at `timestamp`
+     */
+    struct Observation {
+        uint32 timestamp;
+        uint256 price0Cumulative;
+        uint256 price1Cumulative;
+    }
+
+    /**
+     * @notice Circuit breaker state of a token pair
+     * @param referencePrice Price of token0 in token1 (1e18 scale, like
+     * getPrice) when the current window opened
+     * @param windowStart Timestamp the current window opened
+     */
+    struct Breaker {
+        uint256 referencePrice;
+        uint64 windowStart;
+    }
+
+    // ==============================================
+    //                  CONSTANTS
+    // ==============================================
+
+    /// @notice Basis points denominator (100% = 10_000)
+    uint256 public constant FEE_DENOMINATOR = 10_000;
+
+    /// @notice Hard cap for the swap fee (1%)
+    uint256 public constant MAX_SWAP_FEE = 100;
+
+    /// @notice Longest circuit breaker window
+    uint256 public constant MAX_BREAKER_WINDOW = 1 days;
+
+    /// @notice LP tokens permanently locked on every pool's first deposit
+    /// @dev Makes first-depositor share inflation prohibitively expensive
+    uint256 public constant MINIMUM_LIQUIDITY = 1_000;
+
+    /// @notice Holder of the locked MINIMUM_LIQUIDITY (no known private key)
+    address public constant DEAD_ADDRESS = address(0xdEaD);
+
+    /// @notice Observations every pool starts with (one per block at most)
+    /// @dev The ring only covers the last OBSERVATION_CARDINALITY updates, so
+    /// busy pools should grow it with increaseObservationCardinality
+    uint16 public constant OBSERVATION_CARDINALITY = 32;
+
+    /// @notice Largest observation ring a pool can grow to
+    uint16 public constant MAX_OBSERVATION_CARDINALITY = 65_535;
+
+    /// @notice Role allowed to pause trading
+    bytes32 public constant PAUSER_ROLE = keccak256("PAUSER_ROLE");
+
+    /// @notice Role allowed to unpause and run emergency withdrawals
+    bytes32 public constant GUARDIAN_ROLE = keccak256("GUARDIAN_ROLE");
+
+    /// @notice Role allowed to unpause and reset circuit breakers without
+    /// going through the timelock
+    bytes32 public constant OPERATOR_ROLE = keccak256("OPERATOR_ROLE");
+
+    /// @notice Role allowed to change the swap fee and protocol fee recipient
+    bytes32 public constant FEE_MANAGER_ROLE = keccak256("FEE_MANAGER_ROLE");
+
+    /// @notice Protocol takes 1/PROTOCOL_FEE_SHARE of fee growth when enabled
+    /// @dev 6 matches Uniswap V2: one sixth of the LP fee goes to `feeTo`
+    uint256 public constant PROTOCOL_FEE_SHARE = 6;
+
+    /// @notice Amplification coefficient `A` of every stable pool
+    /// @dev Higher values keep prices flatter around the 1:1 balance point
+    uint256 public constant STABLE_AMPLIFICATION = 100;
+
     // ==============================================
     //                STATE VARIABLES
     // ==============================================
 
+    /// @notice Deploys the LP token of every new pair
+    SimpleSwapLPDeployer public immutable lpDeployer;
+
+    /// @notice Swap fee in basis points, kept in reserves for LPs (0.30% by default)
+    uint256 public override swapFee = 30;
+
+    /// @notice Recipient of the protocol fee; zero address turns the switch off
+    address public feeTo;
+
     /// @dev Mapping of token pairs to their reserve balances
     mapping(address => mapping(address => Pool)) public pools;
 
+    /// @notice Total reserves of each token tracked across all pools
+    /// @dev Anything the contract holds above this is untracked surplus
+    mapping(address => uint256) public tokenReserves;
+
+    /// @notice LP token of each pair, stored for both token orders
+    mapping(address => mapping(address => address)) public override getPair;
+
+    /// @notice LP tokens of every pair in creation order
+    address[] public override allPairs;
+
+    /// @notice Price accumulators of every pool (sorted token keys)
+    mapping(address => mapping(address => Oracle)) public oracles;
+
+    /// @notice Ring buffer of accumulator snapshots (sorted token keys)
+    mapping(
+        address => mapping(address => Observation[MAX_OBSERVATION_CARDINALITY])
+    ) public observations;
+
+    /// @notice Pool invariant (see _invariant) after the last liquidity event,
+    /// keyed by LP token (only tracked while the protocol fee is on)
+    mapping(address => uint256) public kLast;
+
+    /// @notice Curve of every pair, keyed by LP token
+    mapping(address => PoolType) public override poolType;
+
+    /// @notice Pools paused on their own (sorted token keys)
+    mapping(address => mapping(address => bool)) public poolPaused;
+
+    /// @notice Circuit breaker of every pool (sorted token keys)
+    mapping(address => mapping(address => Breaker)) public breakers;
+
+    /// @notice Largest price move allowed within a breaker window, in basis
+    /// points (0 disables the breaker)
+    uint256 public maxPriceMove;
+
+    /// @notice Seconds a breaker window stays open after the first swap
+    /// (0 limits the move within a single block timestamp)
+    uint256 public breakerWindow;
+
     // ==============================================
     //                   EVENTS
     // ==============================================
 
+    /**
+     * @notice Emitted when a pair is created (by createPair or its first
+     * deposit) and its LP token is deployed
+     * @param token0 Smaller token address of the pair (indexed)
+     * @param token1 Larger token address of the pair (indexed)
+     * @param lpToken LP token of the pair
+     * @param index Position of the pair in `allPairs`
+     */
+    event PoolCreated(
+        address indexed token0,
+        address indexed token1,
+        address lpToken,
+        uint256 index
+    );
+
     /**
      * @notice Emitted when liquidity is added
      * @dev Indexed parameters make filtering more efficient
@@ -129,30 +353,126 @@ contract SimpleSwap is ERC20, Pausable, Ownable, ReentrancyGuard, ISimpleSwap {
      * @param tokenOut Token withdrawn from the pool (indexed)
      * @param amountIn Exact amount of `tokenIn` sent
      * @param amountOut Amount of `tokenOut` received
+     * @param fee Portion of `amountIn` charged as LP fee
      */
     event Swap(
         address indexed sender,
         address indexed tokenIn,
         address indexed tokenOut,
         uint256 amountIn,
-        uint256 amountOut
+        uint256 amountOut,
+        uint256 fee
+    );
+
+    /**
+     * @notice Emitted when a flash swap settles
+     * @dev The pool's new reserves are reported by the accompanying Sync event
+     * @param sender Address that initiated the flash swap (indexed)
+     * @param tokenA First token of the pool, in call order (indexed)
+     * @param tokenB Second token of the pool (indexed)
+     * @param amountAOut Amount of tokenA sent out
+     * @param amountBOut Amount of tokenB sent out
+     * @param amountAIn Amount of tokenA paid back
+     * @param amountBIn Amount of tokenB paid back
+     */
+    event FlashSwap(
+        address indexed sender,
+        address indexed tokenA,
+        address indexed tokenB,
+        uint256 amountAOut,
+        uint256 amountBOut,
+        uint256 amountAIn,
+        uint256 amountBIn
+    );
+
+    /**
+     * @notice Emitted when a pool's reserves are reconciled with balances
+     * @param tokenA First token in the pair (indexed)
+     * @param tokenB Second token in the pair (indexed)
+     * @param reserveA New reserve of tokenA
+     * @param reserveB New reserve of tokenB
+     */
+    event Sync(
+        address indexed tokenA,
+        address indexed tokenB,
+        uint256 reserveA,
+        uint256 reserveB
+    );
+
+    /**
+     * @notice Emitted when the fee manager changes the swap fee
+     * @param oldFee Previous fee in basis points
+     * @param newFee New fee in basis points
+     */
+    event SwapFeeUpdated(uint256 oldFee, uint256 newFee);
+
+    /**
+     * @notice Emitted when the fee manager changes the protocol fee recipient
+     * @param oldFeeTo Previous recipient (zero if the switch was off)
+     * @param newFeeTo New recipient (zero turns the switch off)
+     */
+    event FeeToUpdated(address indexed oldFeeTo, address indexed newFeeTo);
+
+    /**
+     * @notice Emitted when a pool's observation ring is allowed to grow
+     * @param token0 Smaller token address (indexed)
+     * @param token1 Larger token address (indexed)
+     * @param oldCardinalityNext Previous ring capacity
+     * @param newCardinalityNext New ring capacity
+     */
+    event ObservationCardinalityIncreased(
+        address indexed token0,
+        address indexed token1,
+        uint16 oldCardinalityNext,
+        uint16 newCardinalityNext
     );
 
     /**
-     * @notice Emitted during emergency withdrawal by the owner
-     * @dev Only triggered when contract is paused
-     * @param owner Contract owner who executed the withdrawal (indexed)
-     * @param token Token withdrawn (indexed)
-     * @param to Recipient address of the withdrawn tokens (indexed)
-     * @param amount Amount of tokens withdrawn
+     * @notice Emitted during emergency withdrawal by a guardian
+     * @dev Only triggered when contract is paused. The pool's new reserves
+     * are reported by the accompanying Sync event.
+     * @param guardian Guardian that executed the withdrawal (indexed)
+     * @param tokenA First token of the debited pool (indexed)
+     * @param tokenB Second token of the debited pool (indexed)
+     * @param to Recipient address of the withdrawn tokens
+     * @param amountA Amount of tokenA withdrawn
+     * @param amountB Amount of tokenB withdrawn
      */
     event EmergencyWithdraw(
-        address indexed owner,
-        address indexed token,
-        address indexed to,
-        uint256 amount
+        address indexed guardian,
+        address indexed tokenA,
+        address indexed tokenB,
+        address to,
+        uint256 amountA,
+        uint256 amountB
+    );
+
+    /**
+     * @notice Emitted when a single pool is paused or unpaused
+     * @param token0 Smaller token address of the pool (indexed)
+     * @param token1 Larger token address of the pool (indexed)
+     * @param paused Whether the pool is now paused
+     */
+    event PoolPauseUpdated(
+        address indexed token0,
+        address indexed token1,
+        bool paused
     );
 
+    /**
+     * @notice Emitted when a guardian resets a pool's circuit breaker
+     * @param token0 Smaller token address of the pool (indexed)
+     * @param token1 Larger token address of the pool (indexed)
+     */
+    event CircuitBreakerReset(address indexed token0, address indexed token1);
+
+    /**
+     * @notice Emitted when a guardian changes the breaker parameters
+     * @param maxPriceMove New largest move per window in basis points
+     * @param window New window length in seconds
+     */
+    event CircuitBreakerUpdated(uint256 maxPriceMove, uint256 window);
+
     // ==============================================
     //                 MODIFIERS
     // ==============================================
@@ -178,20 +498,85 @@ contract SimpleSwap is ERC20, Pausable, Ownable, ReentrancyGuard, ISimpleSwap {
         _;
     }
 
+    /**
+     * @dev Restricts access to OPERATOR_ROLE or GUARDIAN_ROLE holders, so
+     * recovery does not have to wait for the timelock delay
+     * @notice Reverts reporting OPERATOR_ROLE when the caller has neither
+     */
+    modifier onlyOperatorOrGuardian() {
+        if (!hasRole(GUARDIAN_ROLE, msg.sender)) _checkRole(OPERATOR_ROLE);
+        _;
+    }
+
+    /**
+     * @dev Ensures a single pool has not been paused
+     * @param tokenA First token address
+     * @param tokenB Second token address
+     */
+    modifier whenPoolNotPaused(address tokenA, address tokenB) {
+        _requirePoolNotPaused(tokenA, tokenB);
+        _;
+    }
+
     // ==============================================
     //              CONSTRUCTOR
     // ==============================================
 
     /**
-     * @dev Initializes the LP token with name and symbol
-     * @notice Uses SS-LP as ticker for SimpleSwap Liquidity Provider token
+     * @dev Grants the deployer the admin role and every operational role,
+     * and creates the LP token deployer
+     * @notice Production deployments hand DEFAULT_ADMIN_ROLE, GUARDIAN_ROLE
+     * and FEE_MANAGER_ROLE to SimpleSwapTimelock and renounce them from the
+     * deployer
+     * @notice LP tokens are deployed per pair on first deposit
      */
-    constructor() ERC20("SimpleSwap LP", "SS-LP") Ownable(msg.sender) {}
+    constructor() {
+        _grantRole(DEFAULT_ADMIN_ROLE, msg.sender);
+        _grantRole(PAUSER_ROLE, msg.sender);
+        _grantRole(OPERATOR_ROLE, msg.sender);
+        _grantRole(GUARDIAN_ROLE, msg.sender);
+        _grantRole(FEE_MANAGER_ROLE, msg.sender);
+        lpDeployer = new SimpleSwapLPDeployer();
+    }
 
     // ==============================================
     //           EXTERNAL PUBLIC FUNCTIONS
     // ==============================================
 
+    /**
+     * @notice Creates a pair that trades on the given curve
+     * @dev addLiquidity creates constant product pairs on first deposit, so
+     * a stable pair must be created here before anyone deposits into it.
+     * Stable pools assume both tokens are worth the same per unit, hence
+     * the decimals check.
+     * @param tokenA First token address
+     * @param tokenB Second token address
+     * @param poolType_ Curve of the new pool
+     * @return lpToken LP token of the new pair
+     * @custom:reverts PairExists If the pair was already created
+     * @custom:reverts DecimalsMismatch If a stable pair mixes decimals
+     * @custom:emits PoolCreated Emitted with the pair's registry index
+     */
+    function createPair(
+        address tokenA,
+        address tokenB,
+        PoolType poolType_
+    ) external override validPair(tokenA, tokenB) returns (address lpToken) {
+        _validateTokensAndRecipient(tokenA, tokenB, msg.sender);
+        lpToken = getPair[tokenA][tokenB];
+        if (lpToken != address(0)) revert PairExists(lpToken);
+
+        if (poolType_ == PoolType.Stable) {
+            uint8 decimalsA = IERC20Metadata(tokenA).decimals();
+            uint8 decimalsB = IERC20Metadata(tokenB).decimals();
+            if (decimalsA != decimalsB)
+                revert DecimalsMismatch(decimalsA, decimalsB);
+        }
+
+        (address token0, address token1) = _sortTokens(tokenA, tokenB);
+        lpToken = address(_createPair(token0, token1, poolType_));
+    }
+
     /**
      * @notice Adds liquidity to a token pair pool
      * @dev Optimizations:
@@ -201,6 +586,9 @@ contract SimpleSwap is ERC20, Pausable, Ownable, ReentrancyGuard, ISimpleSwap {
      * @dev Security:
      * - All parameters validated before state changes
      * - Reentrancy protected
+     * - MINIMUM_LIQUIDITY locked to DEAD_ADDRESS on a pool's first deposit
+     * - A pool is new only while its LP supply is zero, so a pool drained by
+     *   emergencyWithdraw cannot hand new deposits to its old LPs
      * @param tokenA First token address
      * @param tokenB Second token address
      * @param amountADesired Desired amount of tokenA
@@ -212,6 +600,8 @@ contract SimpleSwap is ERC20, Pausable, Ownable, ReentrancyGuard, ISimpleSwap {
      * @return amountA Actual amountA deposited
      * @return amountB Actual amountB deposited
      * @return liquidity LP tokens minted
+     * @custom:reverts InsufficientLiquidity If LP tokens are outstanding but
+     * a reserve has been emptied
      */
     function addLiquidity(
         address tokenA,
@@ -228,6 +618,7 @@ contract SimpleSwap is ERC20, Pausable, Ownable, ReentrancyGuard, ISimpleSwap {
         ensureDeadline(deadline)
         validPair(tokenA, tokenB)
         whenNotPaused
+        whenPoolNotPaused(tokenA, tokenB)
         nonReentrant
         returns (uint256 amountA, uint256 amountB, uint256 liquidity)
     {
@@ -240,19 +631,24 @@ contract SimpleSwap is ERC20, Pausable, Ownable, ReentrancyGuard, ISimpleSwap {
         _checkMinAmount(amountADesired, amountAMin, "TokenA");
         _checkMinAmount(amountBDesired, amountBMin, "TokenB");
 
-        // Sort tokens and get pool reference
-        (address token0, address token1) = _sortTokens(tokenA, tokenB);
-        Pool storage pool = pools[token0][token1];
+        // Cache reserves (in input order) to minimize storage reads
+        (uint256 reserveA, uint256 reserveB) = _getReserves(tokenA, tokenB);
 
-        // Cache reserves to minimize storage reads
-        uint256 reserveA = pool.reserveA;
-        uint256 reserveB = pool.reserveB;
+        // Deploy the pair's LP token on first deposit
+        SimpleSwapLP lpToken = SimpleSwapLP(getPair[tokenA][tokenB]);
+        if (address(lpToken) == address(0)) {
+            (address token0, address token1) = _sortTokens(tokenA, tokenB);
+            lpToken = _createPair(token0, token1, PoolType.ConstantProduct);
+        }
 
-        if (reserveA == 0 && reserveB == 0) {
+        bool isNewPool = lpToken.totalSupply() == 0;
+        if (isNewPool) {
             // Initial liquidity provision
             (amountA, amountB) = (amountADesired, amountBDesired);
-            liquidity = _sqrt(amountA * amountB); // Geometric mean for initial liquidity
         } else {
+            // Drained pool: a reseed would be shared with the old LPs
+            if (reserveA == 0 || reserveB == 0) revert InsufficientLiquidity();
+
             // Subsequent deposit - maintain ratio
             (amountA, amountB) = _calculateOptimalDeposit(
                 amountADesired,
@@ -262,24 +658,45 @@ contract SimpleSwap is ERC20, Pausable, Ownable, ReentrancyGuard, ISimpleSwap {
                 reserveA,
                 reserveB
             );
-            uint256 _totalSupply = totalSupply();
+        }
+
+        // Transfer tokens from user, crediting only what actually arrived
+        (amountA, amountB) = _transferTokens(tokenA, tokenB, amountA, amountB);
+
+        // Settle the protocol's share of fees before the supply changes
+        bool feeOn = _mintFee(lpToken, reserveA, reserveB);
+
+        if (isNewPool) {
+            // Geometric mean (or D / 2 on stable pools) for initial liquidity
+            liquidity = _sqrt(_invariant(address(lpToken), amountA, amountB));
+            if (liquidity <= MINIMUM_LIQUIDITY) revert InsufficientLiquidity();
+
+            // Lock the minimum liquidity forever
+            unchecked {
+                liquidity -= MINIMUM_LIQUIDITY;
+            }
+            lpToken.mint(DEAD_ADDRESS, MINIMUM_LIQUIDITY);
+        } else {
             liquidity = _calculateLiquidity(
                 amountA,
                 amountB,
                 reserveA,
                 reserveB,
-                _totalSupply
+                lpToken.totalSupply()
             );
         }
 
-        // Transfer tokens from user
-        _transferTokens(tokenA, tokenB, amountA, amountB);
-
         // Mint LP tokens to provider
-        _mint(to, liquidity);
+        lpToken.mint(to, liquidity);
 
         // Update reserves (single storage update)
-        _updateReserves(token0, token1, reserveA + amountA, reserveB + amountB);
+        _updateReserves(tokenA, tokenB, reserveA + amountA, reserveB + amountB);
+        if (feeOn)
+            kLast[address(lpToken)] = _invariant(
+                address(lpToken),
+                reserveA + amountA,
+                reserveB + amountB
+            );
 
         emit LiquidityAdded(
             sender,
@@ -317,57 +734,147 @@ contract SimpleSwap is ERC20, Pausable, Ownable, ReentrancyGuard, ISimpleSwap {
         ensureDeadline(deadline)
         validPair(tokenA, tokenB)
         whenNotPaused
+        whenPoolNotPaused(tokenA, tokenB)
         nonReentrant
         returns (uint256 amountA, uint256 amountB)
     {
-        address sender = msg.sender;
-
-        if (liquidity == 0) revert ZeroAmount("Liquidity");
+        (amountA, amountB) = _removeLiquidity(
+            tokenA,
+            tokenB,
+            msg.sender,
+            liquidity,
+            to
+        );
 
-        // Sort tokens and get pool reference
-        (address token0, address token1) = _sortTokens(tokenA, tokenB);
-        Pool storage pool = pools[token0][token1];
+        _checkMinAmount(amountA, amountAMin, "TokenA");
+        _checkMinAmount(amountB, amountBMin, "TokenB");
+    }
 
-        // Cache reserves to minimize storage reads
-        uint256 reserveA = pool.reserveA;
-        uint256 reserveB = pool.reserveB;
+    /**
+     * @notice Removes `owner`'s liquidity using an EIP-2612 signature on the
+     * LP token
+     * @dev The permit approves the caller (`spender` = msg.sender), and the
+     * burn spends that allowance, so a router or relayer holding the
+     * signature can exit for `owner` in a single transaction. Only the
+     * approved caller chooses `to`.
+     * @param tokenA Address of first token in pair
+     * @param tokenB Address of second token in pair
+     * @param owner Holder who signed the permit and whose LP tokens are burned
+     * @param liquidity Amount of LP tokens to burn
+     * @param amountAMin Minimum acceptable amount of tokenA
+     * @param amountBMin Minimum acceptable amount of tokenB
+     * @param to Address to receive underlying tokens
+     * @param deadline Transaction and permit deadline
+     * @param approveMax Whether the signature approves type(uint256).max
+     * @param v Signature recovery byte
+     * @param r Signature r value
+     * @param s Signature s value
+     * @return amountA Actual amount of tokenA received
+     * @return amountB Actual amount of tokenB received
+     * @custom:reverts InvalidSignature If the permit fails and the caller's
+     * allowance does not cover `liquidity`
+     */
+    function removeLiquidityWithPermit(
+        address tokenA,
+        address tokenB,
+        address owner,
+        uint256 liquidity,
+        uint256 amountAMin,
+        uint256 amountBMin,
+        address to,
+        uint256 deadline,
+        bool approveMax,
+        uint8 v,
+        bytes32 r,
+        bytes32 s
+    )
+        external
+        override
+        ensureDeadline(deadline)
+        validPair(tokenA, tokenB)
+        whenNotPaused
+        whenPoolNotPaused(tokenA, tokenB)
+        nonReentrant
+        returns (uint256 amountA, uint256 amountB)
+    {
+        _spendLPPermit(
+            getPair[tokenA][tokenB],
+            owner,
+            approveMax ? type(uint256).max : liquidity,
+            liquidity,
+            deadline,
+            v,
+            r,
+            s
+        );
 
-        // Calculate proportional share of reserves
-        (amountA, amountB) = _calculateWithdrawalAmounts(
+        (amountA, amountB) = _removeLiquidity(
+            tokenA,
+            tokenB,
+            owner,
             liquidity,
-            reserveA,
-            reserveB
+            to
         );
 
         _checkMinAmount(amountA, amountAMin, "TokenA");
         _checkMinAmount(amountB, amountBMin, "TokenB");
+    }
 
-        // Burn LP tokens and transfer underlying assets
-        _burn(sender, liquidity);
-        _safeTransfer(token0, to, amountA);
-        _safeTransfer(token1, to, amountB);
+    /**
+     * @notice Removes liquidity from a pool holding fee-on-transfer tokens
+     * @dev Minimums are checked against the amounts `to` actually received
+     * @param tokenA Address of first token in pair
+     * @param tokenB Address of second token in pair
+     * @param liquidity Amount of LP tokens to burn
+     * @param amountAMin Minimum amount of tokenA `to` must receive
+     * @param amountBMin Minimum amount of tokenB `to` must receive
+     * @param to Address to receive underlying tokens
+     * @param deadline Transaction validity deadline
+     * @return amountA Amount of tokenA received by `to`
+     * @return amountB Amount of tokenB received by `to`
+     */
+    function removeLiquiditySupportingFeeOnTransferTokens(
+        address tokenA,
+        address tokenB,
+        uint256 liquidity,
+        uint256 amountAMin,
+        uint256 amountBMin,
+        address to,
+        uint256 deadline
+    )
+        external
+        override
+        ensureDeadline(deadline)
+        validPair(tokenA, tokenB)
+        whenNotPaused
+        whenPoolNotPaused(tokenA, tokenB)
+        nonReentrant
+        returns (uint256 amountA, uint256 amountB)
+    {
+        uint256 balanceA = IERC20(tokenA).balanceOf(to);
+        uint256 balanceB = IERC20(tokenB).balanceOf(to);
 
-        // Update reserves (single storage update)
-        _updateReserves(token0, token1, reserveA - amountA, reserveB - amountB);
+        _removeLiquidity(tokenA, tokenB, msg.sender, liquidity, to);
 
-        emit LiquidityRemoved(
-            sender,
-            tokenA,
-            tokenB,
-            amountA,
-            amountB,
-            liquidity
-        );
+        amountA = IERC20(tokenA).balanceOf(to) - balanceA;
+        amountB = IERC20(tokenB).balanceOf(to) - balanceB;
+        _checkMinAmount(amountA, amountAMin, "TokenA");
+        _checkMinAmount(amountB, amountBMin, "TokenB");
     }
 
     /**
      * @notice Swaps an exact amount of input tokens for output tokens
+     * @dev Routes hop by hop through the internal pools; intermediate tokens
+     * never leave the contract. Only the final output is checked against
+     * `amountOutMin`.
      * @param amountIn Exact amount of input tokens to swap
-     * @param amountOutMin Minimum acceptable amount of output tokens
-     * @param path Array with token addresses (must be length 2)
+     * @param amountOutMin Minimum acceptable amount of final output tokens
+     * @param path Array with token addresses (at least 2)
      * @param to Address to receive output tokens
      * @param deadline Transaction validity deadline
-     * @return amounts Array with input and output amounts
+     * @return amounts Input amount followed by the output of every hop
+     * @custom:reverts CircuitBreakerTripped If a pool's price would leave the
+     * circuit breaker band
      */
     function swapExactTokensForTokens(
         uint256 amountIn,
@@ -383,205 +890,1318 @@ contract SimpleSwap is ERC20, Pausable, Ownable, ReentrancyGuard, ISimpleSwap {
         nonReentrant
         returns (uint256[] memory amounts)
     {
-        address sender = msg.sender;
-
-        // Validate swap parameters
-        if (path.length != 2) revert InvalidPath();
-        _validateTokensAndRecipient(path[0], path[1], to);
-        amounts = new uint256[](2);
-        amounts[0] = amountIn;
-
-        address tokenIn = path[0];
-        address tokenOut = path[1];
-        if (tokenIn == tokenOut) revert IdenticalTokens();
-        if (amountIn == 0) revert ZeroAmount("Input");
-
-        // Get sorted tokens and corresponding pool
-        (address token0, address token1) = _sortTokens(tokenIn, tokenOut);
-        Pool storage pool = pools[token0][token1];
-
-        // Determine reserve order based on token sorting
-        bool isInputToken0 = (tokenIn == token0);
-        uint256 reserveIn = isInputToken0 ? pool.reserveA : pool.reserveB;
-        uint256 reserveOut = isInputToken0 ? pool.reserveB : pool.reserveA;
-        if (reserveIn == 0 || reserveOut == 0) revert InsufficientLiquidity();
-
-        // Calculate output amount using x*y=k formula
-        amounts[1] = getAmountOut(amountIn, reserveIn, reserveOut);
-        if (amounts[1] < amountOutMin)
-            revert BelowMinimumAmount("Output", amountOutMin, amounts[1]);
-
-        // Execute token transfers
-        IERC20(tokenIn).safeTransferFrom(sender, address(this), amountIn);
-        IERC20(tokenOut).safeTransfer(to, amounts[1]);
-
-        // Update reserves (optimized to avoid duplicate calculations)
-        uint256 newReserveOut = reserveOut - amounts[1];
-        if (isInputToken0) {
-            _updateReserves(
-                token0,
-                token1,
-                reserveIn + amountIn,
-                newReserveOut
-            );
-        } else {
-            _updateReserves(
-                token0,
-                token1,
-                newReserveOut,
-                reserveIn + amountIn
-            );
-        }
-
-        emit Swap(sender, tokenIn, tokenOut, amountIn, amounts[1]);
+        amounts = _swapExactTokensForTokens(amountIn, amountOutMin, path, to);
     }
 
     /**
-     * @notice Pauses all trading and liquidity operations
-     * @dev Can only be called by the contract owner. Reverts if already paused.
-     * @custom:emits Paused Emitted when the pause is triggered by the owner
+     * @notice Swaps exact input tokens approved through an EIP-2612 signature
+     * @dev The permit is attempted first; if it was already consumed (e.g.
+     * front-run), the swap still succeeds as long as the allowance is in place
+     * @param amountIn Exact amount of input tokens to swap (and permit value)
+     * @param amountOutMin Minimum acceptable amount of final output tokens
+     * @param path Array with token addresses (at least 2); path[0] must support permit
+     * @param to Address to receive output tokens
+     * @param deadline Transaction and permit deadline
+     * @param v Signature recovery byte
+     * @param r Signature r value
+     * @param s Signature s value
+     * @return amounts Input amount followed by the output of every hop
      */
-    function pause() external onlyOwner {
-        _pause();
+    function swapExactTokensForTokensWithPermit(
+        uint256 amountIn,
+        uint256 amountOutMin,
+        address[] calldata path,
+        address to,
+        uint256 deadline,
+        uint8 v,
+        bytes32 r,
+        bytes32 s
+    )
+        external
+        override
+        ensureDeadline(deadline)
+        whenNotPaused
+        nonReentrant
+        returns (uint256[] memory amounts)
+    {
+        if (path.length < 2) revert InvalidPath();
+        _permit(
+            path[0],
+            msg.sender,
+            address(this),
+            amountIn,
+            deadline,
+            v,
+            r,
+            s
+        );
+        amounts = _swapExactTokensForTokens(amountIn, amountOutMin, path, to);
     }
 
     /**
-     * @notice Unpauses all trading and liquidity operations
-     * @dev Can only be called by the contract owner. Reverts if not paused.
-     * @custom:emits Unpaused Emitted when the unpause is triggered by the owner
+     * @notice Swaps input tokens for an exact amount of output tokens
+     * @dev Input is quoted backwards from `amountOut` and rounded up on every
+     * hop, so pools always receive at least what the constant product requires.
+     * @param amountOut Exact amount of final output tokens to receive
+     * @param amountInMax Maximum acceptable amount of input tokens
+     * @param path Array with token addresses (at least 2)
+     * @param to Address to receive output tokens
+     * @param deadline Transaction validity deadline
+     * @return amounts Input amount followed by the output of every hop
+     * @custom:reverts CircuitBreakerTripped If a pool's price would leave the
+     * circuit breaker band
      */
-    function unpause() external onlyOwner {
-        _unpause();
-    }
-
-    /**
-     * @notice Emergency withdrawal of tokens from the contract
-     * @dev Can only be called by owner when contract is paused
-     * @param token Address of token to withdraw
-     * @param to Recipient address for withdrawn tokens
-     * @param amount Amount of tokens to withdraw
-     * @custom:requirements
-     * - `to` cannot be zero address
-     * - `amount` must be greater than 0
+    function swapTokensForExactTokens(
+        uint256 amountOut,
+        uint256 amountInMax,
+        address[] calldata path,
+        address to,
+        uint256 deadline
+    )
+        external
+        override
+        ensureDeadline(deadline)
+        whenNotPaused
+        nonReentrant
+        returns (uint256[] memory amounts)
+    {
+        // Validate swap parameters
+        if (path.length < 2) revert InvalidPath();
+        if (to == address(0)) revert InvalidRecipient();
+        if (amountOut == 0) revert ZeroAmount("Output");
+
+        // Quote every hop backwards, then execute against current reserves
+        amounts = getAmountsIn(amountOut, path);
+        if (amounts[0] > amountInMax)
+            revert AboveMaximumAmount("Input", amountInMax, amounts[0]);
+
+        _swap(amounts, path);
+
+        // Execute token transfers
+        IERC20(path[0]).safeTransferFrom(msg.sender, address(this), amounts[0]);
+        IERC20(path[path.length - 1]).safeTransfer(to, amountOut);
+    }
+
+    /**
+     * @notice Swaps exact input tokens for output tokens with fee-on-transfer support
+     * @dev The first hop is quoted on the amount the contract actually
+     * received, and `amountOutMin` is checked against what `to` received.
+     * @param amountIn Amount of input tokens sent by the caller
+     * @param amountOutMin Minimum amount of final output tokens `to` must receive
+     * @param path Array with token addresses (at least 2)
+     * @param to Address to receive output tokens
+     * @param deadline Transaction validity deadline
+     * @return amountOut Amount of final output tokens received by `to`
+     * @custom:reverts CircuitBreakerTripped If a pool's price would leave the
+     * circuit breaker band
+     */
+    function swapExactTokensForTokensSupportingFeeOnTransferTokens(
+        uint256 amountIn,
+        uint256 amountOutMin,
+        address[] calldata path,
+        address to,
+        uint256 deadline
+    )
+        external
+        override
+        ensureDeadline(deadline)
+        whenNotPaused
+        nonReentrant
+        returns (uint256 amountOut)
+    {
+        // Validate swap parameters
+        if (path.length < 2) revert InvalidPath();
+        if (to == address(0)) revert InvalidRecipient();
+        if (amountIn == 0) revert ZeroAmount("Input");
+
+        // Quote on the received amount, then execute against current reserves
+        uint256 received = _transferIn(path[0], amountIn);
+        uint256[] memory amounts = getAmountsOut(received, path);
+        _swap(amounts, path);
+
+        // Measure what the recipient actually received
+        IERC20 tokenOut = IERC20(path[path.length - 1]);
+        uint256 balanceBefore = tokenOut.balanceOf(to);
+        tokenOut.safeTransfer(to, amounts[amounts.length - 1]);
+        amountOut = tokenOut.balanceOf(to) - balanceBefore;
+
+        if (amountOut < amountOutMin)
+            revert BelowMinimumAmount("Output", amountOutMin, amountOut);
+    }
+
+    /**
+     * @notice Low-level flash swap: sends tokens first, checks payment after
+     * @dev Outputs are transferred to `to` optimistically. If `data` is not
+     * empty, `to` receives an ISimpleSwapCallee.simpleSwapCall callback in
+     * which it must pay the pool back, in either token, so that
+     * `(reserve * FEE_DENOMINATOR - amountIn * swapFee)` multiplied across
+     * both tokens is at least the old `reserveA * reserveB` scaled alike.
+     * Repaying a single token therefore costs amountOut * FEE_DENOMINATOR /
+     * (FEE_DENOMINATOR - swapFee), rounded up. The whole call holds the
+     * reentrancy lock, so the callback repays with plain transfers.
+     * @param tokenA First token of the pool
+     * @param tokenB Second token of the pool
+     * @param amountAOut Amount of tokenA to send out
+     * @param amountBOut Amount of tokenB to send out
+     * @param to Recipient of the outputs (and callback target)
+     * @param data Data forwarded to the callback; empty skips the callback
+     * @custom:reverts InsufficientRepayment If the pool is not repaid plus fee
+     * @custom:reverts CircuitBreakerTripped If the settled price leaves the
+     * circuit breaker band
+     * @custom:emits FlashSwap Emitted with amounts sent and paid back
+     * @custom:emits Sync Emitted with the pool's new reserves
+     */
+    function swap(
+        address tokenA,
+        address tokenB,
+        uint256 amountAOut,
+        uint256 amountBOut,
+        address to,
+        bytes calldata data
+    ) external override whenNotPaused nonReentrant {
+        _validateTokensAndRecipient(tokenA, tokenB, to);
+        if (to == tokenA || to == tokenB) revert InvalidRecipient();
+        if (amountAOut == 0 && amountBOut == 0) revert ZeroAmount("Output");
+
+        (address token0, address token1) = _sortTokens(tokenA, tokenB);
+        _requireTradable(token0, token1);
+
+        (uint256 reserveA, uint256 reserveB) = _getReserves(tokenA, tokenB);
+        if (amountAOut >= reserveA || amountBOut >= reserveB)
+            revert InsufficientLiquidity();
+
+        if (amountAOut > 0) _safeTransfer(tokenA, to, amountAOut);
+        if (amountBOut > 0) _safeTransfer(tokenB, to, amountBOut);
+        if (data.length > 0)
+            ISimpleSwapCallee(to).simpleSwapCall(
+                msg.sender,
+                tokenA,
+                tokenB,
+                amountAOut,
+                amountBOut,
+                data
+            );
+
+        // Whatever arrived on top of the remaining reserves is payment
+        uint256 newReserveA = _reconcile(tokenA, reserveA);
+        uint256 newReserveB = _reconcile(tokenB, reserveB);
+        uint256 amountAIn = _paidIn(newReserveA, reserveA - amountAOut);
+        uint256 amountBIn = _paidIn(newReserveB, reserveB - amountBOut);
+
+        // Compare invariants of fee-adjusted balances, scaled by the fee base
+        uint256 fee = swapFee;
+        address lpToken = getPair[tokenA][tokenB];
+        if (
+            _invariant(
+                lpToken,
+                newReserveA * FEE_DENOMINATOR - amountAIn * fee,
+                newReserveB * FEE_DENOMINATOR - amountBIn * fee
+            ) <
+            _invariant(
+                lpToken,
+                reserveA * FEE_DENOMINATOR,
+                reserveB * FEE_DENOMINATOR
+            )
+        ) revert InsufficientRepayment();
+
+        if (maxPriceMove != 0) {
+            (uint256 new0, uint256 new1) = tokenA == token0
+                ? (newReserveA, newReserveB)
+                : (newReserveB, newReserveA);
+            _checkBreaker(token0, token1, new0, new1);
+        }
+
+        _updateReserves(tokenA, tokenB, newReserveA, newReserveB);
+
+        emit FlashSwap(
+            msg.sender,
+            tokenA,
+            tokenB,
+            amountAOut,
+            amountBOut,
+            amountAIn,
+            amountBIn
+        );
+        emit Sync(tokenA, tokenB, newReserveA, newReserveB);
+    }
+
+    /**
+     * @notice Credits untracked token balances to a pool's reserves
+     * @dev Each token's surplus is its balance minus the reserves tracked
+     * across all pools. A shortfall (e.g. from a deflationary token) is
+     * shared by every pool holding the token, so this pool is only debited
+     * its pro-rata share and cannot absorb another pool's loss.
+     * @param tokenA First token address
+     * @param tokenB Second token address
+     * @custom:reverts EnforcedPause If the contract is paused
+     * @custom:reverts PoolPaused If this pool is paused
+     * @custom:reverts InsufficientLiquidity If the pool has no LP supply
+     * @custom:emits Sync Emitted with the reconciled reserves
+     */
+    function sync(
+        address tokenA,
+        address tokenB
+    ) external override whenNotPaused validPair(tokenA, tokenB) nonReentrant {
+        _requirePoolNotPaused(tokenA, tokenB);
+        address lpToken = getPair[tokenA][tokenB];
+        if (lpToken == address(0) || IERC20(lpToken).totalSupply() == 0)
+            revert InsufficientLiquidity();
+
+        (uint256 reserveA, uint256 reserveB) = _getReserves(tokenA, tokenB);
+        reserveA = _syncReserve(tokenA, reserveA);
+        reserveB = _syncReserve(tokenB, reserveB);
+
+        _updateReserves(tokenA, tokenB, reserveA, reserveB);
+        emit Sync(tokenA, tokenB, reserveA, reserveB);
+    }
+
+    /**
+     * @notice Sends untracked token balances to a recipient
+     * @dev Surplus is measured against the reserves tracked across all pools,
+     * so skimming never touches liquidity owned by any pool
+     * @param tokenA First token address
+     * @param tokenB Second token address
+     * @param to Recipient of the surplus
+     */
+    function skim(
+        address tokenA,
+        address tokenB,
+        address to
+    ) external override nonReentrant {
+        _validateTokensAndRecipient(tokenA, tokenB, to);
+
+        uint256 surplusA = _surplus(tokenA);
+        uint256 surplusB = _surplus(tokenB);
+        if (surplusA > 0) _safeTransfer(tokenA, to, surplusA);
+        if (surplusB > 0) _safeTransfer(tokenB, to, surplusB);
+    }
+
+    /**
+     * @notice Pauses all trading and liquidity operations
+     * @dev Can only be called by a PAUSER_ROLE holder. Reverts if already paused.
+     * @custom:emits Paused Emitted when the pause is triggered
+     */
+    function pause() external onlyRole(PAUSER_ROLE) {
+        _pause();
+    }
+
+    /**
+     * @notice Unpauses all trading and liquidity operations
+     * @dev Can only be called by an OPERATOR_ROLE or GUARDIAN_ROLE holder,
+     * so a pauser key alone cannot toggle trading back on. Reverts if not
+     * paused.
+     * @custom:emits Unpaused Emitted when the unpause is triggered
+     */
+    function unpause() external onlyOperatorOrGuardian {
+        _unpause();
+    }
+
+    /**
+     * @notice Pauses trading and liquidity operations of a single pool
+     * @dev Can only be called by a PAUSER_ROLE holder. Other pools keep
+     * trading; LPs of the paused pool can still use emergencyRemoveLiquidity.
+     * @param tokenA First token of the pool
+     * @param tokenB Second token of the pool
+     * @custom:emits PoolPauseUpdated Emitted with `paused` set to true
+     */
+    function pausePool(
+        address tokenA,
+        address tokenB
+    ) external onlyRole(PAUSER_ROLE) validPair(tokenA, tokenB) {
+        _setPoolPaused(tokenA, tokenB, true);
+    }
+
+    /**
+     * @notice Resumes a pool paused with pausePool
+     * @dev Can only be called by an OPERATOR_ROLE or GUARDIAN_ROLE holder,
+     * like unpause
+     * @param tokenA First token of the pool
+     * @param tokenB Second token of the pool
+     * @custom:emits PoolPauseUpdated Emitted with `paused` set to false
+     */
+    function unpausePool(
+        address tokenA,
+        address tokenB
+    ) external onlyOperatorOrGuardian validPair(tokenA, tokenB) {
+        _setPoolPaused(tokenA, tokenB, false);
+    }
+
+    /**
+     * @notice Configures the circuit breaker applied to every pool
+     * @dev Can only be called by a GUARDIAN_ROLE holder. A swap that would
+     * move a pool's price more than `maxPriceMove_` basis points away from
+     * the price at the start of the current window reverts.
+     * @param maxPriceMove_ Largest move per window in basis points (0 disables)
+     * @param window Window length in seconds (0 means a single block timestamp)
+     * @custom:reverts InvalidBreakerConfig If the move exceeds FEE_DENOMINATOR
+     * or the window exceeds MAX_BREAKER_WINDOW
+     * @custom:emits CircuitBreakerUpdated Emitted with the new parameters
+     */
+    function setCircuitBreaker(
+        uint256 maxPriceMove_,
+        uint256 window
+    ) external onlyRole(GUARDIAN_ROLE) {
+        if (maxPriceMove_ > FEE_DENOMINATOR || window > MAX_BREAKER_WINDOW)
+            revert InvalidBreakerConfig(maxPriceMove_, window);
+        maxPriceMove = maxPriceMove_;
+        breakerWindow = window;
+        emit CircuitBreakerUpdated(maxPriceMove_, window);
+    }
+
+    /**
+     * @notice Restarts a pool's breaker window at its current price
+     * @dev Can only be called by an OPERATOR_ROLE or GUARDIAN_ROLE holder.
+     * Lets a pool follow a legitimate repricing without waiting for the
+     * window to close: the next swap opens a fresh window at the pool's
+     * current price.
+     * @param tokenA First token of the pool
+     * @param tokenB Second token of the pool
+     * @custom:emits CircuitBreakerReset Emitted with the pool's sorted tokens
+     */
+    function resetCircuitBreaker(
+        address tokenA,
+        address tokenB
+    ) external onlyOperatorOrGuardian validPair(tokenA, tokenB) {
+        (address token0, address token1) = _sortTokens(tokenA, tokenB);
+        delete breakers[token0][token1];
+        emit CircuitBreakerReset(token0, token1);
+    }
+
+    /**
+     * @notice Updates the swap fee charged on every trade
+     * @dev Can only be called by a FEE_MANAGER_ROLE holder (the timelock in
+     * production). Fee stays in the pool reserves.
+     * @param newFee New fee in basis points
+     * @custom:reverts FeeTooHigh If `newFee` exceeds MAX_SWAP_FEE
+     * @custom:emits SwapFeeUpdated Emitted with the previous and new fee
+     */
+    function setSwapFee(uint256 newFee) external onlyRole(FEE_MANAGER_ROLE) {
+        if (newFee > MAX_SWAP_FEE) revert FeeTooHigh(newFee, MAX_SWAP_FEE);
+        emit SwapFeeUpdated(swapFee, newFee);
+        swapFee = newFee;
+    }
+
+    /**
+     * @notice Sets the protocol fee recipient, turning the fee switch on or off
+     * @dev Can only be called by a FEE_MANAGER_ROLE holder. While on,
+     * 1/PROTOCOL_FEE_SHARE of each pool's fee growth is minted to `feeTo` as
+     * LP tokens at the next liquidity event or collectProtocolFee call.
+     * @param newFeeTo New recipient, or the zero address to turn the fee off
+     * @custom:emits FeeToUpdated Emitted with the previous and new recipient
+     */
+    function setFeeTo(address newFeeTo) external onlyRole(FEE_MANAGER_ROLE) {
+        emit FeeToUpdated(feeTo, newFeeTo);
+        feeTo = newFeeTo;
+    }
+
+    /**
+     * @notice Mints the protocol fee accrued by a pool to `feeTo`
+     * @dev Lets the treasury claim without waiting for a liquidity event;
+     * the minted LP tokens are redeemed with removeLiquidity
+     * @param tokenA First token of the pool
+     * @param tokenB Second token of the pool
+     */
+    function collectProtocolFee(
+        address tokenA,
+        address tokenB
+    ) external validPair(tokenA, tokenB) nonReentrant {
+        SimpleSwapLP lpToken = SimpleSwapLP(getPair[tokenA][tokenB]);
+        if (address(lpToken) == address(0)) revert InsufficientLiquidity();
+
+        (uint256 reserveA, uint256 reserveB) = _getReserves(tokenA, tokenB);
+        if (_mintFee(lpToken, reserveA, reserveB))
+            kLast[address(lpToken)] = _invariant(
+                address(lpToken),
+                reserveA,
+                reserveB
+            );
+    }
+
+    /**
+     * @notice Grows the number of observations a pool's oracle keeps
+     * @dev consult can only look back over the last `cardinalityNext`
+     * updates (one per block at most), so a pool traded every block keeps
+     * about `cardinalityNext` blocks of history. The new slots are written
+     * here so the caller, not later traders, pays for the storage. Anyone
+     * can call this; requests at or below the current capacity are no-ops.
+     * @param tokenA First token of the pool
+     * @param tokenB Second token of the pool
+     * @param cardinalityNext Ring capacity to grow to
+     * @custom:reverts InsufficientLiquidity If the pool has no oracle yet
+     * @custom:emits ObservationCardinalityIncreased When the capacity grows
+     */
+    function increaseObservationCardinality(
+        address tokenA,
+        address tokenB,
+        uint16 cardinalityNext
+    ) external override validPair(tokenA, tokenB) {
+        (address token0, address token1) = _sortTokens(tokenA, tokenB);
+        Oracle storage oracle = oracles[token0][token1];
+        if (oracle.cardinality == 0) revert InsufficientLiquidity();
+
+        uint16 current = oracle.cardinalityNext;
+        if (cardinalityNext <= current) return;
+
+        Observation[MAX_OBSERVATION_CARDINALITY]
+            storage ring = observations[token0][token1];
+        // Placeholders only: slots past `cardinality` are never read
+        for (uint16 i = current; i < cardinalityNext; i++) {
+            ring[i] = Observation(1, 1, 1);
+        }
+        oracle.cardinalityNext = cardinalityNext;
+
+        emit ObservationCardinalityIncreased(
+            token0,
+            token1,
+            current,
+            cardinalityNext
+        );
+    }
+
+    /**
+     * @notice Emergency withdrawal of a pool's tokens from the contract
+     * @dev Can only be called by a GUARDIAN_ROLE holder (the timelock in
+     * production) while the contract or the pool is paused. The amounts
+     * are debited from the pool's reserves, so remaining LP claims stay
+     * backed by real balances and other pools are untouched.
+     * @param tokenA First token of the pool
+     * @param tokenB Second token of the pool
+     * @param to Recipient address for withdrawn tokens
+     * @param amountA Amount of tokenA to withdraw
+     * @param amountB Amount of tokenB to withdraw
+     * @custom:requirements
+     * - `to` cannot be zero address
+     * - At least one amount must be greater than 0
+     * - Amounts cannot exceed the pool's reserves
      * @custom:emits EmergencyWithdraw Emitted when tokens are withdrawn
+     * @custom:emits Sync Emitted with the pool's new reserves
      */
     function emergencyWithdraw(
-        address token,
+        address tokenA,
+        address tokenB,
         address to,
-        uint256 amount
-    ) external onlyOwner whenPaused nonReentrant {
-        _validateTokensAndRecipient(token, address(1), to);
-        if (amount == 0) revert ZeroAmount("Withdrawal");
+        uint256 amountA,
+        uint256 amountB
+    ) external onlyRole(GUARDIAN_ROLE) nonReentrant {
+        _requirePaused(tokenA, tokenB);
+        _validateTokensAndRecipient(tokenA, tokenB, to);
+        if (amountA == 0 && amountB == 0) revert ZeroAmount("Withdrawal");
+
+        (uint256 reserveA, uint256 reserveB) = _getReserves(tokenA, tokenB);
+        if (amountA > reserveA || amountB > reserveB)
+            revert InsufficientLiquidity();
+
+        reserveA -= amountA;
+        reserveB -= amountB;
+        _updateReserves(tokenA, tokenB, reserveA, reserveB);
+
+        if (amountA > 0) _safeTransfer(tokenA, to, amountA);
+        if (amountB > 0) _safeTransfer(tokenB, to, amountB);
+
+        emit EmergencyWithdraw(msg.sender, tokenA, tokenB, to, amountA, amountB);
+        emit Sync(tokenA, tokenB, reserveA, reserveB);
+    }
+
+    /**
+     * @notice Exit mode: burns LP tokens for a pro-rata share while paused
+     * @dev Skips deadline and minimum checks so LPs can always leave a
+     * paused pool, including after an emergency withdrawal. Works while the
+     * contract or just this pool is paused.
+     * @param tokenA First token of the pool
+     * @param tokenB Second token of the pool
+     * @param liquidity Amount of LP tokens to burn
+     * @param to Address to receive underlying tokens
+     * @return amountA Amount of tokenA received
+     * @return amountB Amount of tokenB received
+     */
+    function emergencyRemoveLiquidity(
+        address tokenA,
+        address tokenB,
+        uint256 liquidity,
+        address to
+    )
+        external
+        validPair(tokenA, tokenB)
+        nonReentrant
+        returns (uint256 amountA, uint256 amountB)
+    {
+        _requirePaused(tokenA, tokenB);
+        (amountA, amountB) = _removeLiquidity(
+            tokenA,
+            tokenB,
+            msg.sender,
+            liquidity,
+            to
+        );
+    }
+
+    // ==============================================
+    //           EXTERNAL VIEW/PURE FUNCTIONS
+    // ==============================================
+
+    /**
+     * @notice Gets the price of tokenA in terms of tokenB
+     * @dev Price is calculated as (reserveB/reserveA) when tokens are in sorted order
+     * @param tokenA The base token (price of 1 tokenA in terms of tokenB)
+     * @param tokenB The quote token
+     * @return price The price of tokenA in terms of tokenB, scaled by 1e18
+     */
+    function getPrice(
+        address tokenA,
+        address tokenB
+    ) external view override returns (uint256 price) {
+        if (tokenA == tokenB) revert IdenticalTokens();
+
+        // Sort tokens to access the pool consistently
+        (address token0, address token1) = _sortTokens(tokenA, tokenB);
+        Pool memory pool = pools[token0][token1];
+
+        // Verify pool has liquidity
+        if (pool.reserveA == 0 || pool.reserveB == 0)
+            revert InsufficientLiquidity();
+
+        // Calculate price based on token order
+        unchecked {
+            price = tokenA == token0
+                ? (pool.reserveB * 1e18) / pool.reserveA
+                : (pool.reserveA * 1e18) / pool.reserveB;
+        }
+    }
+
+    /**
+     * @notice Calculates output amount for given input and reserves
+     * @dev Uses the formula x*y=k after deducting the current swap fee.
+     * Stable pairs are quoted on their own curve by getAmountsOut.
+     * @param amountIn Input token amount
+     * @param reserveIn Reserve of input token
+     * @param reserveOut Reserve of output token
+     * @return amountOut Expected output amount
+     */
+    function getAmountOut(
+        uint256 amountIn,
+        uint256 reserveIn,
+        uint256 reserveOut
+    ) public view override returns (uint256 amountOut) {
+        amountOut = _getAmountOut(
+            amountIn,
+            reserveIn,
+            reserveOut,
+            swapFee,
+            false
+        );
+    }
+
+    /**
+     * @notice Calculates required input for a given output and reserves
+     * @dev Inverse of getAmountOut, rounded up so the pool is never
+     * short-changed. Stable pairs are quoted on their own curve by
+     * getAmountsIn.
+     * @param amountOut Desired output token amount
+     * @param reserveIn Reserve of input token
+     * @param reserveOut Reserve of output token
+     * @return amountIn Required input amount
+     */
+    function getAmountIn(
+        uint256 amountOut,
+        uint256 reserveIn,
+        uint256 reserveOut
+    ) public view override returns (uint256 amountIn) {
+        amountIn = _getAmountIn(
+            amountOut,
+            reserveIn,
+            reserveOut,
+            swapFee,
+            false
+        );
+    }
+
+    /**
+     * @notice Gets the time-weighted average price of tokenA in terms of tokenB
+     * @dev Averages over exactly the last `period` seconds by interpolating
+     * between stored observations. Prices inside one block cannot move the
+     * result, since accumulators only advance when time passes.
+     * @param tokenA The base token
+     * @param tokenB The quote token
+     * @param period Averaging window in seconds
+     * @return price Average price of tokenA in terms of tokenB, scaled by 1e18
+     * @custom:reverts InsufficientHistory If the window predates the oldest observation
+     */
+    function consult(
+        address tokenA,
+        address tokenB,
+        uint32 period
+    ) external view override returns (uint256 price) {
+        if (tokenA == tokenB) revert IdenticalTokens();
+        if (period == 0) revert ZeroAmount("Period");
+
+        (address token0, address token1) = _sortTokens(tokenA, tokenB);
+        Oracle memory oracle = oracles[token0][token1];
+        if (oracle.cardinality == 0) revert InsufficientLiquidity();
+
+        uint32 timestamp = uint32(block.timestamp);
+        uint32 target;
+        unchecked {
+            target = timestamp - period;
+        }
+
+        (uint256 nowCumulative0, uint256 nowCumulative1) = _cumulativeAt(
+            token0,
+            token1,
+            oracle,
+            timestamp
+        );
+        (uint256 targetCumulative0, uint256 targetCumulative1) = _observeAt(
+            token0,
+            token1,
+            oracle,
+            target
+        );
+
+        unchecked {
+            price = tokenA == token0
+                ? (nowCumulative0 - targetCumulative0) / period
+                : (nowCumulative1 - targetCumulative1) / period;
+        }
+    }
+
+    /**
+     * @notice Calculates the output of every hop along a swap path
+     * @dev Each hop is quoted against current reserves on its pool's curve;
+     * on execution every hop is re-checked against the reserves left by the
+     * previous one
+     * @param amountIn Input token amount
+     * @param path Array with token addresses (at least 2)
+     * @return amounts Input amount followed by the output of every hop
+     */
+    function getAmountsOut(
+        uint256 amountIn,
+        address[] calldata path
+    ) public view override returns (uint256[] memory amounts) {
+        if (path.length < 2) revert InvalidPath();
+
+        amounts = new uint256[](path.length);
+        amounts[0] = amountIn;
+        for (uint256 i; i < path.length - 1; i++) {
+            _validateTokensAndRecipient(path[i], path[i + 1], address(this));
+            (uint256 reserveIn, uint256 reserveOut) = _getReserves(
+                path[i],
+                path[i + 1]
+            );
+            amounts[i + 1] = _getAmountOut(
+                amounts[i],
+                reserveIn,
+                reserveOut,
+                swapFee,
+                _isStable(path[i], path[i + 1])
+            );
+        }
+    }
+
+    /**
+     * @notice Calculates the input of every hop needed for an exact output
+     * @dev Quotes backwards from the last hop, each on its pool's curve
+     * @param amountOut Desired final output amount
+     * @param path Array with token addresses (at least 2)
+     * @return amounts Input amount followed by the output of every hop
+     */
+    function getAmountsIn(
+        uint256 amountOut,
+        address[] calldata path
+    ) public view override returns (uint256[] memory amounts) {
+        if (path.length < 2) revert InvalidPath();
+
+        amounts = new uint256[](path.length);
+        amounts[path.length - 1] = amountOut;
+        for (uint256 i = path.length - 1; i > 0; i--) {
+            _validateTokensAndRecipient(path[i - 1], path[i], address(this));
+            (uint256 reserveIn, uint256 reserveOut) = _getReserves(
+                path[i - 1],
+                path[i]
+            );
+            amounts[i - 1] = _getAmountIn(
+                amounts[i],
+                reserveIn,
+                reserveOut,
+                swapFee,
+                _isStable(path[i - 1], path[i])
+            );
+        }
+    }
+
+    /**
+     * @notice Returns the reserves of a token pair in the same order as input
+     * @param tokenA First token address (used as reference)
+     * @param tokenB Second token address
+     * @return reserveA Reserve of tokenA
+     * @return reserveB Reserve of tokenB
+     */
+    function getReserves(
+        address tokenA,
+        address tokenB
+    ) external view override returns (uint256 reserveA, uint256 reserveB) {
+        if (tokenA == tokenB) revert IdenticalTokens();
+        (reserveA, reserveB) = _getReserves(tokenA, tokenB);
+    }
+
+    /**
+     * @notice Returns the number of pairs created so far
+     * @return Length of the `allPairs` registry
+     */
+    function allPairsLength() external view override returns (uint256) {
+        return allPairs.length;
+    }
+
+    // ==============================================
+    //                INTERNAL FUNCTIONS
+    // ==============================================
+
+    /**
+     * @dev Deploys the LP token for a new pair and registers it
+     * @custom:emits PoolCreated Emitted with the pair's registry index
+     * @param token0 Smaller token address
+     * @param token1 Larger token address
+     * @param poolType_ Curve of the new pool
+     * @return lpToken The newly deployed LP token
+     */
+    function _createPair(
+        address token0,
+        address token1,
+        PoolType poolType_
+    ) internal returns (SimpleSwapLP lpToken) {
+        lpToken = SimpleSwapLP(lpDeployer.deploy(token0, token1));
+        if (poolType_ != PoolType.ConstantProduct)
+            poolType[address(lpToken)] = poolType_;
+        getPair[token0][token1] = address(lpToken);
+        getPair[token1][token0] = address(lpToken);
+        allPairs.push(address(lpToken));
+        emit PoolCreated(token0, token1, address(lpToken), allPairs.length - 1);
+    }
+
+    /**
+     * @dev Sorts two token addresses
+     * @param tokenA First token address
+     * @param tokenB Second token address
+     * @return token0 Smaller address
+     * @return token1 Larger address
+     */
+    function _sortTokens(
+        address tokenA,
+        address tokenB
+    ) internal pure returns (address token0, address token1) {
+        (token0, token1) = tokenA < tokenB
+            ? (tokenA, tokenB)
+            : (tokenB, tokenA);
+    }
+
+    /**
+     * @dev Reads the reserves of a pair in the same order as input
+     * @param tokenA First token address (used as reference)
+     * @param tokenB Second token address
+     * @return reserveA Reserve of tokenA
+     * @return reserveB Reserve of tokenB
+     */
+    function _getReserves(
+        address tokenA,
+        address tokenB
+    ) internal view returns (uint256 reserveA, uint256 reserveB) {
+        (address token0, address token1) = _sortTokens(tokenA, tokenB);
+        Pool memory pool = pools[token0][token1];
+
+        (reserveA, reserveB) = tokenA == token0
+            ? (pool.reserveA, pool.reserveB)
+            : (pool.reserveB, pool.reserveA);
+    }
+
+    /**
+     * @dev Tells whether a pair trades on the stable-swap curve
+     * @param tokenA First token address
+     * @param tokenB Second token address
+     * @return Whether the pair was created as a stable pool
+     */
+    function _isStable(
+        address tokenA,
+        address tokenB
+    ) internal view returns (bool) {
+        return poolType[getPair[tokenA][tokenB]] == PoolType.Stable;
+    }
+
+    /**
+     * @dev Invariant of a pool's balances on its curve: `x * y` for
+     * constant product pools and `(D / 2) ** 2` for stable pools, so that its
+     * square root measures liquidity the same way for both
+     * @param lpToken LP token of the pool
+     * @param x Balance of one pool token
+     * @param y Balance of the other pool token
+     * @return k Pool invariant
+     */
+    function _invariant(
+        address lpToken,
+        uint256 x,
+        uint256 y
+    ) internal view returns (uint256 k) {
+        if (poolType[lpToken] != PoolType.Stable) return x * y;
+        uint256 halfD = _stableInvariant(x, y) / 2;
+        k = halfD * halfD;
+    }
+
+    /**
+     * @dev Executes an exact-input swap for the caller
+     * @param amountIn Exact amount of input tokens to swap
+     * @param amountOutMin Minimum acceptable amount of final output tokens
+     * @param path Array with token addresses (at least 2)
+     * @param to Address to receive output tokens
+     * @return amounts Input amount followed by the output of every hop
+     */
+    function _swapExactTokensForTokens(
+        uint256 amountIn,
+        uint256 amountOutMin,
+        address[] calldata path,
+        address to
+    ) internal returns (uint256[] memory amounts) {
+        // Validate swap parameters
+        if (path.length < 2) revert InvalidPath();
+        if (to == address(0)) revert InvalidRecipient();
+        if (amountIn == 0) revert ZeroAmount("Input");
+
+        // Quote every hop, then execute against current reserves
+        amounts = getAmountsOut(amountIn, path);
+
+        uint256 amountOut = amounts[amounts.length - 1];
+        if (amountOut < amountOutMin)
+            revert BelowMinimumAmount("Output", amountOutMin, amountOut);
+
+        _swap(amounts, path);
+
+        // Execute token transfers
+        IERC20(path[0]).safeTransferFrom(msg.sender, address(this), amountIn);
+        IERC20(path[path.length - 1]).safeTransfer(to, amountOut);
+    }
+
+    /**
+     * @dev Applies an EIP-2612 permit from `owner` to `spender`
+     * @notice A failing permit is ignored when the allowance already covers
+     * `value`, so a front-run signature cannot block the transaction
+     * @param token Token supporting EIP-2612
+     * @param owner Account that signed the permit
+     * @param spender Account the permit approves
+     * @param value Allowance to grant
+     * @param deadline Permit deadline
+     * @param v Signature recovery byte
+     * @param r Signature r value
+     * @param s Signature s value
+     */
+    function _permit(
+        address token,
+        address owner,
+        address spender,
+        uint256 value,
+        uint256 deadline,
+        uint8 v,
+        bytes32 r,
+        bytes32 s
+    ) internal {
+        try
+            IERC20Permit(token).permit(
+                owner,
+                spender,
+                value,
+                deadline,
+                v,
+                r,
+                s
+            )
+        {} catch {
+            if (IERC20(token).allowance(owner, spender) < value)
+                revert InvalidSignature();
+        }
+    }
 
-        IERC20(token).safeTransfer(to, amount);
-        emit EmergencyWithdraw(msg.sender, token, to, amount);
+    /**
+     * @dev Applies `owner`'s LP permit to the caller and spends `liquidity`
+     * of the resulting allowance
+     * @param lpToken LP token of the pair
+     * @param owner Holder who signed the permit
+     * @param value Allowance the permit grants
+     * @param liquidity Amount of LP tokens about to be burned
+     * @param deadline Permit deadline
+     * @param v Signature recovery byte
+     * @param r Signature r value
+     * @param s Signature s value
+     */
+    function _spendLPPermit(
+        address lpToken,
+        address owner,
+        uint256 value,
+        uint256 liquidity,
+        uint256 deadline,
+        uint8 v,
+        bytes32 r,
+        bytes32 s
+    ) internal {
+        if (lpToken == address(0)) revert InsufficientLiquidity();
+        _permit(lpToken, owner, msg.sender, value, deadline, v, r, s);
+        SimpleSwapLP(lpToken).spendAllowance(owner, msg.sender, liquidity);
     }
 
-    // ==============================================
-    //           EXTERNAL VIEW/PURE FUNCTIONS
-    // ==============================================
+    /**
+     * @dev Removes liquidity and settles the pool without minimum checks
+     * @param tokenA First token address
+     * @param tokenB Second token address
+     * @param from Holder whose LP tokens are burned
+     * @param liquidity Amount of LP tokens to burn from `from`
+     * @param to Address to receive underlying tokens
+     * @return amountA Amount of tokenA sent
+     * @return amountB Amount of tokenB sent
+     */
+    function _removeLiquidity(
+        address tokenA,
+        address tokenB,
+        address from,
+        uint256 liquidity,
+        address to
+    ) internal returns (uint256 amountA, uint256 amountB) {
+        (amountA, amountB) = _burnLiquidity(tokenA, tokenB, from, liquidity);
+        if (amountA > 0) _safeTransfer(tokenA, to, amountA);
+        if (amountB > 0) _safeTransfer(tokenB, to, amountB);
+    }
 
     /**
-     * @notice Gets the price of tokenA in terms of tokenB
-     * @dev Price is calculated as (reserveB/reserveA) when tokens are in sorted order
-     * @param tokenA The base token (price of 1 tokenA in terms of tokenB)
-     * @param tokenB The quote token
-     * @return price The price of tokenA in terms of tokenB, scaled by 1e18
+     * @dev Burns LP tokens and debits their share from the pool's reserves,
+     * leaving the transfers to the caller
+     * @param tokenA First token address
+     * @param tokenB Second token address
+     * @param from Holder whose LP tokens are burned
+     * @param liquidity Amount of LP tokens to burn from `from`
+     * @return amountA Amount of tokenA owed
+     * @return amountB Amount of tokenB owed
      */
-    function getPrice(
+    function _burnLiquidity(
         address tokenA,
-        address tokenB
-    ) external view override returns (uint256 price) {
-        if (tokenA == tokenB) revert IdenticalTokens();
+        address tokenB,
+        address from,
+        uint256 liquidity
+    ) internal returns (uint256 amountA, uint256 amountB) {
+        if (liquidity == 0) revert ZeroAmount("Liquidity");
 
-        // Sort tokens to access the pool consistently
-        (address token0, address token1) = _sortTokens(tokenA, tokenB);
-        Pool memory pool = pools[token0][token1];
+        SimpleSwapLP lpToken = SimpleSwapLP(getPair[tokenA][tokenB]);
+        if (address(lpToken) == address(0)) revert InsufficientLiquidity();
 
-        // Verify pool has liquidity
-        if (pool.reserveA == 0 || pool.reserveB == 0)
-            revert InsufficientLiquidity();
+        // Cache reserves (in input order) to minimize storage reads
+        (uint256 reserveA, uint256 reserveB) = _getReserves(tokenA, tokenB);
+        bool feeOn = _mintFee(lpToken, reserveA, reserveB);
 
-        // Calculate price based on token order
-        unchecked {
-            price = tokenA == token0
-                ? (pool.reserveB * 1e18) / pool.reserveA
-                : (pool.reserveA * 1e18) / pool.reserveB;
+        // Calculate proportional share of reserves
+        (amountA, amountB) = _calculateWithdrawalAmounts(
+            liquidity,
+            reserveA,
+            reserveB,
+            lpToken.totalSupply()
+        );
+
+        // Burn LP tokens
+        if (amountA == 0 && amountB == 0) revert InsufficientLiquidity();
+        lpToken.burn(from, liquidity);
+
+        // Update reserves (single storage update)
+        _updateReserves(tokenA, tokenB, reserveA - amountA, reserveB - amountB);
+        if (feeOn)
+            kLast[address(lpToken)] = _invariant(
+                address(lpToken),
+                reserveA - amountA,
+                reserveB - amountB
+            );
+
+        emit LiquidityRemoved(
+            from,
+            tokenA,
+            tokenB,
+            amountA,
+            amountB,
+            liquidity
+        );
+    }
+
+    /**
+     * @dev Mints the protocol's share of fee growth since the last liquidity
+     * event, following Uniswap V2's `kLast` approach: growth in sqrt(k) not
+     * explained by deposits is fee income, of which 1/PROTOCOL_FEE_SHARE is
+     * minted to `feeTo` as LP tokens
+     * @param lpToken LP token of the pool
+     * @param reserveA Current reserve of one pool token
+     * @param reserveB Current reserve of the other pool token
+     * @return feeOn Whether the protocol fee is enabled
+     */
+    function _mintFee(
+        SimpleSwapLP lpToken,
+        uint256 reserveA,
+        uint256 reserveB
+    ) internal returns (bool feeOn) {
+        address feeTo_ = feeTo;
+        feeOn = feeTo_ != address(0);
+        uint256 kLast_ = kLast[address(lpToken)];
+
+        if (feeOn) {
+            if (kLast_ == 0) return feeOn;
+            uint256 rootK = _sqrt(
+                _invariant(address(lpToken), reserveA, reserveB)
+            );
+            uint256 rootKLast = _sqrt(kLast_);
+            if (rootK <= rootKLast) return feeOn;
+
+            uint256 liquidity = (lpToken.totalSupply() * (rootK - rootKLast)) /
+                (rootK * (PROTOCOL_FEE_SHARE - 1) + rootKLast);
+            if (liquidity > 0) lpToken.mint(feeTo_, liquidity);
+        } else if (kLast_ != 0) {
+            // Switch turned off: forget the snapshot so re-enabling starts fresh
+            kLast[address(lpToken)] = 0;
         }
     }
 
     /**
-     * @notice Calculates output amount for given input and reserves
-     * @dev Uses the formula x*y=k
-     * @dev Optimizations:
-     * - Unchecked math after validation
-     * - Explicit overflow protection
-     * @dev Safety:
-     * - Validates reserveIn + amountIn won't overflow
-     * - Reverts on zero amounts or empty reserves
-     * @param amountIn Input token amount
-     * @param reserveIn Reserve of input token
-     * @param reserveOut Reserve of output token
-     * @return amountOut Expected output amount
+     * @dev Returns a token's balance not tracked by any pool
+     * @param token Token address
+     * @return surplus Balance minus tracked reserves (0 on shortfall)
      */
-    function getAmountOut(
-        uint256 amountIn,
-        uint256 reserveIn,
-        uint256 reserveOut
-    ) public pure override returns (uint256 amountOut) {
-        if (reserveIn + amountIn <= reserveIn) revert OverflowProtection();
-        if (amountIn == 0) revert ZeroAmount("Input");
-        if (reserveIn == 0 || reserveOut == 0) revert InsufficientLiquidity();
+    function _surplus(address token) internal view returns (uint256 surplus) {
+        uint256 balance = IERC20(token).balanceOf(address(this));
+        uint256 tracked = tokenReserves[token];
+        surplus = balance > tracked ? balance - tracked : 0;
+    }
 
-        // Safe after validation
-        unchecked {
-            amountOut = (amountIn * reserveOut) / (reserveIn + amountIn);
+    /**
+     * @dev Amount paid into a flash swap on top of what stayed in the pool
+     * @param newReserve Reserve after reconciling with the balance
+     * @param remaining Reserve left after sending the output
+     * @return Amount paid in (0 if nothing arrived)
+     */
+    function _paidIn(
+        uint256 newReserve,
+        uint256 remaining
+    ) internal pure returns (uint256) {
+        return newReserve > remaining ? newReserve - remaining : 0;
+    }
+
+    /**
+     * @dev Adjusts one pool reserve by the token's surplus or shortfall
+     * @notice Only for flash swaps, where the shortfall is what this pool
+     * sent out and was not paid back; sync uses _syncReserve instead
+     * @param token Token address
+     * @param reserve Current pool reserve of `token`
+     * @return Reconciled reserve
+     */
+    function _reconcile(
+        address token,
+        uint256 reserve
+    ) internal view returns (uint256) {
+        uint256 balance = IERC20(token).balanceOf(address(this));
+        uint256 tracked = tokenReserves[token];
+        if (balance >= tracked) return reserve + (balance - tracked);
+
+        uint256 shortfall = tracked - balance;
+        return shortfall < reserve ? reserve - shortfall : 0;
+    }
+
+    /**
+     * @dev Credits a token's surplus to one pool reserve, or debits the
+     * pool's pro-rata share of the token's shortfall
+     * @notice The share is `reserve / tokenReserves[token]`. Whatever is
+     * left of the shortfall stays tracked and is split again by later syncs.
+     * @param token Token address
+     * @param reserve Current pool reserve of `token`
+     * @return Synced reserve
+     */
+    function _syncReserve(
+        address token,
+        uint256 reserve
+    ) internal view returns (uint256) {
+        uint256 balance = IERC20(token).balanceOf(address(this));
+        uint256 tracked = tokenReserves[token];
+        if (balance >= tracked) return reserve + (balance - tracked);
+
+        return reserve - ((tracked - balance) * reserve) / tracked;
+    }
+
+    /**
+     * @dev Executes quoted swap amounts hop by hop against the internal pools
+     * @notice Every hop is re-checked against the reserves left by the
+     * previous one and emits its own Swap event. Token transfers are left
+     * to the caller.
+     * @param amounts Input amount followed by the output of every hop
+     * @param path Array with token addresses (validated by the quote)
+     * @custom:reverts InsufficientLiquidity If a hop pays out more than its
+     * pool allows (e.g. a path revisiting an already-moved pair)
+     */
+    function _swap(
+        uint256[] memory amounts,
+        address[] calldata path
+    ) internal {
+        _checkPools(amounts, path);
+        uint256 fee = swapFee;
+
+        for (uint256 i; i < path.length - 1; i++) {
+            address tokenIn = path[i];
+            address tokenOut = path[i + 1];
+
+            (uint256 reserveIn, uint256 reserveOut) = _getReserves(
+                tokenIn,
+                tokenOut
+            );
+            uint256 hopOut = amounts[i + 1];
+            if (
+                hopOut >
+                _getAmountOut(
+                    amounts[i],
+                    reserveIn,
+                    reserveOut,
+                    fee,
+                    _isStable(tokenIn, tokenOut)
+                )
+            ) revert InsufficientLiquidity();
+
+            _updateReserves(
+                tokenIn,
+                tokenOut,
+                reserveIn + amounts[i],
+                reserveOut - hopOut
+            );
+
+            emit Swap(
+                msg.sender,
+                tokenIn,
+                tokenOut,
+                amounts[i],
+                hopOut,
+                (amounts[i] * fee) / FEE_DENOMINATOR
+            );
         }
     }
 
     /**
-     * @notice Returns the reserves of a token pair in the same order as input
-     * @param tokenA First token address (used as reference)
-     * @param tokenB Second token address
-     * @return reserveA Reserve of tokenA
-     * @return reserveB Reserve of tokenB
+     * @dev Checks every pool on a swap path against its pause flag and
+     * circuit breaker before any reserves move
+     * @notice Each hop's price is measured after all hops up to it, so a
+     * path revisiting a pair is judged on its combined move. The first pool
+     * whose price would leave the allowed band against its window's
+     * reference reverts the whole swap.
+     * @param amounts Input amount followed by the output of every hop
+     * @param path Array with token addresses
+     * @custom:reverts PoolPaused If a pool on the path is paused
+     * @custom:reverts CircuitBreakerTripped If a pool's price would leave the band
      */
-    function getReserves(
-        address tokenA,
-        address tokenB
-    ) external view returns (uint256 reserveA, uint256 reserveB) {
-        if (tokenA == tokenB) revert IdenticalTokens();
+    function _checkPools(
+        uint256[] memory amounts,
+        address[] calldata path
+    ) internal {
+        uint256 maxMove = maxPriceMove;
 
-        (address token0, address token1) = _sortTokens(tokenA, tokenB);
-        Pool memory pool = pools[token0][token1];
+        for (uint256 i; i < path.length - 1; i++) {
+            (address token0, address token1) = _sortTokens(
+                path[i],
+                path[i + 1]
+            );
+            _requireTradable(token0, token1);
+            if (maxMove == 0) continue;
+
+            // Replay every hop so far that touches this pool
+            Pool memory pool = pools[token0][token1];
+            for (uint256 j; j <= i; j++) {
+                uint256 hopOut = amounts[j + 1];
+                if (path[j] == token0 && path[j + 1] == token1) {
+                    if (hopOut >= pool.reserveB) revert InsufficientLiquidity();
+                    pool.reserveA += amounts[j];
+                    pool.reserveB -= hopOut;
+                } else if (path[j] == token1 && path[j + 1] == token0) {
+                    if (hopOut >= pool.reserveA) revert InsufficientLiquidity();
+                    pool.reserveB += amounts[j];
+                    pool.reserveA -= hopOut;
+                }
+            }
 
-        if (tokenA == token0) {
-            reserveA = pool.reserveA;
-            reserveB = pool.reserveB;
-        } else {
-            reserveA = pool.reserveB;
-            reserveB = pool.reserveA;
+            _checkBreaker(token0, token1, pool.reserveA, pool.reserveB);
         }
     }
 
-    // ==============================================
-    //                INTERNAL FUNCTIONS
-    // ==============================================
+    /**
+     * @dev Reverts if a pool is paused on its own
+     * @param token0 Smaller token address
+     * @param token1 Larger token address
+     */
+    function _requireTradable(address token0, address token1) internal view {
+        if (poolPaused[token0][token1]) revert PoolPaused(token0, token1);
+    }
 
     /**
-     * @dev Sorts two token addresses
+     * @dev Measures a pool's prospective reserves against its breaker window
+     * @notice Opens a new window at the stored (pre-trade) price when the
+     * previous one has closed. Nothing is stored when the trade is rejected,
+     * so an oversized swap cannot halt the pool for anyone else.
+     * @param token0 Smaller token address
+     * @param token1 Larger token address
+     * @param reserve0 Reserve of token0 the trade would leave
+     * @param reserve1 Reserve of token1 the trade would leave
+     * @custom:reverts CircuitBreakerTripped If the prospective price leaves the
+     * allowed band
+     */
+    function _checkBreaker(
+        address token0,
+        address token1,
+        uint256 reserve0,
+        uint256 reserve1
+    ) internal {
+        Breaker storage breaker = breakers[token0][token1];
+        if (
+            breaker.referencePrice == 0 ||
+            block.timestamp > breaker.windowStart + breakerWindow
+        ) {
+            Pool memory pool = pools[token0][token1];
+            breaker.referencePrice = (pool.reserveB * 1e18) / pool.reserveA;
+            breaker.windowStart = uint64(block.timestamp);
+        }
+
+        uint256 refPrice = breaker.referencePrice;
+        uint256 price = (reserve1 * 1e18) / reserve0;
+        uint256 move = price > refPrice ? price - refPrice : refPrice - price;
+        if (move * FEE_DENOMINATOR > refPrice * maxPriceMove)
+            revert CircuitBreakerTripped(token0, token1, refPrice, price);
+    }
+
+    /**
+     * @dev Reverts unless the contract or the given pool is paused
      * @param tokenA First token address
      * @param tokenB Second token address
-     * @return token0 Smaller address
-     * @return token1 Larger address
      */
-    function _sortTokens(
+    function _requirePaused(address tokenA, address tokenB) internal view {
+        (address token0, address token1) = _sortTokens(tokenA, tokenB);
+        if (!paused() && !poolPaused[token0][token1]) revert ExpectedPause();
+    }
+
+    /**
+     * @dev Reverts if the given pool is paused on its own
+     * @param tokenA First token address
+     * @param tokenB Second token address
+     */
+    function _requirePoolNotPaused(
         address tokenA,
         address tokenB
-    ) internal pure returns (address token0, address token1) {
-        (token0, token1) = tokenA < tokenB
-            ? (tokenA, tokenB)
-            : (tokenB, tokenA);
+    ) internal view {
+        (address token0, address token1) = _sortTokens(tokenA, tokenB);
+        if (poolPaused[token0][token1]) revert PoolPaused(token0, token1);
+    }
+
+    /**
+     * @dev Sets a pool's pause flag
+     * @param tokenA First token address
+     * @param tokenB Second token address
+     * @param paused_ New pause flag
+     */
+    function _setPoolPaused(
+        address tokenA,
+        address tokenB,
+        bool paused_
+    ) internal {
+        (address token0, address token1) = _sortTokens(tokenA, tokenB);
+        poolPaused[token0][token1] = paused_;
+        emit PoolPauseUpdated(token0, token1, paused_);
     }
 
     /**
@@ -697,19 +2317,19 @@ contract SimpleSwap is ERC20, Pausable, Ownable, ReentrancyGuard, ISimpleSwap {
      * @param liquidity Amount of LP tokens being burned
      * @param reserveA Reserve amount of tokenA
      * @param reserveB Reserve amount of tokenB
+     * @param totalSupply_ Current LP supply of the pair
      * @return amountA Amount of tokenA to withdraw
      * @return amountB Amount of tokenB to withdraw
      */
     function _calculateWithdrawalAmounts(
         uint256 liquidity,
         uint256 reserveA,
-        uint256 reserveB
-    ) internal view returns (uint256 amountA, uint256 amountB) {
-        uint256 _totalSupply = totalSupply();
-        unchecked {
-            amountA = (liquidity * reserveA) / _totalSupply;
-            amountB = (liquidity * reserveB) / _totalSupply;
-        }
+        uint256 reserveB,
+        uint256 totalSupply_
+    ) internal pure returns (uint256 amountA, uint256 amountB) {
+        if (totalSupply_ == 0) revert InsufficientLiquidity();
+        amountA = (liquidity * reserveA) / totalSupply_;
+        amountB = (liquidity * reserveB) / totalSupply_;
     }
 
     /**
@@ -729,6 +2349,7 @@ contract SimpleSwap is ERC20, Pausable, Ownable, ReentrancyGuard, ISimpleSwap {
      * @param tokenB Second token in pair (order irrelevant)
      * @param reserveA Amount for tokenA's reserve (order-corrected)
      * @param reserveB Amount for tokenB's reserve (order-corrected)
+     * @dev Also keeps `tokenReserves` in sync with the change
      */
     function _updateReserves(
         address tokenA,
@@ -737,9 +2358,148 @@ contract SimpleSwap is ERC20, Pausable, Ownable, ReentrancyGuard, ISimpleSwap {
         uint256 reserveB
     ) internal {
         (address token0, address token1) = _sortTokens(tokenA, tokenB);
-        pools[token0][token1] = tokenA == token0
-            ? Pool(reserveA, reserveB)
-            : Pool(reserveB, reserveA);
+        (uint256 reserve0, uint256 reserve1) = tokenA == token0
+            ? (reserveA, reserveB)
+            : (reserveB, reserveA);
+        Pool memory old = pools[token0][token1];
+
+        tokenReserves[token0] = tokenReserves[token0] + reserve0 - old.reserveA;
+        tokenReserves[token1] = tokenReserves[token1] + reserve1 - old.reserveB;
+
+        // Accumulate the prices that held until now, then store new reserves
+        _updateOracle(token0, token1);
+        pools[token0][token1] = Pool(reserve0, reserve1);
+    }
+
+    /**
+     * @dev Advances a pool's price accumulators and records an observation
+     * @notice Must run before reserves change, so the previous reserves are
+     * credited for the time elapsed since the last update. At most one
+     * observation is written per block. The ring appends while the newest
+     * observation sits in its last slot and capacity remains, so populated
+     * slots stay contiguous and in order.
+     * @param token0 Smaller token address
+     * @param token1 Larger token address
+     */
+    function _updateOracle(address token0, address token1) internal {
+        Oracle storage oracle = oracles[token0][token1];
+        uint32 timestamp = uint32(block.timestamp);
+        if (oracle.cardinality != 0 && oracle.blockTimestampLast == timestamp)
+            return;
+
+        (uint256 cumulative0, uint256 cumulative1) = _cumulativeAt(
+            token0,
+            token1,
+            oracle,
+            timestamp
+        );
+        uint16 cardinality = oracle.cardinality;
+        uint16 index;
+        if (cardinality == 0) {
+            oracle.cardinalityNext = OBSERVATION_CARDINALITY;
+            cardinality = 1;
+        } else if (
+            oracle.index == cardinality - 1 &&
+            cardinality < oracle.cardinalityNext
+        ) {
+            index = cardinality++;
+        } else {
+            index = (oracle.index + 1) % cardinality;
+        }
+
+        oracle.price0CumulativeLast = cumulative0;
+        oracle.price1CumulativeLast = cumulative1;
+        oracle.blockTimestampLast = timestamp;
+        oracle.index = index;
+        oracle.cardinality = cardinality;
+
+        observations[token0][token1][index] = Observation(
+            timestamp,
+            cumulative0,
+            cumulative1
+        );
+    }
+
+    /**
+     * @dev Extrapolates a pool's accumulators to a timestamp using current reserves
+     * @param token0 Smaller token address
+     * @param token1 Larger token address
+     * @param oracle Pool's oracle state
+     * @param timestamp Timestamp at or after the last update
+     * @return cumulative0 price0 accumulator at `timestamp`
+     * @return cumulative1 price1 accumulator at `timestamp`
+     */
+    function _cumulativeAt(
+        address token0,
+        address token1,
+        Oracle memory oracle,
+        uint32 timestamp
+    ) internal view returns (uint256 cumulative0, uint256 cumulative1) {
+        Pool memory pool = pools[token0][token1];
+        cumulative0 = oracle.price0CumulativeLast;
+        cumulative1 = oracle.price1CumulativeLast;
+        if (pool.reserveA == 0 || pool.reserveB == 0)
+            return (cumulative0, cumulative1);
+
+        unchecked {
+            uint256 elapsed = timestamp - oracle.blockTimestampLast;
+            cumulative0 += ((pool.reserveB * 1e18) / pool.reserveA) * elapsed;
+            cumulative1 += ((pool.reserveA * 1e18) / pool.reserveB) * elapsed;
+        }
+    }
+
+    /**
+     * @dev Reconstructs a pool's accumulators at a past timestamp
+     * @notice Prices are constant between observations, so linear
+     * interpolation between neighbours is exact
+     * @param token0 Smaller token address
+     * @param token1 Larger token address
+     * @param oracle Pool's oracle state
+     * @param target Timestamp to reconstruct (not in the future)
+     * @return cumulative0 price0 accumulator at `target`
+     * @return cumulative1 price1 accumulator at `target`
+     */
+    function _observeAt(
+        address token0,
+        address token1,
+        Oracle memory oracle,
+        uint32 target
+    ) internal view returns (uint256 cumulative0, uint256 cumulative1) {
+        Observation[MAX_OBSERVATION_CARDINALITY]
+            storage ring = observations[token0][token1];
+        uint16 cardinality = oracle.cardinality;
+
+        // Walk from the newest observation back to the oldest
+        uint16 index = oracle.index;
+        for (uint16 i; i < cardinality; i++) {
+            Observation memory observation = ring[index];
+            if (observation.timestamp <= target) {
+                if (i == 0)
+                    return _cumulativeAt(token0, token1, oracle, target);
+
+                Observation memory next = ring[(index + 1) % cardinality];
+                unchecked {
+                    uint256 elapsed = target - observation.timestamp;
+                    uint256 span = next.timestamp - observation.timestamp;
+                    cumulative0 =
+                        observation.price0Cumulative +
+                        ((next.price0Cumulative - observation.price0Cumulative) *
+                            elapsed) /
+                        span;
+                    cumulative1 =
+                        observation.price1Cumulative +
+                        ((next.price1Cumulative - observation.price1Cumulative) *
+                            elapsed) /
+                        span;
+                }
+                return (cumulative0, cumulative1);
+            }
+            index = index == 0 ? cardinality - 1 : index - 1;
+        }
+
+        // `index` now sits just before the oldest observation
+        uint16 oldest = (index + 1) % cardinality;
+        revert InsufficientHistory(ring[oldest].timestamp, target);
     }
 
     /**
@@ -748,6 +2508,8 @@ contract SimpleSwap is ERC20, Pausable, Ownable, ReentrancyGuard, ISimpleSwap {
      * @param tokenB Second token address
      * @param amountA Amount of tokenA to transfer
      * @param amountB Amount of tokenB to transfer
+     * @return receivedA Amount of tokenA the contract actually received
+     * @return receivedB Amount of tokenB the contract actually received
      * @dev Optimizations:
      * - Boolean flags prevent duplicate zero-amount checks
      * - Single address validation for both tokens
@@ -760,16 +2522,30 @@ contract SimpleSwap is ERC20, Pausable, Ownable, ReentrancyGuard, ISimpleSwap {
         address tokenB,
         uint256 amountA,
         uint256 amountB
-    ) internal {
+    ) internal returns (uint256 receivedA, uint256 receivedB) {
         if (tokenA == address(0) || tokenB == address(0)) {
             revert InvalidTokenAddress(tokenA == address(0) ? tokenA : tokenB);
         }
         bool successA = amountA > 0;
         bool successB = amountB > 0;
-        if (successA)
-            IERC20(tokenA).safeTransferFrom(msg.sender, address(this), amountA);
-        if (successB)
-            IERC20(tokenB).safeTransferFrom(msg.sender, address(this), amountB);
+        if (successA) receivedA = _transferIn(tokenA, amountA);
+        if (successB) receivedB = _transferIn(tokenB, amountB);
+    }
+
+    /**
+     * @dev Pulls tokens from the caller and measures the balance change
+     * @notice Supports fee-on-transfer tokens that deliver less than `amount`
+     * @param token Token address to pull
+     * @param amount Amount requested from the caller
+     * @return received Amount the contract actually received
+     */
+    function _transferIn(
+        address token,
+        uint256 amount
+    ) internal returns (uint256 received) {
+        uint256 balanceBefore = IERC20(token).balanceOf(address(this));
+        IERC20(token).safeTransferFrom(msg.sender, address(this), amount);
+        received = IERC20(token).balanceOf(address(this)) - balanceBefore;
     }
 
     /**
@@ -788,6 +2564,145 @@ contract SimpleSwap is ERC20, Pausable, Ownable, ReentrancyGuard, ISimpleSwap {
     //              PURE FUNCTIONS
     // ==============================================
 
+    /**
+     * @dev Calculates output amount for given input, reserves and fee
+     * @dev Optimizations:
+     * - Unchecked math after validation
+     * - Explicit overflow protection
+     * @dev Safety:
+     * - Validates reserveIn + amountIn won't overflow
+     * - Reverts on zero amounts or empty reserves
+     * @param amountIn Input token amount
+     * @param reserveIn Reserve of input token
+     * @param reserveOut Reserve of output token
+     * @param fee Swap fee in basis points
+     * @param stable Whether to trade on the stable-swap curve
+     * @return amountOut Expected output amount
+     */
+    function _getAmountOut(
+        uint256 amountIn,
+        uint256 reserveIn,
+        uint256 reserveOut,
+        uint256 fee,
+        bool stable
+    ) internal pure returns (uint256 amountOut) {
+        if (reserveIn + amountIn <= reserveIn) revert OverflowProtection();
+        if (amountIn == 0) revert ZeroAmount("Input");
+        if (reserveIn == 0 || reserveOut == 0) revert InsufficientLiquidity();
+
+        if (stable) {
+            uint256 balanceOut = _stableBalance(
+                reserveIn +
+                    (amountIn * (FEE_DENOMINATOR - fee)) /
+                    FEE_DENOMINATOR,
+                _stableInvariant(reserveIn, reserveOut)
+            );
+            // One wei less absorbs the convergence tolerance
+            return
+                reserveOut > balanceOut + 1 ? reserveOut - balanceOut - 1 : 0;
+        }
+
+        uint256 amountInWithFee = amountIn * (FEE_DENOMINATOR - fee);
+        amountOut =
+            (amountInWithFee * reserveOut) /
+            (reserveIn * FEE_DENOMINATOR + amountInWithFee);
+    }
+
+    /**
+     * @dev Calculates required input for a given output, reserves and fee,
+     * rounded up so the pool is never short-changed
+     * @dev Safety:
+     * - Validates reserveIn * amountOut won't overflow
+     * - Reverts on zero amounts, empty reserves or output >= reserveOut
+     * @notice On the stable curve the target balance is aimed 2 wei past the
+     * requested output, covering the rounding of both curve directions so
+     * getAmountOut of the result always pays at least `amountOut`
+     * @param amountOut Desired output token amount
+     * @param reserveIn Reserve of input token
+     * @param reserveOut Reserve of output token
+     * @param fee Swap fee in basis points
+     * @param stable Whether to trade on the stable-swap curve
+     * @return amountIn Required input amount
+     */
+    function _getAmountIn(
+        uint256 amountOut,
+        uint256 reserveIn,
+        uint256 reserveOut,
+        uint256 fee,
+        bool stable
+    ) internal pure returns (uint256 amountIn) {
+        if (amountOut == 0) revert ZeroAmount("Output");
+        if (reserveIn == 0 || reserveOut <= amountOut)
+            revert InsufficientLiquidity();
+
+        uint256 numerator;
+        uint256 denominator = FEE_DENOMINATOR - fee;
+        if (stable) {
+            if (reserveOut - amountOut <= 2) revert InsufficientLiquidity();
+            uint256 balanceIn = _stableBalance(
+                reserveOut - amountOut - 2,
+                _stableInvariant(reserveIn, reserveOut)
+            );
+            if (balanceIn < reserveIn) revert InsufficientLiquidity();
+            numerator = (balanceIn + 1 - reserveIn) * FEE_DENOMINATOR;
+        } else {
+            if (reserveIn > type(uint256).max / FEE_DENOMINATOR / amountOut)
+                revert OverflowProtection();
+            numerator = reserveIn * amountOut * FEE_DENOMINATOR;
+            denominator *= reserveOut - amountOut;
+        }
+        amountIn = (numerator + denominator - 1) / denominator;
+    }
+
+    /**
+     * @dev Computes the stable-swap invariant D of two balances
+     * @notice Solves 4A(x + y) + D = 4AD + D^3 / (4xy), Curve's StableSwap
+     * invariant for two coins, with Newton's method
+     * @param x Balance of one token
+     * @param y Balance of the other token
+     * @return d Invariant (x + y when the pool is balanced)
+     * @custom:reverts InvariantNotConverged If Newton's method does not settle
+     */
+    function _stableInvariant(
+        uint256 x,
+        uint256 y
+    ) internal pure returns (uint256 d) {
+        if (x == 0 || y == 0) return 0;
+        uint256 ann = STABLE_AMPLIFICATION * 4;
+        uint256 sum = x + y;
+        d = sum;
+        for (uint256 i; i < 255; i++) {
+            uint256 dP = (((d * d) / (x * 2)) * d) / (y * 2);
+            uint256 previous = d;
+            d = ((ann * sum + dP * 2) * d) / ((ann - 1) * d + dP * 3);
+            if (d > previous ? d - previous <= 1 : previous - d <= 1) return d;
+        }
+        revert InvariantNotConverged();
+    }
+
+    /**
+     * @dev Solves the stable-swap invariant for one balance given the other
+     * @param x Known balance
+     * @param d Invariant to hold
+     * @return y Balance of the other token keeping the invariant at `d`
+     * @custom:reverts InvariantNotConverged If Newton's method does not settle
+     */
+    function _stableBalance(
+        uint256 x,
+        uint256 d
+    ) internal pure returns (uint256 y) {
+        uint256 ann = STABLE_AMPLIFICATION * 4;
+        uint256 c = (((d * d) / (x * 2)) * d) / (ann * 2);
+        uint256 b = x + d / ann;
+        y = d;
+        for (uint256 i; i < 255; i++) {
+            uint256 previous = y;
+            y = (y * y + c) / (y * 2 + b - d);
+            if (y > previous ? y - previous <= 1 : previous - y <= 1) return y;
+        }
+        revert InvariantNotConverged();
+    }
+
     /**
      * @dev Calculates square root using Babylonian method
      * @dev Optimizations:
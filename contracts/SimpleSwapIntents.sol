@@ -0,0 +1,212 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.27;
+
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "@openzeppelin/contracts/utils/Nonces.sol";
+import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
+import "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
+import "@openzeppelin/contracts/utils/cryptography/EIP712.sol";
+import "./interfaces/ISimpleSwap.sol";
+
+/**
+ * @title SimpleSwapIntents - Gasless swaps on SimpleSwap through relayers
+ * @dev Users sign an EIP-712 SwapIntent off-chain and any relayer submits
+ * it. The input is pulled from the signer, who approves this contract
+ * instead of SimpleSwap. The output is split between the recipient and an
+ * optional relayer fee. Every signer has a sequential nonce, so each intent
+ * executes at most once. Intents are signed under the EIP-712 domain
+ * "SimpleSwap Intents", version "1".
+ * @notice Fee-on-transfer tokens are not supported: the contract assumes
+ * the full input arrives.
+ * @author Francisco López G.
+ */
+contract SimpleSwapIntents is EIP712, Nonces, ReentrancyGuard {
+    using SafeERC20 for IERC20;
+
+    // ==============================================
+    //                   CUSTOM ERRORS
+    // ==============================================
+
+    /// @notice Reverts when an intent was not signed by its signer
+    error InvalidSignature();
+    /// @notice Reverts when an intent's recipient is 0x0
+    error InvalidRecipient();
+    /// @notice Reverts when an intent's deadline has passed
+    error DeadlinePassed();
+    /// @notice Reverts when an intent's path has fewer than two tokens
+    error InvalidPath();
+
+    // ==============================================
+    //                   STRUCTS
+    // ==============================================
+
+    /**
+     * @notice Exact-input swap signed off-chain by its signer
+     * @param signer Account that signs the intent and pays the input
+     * @param path Array with [inputToken, ...intermediateTokens, outputToken]
+     * @param amountIn Exact amount of input tokens pulled from the signer
+     * @param amountOutMin Minimum output the recipient receives after the fee
+     * @param recipient Recipient of the output, net of the relayer fee
+     * @param relayerFee Output tokens paid to the relayer (may be zero)
+     * @param nonce The signer's current nonce
+     * @param deadline Last timestamp at which the intent can execute
+     */
+    struct SwapIntent {
+        address signer;
+        address[] path;
+        uint256 amountIn;
+        uint256 amountOutMin;
+        address recipient;
+        uint256 relayerFee;
+        uint256 nonce;
+        uint256 deadline;
+    }
+
+    // ==============================================
+    //                  CONSTANTS
+    // ==============================================
+
+    /// @notice EIP-712 type hash of SwapIntent
+    bytes32 public constant SWAP_INTENT_TYPEHASH =
+        keccak256(
+            "SwapIntent(address signer,address[] path,uint256 amountIn,"
+            "uint256 amountOutMin,address recipient,uint256 relayerFee,"
+            "uint256 nonce,uint256 deadline)"
+        );
+
+    // ==============================================
+    //                STATE VARIABLES
+    // ==============================================
+
+    /// @notice SimpleSwap contract intents are executed on
+    ISimpleSwap public immutable simpleSwap;
+
+    // ==============================================
+    //                   EVENTS
+    // ==============================================
+
+    /**
+     * @notice Emitted when a relayer executes a signed intent
+     * @param signer Account that signed the intent and paid the input (indexed)
+     * @param relayer Account that submitted the intent (indexed)
+     * @param nonce Nonce consumed by the intent (indexed)
+     * @param amountOut Output sent to the recipient
+     * @param relayerFee Output paid to the relayer
+     */
+    event SwapIntentExecuted(
+        address indexed signer,
+        address indexed relayer,
+        uint256 indexed nonce,
+        uint256 amountOut,
+        uint256 relayerFee
+    );
+
+    // ==============================================
+    //              CONSTRUCTOR
+    // ==============================================
+
+    /**
+     * @dev Binds the contract to a SimpleSwap instance
+     * @param simpleSwap_ SimpleSwap contract
+     */
+    constructor(address simpleSwap_) EIP712("SimpleSwap Intents", "1") {
+        simpleSwap = ISimpleSwap(simpleSwap_);
+    }
+
+    // ==============================================
+    //           EXTERNAL PUBLIC FUNCTIONS
+    // ==============================================
+
+    /**
+     * @notice Executes a swap intent signed by `intent.signer`
+     * @dev Swaps on SimpleSwap with `amountOutMin + relayerFee` as the
+     * minimum output, then pays the relayer fee to the caller and the rest
+     * to the recipient.
+     * @param intent Signed swap parameters
+     * @param signature EIP-712 signature of `intent` by its signer
+     * @return amounts Input amount followed by the output of every hop
+     * @custom:reverts DeadlinePassed If the intent has expired
+     * @custom:reverts InvalidPath If the path has fewer than two tokens
+     * @custom:reverts InvalidAccountNonce If the nonce is not the signer's
+     * current one (e.g. the intent already executed)
+     * @custom:reverts InvalidSignature If `intent.signer` did not sign it
+     * @custom:emits SwapIntentExecuted Emitted when the swap goes through
+     */
+    function executeSwapIntent(
+        SwapIntent calldata intent,
+        bytes calldata signature
+    ) external nonReentrant returns (uint256[] memory amounts) {
+        if (intent.deadline < block.timestamp) revert DeadlinePassed();
+        if (intent.recipient == address(0)) revert InvalidRecipient();
+        if (intent.path.length < 2) revert InvalidPath();
+
+        uint256 nonce = nonces(intent.signer);
+        if (intent.nonce != nonce)
+            revert InvalidAccountNonce(intent.signer, nonce);
+        if (ECDSA.recover(hashSwapIntent(intent), signature) != intent.signer)
+            revert InvalidSignature();
+
+        IERC20 tokenIn = IERC20(intent.path[0]);
+        tokenIn.safeTransferFrom(
+            intent.signer,
+            address(this),
+            intent.amountIn
+        );
+        tokenIn.forceApprove(address(simpleSwap), intent.amountIn);
+        amounts = simpleSwap.swapExactTokensForTokens(
+            intent.amountIn,
+            intent.amountOutMin + intent.relayerFee,
+            intent.path,
+            address(this),
+            intent.deadline
+        );
+
+        _useNonce(intent.signer);
+        uint256 amountOut = amounts[amounts.length - 1];
+        IERC20 tokenOut = IERC20(intent.path[intent.path.length - 1]);
+        amountOut -= intent.relayerFee;
+        tokenOut.safeTransfer(intent.recipient, amountOut);
+        if (intent.relayerFee > 0)
+            tokenOut.safeTransfer(msg.sender, intent.relayerFee);
+
+        emit SwapIntentExecuted(
+            intent.signer,
+            msg.sender,
+            nonce,
+            amountOut,
+            intent.relayerFee
+        );
+    }
+
+    // ==============================================
+    //           EXTERNAL VIEW FUNCTIONS
+    // ==============================================
+
+    /**
+     * @notice Computes the EIP-712 digest the signer of `intent` signs
+     * @dev Lets relayers check a signature off-chain before submitting it
+     * @param intent Swap intent
+     * @return Typed data hash under this contract's domain
+     */
+    function hashSwapIntent(
+        SwapIntent calldata intent
+    ) public view returns (bytes32) {
+        return
+            _hashTypedDataV4(
+                keccak256(
+                    abi.encode(
+                        SWAP_INTENT_TYPEHASH,
+                        intent.signer,
+                        keccak256(abi.encodePacked(intent.path)),
+                        intent.amountIn,
+                        intent.amountOutMin,
+                        intent.recipient,
+                        intent.relayerFee,
+                        intent.nonce,
+                        intent.deadline
+                    )
+                )
+            );
+    }
+}
@@ -0,0 +1,102 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/ERC20Permit.sol";
+
+/**
+ * @title SimpleSwapLP - Liquidity provider token for a single SimpleSwap pair
+ * @dev Deployed for SimpleSwap the first time liquidity is added to a pair.
+ * Each pair has its own instance, so LP supply and redemptions are isolated
+ * per pool. Only the SimpleSwap contract can mint or burn.
+ * Supports EIP-2612 `permit` for gasless approvals.
+ * @author Francisco López G.
+ */
+contract SimpleSwapLP is ERC20, ERC20Permit {
+    // ==============================================
+    //                   CUSTOM ERRORS
+    // ==============================================
+
+    /// @notice Reverts when caller is not the SimpleSwap contract
+    /// @param caller The unauthorized caller
+    error OnlySwap(address caller);
+
+    // ==============================================
+    //                STATE VARIABLES
+    // ==============================================
+
+    /// @notice SimpleSwap contract that controls minting and burning
+    address public immutable swap;
+    /// @notice Smaller token address of the pair
+    address public immutable token0;
+    /// @notice Larger token address of the pair
+    address public immutable token1;
+
+    // ==============================================
+    //                 MODIFIERS
+    // ==============================================
+
+    /**
+     * @dev Restricts access to the SimpleSwap contract
+     */
+    modifier onlySwap() {
+        if (msg.sender != swap) revert OnlySwap(msg.sender);
+        _;
+    }
+
+    // ==============================================
+    //              CONSTRUCTOR
+    // ==============================================
+
+    /**
+     * @dev Initializes the LP token for a sorted token pair
+     * @param swap_ SimpleSwap contract allowed to mint and burn
+     * @param token0_ Smaller token address of the pair
+     * @param token1_ Larger token address of the pair
+     */
+    constructor(
+        address swap_,
+        address token0_,
+        address token1_
+    ) ERC20("SimpleSwap LP", "SS-LP") ERC20Permit("SimpleSwap LP") {
+        swap = swap_;
+        token0 = token0_;
+        token1 = token1_;
+    }
+
+    // ==============================================
+    //           EXTERNAL PUBLIC FUNCTIONS
+    // ==============================================
+
+    /**
+     * @notice Mints LP tokens for a liquidity provider
+     * @param to Recipient of the LP tokens
+     * @param amount Amount of LP tokens to mint
+     */
+    function mint(address to, uint256 amount) external onlySwap {
+        _mint(to, amount);
+    }
+
+    /**
+     * @notice Burns LP tokens when liquidity is removed
+     * @param from Holder whose LP tokens are burned
+     * @param amount Amount of LP tokens to burn
+     */
+    function burn(address from, uint256 amount) external onlySwap {
+        _burn(from, amount);
+    }
+
+    /**
+     * @notice Consumes an allowance when SimpleSwap burns on a holder's behalf
+     * @param owner Holder whose LP tokens are about to be burned
+     * @param spender Account spending `owner`'s allowance
+     * @param amount Amount of LP tokens to deduct from the allowance
+     */
+    function spendAllowance(
+        address owner,
+        address spender,
+        uint256 amount
+    ) external onlySwap {
+        _spendAllowance(owner, spender, amount);
+    }
+}
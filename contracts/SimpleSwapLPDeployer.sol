@@ -0,0 +1,56 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+import "./SimpleSwapLP.sol";
+
+/**
+ * @title SimpleSwapLPDeployer - Deploys LP tokens on behalf of SimpleSwap
+ * @dev Created by SimpleSwap in its constructor. Holding the LP creation
+ * code here keeps it out of SimpleSwap's runtime bytecode.
+ * @author Francisco López G.
+ */
+contract SimpleSwapLPDeployer {
+    // ==============================================
+    //                   CUSTOM ERRORS
+    // ==============================================
+
+    /// @notice Reverts when caller is not the SimpleSwap contract
+    /// @param caller The unauthorized caller
+    error OnlySwap(address caller);
+
+    // ==============================================
+    //                STATE VARIABLES
+    // ==============================================
+
+    /// @notice SimpleSwap contract that owns every deployed LP token
+    address public immutable swap;
+
+    // ==============================================
+    //              CONSTRUCTOR
+    // ==============================================
+
+    /**
+     * @dev Binds the deployer to its creating SimpleSwap contract
+     */
+    constructor() {
+        swap = msg.sender;
+    }
+
+    // ==============================================
+    //           EXTERNAL PUBLIC FUNCTIONS
+    // ==============================================
+
+    /**
+     * @notice Deploys the LP token of a sorted token pair
+     * @param token0 Smaller token address
+     * @param token1 Larger token address
+     * @return lpToken Address of the new LP token
+     */
+    function deploy(
+        address token0,
+        address token1
+    ) external returns (address lpToken) {
+        if (msg.sender != swap) revert OnlySwap(msg.sender);
+        lpToken = address(new SimpleSwapLP(swap, token0, token1));
+    }
+}
@@ -0,0 +1,151 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.27;
+
+import "@openzeppelin/contracts/token/ERC20/extensions/IERC20Metadata.sol";
+import "./interfaces/ISimpleSwap.sol";
+import "./SimpleSwapLP.sol";
+
+/**
+ * @title SimpleSwapLens - Batched read API over the SimpleSwap pair registry
+ * @dev Stateless helper for dashboards: walks `allPairs` and returns
+ * everything needed to render a page of pools in one call. Living outside
+ * SimpleSwap keeps the string-heavy encoding out of the core bytecode.
+ * @author Francisco López G.
+ */
+contract SimpleSwapLens {
+    // ==============================================
+    //                   STRUCTS
+    // ==============================================
+
+    /**
+     * @notice Snapshot of a single pool
+     * @param lpToken LP token of the pool
+     * @param token0 Smaller token address
+     * @param token1 Larger token address
+     * @param symbol0 Symbol of token0 (empty if the token has none)
+     * @param symbol1 Symbol of token1 (empty if the token has none)
+     * @param decimals0 Decimals of token0 (18 if the token has none)
+     * @param decimals1 Decimals of token1 (18 if the token has none)
+     * @param reserve0 Reserve of token0
+     * @param reserve1 Reserve of token1
+     * @param totalSupply LP token supply
+     * @param price Price of token0 in token1, scaled by 1e18 like getPrice
+     * (0 while the pool is empty)
+     * @param poolType Curve the pool trades on
+     */
+    struct PoolInfo {
+        address lpToken;
+        address token0;
+        address token1;
+        string symbol0;
+        string symbol1;
+        uint8 decimals0;
+        uint8 decimals1;
+        uint256 reserve0;
+        uint256 reserve1;
+        uint256 totalSupply;
+        uint256 price;
+        ISimpleSwap.PoolType poolType;
+    }
+
+    // ==============================================
+    //                STATE VARIABLES
+    // ==============================================
+
+    /// @notice SimpleSwap contract whose pools are read
+    ISimpleSwap public immutable simpleSwap;
+
+    // ==============================================
+    //              CONSTRUCTOR
+    // ==============================================
+
+    /**
+     * @dev Binds the lens to a SimpleSwap deployment
+     * @param simpleSwap_ SimpleSwap contract address
+     */
+    constructor(address simpleSwap_) {
+        simpleSwap = ISimpleSwap(simpleSwap_);
+    }
+
+    // ==============================================
+    //           EXTERNAL VIEW/PURE FUNCTIONS
+    // ==============================================
+
+    /**
+     * @notice Returns a page of pools in creation order
+     * @dev Pages past the end are truncated, so an offset at or beyond
+     * `allPairsLength()` returns an empty array
+     * @param offset Index of the first pool
+     * @param limit Maximum number of pools to return
+     * @return infos Snapshot of every pool in the page
+     */
+    function getPoolsInfo(
+        uint256 offset,
+        uint256 limit
+    ) external view returns (PoolInfo[] memory infos) {
+        uint256 total = simpleSwap.allPairsLength();
+        if (offset >= total) return infos;
+
+        uint256 remaining = total - offset;
+        infos = new PoolInfo[](limit < remaining ? limit : remaining);
+        for (uint256 i; i < infos.length; i++) {
+            infos[i] = getPoolInfo(simpleSwap.allPairs(offset + i));
+        }
+    }
+
+    /**
+     * @notice Returns the snapshot of a single pool
+     * @param lpToken LP token of the pool
+     * @return info Snapshot of the pool
+     */
+    function getPoolInfo(
+        address lpToken
+    ) public view returns (PoolInfo memory info) {
+        SimpleSwapLP lp = SimpleSwapLP(lpToken);
+        info.lpToken = lpToken;
+        info.token0 = lp.token0();
+        info.token1 = lp.token1();
+        info.symbol0 = _symbol(info.token0);
+        info.symbol1 = _symbol(info.token1);
+        info.decimals0 = _decimals(info.token0);
+        info.decimals1 = _decimals(info.token1);
+        (info.reserve0, info.reserve1) = simpleSwap.getReserves(
+            info.token0,
+            info.token1
+        );
+        info.totalSupply = lp.totalSupply();
+        info.poolType = simpleSwap.poolType(lpToken);
+        if (info.reserve0 > 0 && info.reserve1 > 0)
+            info.price = (info.reserve1 * 1e18) / info.reserve0;
+    }
+
+    // ==============================================
+    //              INTERNAL FUNCTIONS
+    // ==============================================
+
+    /**
+     * @dev Reads a token symbol without reverting on non-metadata tokens
+     * @param token Token address
+     * @return Symbol, or an empty string
+     */
+    function _symbol(address token) internal view returns (string memory) {
+        try IERC20Metadata(token).symbol() returns (string memory symbol) {
+            return symbol;
+        } catch {
+            return "";
+        }
+    }
+
+    /**
+     * @dev Reads token decimals without reverting on non-metadata tokens
+     * @param token Token address
+     * @return Decimals, or 18
+     */
+    function _decimals(address token) internal view returns (uint8) {
+        try IERC20Metadata(token).decimals() returns (uint8 decimals) {
+            return decimals;
+        } catch {
+            return 18;
+        }
+    }
+}
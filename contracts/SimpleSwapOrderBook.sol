@@ -0,0 +1,362 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.27;
+
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
+import "@openzeppelin/contracts/utils/math/Math.sol";
+import "./interfaces/ISimpleSwap.sol";
+
+/**
+ * @title SimpleSwapOrderBook - Keeper-executed limit orders on SimpleSwap
+ * @dev Escrows the input of every order until it is filled, cancelled or
+ * left to expire. Anyone may fill an open order once the pool quotes at
+ * least the order's limit, and earns the bounty the owner escrowed with it.
+ * Outputs go straight from SimpleSwap to the order owner.
+ * @notice Fee-on-transfer tokens are not supported: the escrow assumes
+ * the full amount arrives.
+ * @author Francisco López G.
+ */
+contract SimpleSwapOrderBook is ReentrancyGuard {
+    using SafeERC20 for IERC20;
+
+    // ==============================================
+    //                   CUSTOM ERRORS
+    // ==============================================
+
+    /// @notice Reverts when a required value is zero
+    /// @param parameter Name of the zero parameter
+    error ZeroAmount(string parameter);
+    /// @notice Reverts when the order's pair has no LP token
+    error PairNotFound();
+    /// @notice Reverts when a deadline has passed
+    error DeadlinePassed();
+    /// @notice Reverts when the bounty exceeds MAX_BOUNTY of the input
+    /// @param bounty The requested bounty
+    /// @param maxBounty The largest bounty allowed for the order
+    error BountyTooHigh(uint256 bounty, uint256 maxBounty);
+    /// @notice Reverts when an order is not open
+    /// @param id The order id
+    error OrderNotOpen(uint256 id);
+    /// @notice Reverts when someone other than the owner cancels a live order
+    /// @param caller The unauthorized caller
+    error NotOrderOwner(address caller);
+    /// @notice Reverts when the pool does not quote the order's limit yet
+    /// @param amountOutMin Output the order requires
+    /// @param amountOut Output the pool currently quotes
+    error LimitNotReached(uint256 amountOutMin, uint256 amountOut);
+
+    // ==============================================
+    //                   STRUCTS
+    // ==============================================
+
+    /// @notice Lifecycle of an order
+    enum OrderStatus {
+        None,
+        Open,
+        Filled,
+        Cancelled
+    }
+
+    /**
+     * @notice A limit order and its escrow
+     * @param owner Account that placed the order and receives the output
+     * @param tokenIn Token sold
+     * @param tokenOut Token bought
+     * @param amountIn Amount of tokenIn sold when the order fills
+     * @param amountOutMin Smallest acceptable output (the limit)
+     * @param bounty Extra tokenIn paid to the keeper that fills the order
+     * @param deadline Last timestamp at which the order can fill
+     * @param status Current lifecycle state
+     */
+    struct Order {
+        address owner;
+        address tokenIn;
+        address tokenOut;
+        uint256 amountIn;
+        uint256 amountOutMin;
+        uint256 bounty;
+        uint64 deadline;
+        OrderStatus status;
+    }
+
+    // ==============================================
+    //                  CONSTANTS
+    // ==============================================
+
+    /// @notice Largest bounty, in basis points of the order input (1%)
+    uint256 public constant MAX_BOUNTY = 100;
+
+    /// @dev Basis points denominator of MAX_BOUNTY
+    uint256 private constant BPS_DENOMINATOR = 10_000;
+
+    // ==============================================
+    //                STATE VARIABLES
+    // ==============================================
+
+    /// @notice SimpleSwap contract orders are filled against
+    ISimpleSwap public immutable simpleSwap;
+
+    /// @notice Every order ever placed, by id
+    mapping(uint256 => Order) public orders;
+
+    /// @notice Id of the next order (also the number of orders placed)
+    uint256 public nextOrderId;
+
+    // ==============================================
+    //                   EVENTS
+    // ==============================================
+
+    /**
+     * @notice Emitted when an order is placed and its tokens escrowed
+     * @param id Order id (indexed)
+     * @param owner Account that placed the order (indexed)
+     * @param tokenIn Token sold (indexed)
+     * @param tokenOut Token bought
+     * @param amountIn Amount of tokenIn to sell
+     * @param amountOutMin Smallest acceptable output
+     * @param bounty Keeper bounty in tokenIn
+     * @param deadline Last timestamp at which the order can fill
+     */
+    event OrderPlaced(
+        uint256 indexed id,
+        address indexed owner,
+        address indexed tokenIn,
+        address tokenOut,
+        uint256 amountIn,
+        uint256 amountOutMin,
+        uint256 bounty,
+        uint64 deadline
+    );
+
+    /**
+     * @notice Emitted when a keeper fills an order
+     * @param id Order id (indexed)
+     * @param keeper Account that filled the order and got the bounty (indexed)
+     * @param amountOut Output sent to the order owner
+     * @param bounty Bounty paid to the keeper
+     */
+    event OrderExecuted(
+        uint256 indexed id,
+        address indexed keeper,
+        uint256 amountOut,
+        uint256 bounty
+    );
+
+    /**
+     * @notice Emitted when an order is cancelled and its escrow refunded
+     * @param id Order id (indexed)
+     * @param caller Owner, or anyone cleaning up an expired order (indexed)
+     */
+    event OrderCancelled(uint256 indexed id, address indexed caller);
+
+    // ==============================================
+    //                 MODIFIERS
+    // ==============================================
+
+    /**
+     * @dev Ensures a deadline has not passed, like SimpleSwap's modifier
+     * @param deadline Unix timestamp deadline
+     */
+    modifier ensureDeadline(uint256 deadline) {
+        if (deadline < block.timestamp) revert DeadlinePassed();
+        _;
+    }
+
+    // ==============================================
+    //              CONSTRUCTOR
+    // ==============================================
+
+    /**
+     * @dev Binds the order book to a SimpleSwap instance
+     * @param simpleSwap_ SimpleSwap contract
+     */
+    constructor(address simpleSwap_) {
+        simpleSwap = ISimpleSwap(simpleSwap_);
+    }
+
+    // ==============================================
+    //           EXTERNAL PUBLIC FUNCTIONS
+    // ==============================================
+
+    /**
+     * @notice Places a limit order to sell `amountIn` of tokenIn once the
+     * pool pays at least `limitPrice` tokenOut per tokenIn
+     * @dev `limitPrice` uses getPrice's 1e18 scale. The limit is checked
+     * against the executable quote (fee and price impact included), so the
+     * order fills once `amountIn * limitPrice / 1e18` (rounded up) is
+     * quoted. Escrows `amountIn + bounty` from the caller.
+     * @param tokenIn Token to sell
+     * @param tokenOut Token to buy
+     * @param amountIn Amount of tokenIn to sell
+     * @param limitPrice Minimum price of tokenIn in tokenOut, scaled by 1e18
+     * @param bounty Extra tokenIn paid to the keeper (at most MAX_BOUNTY)
+     * @param deadline Last timestamp at which the order can fill
+     * @return id Id of the new order
+     * @custom:emits OrderPlaced Emitted with the order's terms
+     */
+    function placeOrder(
+        address tokenIn,
+        address tokenOut,
+        uint256 amountIn,
+        uint256 limitPrice,
+        uint256 bounty,
+        uint64 deadline
+    ) external nonReentrant ensureDeadline(deadline) returns (uint256 id) {
+        if (amountIn == 0) revert ZeroAmount("Input");
+        if (limitPrice == 0) revert ZeroAmount("LimitPrice");
+        if (simpleSwap.getPair(tokenIn, tokenOut) == address(0))
+            revert PairNotFound();
+
+        uint256 maxBounty = (amountIn * MAX_BOUNTY) / BPS_DENOMINATOR;
+        if (bounty > maxBounty) revert BountyTooHigh(bounty, maxBounty);
+
+        uint256 amountOutMin = Math.mulDiv(
+            amountIn,
+            limitPrice,
+            1e18,
+            Math.Rounding.Ceil
+        );
+
+        id = nextOrderId++;
+        orders[id] = Order({
+            owner: msg.sender,
+            tokenIn: tokenIn,
+            tokenOut: tokenOut,
+            amountIn: amountIn,
+            amountOutMin: amountOutMin,
+            bounty: bounty,
+            deadline: deadline,
+            status: OrderStatus.Open
+        });
+
+        IERC20(tokenIn).safeTransferFrom(
+            msg.sender,
+            address(this),
+            amountIn + bounty
+        );
+
+        emit OrderPlaced(
+            id,
+            msg.sender,
+            tokenIn,
+            tokenOut,
+            amountIn,
+            amountOutMin,
+            bounty,
+            deadline
+        );
+    }
+
+    /**
+     * @notice Fills an open order and pays the caller its bounty
+     * @dev Sells the escrowed input on SimpleSwap with the order's limit as
+     * `amountOutMin` and the owner as recipient.
+     * @param id Order id
+     * @return amountOut Output sent to the order owner
+     * @custom:reverts OrderNotOpen If the order is filled, cancelled or unknown
+     * @custom:reverts DeadlinePassed If the order has expired
+     * @custom:reverts LimitNotReached If the pool quotes less than the limit
+     * @custom:emits OrderExecuted Emitted when the order fills
+     */
+    function executeOrder(
+        uint256 id
+    ) external nonReentrant returns (uint256 amountOut) {
+        Order storage order = orders[id];
+        if (order.status != OrderStatus.Open) revert OrderNotOpen(id);
+        if (order.deadline < block.timestamp) revert DeadlinePassed();
+
+        address[] memory path = _path(order.tokenIn, order.tokenOut);
+        uint256 quoted = simpleSwap.getAmountsOut(order.amountIn, path)[1];
+        if (quoted < order.amountOutMin)
+            revert LimitNotReached(order.amountOutMin, quoted);
+
+        order.status = OrderStatus.Filled;
+        IERC20(order.tokenIn).forceApprove(
+            address(simpleSwap),
+            order.amountIn
+        );
+        amountOut = simpleSwap.swapExactTokensForTokens(
+            order.amountIn,
+            order.amountOutMin,
+            path,
+            order.owner,
+            order.deadline
+        )[1];
+
+        IERC20(order.tokenIn).safeTransfer(msg.sender, order.bounty);
+        emit OrderExecuted(id, msg.sender, amountOut, order.bounty);
+    }
+
+    /**
+     * @notice Cancels an open order and refunds its escrow to the owner
+     * @dev The owner may cancel at any time; anyone may clean up an order
+     * past its deadline
+     * @param id Order id
+     * @custom:reverts OrderNotOpen If the order is filled, cancelled or unknown
+     * @custom:reverts NotOrderOwner If a live order is cancelled by a stranger
+     * @custom:emits OrderCancelled Emitted when the escrow is refunded
+     */
+    function cancelOrder(uint256 id) external nonReentrant {
+        Order storage order = orders[id];
+        if (order.status != OrderStatus.Open) revert OrderNotOpen(id);
+        if (msg.sender != order.owner && order.deadline >= block.timestamp)
+            revert NotOrderOwner(msg.sender);
+
+        order.status = OrderStatus.Cancelled;
+        IERC20(order.tokenIn).safeTransfer(
+            order.owner,
+            order.amountIn + order.bounty
+        );
+
+        emit OrderCancelled(id, msg.sender);
+    }
+
+    // ==============================================
+    //           EXTERNAL VIEW FUNCTIONS
+    // ==============================================
+
+    /**
+     * @notice Tells keepers whether executeOrder would fill an order now
+     * @dev Ignores pauses and circuit breakers, which only show on execution
+     * @param id Order id
+     * @return Whether the order is open, live and quoted at its limit
+     */
+    function isExecutable(uint256 id) external view returns (bool) {
+        Order storage order = orders[id];
+        if (
+            order.status != OrderStatus.Open ||
+            order.deadline < block.timestamp
+        ) return false;
+
+        try
+            simpleSwap.getAmountsOut(
+                order.amountIn,
+                _path(order.tokenIn, order.tokenOut)
+            )
+        returns (uint256[] memory amounts) {
+            return amounts[1] >= order.amountOutMin;
+        } catch {
+            return false;
+        }
+    }
+
+    // ==============================================
+    //              INTERNAL FUNCTIONS
+    // ==============================================
+
+    /**
+     * @dev Builds a single-hop swap path
+     * @param tokenIn Input token
+     * @param tokenOut Output token
+     * @return path [tokenIn, tokenOut]
+     */
+    function _path(
+        address tokenIn,
+        address tokenOut
+    ) internal pure returns (address[] memory path) {
+        path = new address[](2);
+        path[0] = tokenIn;
+        path[1] = tokenOut;
+    }
+}
@@ -0,0 +1,514 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.27;
+
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "@openzeppelin/contracts/utils/Address.sol";
+import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
+import "@openzeppelin/contracts/utils/math/Math.sol";
+import "./interfaces/ISimpleSwap.sol";
+import "./interfaces/ISimpleSwapRouter.sol";
+import "./interfaces/IWETH.sol";
+
+/**
+ * @title SimpleSwapRouter - ETH and single-token entry points for SimpleSwap
+ * @dev Wraps ETH into WETH before calling SimpleSwap and unwraps it on the
+ * way out, so pools only ever hold ERC20s. Zaps add or remove liquidity
+ * with a single token. The router never keeps balances
+ * between transactions: leftovers are refunded within the same call.
+ * @notice Fee-on-transfer tokens are not supported by the ETH entry points;
+ * use SimpleSwap's dedicated variants with WETH instead.
+ * @author Francisco López G.
+ */
+contract SimpleSwapRouter is ReentrancyGuard, ISimpleSwapRouter {
+    using SafeERC20 for IERC20;
+
+    // ==============================================
+    //                   CUSTOM ERRORS
+    // ==============================================
+
+    /// @notice Reverts when ETH is sent by anyone other than WETH
+    /// @param sender The unexpected sender
+    error NotWETH(address sender);
+    /// @notice Reverts when a path does not start or end with WETH as required
+    error InvalidPath();
+    /// @notice Reverts when a required value is zero
+    /// @param parameter Name of the zero parameter
+    error ZeroAmount(string parameter);
+    /// @notice Reverts when a pair has no LP token
+    error PairNotFound();
+    /// @notice Reverts when an output is below the caller's minimum
+    /// @param parameter Name of the checked output
+    /// @param minAmount The required minimum amount
+    /// @param actualAmount The amount produced
+    error BelowMinimumAmount(
+        string parameter,
+        uint256 minAmount,
+        uint256 actualAmount
+    );
+
+    // ==============================================
+    //                STATE VARIABLES
+    // ==============================================
+
+    /// @notice SimpleSwap contract the router forwards to
+    ISimpleSwap public immutable simpleSwap;
+    /// @notice Wrapped ether used for every ETH pair
+    IWETH public immutable WETH;
+
+    /// @dev Basis points denominator of SimpleSwap's swap fee
+    uint256 private constant FEE_DENOMINATOR = 10_000;
+
+    // ==============================================
+    //              CONSTRUCTOR
+    // ==============================================
+
+    /**
+     * @dev Binds the router to a SimpleSwap instance and a WETH contract
+     * @param simpleSwap_ SimpleSwap contract
+     * @param weth_ WETH9-compatible contract
+     */
+    constructor(address simpleSwap_, address weth_) {
+        simpleSwap = ISimpleSwap(simpleSwap_);
+        WETH = IWETH(weth_);
+    }
+
+    /**
+     * @dev Accepts ETH only when unwrapping WETH
+     */
+    receive() external payable {
+        if (msg.sender != address(WETH)) revert NotWETH(msg.sender);
+    }
+
+    // ==============================================
+    //              LIQUIDITY FUNCTIONS
+    // ==============================================
+
+    /**
+     * @notice Adds liquidity to a token/WETH pair using native ETH
+     * @dev Deposits at most `amountTokenDesired` and `msg.value`; SimpleSwap
+     * picks the ratio-preserving amounts and the rest is refunded
+     * @param token The ERC20 paired with WETH
+     * @param amountTokenDesired Desired amount of token to deposit
+     * @param amountTokenMin Minimum acceptable amount of token
+     * @param amountETHMin Minimum acceptable amount of ETH
+     * @param to Recipient of LP tokens
+     * @param deadline Transaction expiry timestamp
+     * @return amountToken Amount of token deposited
+     * @return amountETH Amount of ETH deposited
+     * @return liquidity Amount of LP tokens minted
+     */
+    function addLiquidityETH(
+        address token,
+        uint256 amountTokenDesired,
+        uint256 amountTokenMin,
+        uint256 amountETHMin,
+        address to,
+        uint256 deadline
+    )
+        external
+        payable
+        override
+        nonReentrant
+        returns (uint256 amountToken, uint256 amountETH, uint256 liquidity)
+    {
+        if (msg.value == 0) revert ZeroAmount("ETH");
+
+        IERC20(token).safeTransferFrom(
+            msg.sender,
+            address(this),
+            amountTokenDesired
+        );
+        WETH.deposit{value: msg.value}();
+        _approve(token, amountTokenDesired);
+        _approve(address(WETH), msg.value);
+
+        (amountToken, amountETH, liquidity) = simpleSwap.addLiquidity(
+            token,
+            address(WETH),
+            amountTokenDesired,
+            msg.value,
+            amountTokenMin,
+            amountETHMin,
+            to,
+            deadline
+        );
+
+        // Refund whatever the pool ratio did not need
+        if (amountTokenDesired > amountToken)
+            IERC20(token).safeTransfer(
+                msg.sender,
+                amountTokenDesired - amountToken
+            );
+        if (msg.value > amountETH) _unwrapTo(msg.sender, msg.value - amountETH);
+    }
+
+    /**
+     * @notice Removes liquidity from a token/WETH pair, receiving native ETH
+     * @dev Pulls the LP tokens into the router, which burns them through
+     * SimpleSwap and forwards both assets
+     * @param token The ERC20 paired with WETH
+     * @param liquidity Amount of LP tokens to burn
+     * @param amountTokenMin Minimum acceptable amount of token
+     * @param amountETHMin Minimum acceptable amount of ETH
+     * @param to Recipient of token and ETH
+     * @param deadline Transaction expiry timestamp
+     * @return amountToken Amount of token withdrawn
+     * @return amountETH Amount of ETH withdrawn
+     */
+    function removeLiquidityETH(
+        address token,
+        uint256 liquidity,
+        uint256 amountTokenMin,
+        uint256 amountETHMin,
+        address to,
+        uint256 deadline
+    )
+        external
+        override
+        nonReentrant
+        returns (uint256 amountToken, uint256 amountETH)
+    {
+        address lpToken = simpleSwap.getPair(token, address(WETH));
+        if (lpToken == address(0)) revert PairNotFound();
+        IERC20(lpToken).safeTransferFrom(msg.sender, address(this), liquidity);
+
+        (amountToken, amountETH) = simpleSwap.removeLiquidity(
+            token,
+            address(WETH),
+            liquidity,
+            amountTokenMin,
+            amountETHMin,
+            address(this),
+            deadline
+        );
+
+        IERC20(token).safeTransfer(to, amountToken);
+        _unwrapTo(to, amountETH);
+    }
+
+    // ==============================================
+    //              SWAP FUNCTIONS
+    // ==============================================
+
+    /**
+     * @notice Swaps all sent ETH for as many output tokens as possible
+     * @param amountOutMin Minimum acceptable final output amount
+     * @param path Token path starting with WETH
+     * @param to Recipient of output tokens
+     * @param deadline Transaction expiry timestamp
+     * @return amounts Input amount followed by the output of every hop
+     */
+    function swapExactETHForTokens(
+        uint256 amountOutMin,
+        address[] calldata path,
+        address to,
+        uint256 deadline
+    )
+        external
+        payable
+        override
+        nonReentrant
+        returns (uint256[] memory amounts)
+    {
+        if (path.length < 2 || path[0] != address(WETH)) revert InvalidPath();
+        if (msg.value == 0) revert ZeroAmount("ETH");
+
+        WETH.deposit{value: msg.value}();
+        _approve(address(WETH), msg.value);
+
+        amounts = simpleSwap.swapExactTokensForTokens(
+            msg.value,
+            amountOutMin,
+            path,
+            to,
+            deadline
+        );
+    }
+
+    /**
+     * @notice Swaps an exact amount of tokens for as much ETH as possible
+     * @param amountIn Exact amount of input tokens
+     * @param amountOutMin Minimum acceptable ETH output
+     * @param path Token path ending with WETH
+     * @param to Recipient of ETH
+     * @param deadline Transaction expiry timestamp
+     * @return amounts Input amount followed by the output of every hop
+     */
+    function swapExactTokensForETH(
+        uint256 amountIn,
+        uint256 amountOutMin,
+        address[] calldata path,
+        address to,
+        uint256 deadline
+    ) external override nonReentrant returns (uint256[] memory amounts) {
+        if (path.length < 2 || path[path.length - 1] != address(WETH))
+            revert InvalidPath();
+
+        IERC20(path[0]).safeTransferFrom(msg.sender, address(this), amountIn);
+        _approve(path[0], amountIn);
+
+        amounts = simpleSwap.swapExactTokensForTokens(
+            amountIn,
+            amountOutMin,
+            path,
+            address(this),
+            deadline
+        );
+        _unwrapTo(to, amounts[amounts.length - 1]);
+    }
+
+    // ==============================================
+    //              ZAP FUNCTIONS
+    // ==============================================
+
+    /**
+     * @notice Adds liquidity to a pair from a single token
+     * @dev Swaps just enough tokenIn for tokenOther to leave the remainder
+     * in the pool ratio after the swap, then deposits both sides. The split
+     * comes from zapSwapAmount on constant product pools and from a search
+     * over the pool's own quotes on stable pools. Rounding leftovers are
+     * refunded to the caller. The inner swap and deposit run without
+     * minimums of their own, so `minLiquidity` is the only slippage
+     * protection: a price moved before the zap shrinks the share it mints.
+     * Quote it (e.g. with staticCall) and pass a value below the quote by
+     * the accepted slippage, never 0.
+     * @param tokenIn Token provided by the caller
+     * @param tokenOther Other token of the pair
+     * @param amountIn Amount of tokenIn to deposit
+     * @param minLiquidity Minimum acceptable LP tokens minted
+     * @param to Recipient of LP tokens
+     * @param deadline Transaction expiry timestamp
+     * @return liquidity Amount of LP tokens minted
+     * @custom:reverts PairNotFound If the pool has no reserves to zap into
+     * @custom:reverts BelowMinimumAmount If fewer than `minLiquidity` LP
+     * tokens are minted
+     */
+    function zapIn(
+        address tokenIn,
+        address tokenOther,
+        uint256 amountIn,
+        uint256 minLiquidity,
+        address to,
+        uint256 deadline
+    ) external override nonReentrant returns (uint256 liquidity) {
+        if (amountIn == 0) revert ZeroAmount("Input");
+        (uint256 reserveIn, uint256 reserveOther) = simpleSwap.getReserves(
+            tokenIn,
+            tokenOther
+        );
+        if (reserveIn == 0) revert PairNotFound();
+
+        IERC20(tokenIn).safeTransferFrom(msg.sender, address(this), amountIn);
+        _approve(tokenIn, amountIn);
+
+        uint256 swapAmount = _zapSwapAmount(
+            tokenIn,
+            tokenOther,
+            amountIn,
+            reserveIn,
+            reserveOther
+        );
+        uint256 amountOther = _swapSingle(
+            tokenIn,
+            tokenOther,
+            swapAmount,
+            deadline
+        );
+        _approve(tokenOther, amountOther);
+
+        uint256 usedIn;
+        uint256 usedOther;
+        (usedIn, usedOther, liquidity) = simpleSwap.addLiquidity(
+            tokenIn,
+            tokenOther,
+            amountIn - swapAmount,
+            amountOther,
+            0,
+            0,
+            to,
+            deadline
+        );
+        if (liquidity < minLiquidity)
+            revert BelowMinimumAmount("Liquidity", minLiquidity, liquidity);
+
+        // Refund rounding dust
+        uint256 dustIn = amountIn - swapAmount - usedIn;
+        uint256 dustOther = amountOther - usedOther;
+        if (dustIn > 0) IERC20(tokenIn).safeTransfer(msg.sender, dustIn);
+        if (dustOther > 0)
+            IERC20(tokenOther).safeTransfer(msg.sender, dustOther);
+    }
+
+    /**
+     * @notice Removes liquidity from a pair into a single token
+     * @dev Burns the LP tokens through the router and swaps the tokenOther
+     * share into tokenOut. The burn and the swap run without minimums of
+     * their own, so `amountOutMin`, checked against the combined output, is
+     * the only slippage protection; quote it and never pass 0.
+     * @param tokenOut Token received by `to`
+     * @param tokenOther Other token of the pair
+     * @param liquidity Amount of LP tokens to burn
+     * @param amountOutMin Minimum acceptable amount of tokenOut
+     * @param to Recipient of tokenOut
+     * @param deadline Transaction expiry timestamp
+     * @return amountOut Amount of tokenOut sent to `to`
+     * @custom:reverts PairNotFound If the pair has no LP token
+     * @custom:reverts BelowMinimumAmount If less than `amountOutMin` results
+     */
+    function zapOut(
+        address tokenOut,
+        address tokenOther,
+        uint256 liquidity,
+        uint256 amountOutMin,
+        address to,
+        uint256 deadline
+    ) external override nonReentrant returns (uint256 amountOut) {
+        address lpToken = simpleSwap.getPair(tokenOut, tokenOther);
+        if (lpToken == address(0)) revert PairNotFound();
+        IERC20(lpToken).safeTransferFrom(msg.sender, address(this), liquidity);
+
+        uint256 amountOther;
+        (amountOut, amountOther) = simpleSwap.removeLiquidity(
+            tokenOut,
+            tokenOther,
+            liquidity,
+            0,
+            0,
+            address(this),
+            deadline
+        );
+        if (amountOther > 0) {
+            _approve(tokenOther, amountOther);
+            amountOut += _swapSingle(
+                tokenOther,
+                tokenOut,
+                amountOther,
+                deadline
+            );
+        }
+
+        if (amountOut < amountOutMin)
+            revert BelowMinimumAmount("Output", amountOutMin, amountOut);
+        IERC20(tokenOut).safeTransfer(to, amountOut);
+    }
+
+    /**
+     * @notice Amount of a single-token deposit to swap before adding liquidity
+     * @dev Solves (amountIn - s) / out(s) = (reserveIn + s) / (reserveOut -
+     * out(s)) for s, where the whole input (fee included) stays in the pool.
+     * With r = reserveIn, f = fee, d = FEE_DENOMINATOR and b = 2d - f:
+     * s = (sqrt(r * (r * b^2 + 4d(d - f) * amountIn)) - r * b) / 2(d - f).
+     * Rounds down, so leftovers stay in the wei range.
+     * @param amountIn Total amount of the single token
+     * @param reserveIn Pool reserve of that token
+     * @param fee Swap fee in basis points
+     * @return Amount to swap
+     */
+    function zapSwapAmount(
+        uint256 amountIn,
+        uint256 reserveIn,
+        uint256 fee
+    ) public pure returns (uint256) {
+        uint256 d = FEE_DENOMINATOR;
+        uint256 b = 2 * d - fee;
+        uint256 root = Math.sqrt(
+            reserveIn * (reserveIn * b * b + 4 * d * (d - fee) * amountIn)
+        );
+        return (root - reserveIn * b) / (2 * (d - fee));
+    }
+
+    // ==============================================
+    //              INTERNAL FUNCTIONS
+    // ==============================================
+
+    /**
+     * @dev Amount of a zap deposit to swap, on the curve of the pair
+     * @notice The stable curve has no closed form for the split, so it is
+     * bisected over SimpleSwap's own quotes: the result is the largest swap
+     * whose output the remaining input can still fully pair with at the
+     * post-swap ratio. Leftovers then stay within a few wei of tokenIn, at
+     * the cost of one quote per bit of `amountIn`.
+     * @param tokenIn Token provided by the caller
+     * @param tokenOther Other token of the pair
+     * @param amountIn Total amount of tokenIn
+     * @param reserveIn Pool reserve of tokenIn
+     * @param reserveOther Pool reserve of tokenOther
+     * @return low Amount of tokenIn to swap
+     */
+    function _zapSwapAmount(
+        address tokenIn,
+        address tokenOther,
+        uint256 amountIn,
+        uint256 reserveIn,
+        uint256 reserveOther
+    ) internal view returns (uint256 low) {
+        ISimpleSwap.PoolType curve = simpleSwap.poolType(
+            simpleSwap.getPair(tokenIn, tokenOther)
+        );
+        if (curve != ISimpleSwap.PoolType.Stable)
+            return zapSwapAmount(amountIn, reserveIn, simpleSwap.swapFee());
+
+        address[] memory path = new address[](2);
+        path[0] = tokenIn;
+        path[1] = tokenOther;
+        uint256 high = amountIn;
+        while (high - low > 1) {
+            uint256 mid = (low + high) / 2;
+            uint256 out = simpleSwap.getAmountsOut(mid, path)[1];
+            // Swap more while the rest still pairs with more than `out`
+            if (
+                (amountIn - mid) * (reserveOther - out) >=
+                out * (reserveIn + mid)
+            ) low = mid;
+            else high = mid;
+        }
+    }
+
+    /**
+     * @dev Swaps an exact amount through a single pool back to the router.
+     * Accepts any output: callers check their own minimum afterwards.
+     * @param tokenIn Input token (already approved)
+     * @param tokenOut Output token
+     * @param amountIn Exact input amount
+     * @param deadline Transaction expiry timestamp
+     * @return amountOut Amount of tokenOut received
+     */
+    function _swapSingle(
+        address tokenIn,
+        address tokenOut,
+        uint256 amountIn,
+        uint256 deadline
+    ) internal returns (uint256 amountOut) {
+        address[] memory path = new address[](2);
+        path[0] = tokenIn;
+        path[1] = tokenOut;
+
+        amountOut = simpleSwap.swapExactTokensForTokens(
+            amountIn,
+            0,
+            path,
+            address(this),
+            deadline
+        )[1];
+    }
+
+    /**
+     * @dev Lets SimpleSwap pull exactly `amount` of `token` from the router
+     * @param token Token to approve
+     * @param amount Allowance to set
+     */
+    function _approve(address token, uint256 amount) internal {
+        IERC20(token).forceApprove(address(simpleSwap), amount);
+    }
+
+    /**
+     * @dev Unwraps WETH held by the router and sends the ETH
+     * @param to Recipient of the ETH
+     * @param amount Amount to unwrap and send
+     */
+    function _unwrapTo(address to, uint256 amount) internal {
+        WETH.withdraw(amount);
+        Address.sendValue(payable(to), amount);
+    }
+}
@@ -0,0 +1,271 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.27;
+
+import "@openzeppelin/contracts/access/AccessControl.sol";
+import "@openzeppelin/contracts/utils/Address.sol";
+
+/**
+ * @title SimpleSwapTimelock - Delayed execution of sensitive admin calls
+ * @dev Holds SimpleSwap's DEFAULT_ADMIN_ROLE, GUARDIAN_ROLE and
+ * FEE_MANAGER_ROLE so role changes, emergency withdrawals and fee changes
+ * are public for `delay` seconds before they can run. Proposers queue and
+ * cancel calls; executors run them once ready and before the grace period
+ * expires. The timelock administers its own roles, so granting or revoking
+ * a proposer or executor is itself a delayed call.
+ * @author Francisco López G.
+ */
+contract SimpleSwapTimelock is AccessControl {
+    // ==============================================
+    //                   CUSTOM ERRORS
+    // ==============================================
+
+    /// @notice Reverts when the requested delay is outside the allowed range
+    /// @param delay The rejected delay
+    error InvalidDelay(uint256 delay);
+    /// @notice Reverts when an eta does not respect the current delay
+    /// @param eta The requested execution time
+    /// @param earliest The earliest allowed execution time
+    error EtaTooEarly(uint256 eta, uint256 earliest);
+    /// @notice Reverts when a call is queued twice
+    /// @param id Identifier of the call
+    error AlreadyQueued(bytes32 id);
+    /// @notice Reverts when a call was never queued (or already ran)
+    /// @param id Identifier of the call
+    error NotQueued(bytes32 id);
+    /// @notice Reverts when a call is executed before its eta
+    /// @param eta Execution time of the call
+    error NotReady(uint256 eta);
+    /// @notice Reverts when a call is executed after its grace period
+    /// @param expiredAt Time the call stopped being executable
+    error Expired(uint256 expiredAt);
+    /// @notice Reverts when a timelock-only function is called directly
+    error OnlyTimelock();
+
+    // ==============================================
+    //                  CONSTANTS
+    // ==============================================
+
+    /// @notice Role allowed to queue and cancel calls
+    bytes32 public constant PROPOSER_ROLE = keccak256("PROPOSER_ROLE");
+
+    /// @notice Role allowed to execute ready calls
+    bytes32 public constant EXECUTOR_ROLE = keccak256("EXECUTOR_ROLE");
+
+    /// @notice Shortest allowed delay
+    uint256 public constant MINIMUM_DELAY = 1 hours;
+
+    /// @notice Longest allowed delay
+    uint256 public constant MAXIMUM_DELAY = 30 days;
+
+    /// @notice Window after the eta during which a call can be executed
+    uint256 public constant GRACE_PERIOD = 14 days;
+
+    // ==============================================
+    //                STATE VARIABLES
+    // ==============================================
+
+    /// @notice Seconds a call must wait between queueing and execution
+    uint256 public delay;
+
+    /// @notice Whether a call identifier is currently queued
+    mapping(bytes32 => bool) public queued;
+
+    // ==============================================
+    //                   EVENTS
+    // ==============================================
+
+    /**
+     * @notice Emitted when a call is queued
+     * @param id Identifier of the call (indexed)
+     * @param target Contract to call (indexed)
+     * @param value ETH sent with the call
+     * @param data Calldata
+     * @param eta Earliest execution time
+     */
+    event CallQueued(
+        bytes32 indexed id,
+        address indexed target,
+        uint256 value,
+        bytes data,
+        uint256 eta
+    );
+
+    /**
+     * @notice Emitted when a queued call is executed
+     * @param id Identifier of the call (indexed)
+     * @param target Contract called (indexed)
+     * @param value ETH sent with the call
+     * @param data Calldata
+     */
+    event CallExecuted(
+        bytes32 indexed id,
+        address indexed target,
+        uint256 value,
+        bytes data
+    );
+
+    /**
+     * @notice Emitted when a queued call is cancelled
+     * @param id Identifier of the call (indexed)
+     */
+    event CallCancelled(bytes32 indexed id);
+
+    /**
+     * @notice Emitted when the delay changes
+     * @param oldDelay Previous delay in seconds
+     * @param newDelay New delay in seconds
+     */
+    event DelayUpdated(uint256 oldDelay, uint256 newDelay);
+
+    // ==============================================
+    //              CONSTRUCTOR
+    // ==============================================
+
+    /**
+     * @dev Sets the delay and initial role holders. The timelock always
+     * holds DEFAULT_ADMIN_ROLE over itself.
+     * @param delay_ Initial delay in seconds
+     * @param admin Optional extra admin for initial setup, which should
+     * renounce afterwards (address(0) for none)
+     * @param proposers Accounts allowed to queue and cancel calls
+     * @param executors Accounts allowed to execute ready calls
+     */
+    constructor(
+        uint256 delay_,
+        address admin,
+        address[] memory proposers,
+        address[] memory executors
+    ) {
+        _checkDelay(delay_);
+        delay = delay_;
+
+        _grantRole(DEFAULT_ADMIN_ROLE, address(this));
+        if (admin != address(0)) _grantRole(DEFAULT_ADMIN_ROLE, admin);
+        for (uint256 i; i < proposers.length; i++)
+            _grantRole(PROPOSER_ROLE, proposers[i]);
+        for (uint256 i; i < executors.length; i++)
+            _grantRole(EXECUTOR_ROLE, executors[i]);
+    }
+
+    // ==============================================
+    //           EXTERNAL PUBLIC FUNCTIONS
+    // ==============================================
+
+    /**
+     * @notice Queues a call for execution after `eta`
+     * @param target Contract to call
+     * @param value ETH to send with the call
+     * @param data Calldata
+     * @param eta Earliest execution time (at least now + delay)
+     * @return id Identifier of the queued call
+     */
+    function queue(
+        address target,
+        uint256 value,
+        bytes calldata data,
+        uint256 eta
+    ) external onlyRole(PROPOSER_ROLE) returns (bytes32 id) {
+        uint256 earliest = block.timestamp + delay;
+        if (eta < earliest) revert EtaTooEarly(eta, earliest);
+
+        id = getCallId(target, value, data, eta);
+        if (queued[id]) revert AlreadyQueued(id);
+        queued[id] = true;
+
+        emit CallQueued(id, target, value, data, eta);
+    }
+
+    /**
+     * @notice Cancels a queued call
+     * @param target Contract to call
+     * @param value ETH to send with the call
+     * @param data Calldata
+     * @param eta Execution time used when queueing
+     */
+    function cancel(
+        address target,
+        uint256 value,
+        bytes calldata data,
+        uint256 eta
+    ) external onlyRole(PROPOSER_ROLE) {
+        bytes32 id = getCallId(target, value, data, eta);
+        if (!queued[id]) revert NotQueued(id);
+        delete queued[id];
+
+        emit CallCancelled(id);
+    }
+
+    /**
+     * @notice Executes a queued call once its eta has passed
+     * @dev Bubbles up the target's revert reason
+     * @param target Contract to call
+     * @param value ETH to send with the call
+     * @param data Calldata
+     * @param eta Execution time used when queueing
+     * @return result Data returned by the call
+     */
+    function execute(
+        address target,
+        uint256 value,
+        bytes calldata data,
+        uint256 eta
+    ) external payable onlyRole(EXECUTOR_ROLE) returns (bytes memory result) {
+        bytes32 id = getCallId(target, value, data, eta);
+        if (!queued[id]) revert NotQueued(id);
+        if (block.timestamp < eta) revert NotReady(eta);
+        if (block.timestamp > eta + GRACE_PERIOD)
+            revert Expired(eta + GRACE_PERIOD);
+        delete queued[id];
+
+        result = Address.functionCallWithValue(target, data, value);
+
+        emit CallExecuted(id, target, value, data);
+    }
+
+    /**
+     * @notice Changes the delay
+     * @dev Must itself go through the timelock (queue a call to this function)
+     * @param newDelay New delay in seconds
+     */
+    function setDelay(uint256 newDelay) external {
+        if (msg.sender != address(this)) revert OnlyTimelock();
+        _checkDelay(newDelay);
+
+        emit DelayUpdated(delay, newDelay);
+        delay = newDelay;
+    }
+
+    // ==============================================
+    //           EXTERNAL VIEW/PURE FUNCTIONS
+    // ==============================================
+
+    /**
+     * @notice Computes the identifier of a call
+     * @param target Contract to call
+     * @param value ETH to send with the call
+     * @param data Calldata
+     * @param eta Execution time
+     * @return Identifier used by queue, cancel and execute
+     */
+    function getCallId(
+        address target,
+        uint256 value,
+        bytes calldata data,
+        uint256 eta
+    ) public pure returns (bytes32) {
+        return keccak256(abi.encode(target, value, data, eta));
+    }
+
+    // ==============================================
+    //              INTERNAL FUNCTIONS
+    // ==============================================
+
+    /**
+     * @dev Reverts unless the delay is within [MINIMUM_DELAY, MAXIMUM_DELAY]
+     * @param delay_ Delay to check
+     */
+    function _checkDelay(uint256 delay_) internal pure {
+        if (delay_ < MINIMUM_DELAY || delay_ > MAXIMUM_DELAY)
+            revert InvalidDelay(delay_);
+    }
+}
@@ -10,10 +10,40 @@ pragma solidity ^0.8.0;
  * - Querying token prices and swap amounts
  */
 interface ISimpleSwap {
+    // ==============================================
+    //                   ENUMS
+    // ==============================================
+
+    /**
+     * @notice Curve a pool trades on, fixed when the pool is created
+     * @param ConstantProduct 50/50 x*y=k curve for uncorrelated assets
+     * @param Stable Curve-style stable-swap invariant for assets trading
+     * near 1:1 (both tokens must share decimals)
+     */
+    enum PoolType {
+        ConstantProduct,
+        Stable
+    }
+
     // ==============================================
     //              LIQUIDITY FUNCTIONS
     // ==============================================
 
+    /**
+     * @notice Creates a pair with the given pool type
+     * @dev addLiquidity creates constant product pairs on first deposit;
+     * stable pairs must be created here first
+     * @param tokenA First token in pair
+     * @param tokenB Second token in pair
+     * @param poolType Curve of the new pool
+     * @return lpToken LP token of the new pair
+     */
+    function createPair(
+        address tokenA,
+        address tokenB,
+        PoolType poolType
+    ) external returns (address lpToken);
+
     /**
      * @notice Adds liquidity to a token pair
      * @dev Mints LP tokens representing pool share
@@ -63,19 +93,103 @@ interface ISimpleSwap {
         uint256 deadline
     ) external returns (uint256 amountA, uint256 amountB);
 
+    /**
+     * @notice Removes `owner`'s liquidity with an EIP-2612 signature granting
+     * the caller an allowance on the LP token
+     * @param tokenA First token in pair
+     * @param tokenB Second token in pair
+     * @param owner Holder who signed the permit and whose LP tokens are burned
+     * @param liquidity Amount of LP tokens to burn
+     * @param amountAMin Minimum acceptable amount of tokenA
+     * @param amountBMin Minimum acceptable amount of tokenB
+     * @param to Recipient of withdrawn tokens
+     * @param deadline Transaction and permit expiry timestamp
+     * @param approveMax Whether the signature approves type(uint256).max
+     * @param v Signature recovery byte
+     * @param r Signature r value
+     * @param s Signature s value
+     * @return amountA Amount of tokenA withdrawn
+     * @return amountB Amount of tokenB withdrawn
+     */
+    function removeLiquidityWithPermit(
+        address tokenA,
+        address tokenB,
+        address owner,
+        uint256 liquidity,
+        uint256 amountAMin,
+        uint256 amountBMin,
+        address to,
+        uint256 deadline,
+        bool approveMax,
+        uint8 v,
+        bytes32 r,
+        bytes32 s
+    ) external returns (uint256 amountA, uint256 amountB);
+
+    /**
+     * @notice Removes liquidity from a pair holding fee-on-transfer tokens
+     * @dev Minimums apply to the amounts the recipient actually receives
+     * @param tokenA First token in pair
+     * @param tokenB Second token in pair
+     * @param liquidity Amount of LP tokens to burn
+     * @param amountAMin Minimum amount of tokenA to receive
+     * @param amountBMin Minimum amount of tokenB to receive
+     * @param to Recipient of withdrawn tokens
+     * @param deadline Transaction expiry timestamp
+     * @return amountA Amount of tokenA received
+     * @return amountB Amount of tokenB received
+     */
+    function removeLiquiditySupportingFeeOnTransferTokens(
+        address tokenA,
+        address tokenB,
+        uint256 liquidity,
+        uint256 amountAMin,
+        uint256 amountBMin,
+        address to,
+        uint256 deadline
+    ) external returns (uint256 amountA, uint256 amountB);
+
+    /**
+     * @notice Credits untracked balances to a pair's reserves
+     * @param tokenA First token in pair
+     * @param tokenB Second token in pair
+     */
+    function sync(address tokenA, address tokenB) external;
+
+    /**
+     * @notice Sends untracked balances of a pair's tokens to a recipient
+     * @param tokenA First token in pair
+     * @param tokenB Second token in pair
+     * @param to Recipient of the surplus
+     */
+    function skim(address tokenA, address tokenB, address to) external;
+
+    /**
+     * @notice Grows the number of observations a pair's oracle keeps
+     * @dev consult only looks back over the last `cardinalityNext` updates
+     * @param tokenA First token in pair
+     * @param tokenB Second token in pair
+     * @param cardinalityNext Ring capacity to grow to
+     */
+    function increaseObservationCardinality(
+        address tokenA,
+        address tokenB,
+        uint16 cardinalityNext
+    ) external;
+
     // ==============================================
     //                 SWAP FUNCTIONS
     // ==============================================
 
     /**
      * @notice Swaps exact input tokens for output tokens
-     * @dev Uses constant product market maker formula
+     * @dev Uses constant product market maker formula on every hop
      * @param amountIn Exact amount of input tokens
-     * @param amountOutMin Minimum acceptable output amount
-     * @param path Array with [inputToken, outputToken]
+     * @param amountOutMin Minimum acceptable final output amount
+     * @param path Array with [inputToken, ...intermediateTokens, outputToken]
      * @param to Recipient of output tokens
      * @param deadline Transaction expiry timestamp
-     * @return amounts Array containing [inputAmount, outputAmount]
+     * @return amounts Array containing the input amount and every hop output
      */
     function swapExactTokensForTokens(
         uint256 amountIn,
@@ -85,6 +199,86 @@ interface ISimpleSwap {
         uint256 deadline
     ) external returns (uint256[] memory amounts);
 
+    /**
+     * @notice Swaps input tokens for exact output tokens
+     * @dev Input is rounded up on every hop in favor of the pools
+     * @param amountOut Exact amount of final output tokens
+     * @param amountInMax Maximum acceptable input amount
+     * @param path Array with [inputToken, ...intermediateTokens, outputToken]
+     * @param to Recipient of output tokens
+     * @param deadline Transaction expiry timestamp
+     * @return amounts Array containing the input amount and every hop output
+     */
+    function swapTokensForExactTokens(
+        uint256 amountOut,
+        uint256 amountInMax,
+        address[] calldata path,
+        address to,
+        uint256 deadline
+    ) external returns (uint256[] memory amounts);
+
+    /**
+     * @notice Swaps exact input tokens approved with an EIP-2612 signature
+     * @param amountIn Exact amount of input tokens (and permit value)
+     * @param amountOutMin Minimum acceptable final output amount
+     * @param path Array with [inputToken, ...intermediateTokens, outputToken]
+     * @param to Recipient of output tokens
+     * @param deadline Transaction and permit expiry timestamp
+     * @param v Signature recovery byte
+     * @param r Signature r value
+     * @param s Signature s value
+     * @return amounts Array containing the input amount and every hop output
+     */
+    function swapExactTokensForTokensWithPermit(
+        uint256 amountIn,
+        uint256 amountOutMin,
+        address[] calldata path,
+        address to,
+        uint256 deadline,
+        uint8 v,
+        bytes32 r,
+        bytes32 s
+    ) external returns (uint256[] memory amounts);
+
+    /**
+     * @notice Swaps exact input tokens with fee-on-transfer support
+     * @dev Quotes on received input and checks the output the recipient receives
+     * @param amountIn Amount of input tokens sent
+     * @param amountOutMin Minimum final output the recipient must receive
+     * @param path Array with [inputToken, ...intermediateTokens, outputToken]
+     * @param to Recipient of output tokens
+     * @param deadline Transaction expiry timestamp
+     * @return amountOut Amount of output tokens received
+     */
+    function swapExactTokensForTokensSupportingFeeOnTransferTokens(
+        uint256 amountIn,
+        uint256 amountOutMin,
+        address[] calldata path,
+        address to,
+        uint256 deadline
+    ) external returns (uint256 amountOut);
+
+    /**
+     * @notice Flash swap: sends outputs first, then requires repayment
+     * @dev If `data` is not empty, `to` receives an
+     * ISimpleSwapCallee.simpleSwapCall callback in which it must pay the pool
+     * back plus the swap fee
+     * @param tokenA First token of the pool
+     * @param tokenB Second token of the pool
+     * @param amountAOut Amount of tokenA to send out
+     * @param amountBOut Amount of tokenB to send out
+     * @param to Recipient of the outputs (and callback target)
+     * @param data Data forwarded to the callback; empty skips the callback
+     */
+    function swap(
+        address tokenA,
+        address tokenB,
+        uint256 amountAOut,
+        uint256 amountBOut,
+        address to,
+        bytes calldata data
+    ) external;
+
     // ==============================================
     //                 VIEW FUNCTIONS
     // ==============================================
@@ -102,8 +296,25 @@ interface ISimpleSwap {
     ) external view returns (uint256 price);
 
     /**
-     * @notice Calculates output amount for given input
-     * @dev Uses formula: amountOut = (amountIn * reserveOut) / (reserveIn + amountIn)
+     * @notice Gets the time-weighted average price of tokenA in terms of tokenB
+     * @dev Resistant to single-block manipulation; safe for on-chain consumers.
+     * Reverts when `period` reaches past the oldest stored observation.
+     * @param tokenA The base token
+     * @param tokenB The quote token
+     * @param period Averaging window in seconds
+     * @return price Average price with 18 decimals precision
+     */
+    function consult(
+        address tokenA,
+        address tokenB,
+        uint32 period
+    ) external view returns (uint256 price);
+
+    /**
+     * @notice Calculates output amount for given input on a constant product
+     * pool (use getAmountsOut to quote a pair on its own curve)
+     * @dev Uses formula: amountOut = (amountInWithFee * reserveOut) / (reserveIn + amountInWithFee)
+     * where amountInWithFee = amountIn * (1 - swapFee)
      * @param amountIn Input token amount
      * @param reserveIn Reserve of input token
      * @param reserveOut Reserve of output token
@@ -113,5 +324,94 @@ interface ISimpleSwap {
         uint256 amountIn,
         uint256 reserveIn,
         uint256 reserveOut
-    ) external pure returns (uint256 amountOut);
+    ) external view returns (uint256 amountOut);
+
+    /**
+     * @notice Calculates required input for a given output on a constant
+     * product pool (use getAmountsIn to quote a pair on its own curve)
+     * @dev Uses formula: amountIn = ceil(reserveIn * amountOut / ((reserveOut - amountOut) * (1 - swapFee)))
+     * @param amountOut Desired output token amount
+     * @param reserveIn Reserve of input token
+     * @param reserveOut Reserve of output token
+     * @return amountIn Required input amount
+     */
+    function getAmountIn(
+        uint256 amountOut,
+        uint256 reserveIn,
+        uint256 reserveOut
+    ) external view returns (uint256 amountIn);
+
+    /**
+     * @notice Calculates the output of every hop along a swap path
+     * @dev Each hop is quoted on the curve of its pool type
+     * @param amountIn Input token amount
+     * @param path Array with token addresses (at least 2)
+     * @return amounts Array containing the input amount and every hop output
+     */
+    function getAmountsOut(
+        uint256 amountIn,
+        address[] calldata path
+    ) external view returns (uint256[] memory amounts);
+
+    /**
+     * @notice Calculates the input of every hop needed for an exact output
+     * @dev Each hop is quoted on the curve of its pool type
+     * @param amountOut Desired final output amount
+     * @param path Array with token addresses (at least 2)
+     * @return amounts Array containing the input amount and every hop output
+     */
+    function getAmountsIn(
+        uint256 amountOut,
+        address[] calldata path
+    ) external view returns (uint256[] memory amounts);
+
+    /**
+     * @notice Gets the reserves of a token pair in the same order as input
+     * @param tokenA First token address (used as reference)
+     * @param tokenB Second token address
+     * @return reserveA Reserve of tokenA
+     * @return reserveB Reserve of tokenB
+     */
+    function getReserves(
+        address tokenA,
+        address tokenB
+    ) external view returns (uint256 reserveA, uint256 reserveB);
+
+    /**
+     * @notice Gets the swap fee applied by the quote functions
+     * @return Fee in basis points (10_000 = 100%)
+     */
+    function swapFee() external view returns (uint256);
+
+    /**
+     * @notice Gets the LP token of a token pair
+     * @dev Returns address(0) if the pair has never received liquidity
+     * @param tokenA First token in pair
+     * @param tokenB Second token in pair
+     * @return lpToken LP token address for the pair
+     */
+    function getPair(
+        address tokenA,
+        address tokenB
+    ) external view returns (address lpToken);
+
+    /**
+     * @notice Gets the curve of a pair
+     * @param lpToken LP token of the pair
+     * @return Pool type (ConstantProduct for unknown LP tokens)
+     */
+    function poolType(address lpToken) external view returns (PoolType);
+
+    /**
+     * @notice Gets the LP token of the pair at a registry index
+     * @param index Position in creation order
+     * @return lpToken LP token address for the pair
+     */
+    function allPairs(uint256 index) external view returns (address lpToken);
+
+    /**
+     * @notice Gets the number of pairs created
+     * @return Total pairs in the registry
+     */
+    function allPairsLength() external view returns (uint256);
 }
@@ -0,0 +1,33 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+/**
+ * @title ISimpleSwapCallee
+ * @dev Callback implemented by flash swap borrowers
+ * @notice SimpleSwap.swap sends the requested tokens first, then calls
+ * simpleSwapCall on the recipient. Before the callback returns, the recipient
+ * must transfer enough tokens back to SimpleSwap for the pool's fee-adjusted
+ * `reserveA * reserveB` not to decrease.
+ */
+interface ISimpleSwapCallee {
+    /**
+     * @notice Called by SimpleSwap after sending flash swap outputs
+     * @dev Implementations must check that msg.sender is SimpleSwap. Calls
+     * back into SimpleSwap's nonReentrant functions revert; repay with plain
+     * token transfers.
+     * @param sender Account that called SimpleSwap.swap
+     * @param tokenA First token of the pool, in the order passed to swap
+     * @param tokenB Second token of the pool
+     * @param amountAOut Amount of tokenA sent to the recipient
+     * @param amountBOut Amount of tokenB sent to the recipient
+     * @param data Arbitrary data forwarded from swap
+     */
+    function simpleSwapCall(
+        address sender,
+        address tokenA,
+        address tokenB,
+        uint256 amountAOut,
+        uint256 amountBOut,
+        bytes calldata data
+    ) external;
+}
@@ -0,0 +1,131 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+/**
+ * @title ISimpleSwapRouter
+ * @dev Interface for the native ETH router in front of SimpleSwap
+ * @notice ETH is wrapped into WETH on the way in and unwrapped on the way out,
+ * so pools only ever hold ERC20s
+ */
+interface ISimpleSwapRouter {
+    /**
+     * @notice Adds liquidity to a token/WETH pair using native ETH
+     * @dev Unused ETH and tokens are refunded to the caller
+     * @param token The ERC20 paired with WETH
+     * @param amountTokenDesired Desired amount of token to deposit
+     * @param amountTokenMin Minimum acceptable amount of token
+     * @param amountETHMin Minimum acceptable amount of ETH
+     * @param to Recipient of LP tokens
+     * @param deadline Transaction expiry timestamp
+     * @return amountToken Amount of token deposited
+     * @return amountETH Amount of ETH deposited
+     * @return liquidity Amount of LP tokens minted
+     */
+    function addLiquidityETH(
+        address token,
+        uint256 amountTokenDesired,
+        uint256 amountTokenMin,
+        uint256 amountETHMin,
+        address to,
+        uint256 deadline
+    )
+        external
+        payable
+        returns (uint256 amountToken, uint256 amountETH, uint256 liquidity);
+
+    /**
+     * @notice Removes liquidity from a token/WETH pair, receiving native ETH
+     * @dev The caller must approve the router for the pair's LP tokens
+     * @param token The ERC20 paired with WETH
+     * @param liquidity Amount of LP tokens to burn
+     * @param amountTokenMin Minimum acceptable amount of token
+     * @param amountETHMin Minimum acceptable amount of ETH
+     * @param to Recipient of token and ETH
+     * @param deadline Transaction expiry timestamp
+     * @return amountToken Amount of token withdrawn
+     * @return amountETH Amount of ETH withdrawn
+     */
+    function removeLiquidityETH(
+        address token,
+        uint256 liquidity,
+        uint256 amountTokenMin,
+        uint256 amountETHMin,
+        address to,
+        uint256 deadline
+    ) external returns (uint256 amountToken, uint256 amountETH);
+
+    /**
+     * @notice Swaps all sent ETH for as many output tokens as possible
+     * @param amountOutMin Minimum acceptable final output amount
+     * @param path Token path starting with WETH
+     * @param to Recipient of output tokens
+     * @param deadline Transaction expiry timestamp
+     * @return amounts Input amount followed by the output of every hop
+     */
+    function swapExactETHForTokens(
+        uint256 amountOutMin,
+        address[] calldata path,
+        address to,
+        uint256 deadline
+    ) external payable returns (uint256[] memory amounts);
+
+    /**
+     * @notice Swaps an exact amount of tokens for as much ETH as possible
+     * @param amountIn Exact amount of input tokens
+     * @param amountOutMin Minimum acceptable ETH output
+     * @param path Token path ending with WETH
+     * @param to Recipient of ETH
+     * @param deadline Transaction expiry timestamp
+     * @return amounts Input amount followed by the output of every hop
+     */
+    function swapExactTokensForETH(
+        uint256 amountIn,
+        uint256 amountOutMin,
+        address[] calldata path,
+        address to,
+        uint256 deadline
+    ) external returns (uint256[] memory amounts);
+
+    /**
+     * @notice Adds liquidity to a pair from a single token
+     * @dev Swaps the fraction of `amountIn` that leaves the remainder in the
+     * post-swap pool ratio, then deposits both sides. Rounding leftovers are
+     * refunded to the caller. `minLiquidity` is the only slippage check.
+     * @param tokenIn Token provided by the caller
+     * @param tokenOther Other token of the pair
+     * @param amountIn Amount of tokenIn to deposit
+     * @param minLiquidity Minimum acceptable LP tokens minted
+     * @param to Recipient of LP tokens
+     * @param deadline Transaction expiry timestamp
+     * @return liquidity Amount of LP tokens minted
+     */
+    function zapIn(
+        address tokenIn,
+        address tokenOther,
+        uint256 amountIn,
+        uint256 minLiquidity,
+        address to,
+        uint256 deadline
+    ) external returns (uint256 liquidity);
+
+    /**
+     * @notice Removes liquidity from a pair into a single token
+     * @dev Burns the LP tokens and swaps the tokenOther share into tokenOut.
+     * `amountOutMin` is the only slippage check.
+     * @param tokenOut Token received by `to`
+     * @param tokenOther Other token of the pair
+     * @param liquidity Amount of LP tokens to burn
+     * @param amountOutMin Minimum acceptable amount of tokenOut
+     * @param to Recipient of tokenOut
+     * @param deadline Transaction expiry timestamp
+     * @return amountOut Amount of tokenOut sent to `to`
+     */
+    function zapOut(
+        address tokenOut,
+        address tokenOther,
+        uint256 liquidity,
+        uint256 amountOutMin,
+        address to,
+        uint256 deadline
+    ) external returns (uint256 amountOut);
+}
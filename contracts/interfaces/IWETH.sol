@@ -0,0 +1,21 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+
+/**
+ * @title IWETH
+ * @dev Interface for WETH9-compatible wrapped ether
+ */
+interface IWETH is IERC20 {
+    /**
+     * @notice Wraps the sent ether into WETH
+     */
+    function deposit() external payable;
+
+    /**
+     * @notice Unwraps WETH and sends the ether to the caller
+     * @param amount Amount of WETH to unwrap
+     */
+    function withdraw(uint256 amount) external;
+}
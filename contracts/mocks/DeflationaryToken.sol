@@ -0,0 +1,45 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.27;
+
+import {ERC20} from "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+
+/**
+ * @title DeflationaryToken
+ * @dev Test-only ERC20 whose balances can shrink without a transfer:
+ * - Fixed initial supply of 1,000,000 tokens minted to the deployer's choice
+ * - Anyone can burn from any holder, like a negative rebase or a slashing
+ * @author Francisco López G.
+ */
+contract DeflationaryToken is ERC20 {
+    // ==============================================
+    //              STATE VARIABLES
+    // ==============================================
+
+    /// @notice Initial token supply (1 million tokens)
+    uint256 public constant MAX_SUPPLY = 1_000_000 * 10 ** 18;
+
+    // ==============================================
+    //              CONSTRUCTOR
+    // ==============================================
+
+    /**
+     * @dev Mints the fixed supply to the initial holder
+     * @param initialHolder Address receiving the initial supply
+     */
+    constructor(address initialHolder) ERC20("Deflationary", "DFL") {
+        _mint(initialHolder, MAX_SUPPLY);
+    }
+
+    // ==============================================
+    //              PUBLIC FUNCTIONS
+    // ==============================================
+
+    /**
+     * @notice Shrinks a holder's balance without its consent
+     * @param holder Account losing tokens
+     * @param amount Amount removed from the balance
+     */
+    function deflate(address holder, uint256 amount) external {
+        _burn(holder, amount);
+    }
+}
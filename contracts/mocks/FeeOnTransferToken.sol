@@ -0,0 +1,61 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.27;
+
+import {ERC20} from "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+
+/**
+ * @title FeeOnTransferToken
+ * @dev Test-only ERC20 that burns a fixed share of every transfer:
+ * - Fixed initial supply of 1,000,000 tokens minted to the deployer's choice
+ * - 1% of each transfer is burned, so recipients receive 99%
+ * - Minting and burning themselves are not taxed
+ * @author Francisco López G.
+ */
+contract FeeOnTransferToken is ERC20 {
+    // ==============================================
+    //              STATE VARIABLES
+    // ==============================================
+
+    /// @notice Initial token supply (1 million tokens)
+    uint256 public constant MAX_SUPPLY = 1_000_000 * 10 ** 18;
+
+    /// @notice Transfer fee in basis points (1%)
+    uint256 public constant TRANSFER_FEE = 100;
+
+    // ==============================================
+    //              CONSTRUCTOR
+    // ==============================================
+
+    /**
+     * @dev Mints the fixed supply to the initial holder
+     * @param initialHolder Address receiving the initial supply
+     */
+    constructor(address initialHolder) ERC20("FeeToken", "FOT") {
+        _mint(initialHolder, MAX_SUPPLY);
+    }
+
+    // ==============================================
+    //              INTERNAL FUNCTIONS
+    // ==============================================
+
+    /**
+     * @dev Burns TRANSFER_FEE of every transfer between two accounts
+     * @param from Sender (0x0 when minting)
+     * @param to Recipient (0x0 when burning)
+     * @param value Amount sent by `from`
+     */
+    function _update(
+        address from,
+        address to,
+        uint256 value
+    ) internal override {
+        if (from == address(0) || to == address(0)) {
+            super._update(from, to, value);
+            return;
+        }
+
+        uint256 fee = (value * TRANSFER_FEE) / 10_000;
+        super._update(from, address(0), fee);
+        super._update(from, to, value - fee);
+    }
+}
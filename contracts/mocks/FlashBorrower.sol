@@ -0,0 +1,137 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.27;
+
+import {IERC20} from "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import {ISimpleSwap} from "../interfaces/ISimpleSwap.sol";
+import {ISimpleSwapCallee} from "../interfaces/ISimpleSwapCallee.sol";
+
+/**
+ * @title FlashBorrower
+ * @dev Test-only flash swap borrower with configurable repayment:
+ * - Repay: returns every borrowed token plus the swap fee
+ * - RepayWithoutFee: returns exactly what was borrowed
+ * - Keep: returns nothing
+ * - Reenter: tries to swap on SimpleSwap from inside the callback
+ * Needs a balance of the borrowed tokens to cover the fee.
+ * @author Francisco López G.
+ */
+contract FlashBorrower is ISimpleSwapCallee {
+    // ==============================================
+    //                   CUSTOM ERRORS
+    // ==============================================
+
+    /// @notice Reverts when the callback does not come from SimpleSwap
+    /// @param caller The unexpected caller
+    error UntrustedCaller(address caller);
+
+    // ==============================================
+    //                   STRUCTS
+    // ==============================================
+
+    /// @notice Repayment behaviour of the callback
+    enum Mode {
+        Repay,
+        RepayWithoutFee,
+        Keep,
+        Reenter
+    }
+
+    // ==============================================
+    //              STATE VARIABLES
+    // ==============================================
+
+    /// @notice SimpleSwap contract allowed to call back
+    ISimpleSwap public immutable simpleSwap;
+
+    /// @notice Repayment behaviour used by the next flash swap
+    Mode public mode;
+
+    /// @notice Balance of tokenA and tokenB seen inside the last callback
+    uint256 public balanceASeen;
+    uint256 public balanceBSeen;
+
+    // ==============================================
+    //              CONSTRUCTOR
+    // ==============================================
+
+    /**
+     * @dev Binds the borrower to a SimpleSwap deployment
+     * @param simpleSwap_ SimpleSwap contract address
+     */
+    constructor(address simpleSwap_) {
+        simpleSwap = ISimpleSwap(simpleSwap_);
+    }
+
+    // ==============================================
+    //           EXTERNAL PUBLIC FUNCTIONS
+    // ==============================================
+
+    /**
+     * @notice Borrows from a pool with the given repayment behaviour
+     * @param mode_ Repayment behaviour
+     * @param tokenA First token of the pool
+     * @param tokenB Second token of the pool
+     * @param amountAOut Amount of tokenA to borrow
+     * @param amountBOut Amount of tokenB to borrow
+     */
+    function borrow(
+        Mode mode_,
+        address tokenA,
+        address tokenB,
+        uint256 amountAOut,
+        uint256 amountBOut
+    ) external {
+        mode = mode_;
+        simpleSwap.swap(
+            tokenA,
+            tokenB,
+            amountAOut,
+            amountBOut,
+            address(this),
+            "flash"
+        );
+    }
+
+    /**
+     * @inheritdoc ISimpleSwapCallee
+     */
+    function simpleSwapCall(
+        address,
+        address tokenA,
+        address tokenB,
+        uint256 amountAOut,
+        uint256 amountBOut,
+        bytes calldata
+    ) external override {
+        if (msg.sender != address(simpleSwap))
+            revert UntrustedCaller(msg.sender);
+        balanceASeen = IERC20(tokenA).balanceOf(address(this));
+        balanceBSeen = IERC20(tokenB).balanceOf(address(this));
+
+        if (mode == Mode.Reenter) {
+            simpleSwap.swap(tokenA, tokenB, 1, 0, address(this), "");
+        } else if (mode != Mode.Keep) {
+            _repay(tokenA, amountAOut);
+            _repay(tokenB, amountBOut);
+        }
+    }
+
+    // ==============================================
+    //              INTERNAL FUNCTIONS
+    // ==============================================
+
+    /**
+     * @dev Sends a borrowed amount back, with the fee unless told otherwise
+     * @param token Borrowed token
+     * @param amount Borrowed amount
+     */
+    function _repay(address token, uint256 amount) internal {
+        if (amount == 0) return;
+        if (mode == Mode.Repay) {
+            uint256 denominator = 10_000;
+            uint256 keep = denominator - simpleSwap.swapFee();
+            amount = (amount * denominator + keep - 1) / keep;
+        }
+        IERC20(token).transfer(address(simpleSwap), amount);
+    }
+}
@@ -0,0 +1,27 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.27;
+
+import {ERC20} from "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+import {ERC20Permit} from "@openzeppelin/contracts/token/ERC20/extensions/ERC20Permit.sol";
+
+/**
+ * @title PermitToken
+ * @dev Test-only ERC20 with EIP-2612 support:
+ * - Fixed initial supply of 1,000,000 tokens minted to the initial holder
+ * - `permit` lets holders approve with an off-chain signature
+ * @author Francisco López G.
+ */
+contract PermitToken is ERC20, ERC20Permit {
+    /// @notice Initial token supply (1 million tokens)
+    uint256 public constant MAX_SUPPLY = 1_000_000 * 10 ** 18;
+
+    /**
+     * @dev Mints the fixed supply to the initial holder
+     * @param initialHolder Address receiving the initial supply
+     */
+    constructor(
+        address initialHolder
+    ) ERC20("PermitToken", "PMT") ERC20Permit("PermitToken") {
+        _mint(initialHolder, MAX_SUPPLY);
+    }
+}
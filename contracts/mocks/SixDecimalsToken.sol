@@ -0,0 +1,43 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.27;
+
+import {ERC20} from "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+
+/**
+ * @title SixDecimalsToken
+ * @dev Test-only ERC20 with 6 decimals, like most USD stablecoins:
+ * - Fixed initial supply of 1,000,000 tokens minted to the deployer's choice
+ * @author Francisco López G.
+ */
+contract SixDecimalsToken is ERC20 {
+    // ==============================================
+    //              STATE VARIABLES
+    // ==============================================
+
+    /// @notice Initial token supply (1 million tokens)
+    uint256 public constant MAX_SUPPLY = 1_000_000 * 10 ** 6;
+
+    // ==============================================
+    //              CONSTRUCTOR
+    // ==============================================
+
+    /**
+     * @dev Mints the fixed supply to the initial holder
+     * @param initialHolder Address receiving the initial supply
+     */
+    constructor(address initialHolder) ERC20("Six Decimals", "SIX") {
+        _mint(initialHolder, MAX_SUPPLY);
+    }
+
+    // ==============================================
+    //              PUBLIC FUNCTIONS
+    // ==============================================
+
+    /**
+     * @notice Returns the number of decimals of the token
+     * @return Always 6
+     */
+    function decimals() public pure override returns (uint8) {
+        return 6;
+    }
+}
@@ -0,0 +1,46 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.27;
+
+import {ERC20} from "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+import {Address} from "@openzeppelin/contracts/utils/Address.sol";
+
+/**
+ * @title WETH9
+ * @dev Test-only wrapped ether with the WETH9 interface:
+ * - `deposit` (or a plain transfer) mints WETH 1:1 for the ether sent
+ * - `withdraw` burns WETH and returns the ether
+ * @author Francisco López G.
+ */
+contract WETH9 is ERC20 {
+    /// @notice Emitted when ether is wrapped
+    event Deposit(address indexed dst, uint256 wad);
+    /// @notice Emitted when WETH is unwrapped
+    event Withdrawal(address indexed src, uint256 wad);
+
+    constructor() ERC20("Wrapped Ether", "WETH") {}
+
+    /**
+     * @dev Wraps ether sent without calldata
+     */
+    receive() external payable {
+        deposit();
+    }
+
+    /**
+     * @notice Wraps the sent ether into WETH
+     */
+    function deposit() public payable {
+        _mint(msg.sender, msg.value);
+        emit Deposit(msg.sender, msg.value);
+    }
+
+    /**
+     * @notice Unwraps WETH and sends the ether to the caller
+     * @param wad Amount of WETH to unwrap
+     */
+    function withdraw(uint256 wad) external {
+        _burn(msg.sender, wad);
+        Address.sendValue(payable(msg.sender), wad);
+        emit Withdrawal(msg.sender, wad);
+    }
+}
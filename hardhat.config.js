@@ -1,4 +1,25 @@
 require("@nomicfoundation/hardhat-toolbox");
+require("./tasks");
+
+const { SEPOLIA_RPC_URL, PRIVATE_KEY } = process.env;
+
+/**
+ * Public networks are only configured when their RPC URL is provided, so
+ * local tests and scripts never require secrets.
+ */
+const networks = {
+  localhost: {
+    url: "http://127.0.0.1:8545",
+  },
+};
+
+if (SEPOLIA_RPC_URL) {
+  networks.sepolia = {
+    url: SEPOLIA_RPC_URL,
+    accounts: PRIVATE_KEY ? [PRIVATE_KEY] : [],
+    chainId: 11155111,
+  };
+}
 
 module.exports = {
   solidity: {
@@ -11,4 +32,5 @@ module.exports = {
       viaIR: true,
     },
   },
+  networks,
 };
@@ -0,0 +1,369 @@
+const fs = require("fs");
+const path = require("path");
+const { Interface } = require("ethers");
+
+/**
+ * @file Off-chain event indexer for SimpleSwap
+ * @description Scans block ranges for SimpleSwap events and SS-LP transfers,
+ * rebuilding per-pool reserves, volumes and LP positions. State is persisted
+ * to a JSON file after every batch so a restart resumes from the last
+ * processed block.
+ * @module SimpleSwapIndexer
+ *
+ * @example
+ * const indexer = new SimpleSwapIndexer(simpleSwap, { storePath });
+ * await indexer.update();
+ * const mismatches = await indexer.verify();
+ */
+
+/** Interface used to decode SS-LP transfers */
+const LP_INTERFACE = new Interface([
+  "event Transfer(address indexed from, address indexed to, uint256 value)",
+]);
+
+/** Topic of the ERC20 Transfer event */
+const TRANSFER_TOPIC = LP_INTERFACE.getEvent("Transfer").topicHash;
+
+/** Zero address used as the mint source and burn destination */
+const ZERO_ADDRESS = "0x0000000000000000000000000000000000000000";
+
+/** Default number of blocks fetched per getLogs request */
+const DEFAULT_BATCH_SIZE = 2_000;
+
+/** Numeric pool fields persisted as decimal strings */
+const POOL_AMOUNTS = [
+  "reserve0",
+  "reserve1",
+  "volume0",
+  "volume1",
+  "fees0",
+  "fees1",
+  "totalSupply",
+];
+
+/**
+ * Sorts two token addresses the way SimpleSwap keys its pools
+ * @param {string} tokenA - First token
+ * @param {string} tokenB - Second token
+ * @returns {string[]} [token0, token1] with token0 < token1
+ */
+const sortTokens = (tokenA, tokenB) =>
+  BigInt(tokenA) < BigInt(tokenB) ? [tokenA, tokenB] : [tokenB, tokenA];
+
+/**
+ * Builds the state key of a pool
+ * @param {string} tokenA - First token
+ * @param {string} tokenB - Second token
+ * @returns {string} "token0-token1"
+ */
+const poolKey = (tokenA, tokenB) => sortTokens(tokenA, tokenB).join("-");
+
+/**
+ * Orders a pair of amounts given in tokenA/tokenB order by token0/token1
+ * @param {string} tokenA - Token of the first amount
+ * @param {string} tokenB - Token of the second amount
+ * @param {bigint} amountA - Amount of tokenA
+ * @param {bigint} amountB - Amount of tokenB
+ * @returns {bigint[]} [amount0, amount1]
+ */
+const sortAmounts = (tokenA, tokenB, amountA, amountB) =>
+  BigInt(tokenA) < BigInt(tokenB) ? [amountA, amountB] : [amountB, amountA];
+
+class SimpleSwapIndexer {
+  /**
+   * @param {Contract} simpleSwap - SimpleSwap contract with a provider
+   * @param {Object} [options] - Indexer settings
+   * @param {string} [options.storePath] - JSON file for persisted state
+   * @param {number} [options.startBlock=0] - First block of a fresh index
+   * @param {number} [options.batchSize=2000] - Blocks per getLogs request
+   */
+  constructor(simpleSwap, options = {}) {
+    this.simpleSwap = simpleSwap;
+    this.provider = simpleSwap.runner.provider ?? simpleSwap.runner;
+    this.storePath = options.storePath;
+    this.startBlock = options.startBlock ?? 0;
+    this.batchSize = options.batchSize ?? DEFAULT_BATCH_SIZE;
+    this.state = null;
+  }
+
+  // ========== PERSISTENCE ==========
+
+  /**
+   * Loads persisted state, or starts fresh when it belongs elsewhere
+   * @dev State recorded for another chain or SimpleSwap address is discarded
+   * @returns {Promise<Object>} Indexer state
+   */
+  async load() {
+    const { chainId } = await this.provider.getNetwork();
+    const fresh = {
+      chainId: Number(chainId),
+      address: this.simpleSwap.target,
+      lastBlock: this.startBlock - 1,
+      pools: {},
+      positions: {},
+    };
+
+    const stored =
+      this.storePath && fs.existsSync(this.storePath)
+        ? JSON.parse(fs.readFileSync(this.storePath, "utf8"))
+        : null;
+    const matches =
+      stored?.chainId === fresh.chainId && stored?.address === fresh.address;
+
+    this.state = matches ? this.deserialize(stored) : fresh;
+    return this.state;
+  }
+
+  /**
+   * Writes the current state to the store file, if one is configured
+   */
+  save() {
+    if (!this.storePath) return;
+    fs.mkdirSync(path.dirname(this.storePath), { recursive: true });
+    fs.writeFileSync(
+      this.storePath,
+      `${JSON.stringify(this.serialize(), null, 2)}\n`
+    );
+  }
+
+  /**
+   * Converts state to JSON-safe values (bigints become decimal strings)
+   * @returns {Object} Serializable state
+   */
+  serialize() {
+    const pools = {};
+    for (const [key, pool] of Object.entries(this.state.pools)) {
+      pools[key] = { ...pool };
+      for (const field of POOL_AMOUNTS) pools[key][field] = `${pool[field]}`;
+    }
+
+    const positions = {};
+    for (const [lpToken, holders] of Object.entries(this.state.positions)) {
+      positions[lpToken] = {};
+      for (const [holder, balance] of Object.entries(holders)) {
+        positions[lpToken][holder] = `${balance}`;
+      }
+    }
+    return { ...this.state, pools, positions };
+  }
+
+  /**
+   * Restores bigint values from persisted state
+   * @param {Object} stored - Parsed store file
+   * @returns {Object} Indexer state
+   */
+  deserialize(stored) {
+    for (const pool of Object.values(stored.pools)) {
+      for (const field of POOL_AMOUNTS) pool[field] = BigInt(pool[field]);
+    }
+    for (const holders of Object.values(stored.positions)) {
+      for (const holder of Object.keys(holders)) {
+        holders[holder] = BigInt(holders[holder]);
+      }
+    }
+    return stored;
+  }
+
+  // ========== INDEXING ==========
+
+  /**
+   * Indexes every block after the last processed one
+   * @param {number} [toBlock] - Last block to index (defaults to latest)
+   * @returns {Promise<Object>} Updated state
+   */
+  async update(toBlock) {
+    if (!this.state) await this.load();
+    const target = toBlock ?? (await this.provider.getBlockNumber());
+
+    while (this.state.lastBlock < target) {
+      const fromBlock = this.state.lastBlock + 1;
+      const endBlock = Math.min(fromBlock + this.batchSize - 1, target);
+      await this.processRange(fromBlock, endBlock);
+      this.state.lastBlock = endBlock;
+      this.save();
+    }
+    return this.state;
+  }
+
+  /**
+   * Applies every SimpleSwap event and LP transfer in a block range
+   * @dev SimpleSwap logs are applied first so pairs created in the range
+   * are known before their LP transfers are fetched
+   * @param {number} fromBlock - First block (inclusive)
+   * @param {number} toBlock - Last block (inclusive)
+   */
+  async processRange(fromBlock, toBlock) {
+    const swapLogs = await this.provider.getLogs({
+      address: this.simpleSwap.target,
+      fromBlock,
+      toBlock,
+    });
+    for (const log of swapLogs) {
+      const event = this.simpleSwap.interface.parseLog(log);
+      if (event) await this.applyEvent(event);
+    }
+
+    const lpTokens = Object.keys(this.state.positions);
+    if (lpTokens.length === 0) return;
+
+    const transferLogs = await this.provider.getLogs({
+      address: lpTokens,
+      topics: [TRANSFER_TOPIC],
+      fromBlock,
+      toBlock,
+    });
+    for (const log of transferLogs) {
+      this.applyTransfer(log.address, LP_INTERFACE.parseLog(log).args);
+    }
+  }
+
+  /**
+   * Returns a pool's state, registering it on first sight
+   * @param {string} tokenA - First token
+   * @param {string} tokenB - Second token
+   * @returns {Promise<Object>} Mutable pool state
+   */
+  async getOrCreatePool(tokenA, tokenB) {
+    const key = poolKey(tokenA, tokenB);
+    if (!this.state.pools[key]) {
+      const [token0, token1] = sortTokens(tokenA, tokenB);
+      const lpToken = await this.simpleSwap.getPair(token0, token1);
+      this.state.pools[key] = { token0, token1, lpToken, swaps: 0 };
+      for (const field of POOL_AMOUNTS) this.state.pools[key][field] = 0n;
+      this.state.positions[lpToken] ??= {};
+    }
+    return this.state.pools[key];
+  }
+
+  /**
+   * Applies a decoded SimpleSwap event to pool state
+   * @param {LogDescription} event - Parsed SimpleSwap log
+   */
+  async applyEvent({ name, args }) {
+    switch (name) {
+      case "PoolCreated":
+        await this.getOrCreatePool(args.token0, args.token1);
+        break;
+      case "LiquidityAdded":
+      case "LiquidityRemoved":
+      case "EmergencyWithdraw": {
+        const pool = await this.getOrCreatePool(args.tokenA, args.tokenB);
+        const [amount0, amount1] = sortAmounts(
+          args.tokenA,
+          args.tokenB,
+          args.amountA,
+          args.amountB
+        );
+        const sign = name === "LiquidityAdded" ? 1n : -1n;
+        pool.reserve0 += sign * amount0;
+        pool.reserve1 += sign * amount1;
+        break;
+      }
+      case "Swap": {
+        const pool = await this.getOrCreatePool(args.tokenIn, args.tokenOut);
+        const zeroForOne = pool.token0 === args.tokenIn;
+        pool.swaps += 1;
+        if (zeroForOne) {
+          pool.reserve0 += args.amountIn;
+          pool.reserve1 -= args.amountOut;
+          pool.volume0 += args.amountIn;
+          pool.fees0 += args.fee;
+        } else {
+          pool.reserve1 += args.amountIn;
+          pool.reserve0 -= args.amountOut;
+          pool.volume1 += args.amountIn;
+          pool.fees1 += args.fee;
+        }
+        break;
+      }
+      case "Sync": {
+        // Reconciliation sets reserves outright
+        const pool = await this.getOrCreatePool(args.tokenA, args.tokenB);
+        [pool.reserve0, pool.reserve1] = sortAmounts(
+          args.tokenA,
+          args.tokenB,
+          args.reserveA,
+          args.reserveB
+        );
+        break;
+      }
+      default:
+        break;
+    }
+  }
+
+  /**
+   * Applies an SS-LP transfer to positions and supply
+   * @dev An index with a later startBlock has not seen earlier mints, so
+   * its positions and supply are net changes since that block
+   * @param {string} lpToken - LP token that emitted the transfer
+   * @param {Result} args - Decoded Transfer arguments
+   */
+  applyTransfer(lpToken, { from, to, value }) {
+    const holders = this.state.positions[lpToken];
+    const pool = Object.values(this.state.pools).find(
+      (candidate) => candidate.lpToken === lpToken
+    );
+
+    if (from === ZERO_ADDRESS) pool.totalSupply += value;
+    else holders[from] = (holders[from] ?? 0n) - value;
+
+    if (to === ZERO_ADDRESS) pool.totalSupply -= value;
+    else holders[to] = (holders[to] ?? 0n) + value;
+
+    for (const holder of [from, to]) {
+      if (holders[holder] === 0n) delete holders[holder];
+    }
+  }
+
+  // ========== QUERIES ==========
+
+  /**
+   * Gets the indexed state of a pool
+   * @param {string} tokenA - First token
+   * @param {string} tokenB - Second token
+   * @returns {Object|undefined} Pool state, if the pool has been seen
+   */
+  getPool(tokenA, tokenB) {
+    return this.state.pools[poolKey(tokenA, tokenB)];
+  }
+
+  /**
+   * Gets an address's LP balance in a pool
+   * @param {string} tokenA - First token
+   * @param {string} tokenB - Second token
+   * @param {string} holder - LP holder
+   * @returns {bigint} Indexed LP balance
+   */
+  getPosition(tokenA, tokenB, holder) {
+    const pool = this.getPool(tokenA, tokenB);
+    return pool ? this.state.positions[pool.lpToken][holder] ?? 0n : 0n;
+  }
+
+  /**
+   * Compares rebuilt reserves with on-chain `getReserves` for every pool
+   * @param {number} [blockTag] - Block to read (defaults to the last indexed)
+   * @returns {Promise<Object[]>} Mismatching pools with expected and actual
+   * reserves (empty when the index is consistent)
+   */
+  async verify(blockTag = this.state.lastBlock) {
+    const mismatches = [];
+    for (const [key, pool] of Object.entries(this.state.pools)) {
+      const [reserve0, reserve1] = await this.simpleSwap.getReserves(
+        pool.token0,
+        pool.token1,
+        { blockTag }
+      );
+      if (reserve0 !== pool.reserve0 || reserve1 !== pool.reserve1) {
+        mismatches.push({
+          pool: key,
+          indexed: [pool.reserve0, pool.reserve1],
+          onChain: [reserve0, reserve1],
+        });
+      }
+    }
+    return mismatches;
+  }
+}
+
+module.exports = { SimpleSwapIndexer, sortTokens, poolKey };
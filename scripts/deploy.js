@@ -0,0 +1,353 @@
+const fs = require("fs");
+const path = require("path");
+const hre = require("hardhat");
+
+/**
+ * @file Deployment script for SimpleSwap
+ * @description Deploys TokenA, TokenB, SimpleSwap, the ETH router (plus a
+ * WETH9 mock when the config names no WETH), the read lens, the limit
+ * order book and the swap intent relayer contract, optionally seeds the
+ * TokenA/TokenB pool, optionally moves the admin, guardian and fee manager
+ * roles behind a SimpleSwapTimelock and records addresses and ABIs in
+ * deployments/<network>.json. Re-running reuses every contract that is still
+ * deployed at the recorded address, so the script is safe to run repeatedly.
+ * @module DeployScript
+ *
+ * @example
+ * npx hardhat run scripts/deploy.js --network sepolia
+ * DEPLOY_CONFIG=./my-config.json npx hardhat run scripts/deploy.js
+ */
+
+const { ethers, network, artifacts } = hre;
+
+/** Contracts deployed by the script, in deployment order */
+const CONTRACTS = ["TokenA", "TokenB", "SimpleSwap"];
+
+/** SimpleSwap roles moved from the deployer to the timelock, admin last */
+const TIMELOCK_ROLES = [
+  "GUARDIAN_ROLE",
+  "FEE_MANAGER_ROLE",
+  "DEFAULT_ADMIN_ROLE",
+];
+
+/** Directory holding the per-network manifests */
+const DEPLOYMENTS_DIR = path.join(__dirname, "..", "deployments");
+
+/** Directory holding the per-network deployment configs */
+const CONFIG_DIR = path.join(__dirname, "config");
+
+/**
+ * Reads a JSON file if it exists
+ * @param {string} file - Path of the JSON file
+ * @returns {Object|null} Parsed content, or null when the file is missing
+ */
+const readJson = (file) =>
+  fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, "utf8")) : null;
+
+/**
+ * Resolves the deployment config for the current network
+ * @dev DEPLOY_CONFIG takes precedence, then config/<network>.json, then
+ * config/default.json
+ * @returns {Object} Deployment config (empty when no file is found)
+ */
+const loadConfig = () => {
+  const candidates = [
+    process.env.DEPLOY_CONFIG,
+    path.join(CONFIG_DIR, `${network.name}.json`),
+    path.join(CONFIG_DIR, "default.json"),
+  ].filter(Boolean);
+
+  for (const file of candidates) {
+    const config = readJson(path.resolve(file));
+    if (config) return config;
+  }
+  return {};
+};
+
+/**
+ * Writes the manifest to disk
+ * @param {Object} deployment - Deployment context
+ * @param {Object} deployment.manifest - Manifest being built
+ * @param {string} deployment.manifestPath - Manifest location
+ */
+const saveManifest = ({ manifest, manifestPath }) => {
+  fs.mkdirSync(path.dirname(manifestPath), { recursive: true });
+  fs.writeFileSync(manifestPath, `${JSON.stringify(manifest, null, 2)}\n`);
+};
+
+/**
+ * Returns a contract recorded in the manifest if it is still deployed
+ * @param {Object} entry - Manifest entry with address
+ * @param {string} name - Contract name
+ * @returns {Promise<Contract|null>} Attached contract, or null to redeploy
+ */
+const reuseDeployment = async (entry, name) => {
+  if (!entry?.address) return null;
+  const code = await ethers.provider.getCode(entry.address);
+  return code === "0x" ? null : ethers.getContractAt(name, entry.address);
+};
+
+/**
+ * Deploys a contract unless the manifest already points at a live instance
+ * @dev The manifest is saved after every deployment, so a run that fails
+ * halfway reuses what it already deployed when it is re-run
+ * @param {string} name - Contract name
+ * @param {Array} args - Constructor arguments
+ * @param {Object} deployment - Deployment context
+ * @param {Object} deployment.manifest - Manifest being built
+ * @param {string} deployment.manifestPath - Manifest location
+ * @param {Function} deployment.log - Progress logger
+ * @param {Function} [isCurrent] - Async check that a reused instance still
+ * matches its dependencies
+ * @returns {Promise<Contract>} Deployed or reused contract
+ */
+const deployOrReuse = async (
+  name,
+  args,
+  deployment,
+  isCurrent = async () => true
+) => {
+  const { manifest, log } = deployment;
+  const existing = await reuseDeployment(manifest.contracts[name], name);
+  if (existing && (await isCurrent(existing))) {
+    log(`↺ ${name} reused at ${existing.target}`);
+    return existing;
+  }
+
+  const Factory = await ethers.getContractFactory(name);
+  const contract = await Factory.deploy(...args);
+  await contract.waitForDeployment();
+  const { abi } = await artifacts.readArtifact(name);
+
+  manifest.contracts[name] = {
+    address: contract.target,
+    deploymentHash: contract.deploymentTransaction().hash,
+    abi,
+  };
+  saveManifest(deployment);
+  log(`✔ ${name} deployed at ${contract.target}`);
+  return contract;
+};
+
+/**
+ * Seeds the TokenA/TokenB pool from the `liquidity` config section
+ * @dev Skipped when the section is missing or the pool already has reserves
+ * @param {Object} config - Deployment config
+ * @param {Object} contracts - Deployed contracts keyed by name
+ * @param {Signer} deployer - Account providing the liquidity
+ * @param {Function} log - Progress logger
+ * @returns {Promise<boolean>} Whether liquidity was added
+ */
+const seedLiquidity = async (config, contracts, deployer, log) => {
+  const { liquidity } = config;
+  if (!liquidity) return false;
+
+  const { TokenA: tokenA, TokenB: tokenB, SimpleSwap: simpleSwap } = contracts;
+  const [reserveA, reserveB] = await simpleSwap.getReserves(
+    tokenA.target,
+    tokenB.target
+  );
+  if (reserveA > 0n || reserveB > 0n) {
+    log("↺ Pool already seeded, skipping liquidity");
+    return false;
+  }
+
+  const amountA = ethers.parseEther(liquidity.amountA);
+  const amountB = ethers.parseEther(liquidity.amountB);
+  const deadline =
+    (await ethers.provider.getBlock("latest")).timestamp +
+    (liquidity.deadlineSeconds ?? 600);
+
+  await (await tokenA.approve(simpleSwap.target, amountA)).wait();
+  await (await tokenB.approve(simpleSwap.target, amountB)).wait();
+  await (
+    await simpleSwap.addLiquidity(
+      tokenA.target,
+      tokenB.target,
+      amountA,
+      amountB,
+      0,
+      0,
+      liquidity.recipient ?? deployer.address,
+      deadline
+    )
+  ).wait();
+
+  log(
+    `✔ Seeded pool with ${liquidity.amountA} TKA / ${liquidity.amountB} TKB`
+  );
+  return true;
+};
+
+/**
+ * Deploys SimpleSwapTimelock from the `timelock` config section and hands it
+ * the admin, guardian and fee manager roles
+ * @dev Skipped when the section is missing. The deployer keeps only
+ * PAUSER_ROLE and OPERATOR_ROLE, so it can still pause, unpause and reset
+ * circuit breakers instantly; any role change goes through the timelock.
+ * Proposers and executors default to the deployer; the timelock alone
+ * administers those roles. Once the roles are handed over only the recorded
+ * timelock can grant them, so a changed `delay` cannot be met with a new
+ * timelock: the script stops and asks for `setDelay` to be queued through
+ * the existing one instead.
+ * @param {Object} config - Deployment config
+ * @param {Object} contracts - Deployed contracts keyed by name
+ * @param {Signer} deployer - Account holding the SimpleSwap roles
+ * @param {Object} deployment - Deployment context (manifest, path and logger)
+ * @returns {Promise<Contract|null>} The timelock, or null when not configured
+ * @throws {Error} If a new timelock is needed but the deployer is no longer
+ * SimpleSwap's admin
+ */
+const setupTimelock = async (config, contracts, deployer, deployment) => {
+  const { timelock: settings } = config;
+  if (!settings) return null;
+
+  const { SimpleSwap: simpleSwap } = contracts;
+  const adminRole = await simpleSwap.DEFAULT_ADMIN_ROLE();
+  if (!(await simpleSwap.hasRole(adminRole, deployer.address))) {
+    const recorded = await reuseDeployment(
+      deployment.manifest.contracts.SimpleSwapTimelock,
+      "SimpleSwapTimelock"
+    );
+    const delay = recorded && (await recorded.delay());
+    if (delay !== BigInt(settings.delay)) {
+      throw new Error(
+        recorded
+          ? `Timelock delay changed from ${delay}s to ${settings.delay}s, ` +
+            "but the deployer no longer holds DEFAULT_ADMIN_ROLE. Queue " +
+            `setDelay(${settings.delay}) through ${recorded.target} instead`
+          : "No live SimpleSwapTimelock is recorded and the deployer no " +
+            "longer holds DEFAULT_ADMIN_ROLE, so a new one cannot be granted"
+      );
+    }
+  }
+
+  const timelock = await deployOrReuse(
+    "SimpleSwapTimelock",
+    [
+      settings.delay,
+      ethers.ZeroAddress,
+      settings.proposers ?? [deployer.address],
+      settings.executors ?? [deployer.address],
+    ],
+    deployment,
+    async (existing) => (await existing.delay()) === BigInt(settings.delay)
+  );
+
+  // Timelocks deployed with the deployer as extra admin hand it back
+  if (await timelock.hasRole(adminRole, deployer.address)) {
+    await (await timelock.renounceRole(adminRole, deployer.address)).wait();
+  }
+
+  for (const roleName of TIMELOCK_ROLES) {
+    const role = await simpleSwap[roleName]();
+    if (!(await simpleSwap.hasRole(role, timelock.target))) {
+      await (await simpleSwap.grantRole(role, timelock.target)).wait();
+    }
+    if (await simpleSwap.hasRole(role, deployer.address)) {
+      await (await simpleSwap.renounceRole(role, deployer.address)).wait();
+    }
+  }
+
+  deployment.log(
+    `✔ ${settings.delay}s timelock holds admin, guardian and fee roles`
+  );
+  return timelock;
+};
+
+/**
+ * Runs the deployment pipeline
+ * @param {Object} [options] - Overrides for tests and custom pipelines
+ * @param {Object} [options.config] - Deployment config (defaults to loadConfig())
+ * @param {string} [options.manifestPath] - Manifest location
+ * @param {Function} [options.log] - Progress logger (defaults to console.log)
+ * @returns {Promise<Object>} The written manifest
+ */
+const deploy = async (options = {}) => {
+  const config = options.config ?? loadConfig();
+  const log = options.log ?? console.log;
+  const manifestPath =
+    options.manifestPath ?? path.join(DEPLOYMENTS_DIR, `${network.name}.json`);
+
+  const [deployer] = await ethers.getSigners();
+  const { chainId } = await ethers.provider.getNetwork();
+
+  const previous = readJson(manifestPath);
+  const manifest = {
+    network: network.name,
+    chainId: Number(chainId),
+    deployer: deployer.address,
+    contracts:
+      previous?.chainId === Number(chainId) ? { ...previous.contracts } : {},
+  };
+
+  const deployment = { manifest, manifestPath, log };
+  const contracts = {};
+  const constructorArgs = {
+    TokenA: [deployer.address],
+    TokenB: [deployer.address],
+    SimpleSwap: [],
+  };
+  for (const name of CONTRACTS) {
+    contracts[name] = await deployOrReuse(
+      name,
+      constructorArgs[name],
+      deployment
+    );
+  }
+
+  const weth =
+    config.weth ?? (await deployOrReuse("WETH9", [], deployment)).target;
+  contracts.SimpleSwapRouter = await deployOrReuse(
+    "SimpleSwapRouter",
+    [contracts.SimpleSwap.target, weth],
+    deployment,
+    async (router) =>
+      (await router.simpleSwap()) === contracts.SimpleSwap.target &&
+      (await router.WETH()) === weth
+  );
+  contracts.SimpleSwapLens = await deployOrReuse(
+    "SimpleSwapLens",
+    [contracts.SimpleSwap.target],
+    deployment,
+    async (lens) => (await lens.simpleSwap()) === contracts.SimpleSwap.target
+  );
+  contracts.SimpleSwapOrderBook = await deployOrReuse(
+    "SimpleSwapOrderBook",
+    [contracts.SimpleSwap.target],
+    deployment,
+    async (book) => (await book.simpleSwap()) === contracts.SimpleSwap.target
+  );
+  contracts.SimpleSwapIntents = await deployOrReuse(
+    "SimpleSwapIntents",
+    [contracts.SimpleSwap.target],
+    deployment,
+    async (intents) =>
+      (await intents.simpleSwap()) === contracts.SimpleSwap.target
+  );
+
+  await seedLiquidity(config, contracts, deployer, log);
+  contracts.SimpleSwapTimelock = await setupTimelock(
+    config,
+    contracts,
+    deployer,
+    deployment
+  );
+
+  saveManifest(deployment);
+  const relativePath = path.relative(process.cwd(), manifestPath);
+  log(`📄 Manifest written to ${relativePath}`);
+
+  return manifest;
+};
+
+if (require.main === module) {
+  deploy()
+    .then(() => process.exit(0))
+    .catch((error) => {
+      console.error(error);
+      process.exit(1);
+    });
+}
+
+module.exports = { deploy, loadConfig };
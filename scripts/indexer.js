@@ -0,0 +1,69 @@
+const path = require("path");
+const hre = require("hardhat");
+const { SimpleSwapIndexer } = require("../indexer");
+
+/**
+ * @file Runs the SimpleSwap event indexer against a deployed instance
+ * @description Resolves SimpleSwap from deployments/<network>.json (or
+ * SIMPLE_SWAP_ADDRESS), indexes up to the latest block, persists state to
+ * indexer/data/<network>.json and checks it against on-chain reserves
+ * @module IndexerScript
+ *
+ * @example
+ * npx hardhat run scripts/indexer.js --network localhost
+ */
+
+const { ethers, network } = hre;
+
+/**
+ * Resolves the SimpleSwap address for the current network
+ * @returns {string} SimpleSwap address
+ */
+const resolveAddress = () => {
+  if (process.env.SIMPLE_SWAP_ADDRESS) return process.env.SIMPLE_SWAP_ADDRESS;
+  const manifest = require(path.join(
+    __dirname,
+    "..",
+    "deployments",
+    `${network.name}.json`
+  ));
+  return manifest.contracts.SimpleSwap.address;
+};
+
+/**
+ * Indexes, persists and verifies
+ * @returns {Promise<number>} Process exit code (1 on reserve mismatch)
+ */
+const main = async () => {
+  const simpleSwap = await ethers.getContractAt("SimpleSwap", resolveAddress());
+  const indexer = new SimpleSwapIndexer(simpleSwap, {
+    storePath: path.join(
+      __dirname,
+      "..",
+      "indexer",
+      "data",
+      `${network.name}.json`
+    ),
+    startBlock: Number(process.env.INDEXER_START_BLOCK ?? 0),
+  });
+
+  const state = await indexer.update();
+  console.log(
+    `✔ Indexed ${Object.keys(state.pools).length} pools up to block ${
+      state.lastBlock
+    }`
+  );
+
+  const mismatches = await indexer.verify();
+  for (const { pool, indexed, onChain } of mismatches) {
+    console.error(`✘ ${pool}: indexed ${indexed} vs on-chain ${onChain}`);
+  }
+  return mismatches.length === 0 ? 0 : 1;
+};
+
+main()
+  .then((code) => process.exit(code))
+  .catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
@@ -0,0 +1,128 @@
+/**
+ * @file Typed JavaScript errors for SimpleSwap custom errors
+ * @description Turns revert data into instances callers can match with
+ * `instanceof` instead of comparing selectors or strings
+ * @module SimpleSwapErrors
+ */
+
+/**
+ * Base class for every decoded SimpleSwap revert
+ * @property {string} errorName - Solidity custom error name
+ * @property {Array} args - Decoded custom error arguments
+ * @property {Error} cause - Original provider or contract error
+ */
+class SimpleSwapError extends Error {
+  constructor(errorName, args = [], cause) {
+    super(`SimpleSwap reverted with ${errorName}(${args.join(", ")})`);
+    this.name = "SimpleSwapError";
+    this.errorName = errorName;
+    this.args = args;
+    this.cause = cause;
+  }
+}
+
+/**
+ * Thrown when an amount falls below the caller's minimum (slippage)
+ * @property {string} tokenName - Which amount failed ("Output", "TokenA", ...)
+ * @property {bigint} minAmount - Minimum the caller accepted
+ * @property {bigint} actualAmount - Amount the pool would have delivered
+ */
+class BelowMinimumAmountError extends SimpleSwapError {
+  constructor(args, cause) {
+    super("BelowMinimumAmount", args, cause);
+    this.name = "BelowMinimumAmountError";
+    [this.tokenName, this.minAmount, this.actualAmount] = args;
+  }
+}
+
+/**
+ * Thrown when a required amount exceeds the caller's maximum
+ * @property {string} tokenName - Which amount failed ("Input", ...)
+ * @property {bigint} maxAmount - Maximum the caller accepted
+ * @property {bigint} actualAmount - Amount the pool would have required
+ */
+class AboveMaximumAmountError extends SimpleSwapError {
+  constructor(args, cause) {
+    super("AboveMaximumAmount", args, cause);
+    this.name = "AboveMaximumAmountError";
+    [this.tokenName, this.maxAmount, this.actualAmount] = args;
+  }
+}
+
+/** Thrown when a pool cannot cover the requested operation */
+class InsufficientLiquidityError extends SimpleSwapError {
+  constructor(args, cause) {
+    super("InsufficientLiquidity", args, cause);
+    this.name = "InsufficientLiquidityError";
+  }
+}
+
+/** Thrown when the transaction deadline has expired */
+class DeadlinePassedError extends SimpleSwapError {
+  constructor(args, cause) {
+    super("DeadlinePassed", args, cause);
+    this.name = "DeadlinePassedError";
+  }
+}
+
+/** Custom errors with a dedicated class */
+const ERROR_CLASSES = {
+  BelowMinimumAmount: BelowMinimumAmountError,
+  AboveMaximumAmount: AboveMaximumAmountError,
+  InsufficientLiquidity: InsufficientLiquidityError,
+  DeadlinePassed: DeadlinePassedError,
+};
+
+/**
+ * Finds revert data on an ethers error, including nested provider errors
+ * @param {Error} error - Error thrown by ethers
+ * @returns {string|null} Hex revert data, if any
+ */
+const findRevertData = (error) => {
+  const candidates = [
+    error?.data,
+    error?.data?.data,
+    error?.error?.data,
+    error?.info?.error?.data,
+  ];
+  return (
+    candidates.find(
+      (data) => typeof data === "string" && data.startsWith("0x")
+    ) ?? null
+  );
+};
+
+/**
+ * Converts an ethers error into a typed SimpleSwapError when possible
+ * @param {Error} error - Error thrown by a call or transaction
+ * @param {Interface} iface - SimpleSwap contract interface
+ * @returns {Error} Typed error, or the original error if it is not a custom
+ * SimpleSwap revert
+ */
+const decodeError = (error, iface) => {
+  const data = findRevertData(error);
+  if (!data) return error;
+
+  let parsed;
+  try {
+    parsed = iface.parseError(data);
+  } catch {
+    return error;
+  }
+  if (!parsed) return error;
+
+  const args = [...parsed.args];
+  const ErrorClass = ERROR_CLASSES[parsed.name];
+  return ErrorClass
+    ? new ErrorClass(args, error)
+    : new SimpleSwapError(parsed.name, args, error);
+};
+
+module.exports = {
+  SimpleSwapError,
+  BelowMinimumAmountError,
+  AboveMaximumAmountError,
+  InsufficientLiquidityError,
+  DeadlinePassedError,
+  decodeError,
+};
@@ -0,0 +1,377 @@
+const { Contract } = require("ethers");
+const math = require("./math");
+const errors = require("./errors");
+
+/**
+ * @file JavaScript SDK for SimpleSwap
+ * @description Wraps an ethers v6 SimpleSwap contract with off-chain quotes
+ * that match the on-chain math, slippage handling, automatic approvals and
+ * typed errors for custom reverts
+ * @module SimpleSwapSDK
+ *
+ * @example
+ * const { SimpleSwapSDK } = require("./sdk");
+ * const sdk = new SimpleSwapSDK(simpleSwap, { slippageBps: 50 });
+ * const quote = await sdk.quoteSwap(amountIn, [tokenA, tokenB]);
+ * await sdk.swapExactTokensForTokens(amountIn, [tokenA, tokenB]);
+ */
+
+/** Minimal ERC20 surface used for allowances */
+const ERC20_ABI = [
+  "function allowance(address owner, address spender) view returns (uint256)",
+  "function approve(address spender, uint256 amount) returns (bool)",
+];
+
+/** Minimal LP token surface used for supply lookups */
+const LP_ABI = ["function totalSupply() view returns (uint256)"];
+
+/** Values of the ISimpleSwap.PoolType enum */
+const POOL_TYPE = Object.freeze({ ConstantProduct: 0n, Stable: 1n });
+
+/** Default slippage tolerance (0.50%) */
+const DEFAULT_SLIPPAGE_BPS = 50n;
+
+/** Default deadline offset in seconds (20 minutes) */
+const DEFAULT_DEADLINE_SECONDS = 1200;
+
+/**
+ * Resolves a token given as a contract or an address
+ * @param {Contract|string} token - Token contract or address
+ * @returns {string} Token address
+ */
+const toAddress = (token) => (typeof token === "string" ? token : token.target);
+
+class SimpleSwapSDK {
+  /**
+   * @param {Contract} simpleSwap - SimpleSwap contract connected to a signer
+   * @param {Object} [options] - SDK defaults
+   * @param {bigint|number} [options.slippageBps=50] - Slippage tolerance in bps
+   * @param {number} [options.deadlineSeconds=1200] - Deadline offset in seconds
+   */
+  constructor(simpleSwap, options = {}) {
+    this.simpleSwap = simpleSwap;
+    this.runner = simpleSwap.runner;
+    this.slippageBps = BigInt(options.slippageBps ?? DEFAULT_SLIPPAGE_BPS);
+    this.deadlineSeconds = options.deadlineSeconds ?? DEFAULT_DEADLINE_SECONDS;
+
+    if (this.slippageBps < 0n || this.slippageBps > math.BPS_DENOMINATOR) {
+      throw new RangeError("slippageBps must be between 0 and 10000");
+    }
+  }
+
+  // ========== HELPERS ==========
+
+  /**
+   * Sorts two token addresses the way SimpleSwap keys its pools
+   * @param {Contract|string} tokenA - First token
+   * @param {Contract|string} tokenB - Second token
+   * @returns {string[]} [token0, token1] with token0 < token1
+   */
+  static sortTokens(tokenA, tokenB) {
+    const [a, b] = [toAddress(tokenA), toAddress(tokenB)];
+    return BigInt(a) < BigInt(b) ? [a, b] : [b, a];
+  }
+
+  /**
+   * Computes a deadline relative to the latest block timestamp
+   * @dev Uses chain time rather than wall-clock time, so it stays valid on
+   * networks whose clock has been moved
+   * @param {number} [seconds] - Offset in seconds (defaults to the SDK setting)
+   * @returns {Promise<number>} Unix timestamp
+   */
+  async getDeadline(seconds = this.deadlineSeconds) {
+    const block = await this.runner.provider.getBlock("latest");
+    return block.timestamp + seconds;
+  }
+
+  /**
+   * Approves SimpleSwap for `amount` if the current allowance is lower
+   * @param {Contract|string} token - Token to approve
+   * @param {bigint} amount - Allowance required
+   * @returns {Promise<TransactionResponse|null>} Approval tx, or null if none was needed
+   */
+  async ensureAllowance(token, amount) {
+    const erc20 = new Contract(toAddress(token), ERC20_ABI, this.runner);
+    const owner = await this.runner.getAddress();
+    const allowance = await erc20.allowance(owner, this.simpleSwap.target);
+    if (allowance >= amount) return null;
+
+    const tx = await erc20.approve(this.simpleSwap.target, amount);
+    await tx.wait();
+    return tx;
+  }
+
+  /**
+   * Sends a SimpleSwap transaction, rethrowing custom reverts as typed errors
+   * @param {string} method - Contract method name
+   * @param {Array} args - Method arguments
+   * @returns {Promise<TransactionResponse>} Transaction response
+   */
+  async send(method, args) {
+    try {
+      return await this.simpleSwap[method](...args);
+    } catch (error) {
+      throw errors.decodeError(error, this.simpleSwap.interface);
+    }
+  }
+
+  /**
+   * Reads pool state in the given token order
+   * @param {Contract|string} tokenA - First token
+   * @param {Contract|string} tokenB - Second token
+   * @returns {Promise<{reserveA: bigint, reserveB: bigint, totalSupply: bigint, protocolFee: bigint, stable: boolean}>}
+   * `protocolFee` is the LP the fee switch mints on the next deposit or
+   * burn, and `stable` tells whether the pair trades on the stable-swap curve
+   */
+  async getPoolState(tokenA, tokenB) {
+    const [a, b] = [toAddress(tokenA), toAddress(tokenB)];
+    const [[reserveA, reserveB], pair] = await Promise.all([
+      this.simpleSwap.getReserves(a, b),
+      this.simpleSwap.getPair(a, b),
+    ]);
+    if (BigInt(pair) === 0n) {
+      return {
+        reserveA,
+        reserveB,
+        totalSupply: 0n,
+        protocolFee: 0n,
+        stable: false,
+      };
+    }
+    const [totalSupply, poolType, feeTo, kLast] = await Promise.all([
+      new Contract(pair, LP_ABI, this.runner).totalSupply(),
+      this.simpleSwap.poolType(pair),
+      this.simpleSwap.feeTo(),
+      this.simpleSwap.kLast(pair),
+    ]);
+    const stable = poolType === POOL_TYPE.Stable;
+    const protocolFee =
+      BigInt(feeTo) === 0n
+        ? 0n
+        : math.protocolFeeLiquidity(
+            reserveA,
+            reserveB,
+            totalSupply,
+            kLast,
+            stable
+          );
+    return { reserveA, reserveB, totalSupply, protocolFee, stable };
+  }
+
+  // ========== QUOTES ==========
+
+  /**
+   * Quotes an exact-input swap along a path
+   * @param {bigint} amountIn - Exact input amount
+   * @param {Array<Contract|string>} path - Token path (at least 2)
+   * @param {bigint|number} [slippageBps] - Override of the SDK tolerance
+   * @returns {Promise<{amounts: bigint[], amountOut: bigint, amountOutMin: bigint}>}
+   * Hop amounts as returned by getAmountsOut, and the slippage-adjusted minimum
+   */
+  async quoteSwap(amountIn, path, slippageBps = this.slippageBps) {
+    const tokens = path.map(toAddress);
+    if (tokens.length < 2) throw new errors.SimpleSwapError("InvalidPath");
+
+    const fee = await this.simpleSwap.swapFee();
+    const amounts = [amountIn];
+    for (let i = 0; i < tokens.length - 1; i++) {
+      const { reserveA, reserveB, stable } = await this.getPoolState(
+        tokens[i],
+        tokens[i + 1]
+      );
+      if (reserveA === 0n || reserveB === 0n) {
+        throw new errors.InsufficientLiquidityError([]);
+      }
+      amounts.push(
+        math.getAmountOut(amounts[i], reserveA, reserveB, fee, stable)
+      );
+    }
+
+    const amountOut = amounts[amounts.length - 1];
+    return {
+      amounts,
+      amountOut,
+      amountOutMin: math.applySlippageDown(amountOut, BigInt(slippageBps)),
+    };
+  }
+
+  /**
+   * Quotes a deposit, including the LP tokens it will mint
+   * @param {Contract|string} tokenA - First token
+   * @param {Contract|string} tokenB - Second token
+   * @param {bigint} amountADesired - Maximum tokenA to deposit
+   * @param {bigint} amountBDesired - Maximum tokenB to deposit
+   * @param {bigint|number} [slippageBps] - Override of the SDK tolerance
+   * @returns {Promise<Object>} amountA, amountB and liquidity as addLiquidity
+   * would return them, plus amountAMin/amountBMin for the transaction
+   */
+  async quoteAddLiquidity(
+    tokenA,
+    tokenB,
+    amountADesired,
+    amountBDesired,
+    slippageBps = this.slippageBps
+  ) {
+    const { reserveA, reserveB, totalSupply, protocolFee, stable } =
+      await this.getPoolState(tokenA, tokenB);
+    const { amountA, amountB } = math.optimalDeposit(
+      amountADesired,
+      amountBDesired,
+      reserveA,
+      reserveB
+    );
+    const liquidity = math.liquidityMinted(
+      amountA,
+      amountB,
+      reserveA,
+      reserveB,
+      totalSupply + protocolFee,
+      stable
+    );
+    if (liquidity === 0n) throw new errors.InsufficientLiquidityError([]);
+
+    return {
+      amountA,
+      amountB,
+      liquidity,
+      amountAMin: math.applySlippageDown(amountA, BigInt(slippageBps)),
+      amountBMin: math.applySlippageDown(amountB, BigInt(slippageBps)),
+    };
+  }
+
+  /**
+   * Quotes a withdrawal for burning LP tokens
+   * @param {Contract|string} tokenA - First token
+   * @param {Contract|string} tokenB - Second token
+   * @param {bigint} liquidity - LP tokens to burn
+   * @param {bigint|number} [slippageBps] - Override of the SDK tolerance
+   * @returns {Promise<Object>} amountA and amountB as removeLiquidity would
+   * return them, plus amountAMin/amountBMin for the transaction
+   */
+  async quoteRemoveLiquidity(
+    tokenA,
+    tokenB,
+    liquidity,
+    slippageBps = this.slippageBps
+  ) {
+    const { reserveA, reserveB, totalSupply, protocolFee } =
+      await this.getPoolState(tokenA, tokenB);
+    if (totalSupply === 0n) throw new errors.InsufficientLiquidityError([]);
+
+    // The fee mint dilutes the burn, as in SimpleSwap._burnLiquidity
+    const { amountA, amountB } = math.withdrawalAmounts(
+      liquidity,
+      reserveA,
+      reserveB,
+      totalSupply + protocolFee
+    );
+    return {
+      amountA,
+      amountB,
+      amountAMin: math.applySlippageDown(amountA, BigInt(slippageBps)),
+      amountBMin: math.applySlippageDown(amountB, BigInt(slippageBps)),
+    };
+  }
+
+  // ========== TRANSACTIONS ==========
+
+  /**
+   * Swaps an exact input with slippage protection and automatic approval
+   * @param {bigint} amountIn - Exact input amount
+   * @param {Array<Contract|string>} path - Token path (at least 2)
+   * @param {Object} [options] - Transaction options
+   * @param {string} [options.to] - Recipient (defaults to the signer)
+   * @param {bigint|number} [options.slippageBps] - Override of the tolerance
+   * @param {number} [options.deadline] - Explicit deadline timestamp
+   * @returns {Promise<TransactionResponse>} Swap transaction
+   */
+  async swapExactTokensForTokens(amountIn, path, options = {}) {
+    const tokens = path.map(toAddress);
+    const { amountOutMin } = await this.quoteSwap(
+      amountIn,
+      tokens,
+      options.slippageBps ?? this.slippageBps
+    );
+    await this.ensureAllowance(tokens[0], amountIn);
+
+    return this.send("swapExactTokensForTokens", [
+      amountIn,
+      amountOutMin,
+      tokens,
+      options.to ?? (await this.runner.getAddress()),
+      options.deadline ?? (await this.getDeadline()),
+    ]);
+  }
+
+  /**
+   * Adds liquidity with slippage protection and automatic approvals
+   * @param {Contract|string} tokenA - First token
+   * @param {Contract|string} tokenB - Second token
+   * @param {bigint} amountADesired - Maximum tokenA to deposit
+   * @param {bigint} amountBDesired - Maximum tokenB to deposit
+   * @param {Object} [options] - Same options as swapExactTokensForTokens
+   * @returns {Promise<TransactionResponse>} Deposit transaction
+   */
+  async addLiquidity(
+    tokenA,
+    tokenB,
+    amountADesired,
+    amountBDesired,
+    options = {}
+  ) {
+    const { amountAMin, amountBMin } = await this.quoteAddLiquidity(
+      tokenA,
+      tokenB,
+      amountADesired,
+      amountBDesired,
+      options.slippageBps ?? this.slippageBps
+    );
+    await this.ensureAllowance(tokenA, amountADesired);
+    await this.ensureAllowance(tokenB, amountBDesired);
+
+    return this.send("addLiquidity", [
+      toAddress(tokenA),
+      toAddress(tokenB),
+      amountADesired,
+      amountBDesired,
+      amountAMin,
+      amountBMin,
+      options.to ?? (await this.runner.getAddress()),
+      options.deadline ?? (await this.getDeadline()),
+    ]);
+  }
+
+  /**
+   * Removes liquidity with slippage protection
+   * @param {Contract|string} tokenA - First token
+   * @param {Contract|string} tokenB - Second token
+   * @param {bigint} liquidity - LP tokens to burn
+   * @param {Object} [options] - Same options as swapExactTokensForTokens
+   * @returns {Promise<TransactionResponse>} Withdrawal transaction
+   */
+  async removeLiquidity(tokenA, tokenB, liquidity, options = {}) {
+    const { amountAMin, amountBMin } = await this.quoteRemoveLiquidity(
+      tokenA,
+      tokenB,
+      liquidity,
+      options.slippageBps ?? this.slippageBps
+    );
+
+    return this.send("removeLiquidity", [
+      toAddress(tokenA),
+      toAddress(tokenB),
+      liquidity,
+      amountAMin,
+      amountBMin,
+      options.to ?? (await this.runner.getAddress()),
+      options.deadline ?? (await this.getDeadline()),
+    ]);
+  }
+}
+
+module.exports = {
+  SimpleSwapSDK,
+  POOL_TYPE,
+  math,
+  ...errors,
+};
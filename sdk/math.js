@@ -0,0 +1,340 @@
+/**
+ * @file Off-chain replicas of the SimpleSwap pool math
+ * @description Every function mirrors its Solidity counterpart bit-for-bit
+ * using BigInt integer arithmetic, so quotes match on-chain results exactly
+ * @module SimpleSwapMath
+ */
+
+/** Basis points denominator used by swap fees and slippage */
+const BPS_DENOMINATOR = 10_000n;
+
+/** LP tokens locked forever on the first deposit of every pool */
+const MINIMUM_LIQUIDITY = 1_000n;
+
+/** Amplification coefficient `A` of every stable pool */
+const STABLE_AMPLIFICATION = 100n;
+
+/** Share of fee growth minted to the protocol is 1 / PROTOCOL_FEE_SHARE */
+const PROTOCOL_FEE_SHARE = 6n;
+
+/**
+ * Integer square root using the Babylonian method
+ * @dev Mirrors SimpleSwap._sqrt
+ * @param {bigint} y - Value to take the root of
+ * @returns {bigint} floor(sqrt(y))
+ */
+const sqrt = (y) => {
+  if (y < 2n) return y;
+  if (y < 4n) return 1n;
+  let z = y;
+  let x = (y >> 1n) + 1n;
+  while (x < z) {
+    z = x;
+    x = (y / x + x) >> 1n;
+  }
+  return z;
+};
+
+/**
+ * Computes the stable-swap invariant D of two balances
+ * @dev Mirrors SimpleSwap._stableInvariant
+ * @param {bigint} x - Balance of one token
+ * @param {bigint} y - Balance of the other token
+ * @returns {bigint} Invariant D
+ */
+const stableInvariant = (x, y) => {
+  if (x === 0n || y === 0n) return 0n;
+  const ann = STABLE_AMPLIFICATION * 4n;
+  const sum = x + y;
+  let d = sum;
+  for (let i = 0; i < 255; i++) {
+    const dP = (((d * d) / (x * 2n)) * d) / (y * 2n);
+    const previous = d;
+    d = ((ann * sum + dP * 2n) * d) / ((ann - 1n) * d + dP * 3n);
+    if ((d > previous ? d - previous : previous - d) <= 1n) return d;
+  }
+  throw new Error("InvariantNotConverged");
+};
+
+/**
+ * Solves the stable-swap invariant for one balance given the other
+ * @dev Mirrors SimpleSwap._stableBalance
+ * @param {bigint} x - Known balance
+ * @param {bigint} d - Invariant to hold
+ * @returns {bigint} Balance of the other token
+ */
+const stableBalance = (x, d) => {
+  const ann = STABLE_AMPLIFICATION * 4n;
+  const c = (((d * d) / (x * 2n)) * d) / (ann * 2n);
+  const b = x + d / ann;
+  let y = d;
+  for (let i = 0; i < 255; i++) {
+    const previous = y;
+    y = (y * y + c) / (y * 2n + b - d);
+    if ((y > previous ? y - previous : previous - y) <= 1n) return y;
+  }
+  throw new Error("InvariantNotConverged");
+};
+
+/**
+ * Computes a pool's invariant on its curve
+ * @dev Mirrors SimpleSwap._invariant: x * y, or (D / 2) ** 2 when stable
+ * @param {bigint} x - Balance of one pool token
+ * @param {bigint} y - Balance of the other pool token
+ * @param {boolean} [stable] - Whether the pool is a stable pool
+ * @returns {bigint} Pool invariant
+ */
+const invariant = (x, y, stable = false) => {
+  if (!stable) return x * y;
+  const halfD = stableInvariant(x, y) / 2n;
+  return halfD * halfD;
+};
+
+/**
+ * Calculates the equivalent amount of the other token at the pool ratio
+ * @dev Mirrors SimpleSwap._quote
+ * @param {bigint} amountA - Amount of tokenA
+ * @param {bigint} reserveA - Reserve of tokenA
+ * @param {bigint} reserveB - Reserve of tokenB
+ * @returns {bigint} Equivalent amount of tokenB
+ */
+const quote = (amountA, reserveA, reserveB) => (amountA * reserveB) / reserveA;
+
+/**
+ * Calculates the output of a single swap hop
+ * @dev Mirrors SimpleSwap._getAmountOut
+ * @param {bigint} amountIn - Input token amount
+ * @param {bigint} reserveIn - Reserve of input token
+ * @param {bigint} reserveOut - Reserve of output token
+ * @param {bigint} fee - Swap fee in basis points
+ * @param {boolean} [stable] - Whether to trade on the stable-swap curve
+ * @returns {bigint} Output token amount
+ */
+const getAmountOut = (amountIn, reserveIn, reserveOut, fee, stable = false) => {
+  if (stable) {
+    const balanceOut = stableBalance(
+      reserveIn + (amountIn * (BPS_DENOMINATOR - fee)) / BPS_DENOMINATOR,
+      stableInvariant(reserveIn, reserveOut)
+    );
+    return reserveOut > balanceOut + 1n ? reserveOut - balanceOut - 1n : 0n;
+  }
+  const amountInWithFee = amountIn * (BPS_DENOMINATOR - fee);
+  return (
+    (amountInWithFee * reserveOut) /
+    (reserveIn * BPS_DENOMINATOR + amountInWithFee)
+  );
+};
+
+/**
+ * Calculates the input required for an exact swap output, rounded up
+ * @dev Mirrors SimpleSwap._getAmountIn
+ * @param {bigint} amountOut - Desired output amount
+ * @param {bigint} reserveIn - Reserve of input token
+ * @param {bigint} reserveOut - Reserve of output token
+ * @param {bigint} fee - Swap fee in basis points
+ * @param {boolean} [stable] - Whether to trade on the stable-swap curve
+ * @returns {bigint} Required input amount
+ */
+const getAmountIn = (amountOut, reserveIn, reserveOut, fee, stable = false) => {
+  if (stable) {
+    const balanceIn = stableBalance(
+      reserveOut - amountOut - 2n,
+      stableInvariant(reserveIn, reserveOut)
+    );
+    const numerator = (balanceIn + 1n - reserveIn) * BPS_DENOMINATOR;
+    const denominator = BPS_DENOMINATOR - fee;
+    return (numerator + denominator - 1n) / denominator;
+  }
+  const numerator = reserveIn * amountOut * BPS_DENOMINATOR;
+  const denominator = (reserveOut - amountOut) * (BPS_DENOMINATOR - fee);
+  return (numerator + denominator - 1n) / denominator;
+};
+
+/**
+ * Calculates the deposit amounts that preserve the pool ratio
+ * @dev Mirrors SimpleSwap._calculateOptimalDeposit without the minimum checks
+ * @param {bigint} amountADesired - Maximum tokenA to deposit
+ * @param {bigint} amountBDesired - Maximum tokenB to deposit
+ * @param {bigint} reserveA - Reserve of tokenA
+ * @param {bigint} reserveB - Reserve of tokenB
+ * @returns {{amountA: bigint, amountB: bigint}} Amounts actually deposited
+ */
+const optimalDeposit = (amountADesired, amountBDesired, reserveA, reserveB) => {
+  if (reserveA === 0n || reserveB === 0n) {
+    return { amountA: amountADesired, amountB: amountBDesired };
+  }
+  const amountBOptimal = quote(amountADesired, reserveA, reserveB);
+  if (amountBOptimal <= amountBDesired) {
+    return { amountA: amountADesired, amountB: amountBOptimal };
+  }
+  return {
+    amountA: quote(amountBDesired, reserveB, reserveA),
+    amountB: amountBDesired,
+  };
+};
+
+/**
+ * Calculates the LP tokens minted for a deposit
+ * @dev Mirrors the first-deposit and _calculateLiquidity branches of
+ * SimpleSwap.addLiquidity
+ * @param {bigint} amountA - Deposited tokenA
+ * @param {bigint} amountB - Deposited tokenB
+ * @param {bigint} reserveA - Reserve of tokenA before the deposit
+ * @param {bigint} reserveB - Reserve of tokenB before the deposit
+ * @param {bigint} totalSupply - LP supply before the deposit
+ * @param {boolean} [stable] - Whether the pool is a stable pool
+ * @returns {bigint} LP tokens minted to the provider (0 if the deposit reverts)
+ */
+const liquidityMinted = (
+  amountA,
+  amountB,
+  reserveA,
+  reserveB,
+  totalSupply,
+  stable = false
+) => {
+  if (totalSupply === 0n) {
+    const liquidity = sqrt(invariant(amountA, amountB, stable));
+    return liquidity > MINIMUM_LIQUIDITY ? liquidity - MINIMUM_LIQUIDITY : 0n;
+  }
+  if (reserveA === 0n || reserveB === 0n) return 0n;
+  const liquidityA = (amountA * totalSupply) / reserveA;
+  const liquidityB = (amountB * totalSupply) / reserveB;
+  return liquidityA < liquidityB ? liquidityA : liquidityB;
+};
+
+/**
+ * Calculates the LP tokens the protocol fee mints before a deposit or burn
+ * @dev Mirrors SimpleSwap._mintFee with the fee switch on. Add the result
+ * to the LP supply before quoting liquidityMinted or withdrawalAmounts.
+ * @param {bigint} reserveA - Reserve of tokenA
+ * @param {bigint} reserveB - Reserve of tokenB
+ * @param {bigint} totalSupply - LP supply of the pair
+ * @param {bigint} kLast - Invariant snapshot from the last liquidity event
+ * @param {boolean} [stable] - Whether the pool is a stable pool
+ * @returns {bigint} LP tokens minted to feeTo (0 if nothing accrued)
+ */
+const protocolFeeLiquidity = (
+  reserveA,
+  reserveB,
+  totalSupply,
+  kLast,
+  stable = false
+) => {
+  if (kLast === 0n) return 0n;
+  const rootK = sqrt(invariant(reserveA, reserveB, stable));
+  const rootKLast = sqrt(kLast);
+  if (rootK <= rootKLast) return 0n;
+  return (
+    (totalSupply * (rootK - rootKLast)) /
+    (rootK * (PROTOCOL_FEE_SHARE - 1n) + rootKLast)
+  );
+};
+
+/**
+ * Calculates the tokens returned for burning LP tokens
+ * @dev Mirrors SimpleSwap._calculateWithdrawalAmounts
+ * @param {bigint} liquidity - LP tokens to burn
+ * @param {bigint} reserveA - Reserve of tokenA
+ * @param {bigint} reserveB - Reserve of tokenB
+ * @param {bigint} totalSupply - LP supply of the pair
+ * @returns {{amountA: bigint, amountB: bigint}} Withdrawn amounts
+ */
+const withdrawalAmounts = (liquidity, reserveA, reserveB, totalSupply) => ({
+  amountA: (liquidity * reserveA) / totalSupply,
+  amountB: (liquidity * reserveB) / totalSupply,
+});
+
+/**
+ * Calculates how much of a single-token deposit to swap before adding liquidity
+ * @dev Mirrors SimpleSwapRouter.zapSwapAmount
+ * @param {bigint} amountIn - Total amount of the single token
+ * @param {bigint} reserveIn - Pool reserve of that token
+ * @param {bigint} fee - Swap fee in basis points
+ * @returns {bigint} Amount to swap
+ */
+const zapSwapAmount = (amountIn, reserveIn, fee) => {
+  const b = 2n * BPS_DENOMINATOR - fee;
+  const root = sqrt(
+    reserveIn *
+      (reserveIn * b * b +
+        4n * BPS_DENOMINATOR * (BPS_DENOMINATOR - fee) * amountIn)
+  );
+  return (root - reserveIn * b) / (2n * (BPS_DENOMINATOR - fee));
+};
+
+/**
+ * Lowers an amount by a slippage tolerance, rounding down
+ * @param {bigint} amount - Expected amount
+ * @param {bigint} slippageBps - Tolerance in basis points
+ * @returns {bigint} Minimum acceptable amount
+ */
+const applySlippageDown = (amount, slippageBps) =>
+  (amount * (BPS_DENOMINATOR - slippageBps)) / BPS_DENOMINATOR;
+
+/**
+ * Raises an amount by a slippage tolerance, rounding up
+ * @param {bigint} amount - Expected amount
+ * @param {bigint} slippageBps - Tolerance in basis points
+ * @returns {bigint} Maximum acceptable amount
+ */
+const applySlippageUp = (amount, slippageBps) =>
+  (amount * (BPS_DENOMINATOR + slippageBps) + BPS_DENOMINATOR - 1n) /
+  BPS_DENOMINATOR;
+
+/**
+ * Calculates the marginal price of a stable pool
+ * @dev No on-chain counterpart: getPrice returns the reserve ratio for every
+ * pool type. This is -dy/dx on the invariant
+ * ann * (x + y) + D = ann * D + D^3 / (4xy), the price an infinitesimal
+ * fee-free swap would get.
+ * @param {bigint} reserveIn - Reserve of the token priced
+ * @param {bigint} reserveOut - Reserve of the token it is priced in
+ * @returns {bigint} Price of tokenIn in tokenOut, scaled by 1e18
+ */
+const stableSpotPrice = (reserveIn, reserveOut) => {
+  const d = stableInvariant(reserveIn, reserveOut);
+  const d3 = d * d * d;
+  const curve = 4n * STABLE_AMPLIFICATION * 4n * reserveIn * reserveOut;
+  return (
+    (reserveOut * (curve * reserveIn + d3) * 10n ** 18n) /
+    (reserveIn * (curve * reserveOut + d3))
+  );
+};
+
+/**
+ * Measures how far a swap's execution price falls below a spot price
+ * @dev Both prices use getPrice's scale (tokenOut per tokenIn, times 1e18).
+ * The result includes the swap fee, and is negative when the swap executes
+ * above `spotPrice`.
+ * @param {bigint} amountIn - Input amount
+ * @param {bigint} amountOut - Output amount quoted for `amountIn`
+ * @param {bigint} spotPrice - Price of tokenIn in tokenOut, scaled by 1e18
+ * @returns {bigint} Price impact in basis points
+ */
+const priceImpactBps = (amountIn, amountOut, spotPrice) =>
+  ((spotPrice - (amountOut * 10n ** 18n) / amountIn) * BPS_DENOMINATOR) /
+  spotPrice;
+
+module.exports = {
+  BPS_DENOMINATOR,
+  MINIMUM_LIQUIDITY,
+  STABLE_AMPLIFICATION,
+  PROTOCOL_FEE_SHARE,
+  sqrt,
+  stableInvariant,
+  stableBalance,
+  invariant,
+  quote,
+  getAmountOut,
+  getAmountIn,
+  optimalDeposit,
+  liquidityMinted,
+  protocolFeeLiquidity,
+  withdrawalAmounts,
+  zapSwapAmount,
+  applySlippageDown,
+  applySlippageUp,
+  stableSpotPrice,
+  priceImpactBps,
+};
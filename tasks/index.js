@@ -0,0 +1,343 @@
+const fs = require("fs");
+const path = require("path");
+const { task, types } = require("hardhat/config");
+const { SimpleSwapSDK, POOL_TYPE, math } = require("../sdk");
+
+/**
+ * @file Hardhat tasks for trade and pool analysis
+ * @description `swap:quote` simulates a swap against live reserves (expected
+ * output, execution versus spot price, price impact and a suggested
+ * amountOutMin); `pool:inspect` prints a pool's reserves, LP supply and LP
+ * holders. Contracts and token symbols are resolved from
+ * deployments/<network>.json unless explicit addresses are given.
+ * @module AnalysisTasks
+ *
+ * @example
+ * npx hardhat swap:quote --in TKA --out TKB --amount 5000 --network localhost
+ * npx hardhat pool:inspect --token-a TKA --token-b TKB --network localhost
+ */
+
+/** Minimal ERC20 surface used to describe tokens */
+const ERC20_ABI = [
+  "function symbol() view returns (string)",
+  "function decimals() view returns (uint8)",
+];
+
+/**
+ * Reads the deployments manifest of the current network
+ * @param {HardhatRuntimeEnvironment} hre - Hardhat runtime environment
+ * @param {string} [manifestPath] - Explicit manifest location
+ * @returns {Object|null} Parsed manifest, or null when the file is missing
+ */
+const loadManifest = (hre, manifestPath) => {
+  const file =
+    manifestPath ??
+    path.join(hre.config.paths.root, "deployments", `${hre.network.name}.json`);
+  return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, "utf8")) : null;
+};
+
+/**
+ * Attaches to SimpleSwap at an explicit address or the manifest's
+ * @param {HardhatRuntimeEnvironment} hre - Hardhat runtime environment
+ * @param {string} [address] - Explicit SimpleSwap address
+ * @param {Object|null} manifest - Deployments manifest
+ * @returns {Promise<Contract>} SimpleSwap contract
+ */
+const resolveSimpleSwap = async (hre, address, manifest) => {
+  const target = address ?? manifest?.contracts.SimpleSwap?.address;
+  if (!target) {
+    throw new Error(
+      `No SimpleSwap on ${hre.network.name}: deploy it or pass --swap`
+    );
+  }
+  return hre.ethers.getContractAt("SimpleSwap", target);
+};
+
+/**
+ * Resolves a token given as an address, a manifest contract name or a symbol
+ * @dev Symbols are looked up among the manifest contracts exposing symbol()
+ * @param {HardhatRuntimeEnvironment} hre - Hardhat runtime environment
+ * @param {string} token - Address, contract name (TokenA) or symbol (TKA)
+ * @param {Object|null} manifest - Deployments manifest
+ * @returns {Promise<{address: string, symbol: string, decimals: number}>}
+ */
+const resolveToken = async (hre, token, manifest) => {
+  const { ethers } = hre;
+  let address = ethers.isAddress(token) ? token : null;
+
+  const entries = Object.entries(manifest?.contracts ?? {});
+  for (const [name, entry] of address ? [] : entries) {
+    if (name === token) {
+      address = entry.address;
+      break;
+    }
+    if (!entry.abi?.some((item) => item.name === "symbol")) continue;
+
+    // Entries of other chains or redeployed contracts may not answer
+    const contract = new ethers.Contract(
+      entry.address,
+      ERC20_ABI,
+      ethers.provider
+    );
+    const symbol = await contract.symbol().catch(() => null);
+    if (symbol?.toLowerCase() === token.toLowerCase()) {
+      address = entry.address;
+      break;
+    }
+  }
+  if (!address) throw new Error(`Unknown token ${token}: pass its address`);
+
+  const contract = new ethers.Contract(address, ERC20_ABI, ethers.provider);
+  const [symbol, decimals] = await Promise.all([
+    contract.symbol(),
+    contract.decimals(),
+  ]);
+  return { address, symbol, decimals: Number(decimals) };
+};
+
+/**
+ * Formats a 1e18-scaled price of `base` in `quote` in whole-token units
+ * @param {HardhatRuntimeEnvironment} hre - Hardhat runtime environment
+ * @param {bigint} price - Raw price, as returned by getPrice
+ * @param {Object} base - Token being priced
+ * @param {Object} quote - Token the price is expressed in
+ * @returns {string} Human-readable price
+ */
+const formatPrice = (hre, price, base, quote) =>
+  hre.ethers.formatUnits(
+    price * 10n ** BigInt(base.decimals),
+    18 + quote.decimals
+  );
+
+/**
+ * Formats basis points as a percentage
+ * @param {bigint} bps - Value in basis points
+ * @returns {string} Percentage with two decimals
+ */
+const formatBps = (bps) => `${(Number(bps) / 100).toFixed(2)}%`;
+
+/**
+ * Simulates an exact-input swap on a single pool
+ * @dev Quotes from getReserves with the SDK math, so stable pools use their
+ * own curve. Price impact is measured against the spot price and includes
+ * the swap fee. The spot price is getPrice for constant product pools and
+ * the curve's marginal price for stable pools, whose reserve ratio says
+ * little about what a swap gets.
+ * @param {HardhatRuntimeEnvironment} hre - Hardhat runtime environment
+ * @param {Object} args - Task arguments
+ * @param {string} args.in - Input token (address, manifest name or symbol)
+ * @param {string} args.out - Output token
+ * @param {string} args.amount - Input amount in whole tokens
+ * @param {number} [args.slippageBps=50] - Tolerance for amountOutMin
+ * @param {string} [args.swap] - Explicit SimpleSwap address
+ * @param {string} [args.manifest] - Explicit manifest location
+ * @returns {Promise<Object>} Tokens, reserves, amounts, prices (1e18
+ * scale), price impact and amountOutMin
+ */
+const quoteSwap = async (hre, args) => {
+  const manifest = loadManifest(hre, args.manifest);
+  const simpleSwap = await resolveSimpleSwap(hre, args.swap, manifest);
+  const tokenIn = await resolveToken(hre, args.in, manifest);
+  const tokenOut = await resolveToken(hre, args.out, manifest);
+  const slippageBps = BigInt(args.slippageBps ?? 50);
+
+  const sdk = new SimpleSwapSDK(simpleSwap);
+  const {
+    reserveA: reserveIn,
+    reserveB: reserveOut,
+    stable,
+  } = await sdk.getPoolState(tokenIn.address, tokenOut.address);
+  if (reserveIn === 0n || reserveOut === 0n) {
+    throw new Error(`No liquidity for ${tokenIn.symbol}/${tokenOut.symbol}`);
+  }
+
+  const amountIn = hre.ethers.parseUnits(args.amount, tokenIn.decimals);
+  const fee = await simpleSwap.swapFee();
+  const amountOut = math.getAmountOut(
+    amountIn,
+    reserveIn,
+    reserveOut,
+    fee,
+    stable
+  );
+  const spotPrice = stable
+    ? math.stableSpotPrice(reserveIn, reserveOut)
+    : await simpleSwap.getPrice(tokenIn.address, tokenOut.address);
+
+  return {
+    tokenIn,
+    tokenOut,
+    reserveIn,
+    reserveOut,
+    stable,
+    amountIn,
+    amountOut,
+    spotPrice,
+    executionPrice: (amountOut * 10n ** 18n) / amountIn,
+    priceImpactBps: math.priceImpactBps(amountIn, amountOut, spotPrice),
+    slippageBps,
+    amountOutMin: math.applySlippageDown(amountOut, slippageBps),
+  };
+};
+
+/**
+ * Reads a pool's reserves, LP supply and LP holders
+ * @dev Holders are collected from the LP token's Transfer events since
+ * `fromBlock` and sorted by balance; shares are in basis points of supply
+ * @param {HardhatRuntimeEnvironment} hre - Hardhat runtime environment
+ * @param {Object} args - Task arguments
+ * @param {string} args.tokenA - First token (address, manifest name or symbol)
+ * @param {string} args.tokenB - Second token
+ * @param {number} [args.fromBlock=0] - First block scanned for holders
+ * @param {string} [args.swap] - Explicit SimpleSwap address
+ * @param {string} [args.manifest] - Explicit manifest location
+ * @returns {Promise<Object>} Tokens, LP token, reserves, supply, pool type
+ * and holders with balance and shareBps
+ */
+const inspectPool = async (hre, args) => {
+  const manifest = loadManifest(hre, args.manifest);
+  const simpleSwap = await resolveSimpleSwap(hre, args.swap, manifest);
+  const tokenA = await resolveToken(hre, args.tokenA, manifest);
+  const tokenB = await resolveToken(hre, args.tokenB, manifest);
+
+  const pair = await simpleSwap.getPair(tokenA.address, tokenB.address);
+  if (BigInt(pair) === 0n) {
+    throw new Error(`No pool for ${tokenA.symbol}/${tokenB.symbol}`);
+  }
+  const lpToken = await hre.ethers.getContractAt("SimpleSwapLP", pair);
+  const [[reserveA, reserveB], totalSupply, poolType] = await Promise.all([
+    simpleSwap.getReserves(tokenA.address, tokenB.address),
+    lpToken.totalSupply(),
+    simpleSwap.poolType(pair),
+  ]);
+
+  const transfers = await lpToken.queryFilter(
+    lpToken.filters.Transfer(),
+    args.fromBlock ?? 0
+  );
+  const accounts = [...new Set(transfers.map((event) => event.args.to))];
+  const holders = [];
+  for (const address of accounts) {
+    const balance = await lpToken.balanceOf(address);
+    if (balance === 0n) continue;
+    holders.push({
+      address,
+      balance,
+      shareBps: (balance * math.BPS_DENOMINATOR) / totalSupply,
+    });
+  }
+  holders.sort((a, b) =>
+    a.balance === b.balance ? 0 : b.balance > a.balance ? 1 : -1
+  );
+
+  return {
+    tokenA,
+    tokenB,
+    lpToken: pair,
+    reserveA,
+    reserveB,
+    totalSupply,
+    stable: poolType === POOL_TYPE.Stable,
+    holders,
+  };
+};
+
+task("swap:quote", "Simulates a swap against live reserves")
+  .addParam("in", "Input token: symbol, manifest contract name or address")
+  .addParam("out", "Output token: symbol, manifest contract name or address")
+  .addParam("amount", "Input amount in whole tokens (e.g. 5000)")
+  .addOptionalParam(
+    "slippageBps",
+    "Tolerance of the suggested amountOutMin, in basis points",
+    50,
+    types.int
+  )
+  .addOptionalParam("swap", "SimpleSwap address (defaults to the manifest)")
+  .addOptionalParam("manifest", "Manifest path (deployments/<network>.json)")
+  .setAction(async (args, hre) => {
+    const quote = await quoteSwap(hre, args);
+    const { tokenIn, tokenOut } = quote;
+    const format = (amount, token) =>
+      `${hre.ethers.formatUnits(amount, token.decimals)} ${token.symbol}`;
+    const pair = `${tokenOut.symbol} per ${tokenIn.symbol}`;
+
+    console.log(
+      `Swap ${format(quote.amountIn, tokenIn)} for ${tokenOut.symbol}` +
+        (quote.stable ? " (stable pool)" : "")
+    );
+    console.log(
+      `  Reserves         ${format(quote.reserveIn, tokenIn)} / ${format(
+        quote.reserveOut,
+        tokenOut
+      )}`
+    );
+    console.log(`  Expected output  ${format(quote.amountOut, tokenOut)}`);
+    console.log(
+      `  Spot price       ${formatPrice(
+        hre,
+        quote.spotPrice,
+        tokenIn,
+        tokenOut
+      )} ${pair}`
+    );
+    console.log(
+      `  Execution price  ${formatPrice(
+        hre,
+        quote.executionPrice,
+        tokenIn,
+        tokenOut
+      )} ${pair}`
+    );
+    console.log(
+      `  Price impact     ${formatBps(
+        quote.priceImpactBps
+      )} (swap fee included)`
+    );
+    console.log(
+      `  amountOutMin     ${format(
+        quote.amountOutMin,
+        tokenOut
+      )} at ${formatBps(quote.slippageBps)} slippage`
+    );
+    return quote;
+  });
+
+task("pool:inspect", "Prints a pool's reserves, LP supply and LP holders")
+  .addParam("tokenA", "First token: symbol, manifest contract name or address")
+  .addParam("tokenB", "Second token: symbol, manifest contract name or address")
+  .addOptionalParam(
+    "fromBlock",
+    "First block scanned for LP holders",
+    0,
+    types.int
+  )
+  .addOptionalParam("swap", "SimpleSwap address (defaults to the manifest)")
+  .addOptionalParam("manifest", "Manifest path (deployments/<network>.json)")
+  .setAction(async (args, hre) => {
+    const pool = await inspectPool(hre, args);
+    const { tokenA, tokenB } = pool;
+    const format = (amount, decimals = 18) =>
+      hre.ethers.formatUnits(amount, decimals);
+
+    console.log(
+      `Pool ${tokenA.symbol}/${tokenB.symbol} (${
+        pool.stable ? "stable" : "constant product"
+      }), LP token ${pool.lpToken}`
+    );
+    console.log(
+      `  Reserves   ${format(pool.reserveA, tokenA.decimals)} ${
+        tokenA.symbol
+      } / ${format(pool.reserveB, tokenB.decimals)} ${tokenB.symbol}`
+    );
+    console.log(`  LP supply  ${format(pool.totalSupply)}`);
+    console.table(
+      pool.holders.map(({ address, balance, shareBps }) => ({
+        holder: address,
+        balance: format(balance),
+        share: formatBps(shareBps),
+      }))
+    );
+    return pool;
+  });
+
+module.exports = { quoteSwap, inspectPool };
@@ -1,12 +1,20 @@
 const { expect } = require("chai");
 const { ethers } = require("hardhat");
 const { anyValue } = require("@nomicfoundation/hardhat-chai-matchers/withArgs");
+const {
+  time,
+  takeSnapshot,
+} = require("@nomicfoundation/hardhat-network-helpers");
 const {
   toEth,
   getDeadline,
   approveMax,
   deployToken,
+  getLPToken,
+  signPermit,
 } = require("./utils/helpers");
+const { sqrt, stableInvariant } = require("../sdk/math");
+const { SimpleSwapSDK, POOL_TYPE } = require("../sdk");
 
 /**
  * @file Test suite for SimpleSwap contract
@@ -27,7 +35,7 @@ describe("SimpleSwap", () => {
   const addLiquidity = async (
     amountA = toEth(100),
     amountB = toEth(200),
-    deadline = getDeadline()
+    deadline
   ) => {
     return simpleSwap.addLiquidity(
       tokenA.target,
@@ -37,7 +45,7 @@ describe("SimpleSwap", () => {
       0,
       0,
       owner.address,
-      deadline
+      deadline ?? (await getDeadline())
     );
   };
 
@@ -55,7 +63,7 @@ describe("SimpleSwap", () => {
     minA = 0,
     minB = 0,
     recipient = owner.address,
-    deadline = getDeadline()
+    deadline
   ) => {
     return simpleSwap.removeLiquidity(
       tokenA.target,
@@ -64,7 +72,26 @@ describe("SimpleSwap", () => {
       minA,
       minB,
       recipient,
-      deadline
+      deadline ?? (await getDeadline())
+    );
+  };
+
+  /**
+   * Removes liquidity from an arbitrary token pair pool
+   * @param {Contract} first - First token of the pair
+   * @param {Contract} second - Second token of the pair
+   * @param {BigNumber} liquidity - Amount of LP tokens to burn
+   * @returns {Promise<ContractTransaction>} Transaction response
+   */
+  const removeLiquidityFrom = async (first, second, liquidity) => {
+    return simpleSwap.removeLiquidity(
+      first.target,
+      second.target,
+      liquidity,
+      0,
+      0,
+      owner.address,
+      await getDeadline()
     );
   };
 
@@ -82,14 +109,14 @@ describe("SimpleSwap", () => {
     minOut,
     path,
     recipient = owner.address,
-    deadline = getDeadline()
+    deadline
   ) => {
     return simpleSwap.swapExactTokensForTokens(
       amountIn,
       minOut,
       path,
       recipient,
-      deadline
+      deadline ?? (await getDeadline())
     );
   };
 
@@ -136,11 +163,13 @@ describe("SimpleSwap", () => {
 
   describe("Initialization", () => {
     /**
-     * @test Verifies correct initialization of LP token metadata
+     * @test Verifies no pair exists before the first deposit
      */
-    it("should set correct LP token name and symbol", async () => {
-      expect(await simpleSwap.name()).to.equal("SimpleSwap LP");
-      expect(await simpleSwap.symbol()).to.equal("SS-LP");
+    it("should start with an empty pair registry", async () => {
+      expect(await simpleSwap.allPairsLength()).to.equal(0);
+      expect(
+        await simpleSwap.getPair(tokenA.target, tokenB.target)
+      ).to.equal(ethers.ZeroAddress);
     });
   });
 
@@ -162,11 +191,26 @@ describe("SimpleSwap", () => {
         );
     });
 
+    /**
+     * @test Verifies the pair's LP token is deployed with correct metadata
+     */
+    it("should deploy an LP token for the new pair", async () => {
+      const lpToken = await getLPToken(simpleSwap, tokenA, tokenB);
+
+      expect(await lpToken.name()).to.equal("SimpleSwap LP");
+      expect(await lpToken.symbol()).to.equal("SS-LP");
+      expect(await lpToken.swap()).to.equal(simpleSwap.target);
+      expect(await simpleSwap.allPairs(0)).to.equal(lpToken.target);
+      expect(
+        await simpleSwap.getPair(tokenB.target, tokenA.target)
+      ).to.equal(lpToken.target);
+    });
+
     /**
      * @test Verifies proper validation of invalid parameters
      */
     it("should revert on invalid parameters", async () => {
-      const expired = getDeadline(-100);
+      const expired = await getDeadline(-100);
 
       // Test identical tokens
       await expect(
@@ -178,7 +222,7 @@ describe("SimpleSwap", () => {
           0,
           0,
           owner.address,
-          getDeadline()
+          await getDeadline()
         )
       ).to.be.revertedWithCustomError(simpleSwap, "IdenticalTokens");
 
@@ -192,7 +236,7 @@ describe("SimpleSwap", () => {
           0,
           0,
           owner.address,
-          getDeadline()
+          await getDeadline()
         )
       ).to.be.revertedWithCustomError(simpleSwap, "ZeroAmount");
 
@@ -232,7 +276,7 @@ describe("SimpleSwap", () => {
           toEth(101),
           0,
           owner.address,
-          getDeadline()
+          await getDeadline()
         )
       ).to.be.revertedWithCustomError(simpleSwap, "BelowMinimumAmount");
 
@@ -246,7 +290,7 @@ describe("SimpleSwap", () => {
           0,
           toEth(201),
           owner.address,
-          getDeadline()
+          await getDeadline()
         )
       ).to.be.revertedWithCustomError(simpleSwap, "BelowMinimumAmount");
     });
@@ -267,7 +311,7 @@ describe("SimpleSwap", () => {
         0,
         0,
         owner.address,
-        getDeadline()
+        await getDeadline()
       );
       await expect(tx).to.emit(simpleSwap, "LiquidityAdded");
     });
@@ -292,7 +336,7 @@ describe("SimpleSwap", () => {
      * @test Verifies proper validation of invalid swap conditions
      */
     it("should revert on invalid swap paths or conditions", async () => {
-      const expired = getDeadline(-100);
+      const expired = await getDeadline(-100);
       const newToken = await deployToken("TokenA", owner.address);
 
       // Test invalid path (only 1 token)
@@ -345,22 +389,29 @@ describe("SimpleSwap", () => {
         swapTokens(toEth(100), expectedOut + 1n, [tokenA.target, tokenB.target])
       ).to.be.revertedWithCustomError(simpleSwap, "BelowMinimumAmount");
 
-      // Verify output calculation is correct
-      const manualOut = (toEth(100) * reserveB) / (reserveA + toEth(100));
+      // Verify output calculation is correct (0.30% fee kept in the pool)
+      const amountInWithFee = toEth(100) * 9970n;
+      const manualOut =
+        (amountInWithFee * reserveB) / (reserveA * 10000n + amountInWithFee);
       expect(expectedOut).to.equal(manualOut);
     });
   });
 
   describe("Remove Liquidity", () => {
+    let lpToken;
+
     // Add initial liquidity before each removal test
-    beforeEach(async () => await addLiquidity());
+    beforeEach(async () => {
+      await addLiquidity();
+      lpToken = await getLPToken(simpleSwap, tokenA, tokenB);
+    });
 
     /**
      * @test Verifies successful liquidity removal
      */
     it("should remove liquidity successfully", async () => {
       // Get current LP token balance
-      const lp = await simpleSwap.balanceOf(owner.address);
+      const lp = await lpToken.balanceOf(owner.address);
 
       // Remove half of liquidity
       const tx = await removeLiquidity(lp / 2n);
@@ -371,7 +422,7 @@ describe("SimpleSwap", () => {
      * @test Verifies proper validation of invalid removal cases
      */
     it("should handle invalid removal cases", async () => {
-      const lp = await simpleSwap.balanceOf(owner.address);
+      const lp = await lpToken.balanceOf(owner.address);
 
       // Test zero amount
       await expect(removeLiquidity(0)).to.be.revertedWithCustomError(
@@ -396,7 +447,7 @@ describe("SimpleSwap", () => {
      * @test Verifies minimum amount validation on removal
      */
     it("should validate minimum amounts on removal", async () => {
-      const lp = await simpleSwap.balanceOf(owner.address);
+      const lp = await lpToken.balanceOf(owner.address);
 
       // Get current reserves
       const [reserveA, reserveB] = await simpleSwap.getReserves(
@@ -405,7 +456,7 @@ describe("SimpleSwap", () => {
       );
 
       // Calculate expected amounts plus 1 to force failure
-      const total = await simpleSwap.totalSupply();
+      const total = await lpToken.totalSupply();
       const minA = (lp * reserveA) / total + 1n;
       const minB = (lp * reserveB) / total + 1n;
 
@@ -438,71 +489,411 @@ describe("SimpleSwap", () => {
       expect(await simpleSwap.paused()).to.be.false;
     });
 
-    it("should revert when non-owner tries to pause", async () => {
+    it("should revert when non-pauser tries to pause", async () => {
       await expect(simpleSwap.connect(addr1).pause())
-        .to.be.revertedWithCustomError(simpleSwap, "OwnableUnauthorizedAccount")
-        .withArgs(addr1.address);
+        .to.be.revertedWithCustomError(
+          simpleSwap,
+          "AccessControlUnauthorizedAccount"
+        )
+        .withArgs(addr1.address, await simpleSwap.PAUSER_ROLE());
+    });
+
+    it("should revert when non-guardian tries to unpause", async () => {
+      await expect(simpleSwap.connect(addr1).unpause())
+        .to.be.revertedWithCustomError(
+          simpleSwap,
+          "AccessControlUnauthorizedAccount"
+        )
+        .withArgs(addr1.address, await simpleSwap.OPERATOR_ROLE());
+    });
+
+    /**
+     * @test Verifies an operator recovers without the guardian's timelock
+     */
+    it("should let OPERATOR_ROLE unpause and reset breakers", async () => {
+      const OPERATOR_ROLE = await simpleSwap.OPERATOR_ROLE();
+      await simpleSwap.grantRole(OPERATOR_ROLE, addr1.address);
+      await simpleSwap.pause();
+
+      await expect(simpleSwap.connect(addr1).unpause()).to.emit(
+        simpleSwap,
+        "Unpaused"
+      );
+      await simpleSwap.pausePool(tokenA.target, tokenB.target);
+      await expect(
+        simpleSwap.connect(addr1).unpausePool(tokenA.target, tokenB.target)
+      ).to.emit(simpleSwap, "PoolPauseUpdated");
+      await expect(
+        simpleSwap
+          .connect(addr1)
+          .resetCircuitBreaker(tokenA.target, tokenB.target)
+      ).to.emit(simpleSwap, "CircuitBreakerReset");
+
+      // Operators cannot touch funds, fees or breaker parameters
+      await expect(
+        simpleSwap.connect(addr1).setCircuitBreaker(0, 0)
+      ).to.be.revertedWithCustomError(
+        simpleSwap,
+        "AccessControlUnauthorizedAccount"
+      );
+
+      await simpleSwap.revokeRole(OPERATOR_ROLE, addr1.address);
     });
 
-    it("should revert when non-owner tries to unpause", async () => {
+    /**
+     * @test Verifies a pauser can only pause, not unpause, withdraw or set fees
+     */
+    it("should limit PAUSER_ROLE to pausing", async () => {
+      const PAUSER_ROLE = await simpleSwap.PAUSER_ROLE();
+      const GUARDIAN_ROLE = await simpleSwap.GUARDIAN_ROLE();
+      const FEE_MANAGER_ROLE = await simpleSwap.FEE_MANAGER_ROLE();
+      await simpleSwap.grantRole(PAUSER_ROLE, addr1.address);
+
+      await expect(simpleSwap.connect(addr1).pause()).to.emit(
+        simpleSwap,
+        "Paused"
+      );
+
       await expect(simpleSwap.connect(addr1).unpause())
-        .to.be.revertedWithCustomError(simpleSwap, "OwnableUnauthorizedAccount")
-        .withArgs(addr1.address);
+        .to.be.revertedWithCustomError(
+          simpleSwap,
+          "AccessControlUnauthorizedAccount"
+        )
+        .withArgs(addr1.address, await simpleSwap.OPERATOR_ROLE());
+      await expect(
+        simpleSwap
+          .connect(addr1)
+          .emergencyWithdraw(tokenA.target, tokenB.target, addr1.address, 1, 0)
+      )
+        .to.be.revertedWithCustomError(
+          simpleSwap,
+          "AccessControlUnauthorizedAccount"
+        )
+        .withArgs(addr1.address, GUARDIAN_ROLE);
+      await expect(simpleSwap.connect(addr1).setSwapFee(10))
+        .to.be.revertedWithCustomError(
+          simpleSwap,
+          "AccessControlUnauthorizedAccount"
+        )
+        .withArgs(addr1.address, FEE_MANAGER_ROLE);
+
+      await simpleSwap.unpause();
+    });
+
+    /**
+     * @test Verifies role holders can be revoked by the admin
+     */
+    it("should stop a revoked pauser from pausing", async () => {
+      const PAUSER_ROLE = await simpleSwap.PAUSER_ROLE();
+      await simpleSwap.grantRole(PAUSER_ROLE, addr1.address);
+      await simpleSwap.revokeRole(PAUSER_ROLE, addr1.address);
+
+      await expect(simpleSwap.connect(addr1).pause())
+        .to.be.revertedWithCustomError(
+          simpleSwap,
+          "AccessControlUnauthorizedAccount"
+        )
+        .withArgs(addr1.address, PAUSER_ROLE);
     });
   });
 
   describe("Emergency Functions", () => {
-    const testAmount = toEth(100);
+    let tokenC, lpToken;
 
-    // Transfer some tokens to contract before emergency tests
-    before(async () => {
-      await tokenA.transfer(simpleSwap.target, testAmount);
+    // Dedicated A/C pool so emergency debits don't affect other suites
+    beforeEach(async () => {
+      tokenC = await deployToken("TokenB", owner.address);
+      await approveMax(tokenC, simpleSwap.target);
+      await simpleSwap.addLiquidity(
+        tokenA.target,
+        tokenC.target,
+        toEth(100),
+        toEth(100),
+        0,
+        0,
+        owner.address,
+        await getDeadline()
+      );
+      lpToken = await getLPToken(simpleSwap, tokenA, tokenC);
     });
 
     /**
-     * @test Verifies emergency withdrawal works when paused
+     * @test Verifies emergency withdraw debits the pool when paused
      */
     it("should allow emergency withdraw when paused", async () => {
       await simpleSwap.pause();
-      const balance = await tokenA.balanceOf(simpleSwap.target);
 
       await expect(
-        simpleSwap.emergencyWithdraw(tokenA.target, owner.address, balance)
-      ).to.emit(simpleSwap, "EmergencyWithdraw");
+        simpleSwap.emergencyWithdraw(
+          tokenA.target,
+          tokenC.target,
+          addr1.address,
+          toEth(40),
+          toEth(10)
+        )
+      )
+        .to.emit(simpleSwap, "EmergencyWithdraw")
+        .withArgs(
+          owner.address,
+          tokenA.target,
+          tokenC.target,
+          addr1.address,
+          toEth(40),
+          toEth(10)
+        )
+        .and.to.emit(simpleSwap, "Sync")
+        .withArgs(tokenA.target, tokenC.target, toEth(60), toEth(90));
+
+      expect(await tokenA.balanceOf(addr1.address)).to.be.gte(toEth(40));
+      expect(
+        await simpleSwap.getReserves(tokenA.target, tokenC.target)
+      ).to.deep.equal([toEth(60), toEth(90)]);
+    });
+
+    /**
+     * @test Verifies pause → withdraw → unpause → remove keeps LP claims consistent
+     */
+    it("should let LPs redeem the remaining reserves after unpause", async () => {
+      const [otherA, otherB] = await simpleSwap.getReserves(
+        tokenA.target,
+        tokenB.target
+      );
+
+      await simpleSwap.pause();
+      await simpleSwap.emergencyWithdraw(
+        tokenA.target,
+        tokenC.target,
+        addr1.address,
+        toEth(50),
+        toEth(50)
+      );
+      await simpleSwap.unpause();
+
+      // Owner holds everything except the locked minimum
+      const lp = await lpToken.balanceOf(owner.address);
+      const supply = await lpToken.totalSupply();
+      const [amountA, amountC] = await simpleSwap.removeLiquidity.staticCall(
+        tokenA.target,
+        tokenC.target,
+        lp,
+        0,
+        0,
+        owner.address,
+        await getDeadline()
+      );
+      expect(amountA).to.equal((lp * toEth(50)) / supply);
+      expect(amountC).to.equal((lp * toEth(50)) / supply);
+
+      await removeLiquidityFrom(tokenA, tokenC, lp);
+
+      // The other pool sharing tokenA is untouched and fully backed
+      expect(
+        await simpleSwap.getReserves(tokenA.target, tokenB.target)
+      ).to.deep.equal([otherA, otherB]);
+      expect(await tokenA.balanceOf(simpleSwap.target)).to.be.gte(
+        await simpleSwap.tokenReserves(tokenA.target)
+      );
+    });
+
+    /**
+     * @test Verifies pause → withdraw all → unpause → add → remove cannot
+     * hand a new deposit to the old LPs
+     */
+    it("should reject deposits into a drained pool", async () => {
+      const lp = await lpToken.balanceOf(owner.address);
+      await tokenA.transfer(addr1.address, toEth(10));
+      await tokenC.transfer(addr1.address, toEth(10));
+      await approveMax(tokenA.connect(addr1), simpleSwap.target);
+      await approveMax(tokenC.connect(addr1), simpleSwap.target);
+
+      /**
+       * Deposits 10 tokenA and 10 tokenC from addr1
+       * @returns {Promise<ContractTransaction>} Transaction response
+       */
+      const deposit = async () =>
+        simpleSwap
+          .connect(addr1)
+          .addLiquidity(
+            tokenA.target,
+            tokenC.target,
+            toEth(10),
+            toEth(10),
+            0,
+            0,
+            addr1.address,
+            await getDeadline()
+          );
+
+      await simpleSwap.pause();
+      await simpleSwap.emergencyWithdraw(
+        tokenA.target,
+        tokenC.target,
+        owner.address,
+        toEth(100),
+        toEth(100)
+      );
+      await simpleSwap.unpause();
+
+      // LP supply is still outstanding, so this is not a first deposit
+      expect(await lpToken.totalSupply()).to.be.gt(0n);
+      await expect(deposit()).to.be.revertedWithCustomError(
+        simpleSwap,
+        "InsufficientLiquidity"
+      );
+      await expect(
+        removeLiquidityFrom(tokenA, tokenC, lp)
+      ).to.be.revertedWithCustomError(simpleSwap, "InsufficientLiquidity");
+
+      expect(
+        await simpleSwap.getReserves(tokenA.target, tokenC.target)
+      ).to.deep.equal([0n, 0n]);
+    });
+
+    /**
+     * @test Verifies a pool drained on one side rejects deposits but not exits
+     */
+    it("should reject deposits into a pool drained on one side", async () => {
+      await simpleSwap.pause();
+      await simpleSwap.emergencyWithdraw(
+        tokenA.target,
+        tokenC.target,
+        owner.address,
+        toEth(100),
+        0
+      );
+      await simpleSwap.unpause();
+
+      await expect(
+        simpleSwap.addLiquidity(
+          tokenA.target,
+          tokenC.target,
+          toEth(10),
+          toEth(10),
+          0,
+          0,
+          owner.address,
+          await getDeadline()
+        )
+      ).to.be.revertedWithCustomError(simpleSwap, "InsufficientLiquidity");
+
+      const lp = await lpToken.balanceOf(owner.address);
+      const supply = await lpToken.totalSupply();
+      await expect(
+        removeLiquidityFrom(tokenA, tokenC, lp)
+      ).to.changeTokenBalance(tokenC, owner, (lp * toEth(100)) / supply);
+    });
+
+    /**
+     * @test Verifies LPs can exit a paused pool pro rata
+     */
+    it("should let LPs exit while paused", async () => {
+      await lpToken.transfer(addr1.address, toEth(10));
+      const supply = await lpToken.totalSupply();
+
+      await expect(
+        simpleSwap
+          .connect(addr1)
+          .emergencyRemoveLiquidity(
+            tokenA.target,
+            tokenC.target,
+            toEth(10),
+            addr1.address
+          )
+      ).to.be.revertedWithCustomError(simpleSwap, "ExpectedPause");
+
+      await simpleSwap.pause();
+      await simpleSwap.emergencyWithdraw(
+        tokenA.target,
+        tokenC.target,
+        owner.address,
+        toEth(100) - 1n,
+        0
+      );
 
-      // Return tokens for subsequent tests
-      await tokenA.transfer(simpleSwap.target, balance);
+      // Only dust of tokenA is left; the exit still pays out tokenC
+      await expect(
+        simpleSwap
+          .connect(addr1)
+          .emergencyRemoveLiquidity(
+            tokenA.target,
+            tokenC.target,
+            toEth(10),
+            addr1.address
+          )
+      ).to.changeTokenBalance(tokenC, addr1, (toEth(10) * toEth(100)) / supply);
     });
 
     /**
      * @test Verifies proper validation of emergency withdraw parameters
      */
     it("should revert when not paused or invalid parameters", async () => {
-      // Ensure contract is unpaused
-      if (await simpleSwap.paused()) await simpleSwap.unpause();
-
       // Test when not paused
       await expect(
-        simpleSwap.emergencyWithdraw(tokenA.target, owner.address, 100)
+        simpleSwap.emergencyWithdraw(
+          tokenA.target,
+          tokenC.target,
+          owner.address,
+          100,
+          0
+        )
       ).to.be.revertedWithCustomError(simpleSwap, "ExpectedPause");
 
       // Pause for remaining tests
       await simpleSwap.pause();
 
+      // Test non-owner caller
+      await expect(
+        simpleSwap
+          .connect(addr1)
+          .emergencyWithdraw(tokenA.target, tokenC.target, addr1.address, 100, 0)
+      ).to.be.revertedWithCustomError(
+        simpleSwap,
+        "AccessControlUnauthorizedAccount"
+      );
+
       // Test invalid token address
       await expect(
-        simpleSwap.emergencyWithdraw(ethers.ZeroAddress, owner.address, 100)
+        simpleSwap.emergencyWithdraw(
+          ethers.ZeroAddress,
+          tokenC.target,
+          owner.address,
+          100,
+          0
+        )
       ).to.be.revertedWithCustomError(simpleSwap, "InvalidTokenAddress");
 
       // Test invalid recipient
       await expect(
-        simpleSwap.emergencyWithdraw(tokenA.target, ethers.ZeroAddress, 100)
+        simpleSwap.emergencyWithdraw(
+          tokenA.target,
+          tokenC.target,
+          ethers.ZeroAddress,
+          100,
+          0
+        )
       ).to.be.revertedWithCustomError(simpleSwap, "InvalidRecipient");
 
       // Test zero amount
       await expect(
-        simpleSwap.emergencyWithdraw(tokenA.target, owner.address, 0)
+        simpleSwap.emergencyWithdraw(
+          tokenA.target,
+          tokenC.target,
+          owner.address,
+          0,
+          0
+        )
       ).to.be.revertedWithCustomError(simpleSwap, "ZeroAmount");
+
+      // Test amount above the pool's reserve
+      await expect(
+        simpleSwap.emergencyWithdraw(
+          tokenA.target,
+          tokenC.target,
+          owner.address,
+          toEth(100) + 1n,
+          0
+        )
+      ).to.be.revertedWithCustomError(simpleSwap, "InsufficientLiquidity");
     });
   });
 
@@ -554,6 +945,236 @@ describe("SimpleSwap", () => {
     });
   });
 
+  describe("TWAP Oracle", () => {
+    let tokenC, tokenD, oracleSwap, start, snapshot;
+
+    // Spot price of tokenC in tokenD at the current reserves
+    const spot = () => oracleSwap.getPrice(tokenC.target, tokenD.target);
+
+    // Rewind the chain clock so later deadlines stay valid
+    before(async () => (snapshot = await takeSnapshot()));
+    after(async () => await snapshot.restore());
+
+    // Isolated pool so every reserve change happens at a controlled timestamp
+    beforeEach(async () => {
+      tokenC = await deployToken("TokenA", owner.address);
+      tokenD = await deployToken("TokenB", owner.address);
+      oracleSwap = await SimpleSwap.deploy();
+      await approveMax(tokenC, oracleSwap.target);
+      await approveMax(tokenD, oracleSwap.target);
+
+      start = (await time.latest()) + 10;
+      await time.setNextBlockTimestamp(start);
+      await oracleSwap.addLiquidity(
+        tokenC.target,
+        tokenD.target,
+        toEth(100),
+        toEth(200),
+        0,
+        0,
+        owner.address,
+        await getDeadline(60 * 24)
+      );
+    });
+
+    /**
+     * Swaps tokenC for tokenD in the isolated pool at an exact timestamp
+     * @param {number} timestamp - Block timestamp of the swap
+     * @param {BigNumber} amountIn - Amount of tokenC to sell
+     */
+    const swapAt = async (timestamp, amountIn) => {
+      await time.setNextBlockTimestamp(timestamp);
+      await oracleSwap.swapExactTokensForTokens(
+        amountIn,
+        0,
+        [tokenC.target, tokenD.target],
+        owner.address,
+        await getDeadline(60 * 24)
+      );
+    };
+
+    /**
+     * @test Verifies accumulators advance with the previous price on every update
+     */
+    it("should accumulate prices on reserve changes", async () => {
+      const [token0, token1] =
+        BigInt(tokenC.target) < BigInt(tokenD.target)
+          ? [tokenC.target, tokenD.target]
+          : [tokenD.target, tokenC.target];
+      const price0 = await oracleSwap.getPrice(token0, token1);
+      const price1 = await oracleSwap.getPrice(token1, token0);
+
+      await swapAt(start + 50, toEth(10));
+
+      const oracle = await oracleSwap.oracles(token0, token1);
+      expect(oracle.blockTimestampLast).to.equal(start + 50);
+      expect(oracle.price0CumulativeLast).to.equal(price0 * 50n);
+      expect(oracle.price1CumulativeLast).to.equal(price1 * 50n);
+      expect(oracle.cardinality).to.equal(2);
+    });
+
+    /**
+     * @test Verifies consult returns the time-weighted average of spot prices
+     */
+    it("should return time-weighted average prices", async () => {
+      const firstPrice = await spot();
+      await swapAt(start + 100, toEth(20));
+      const secondPrice = await spot();
+      await swapAt(start + 250, toEth(30));
+      const thirdPrice = await spot();
+      await time.increaseTo(start + 400);
+
+      // Full window: 100s, 150s and 150s at each price
+      expect(
+        await oracleSwap.consult(tokenC.target, tokenD.target, 400)
+      ).to.equal((firstPrice * 100n + secondPrice * 150n + thirdPrice * 150n) / 400n);
+
+      // Window starting between observations is interpolated
+      expect(
+        await oracleSwap.consult(tokenC.target, tokenD.target, 200)
+      ).to.equal((secondPrice * 50n + thirdPrice * 150n) / 200n);
+
+      // Window inside the latest price returns that price
+      expect(
+        await oracleSwap.consult(tokenC.target, tokenD.target, 100)
+      ).to.equal(thirdPrice);
+    });
+
+    /**
+     * @test Verifies a price moved within the last block barely affects the average
+     */
+    it("should resist single-block manipulation", async () => {
+      const basePrice = await spot();
+      await time.increaseTo(start + 1000);
+
+      // Large swap pushes the spot price far away right before the read
+      await swapAt(start + 1001, toEth(500));
+      expect(await spot()).to.be.lessThan(basePrice / 10n);
+
+      const average = await oracleSwap.consult(
+        tokenC.target,
+        tokenD.target,
+        1000
+      );
+      expect(average).to.be.closeTo(basePrice, basePrice / 100n);
+    });
+
+    /**
+     * @test Verifies consult validation
+     */
+    it("should revert without enough history or on invalid input", async () => {
+      await time.increaseTo(start + 100);
+
+      await expect(oracleSwap.consult(tokenC.target, tokenD.target, 500))
+        .to.be.revertedWithCustomError(oracleSwap, "InsufficientHistory")
+        .withArgs(start, start + 100 - 500);
+
+      await expect(
+        oracleSwap.consult(tokenC.target, tokenD.target, 0)
+      ).to.be.revertedWithCustomError(oracleSwap, "ZeroAmount");
+
+      await expect(
+        oracleSwap.consult(tokenC.target, tokenC.target, 10)
+      ).to.be.revertedWithCustomError(oracleSwap, "IdenticalTokens");
+
+      await expect(
+        oracleSwap.consult(tokenC.target, tokenA.target, 10)
+      ).to.be.revertedWithCustomError(oracleSwap, "InsufficientLiquidity");
+    });
+
+    /**
+     * Makes dust swaps ten seconds apart, each writing one observation
+     * @param {number} count - Number of swaps
+     * @returns {Promise<number[]>} Timestamps of the swaps
+     */
+    const dustSwaps = async (count) => {
+      const timestamps = [];
+      for (let i = 0; i < count; i++) {
+        const timestamp = (await time.latest()) + 10;
+        await swapAt(timestamp, toEth(0.001));
+        timestamps.push(timestamp);
+      }
+      return timestamps;
+    };
+
+    /**
+     * @test Verifies the default ring only covers the last 32 updates
+     */
+    it("should only look back OBSERVATION_CARDINALITY updates by default", async () => {
+      const cardinality = await oracleSwap.OBSERVATION_CARDINALITY();
+      expect(cardinality).to.equal(32);
+
+      // Dust trades overwrite the observation written at `start`
+      const timestamps = await dustSwaps(Number(cardinality));
+      const now = await time.latest();
+
+      await expect(
+        oracleSwap.consult(tokenC.target, tokenD.target, now - start)
+      )
+        .to.be.revertedWithCustomError(oracleSwap, "InsufficientHistory")
+        .withArgs(timestamps[0], start);
+      expect(
+        await oracleSwap.consult(
+          tokenC.target,
+          tokenD.target,
+          now - timestamps[0]
+        )
+      ).to.be.closeTo(await spot(), (await spot()) / 100n);
+    });
+
+    /**
+     * @test Verifies a grown ring keeps its order across the wrap point
+     */
+    it("should keep more history once the ring grows", async () => {
+      const [token0, token1] =
+        BigInt(tokenC.target) < BigInt(tokenD.target)
+          ? [tokenC.target, tokenD.target]
+          : [tokenD.target, tokenC.target];
+
+      // Wrap the default ring first, so growth waits for its last slot
+      const timestamps = await dustSwaps(40);
+      await expect(
+        oracleSwap
+          .connect(addr1)
+          .increaseObservationCardinality(tokenD.target, tokenC.target, 48)
+      )
+        .to.emit(oracleSwap, "ObservationCardinalityIncreased")
+        .withArgs(token0, token1, 32, 48);
+      await expect(
+        oracleSwap.increaseObservationCardinality(
+          tokenC.target,
+          tokenD.target,
+          40
+        )
+      ).not.to.emit(oracleSwap, "ObservationCardinalityIncreased");
+      timestamps.push(...(await dustSwaps(50)));
+
+      const oracle = await oracleSwap.oracles(token0, token1);
+      expect(oracle.cardinality).to.equal(48);
+      expect(oracle.cardinalityNext).to.equal(48);
+
+      // 91 observations written (with `start`): the last 48 remain
+      const oldest = timestamps[42];
+      const now = await time.latest();
+      await expect(
+        oracleSwap.consult(tokenC.target, tokenD.target, now - timestamps[41])
+      )
+        .to.be.revertedWithCustomError(oracleSwap, "InsufficientHistory")
+        .withArgs(oldest, timestamps[41]);
+      expect(
+        await oracleSwap.consult(tokenC.target, tokenD.target, now - oldest)
+      ).to.be.closeTo(await spot(), (await spot()) / 100n);
+
+      await expect(
+        oracleSwap.increaseObservationCardinality(
+          tokenC.target,
+          tokenA.target,
+          64
+        )
+      ).to.be.revertedWithCustomError(oracleSwap, "InsufficientLiquidity");
+    });
+  });
+
   describe("Reserve Management", () => {
     // Add initial liquidity before reserve tests
     beforeEach(async () => await addLiquidity());
@@ -603,14 +1224,2492 @@ describe("SimpleSwap", () => {
       expect(ra).to.equal(raInv);
       expect(rb).to.equal(rbInv);
     });
-  });
 
-  describe("Edge Cases", () => {
     /**
-     * @test Verifies correct LP token minting for initial 1:1 deposit
+     * @test Verifies deposits and withdrawals credit the right reserves
+     * when tokens are passed in reverse order
      */
-    it("should mint exactly 1e18 LP tokens when adding 1e18 of both tokens to a new pool", async () => {
-      // Deploy isolated token pair
+    it("should account liquidity correctly for reversed token order", async () => {
+      const [initialA, initialB] = await simpleSwap.getReserves(
+        tokenA.target,
+        tokenB.target
+      );
+
+      // Deposit at the pool ratio with tokenB passed first
+      await simpleSwap.addLiquidity(
+        tokenB.target,
+        tokenA.target,
+        initialB / 10n,
+        initialA / 10n,
+        0,
+        0,
+        owner.address,
+        await getDeadline()
+      );
+
+      const [newA, newB] = await simpleSwap.getReserves(
+        tokenA.target,
+        tokenB.target
+      );
+      expect(newA).to.equal(initialA + initialA / 10n);
+      expect(newB).to.equal(initialB + initialB / 10n);
+
+      // Withdraw with tokenB passed first; amounts follow input order
+      const lpToken = await getLPToken(simpleSwap, tokenA, tokenB);
+      const lp = (await lpToken.balanceOf(owner.address)) / 10n;
+      const [amountB, amountA] = await simpleSwap.removeLiquidity.staticCall(
+        tokenB.target,
+        tokenA.target,
+        lp,
+        0,
+        0,
+        owner.address,
+        await getDeadline()
+      );
+      expect(amountB * newA).to.be.closeTo(amountA * newB, newA + newB);
+    });
+  });
+
+  describe("Reserve Reconciliation", () => {
+    // Balance of a token not tracked by any pool
+    const surplus = async (token) =>
+      (await token.balanceOf(simpleSwap.target)) -
+      (await simpleSwap.tokenReserves(token.target));
+
+    beforeEach(async () => await addLiquidity());
+
+    /**
+     * @test Verifies sync credits direct donations to the pool
+     */
+    it("should credit donated tokens to reserves on sync", async () => {
+      await tokenA.transfer(simpleSwap.target, toEth(10));
+      const donated = await surplus(tokenA);
+      const [initialA, initialB] = await simpleSwap.getReserves(
+        tokenA.target,
+        tokenB.target
+      );
+
+      await expect(simpleSwap.connect(addr1).sync(tokenA.target, tokenB.target))
+        .to.emit(simpleSwap, "Sync")
+        .withArgs(
+          tokenA.target,
+          tokenB.target,
+          initialA + donated,
+          initialB
+        );
+
+      expect(await surplus(tokenA)).to.equal(0);
+    });
+
+    /**
+     * @test Verifies skim sends surplus out without touching reserves
+     */
+    it("should send surplus to the recipient on skim", async () => {
+      await tokenB.transfer(simpleSwap.target, toEth(5));
+      const extra = await surplus(tokenB);
+      const reservesBefore = await simpleSwap.getReserves(
+        tokenA.target,
+        tokenB.target
+      );
+      const balanceBefore = await tokenB.balanceOf(addr1.address);
+
+      await simpleSwap.skim(tokenA.target, tokenB.target, addr1.address);
+
+      expect(await tokenB.balanceOf(addr1.address)).to.equal(
+        balanceBefore + extra
+      );
+      expect(
+        await simpleSwap.getReserves(tokenA.target, tokenB.target)
+      ).to.deep.equal(reservesBefore);
+      expect(await surplus(tokenB)).to.equal(0);
+    });
+
+    /**
+     * @test Verifies invalid reconciliation calls revert
+     */
+    it("should revert sync on missing pools and skim to zero address", async () => {
+      const tokenC = await deployToken("TokenA", owner.address);
+
+      await expect(
+        simpleSwap.sync(tokenA.target, tokenC.target)
+      ).to.be.revertedWithCustomError(simpleSwap, "InsufficientLiquidity");
+
+      await expect(
+        simpleSwap.sync(tokenA.target, tokenA.target)
+      ).to.be.revertedWithCustomError(simpleSwap, "IdenticalTokens");
+
+      await expect(
+        simpleSwap.skim(tokenA.target, tokenB.target, ethers.ZeroAddress)
+      ).to.be.revertedWithCustomError(simpleSwap, "InvalidRecipient");
+    });
+
+    /**
+     * @test Verifies a shortfall is split across every pool holding the token
+     */
+    it("should not let one pool's sync move another pool's loss", async () => {
+      const dfl = await (
+        await ethers.getContractFactory("DeflationaryToken")
+      ).deploy(owner.address);
+      await approveMax(dfl, simpleSwap.target);
+      for (const other of [tokenA, tokenB]) {
+        await simpleSwap.addLiquidity(
+          dfl.target,
+          other.target,
+          toEth(1000),
+          toEth(1000),
+          0,
+          0,
+          owner.address,
+          await getDeadline()
+        );
+      }
+      const reserveOf = async (other) =>
+        (await simpleSwap.getReserves(dfl.target, other.target))[0];
+
+      // 10% of the tracked 2000 DFL disappears from SimpleSwap
+      await dfl.deflate(simpleSwap.target, toEth(200));
+
+      // A tokenA LP syncs the other pool first: it only takes its share
+      await simpleSwap.connect(addr1).sync(dfl.target, tokenB.target);
+      expect(await reserveOf(tokenB)).to.equal(toEth(900));
+      expect(await reserveOf(tokenA)).to.equal(toEth(1000));
+
+      // The tokenA pool then takes its share of the remaining 100 of 1900
+      await simpleSwap.connect(addr1).sync(tokenA.target, dfl.target);
+      expect(await reserveOf(tokenA)).to.equal(
+        toEth(1000) - (toEth(100) * toEth(1000)) / toEth(1900)
+      );
+    });
+
+    /**
+     * @test Verifies sync cannot rewrite reserves during a pause
+     */
+    it("should reject sync while the contract or the pool is paused", async () => {
+      await simpleSwap.pause();
+      await expect(
+        simpleSwap.sync(tokenA.target, tokenB.target)
+      ).to.be.revertedWithCustomError(simpleSwap, "EnforcedPause");
+      await simpleSwap.unpause();
+
+      await simpleSwap.pausePool(tokenA.target, tokenB.target);
+      await expect(
+        simpleSwap.sync(tokenB.target, tokenA.target)
+      ).to.be.revertedWithCustomError(simpleSwap, "PoolPaused");
+      await simpleSwap.unpausePool(tokenA.target, tokenB.target);
+    });
+  });
+
+  describe("Fee-on-Transfer Tokens", () => {
+    let feeToken;
+
+    // Pool pairing a 1% fee-on-transfer token with tokenB
+    before(async () => {
+      feeToken = await deployToken("FeeOnTransferToken", owner.address);
+      await approveMax(feeToken, simpleSwap.target);
+      await simpleSwap.addLiquidity(
+        feeToken.target,
+        tokenB.target,
+        toEth(1000),
+        toEth(1000),
+        0,
+        0,
+        owner.address,
+        await getDeadline()
+      );
+    });
+
+    // Reserves must always match what the contract really holds
+    afterEach(async () => {
+      expect(await simpleSwap.tokenReserves(feeToken.target)).to.equal(
+        await feeToken.balanceOf(simpleSwap.target)
+      );
+    });
+
+    /**
+     * @test Verifies deposits are credited with the amount actually received
+     */
+    it("should credit received amounts on addLiquidity", async () => {
+      const [reserveFee] = await simpleSwap.getReserves(
+        feeToken.target,
+        tokenB.target
+      );
+      expect(reserveFee).to.equal(toEth(990));
+    });
+
+    /**
+     * @test Verifies fee-on-transfer input is quoted on the received amount
+     */
+    it("should swap fee-on-transfer input", async () => {
+      const [reserveIn, reserveOut] = await simpleSwap.getReserves(
+        feeToken.target,
+        tokenB.target
+      );
+      const received = (toEth(10) * 99n) / 100n;
+      const expectedOut = await simpleSwap.getAmountOut(
+        received,
+        reserveIn,
+        reserveOut
+      );
+      const balanceBefore = await tokenB.balanceOf(addr1.address);
+
+      await simpleSwap.swapExactTokensForTokensSupportingFeeOnTransferTokens(
+        toEth(10),
+        expectedOut,
+        [feeToken.target, tokenB.target],
+        addr1.address,
+        await getDeadline()
+      );
+
+      expect(await tokenB.balanceOf(addr1.address)).to.equal(
+        balanceBefore + expectedOut
+      );
+    });
+
+    /**
+     * @test Verifies amountOutMin applies to what the recipient receives
+     */
+    it("should check fee-on-transfer output against received amount", async () => {
+      const path = [tokenB.target, feeToken.target];
+      const [, quotedOut] = await simpleSwap.getAmountsOut(toEth(10), path);
+      const receivedOut = quotedOut - (quotedOut * 100n) / 10000n;
+
+      await expect(
+        simpleSwap.swapExactTokensForTokensSupportingFeeOnTransferTokens(
+          toEth(10),
+          quotedOut,
+          path,
+          addr1.address,
+          await getDeadline()
+        )
+      )
+        .to.be.revertedWithCustomError(simpleSwap, "BelowMinimumAmount")
+        .withArgs("Output", quotedOut, receivedOut);
+
+      await expect(
+        simpleSwap.swapExactTokensForTokensSupportingFeeOnTransferTokens(
+          toEth(10),
+          receivedOut,
+          path,
+          addr1.address,
+          await getDeadline()
+        )
+      ).to.changeTokenBalance(feeToken, addr1, receivedOut);
+    });
+
+    /**
+     * @test Verifies removal minimums apply to received amounts
+     */
+    it("should remove liquidity of fee-on-transfer tokens", async () => {
+      const lpToken = await getLPToken(simpleSwap, feeToken, tokenB);
+      const lp = (await lpToken.balanceOf(owner.address)) / 4n;
+      const [sentFee, sentB] = await simpleSwap.removeLiquidity.staticCall(
+        feeToken.target,
+        tokenB.target,
+        lp,
+        0,
+        0,
+        addr1.address,
+        await getDeadline()
+      );
+      const receivedFee = sentFee - (sentFee * 100n) / 10000n;
+
+      await expect(
+        simpleSwap.removeLiquiditySupportingFeeOnTransferTokens(
+          feeToken.target,
+          tokenB.target,
+          lp,
+          sentFee,
+          0,
+          addr1.address,
+          await getDeadline()
+        )
+      )
+        .to.be.revertedWithCustomError(simpleSwap, "BelowMinimumAmount")
+        .withArgs("TokenA", sentFee, receivedFee);
+
+      const amounts =
+        await simpleSwap.removeLiquiditySupportingFeeOnTransferTokens.staticCall(
+          feeToken.target,
+          tokenB.target,
+          lp,
+          receivedFee,
+          sentB,
+          addr1.address,
+          await getDeadline()
+        );
+      expect(amounts).to.deep.equal([receivedFee, sentB]);
+
+      await simpleSwap.removeLiquiditySupportingFeeOnTransferTokens(
+        feeToken.target,
+        tokenB.target,
+        lp,
+        receivedFee,
+        sentB,
+        addr1.address,
+        await getDeadline()
+      );
+    });
+  });
+
+  describe("Multi-hop Swaps", () => {
+    let tokenC, path;
+
+    // Create a B/C pool so A→B→C can be routed through tokenB
+    before(async () => {
+      tokenC = await deployToken("TokenB", owner.address);
+      await approveMax(tokenC, simpleSwap.target);
+      await simpleSwap.addLiquidity(
+        tokenB.target,
+        tokenC.target,
+        toEth(500),
+        toEth(500),
+        0,
+        0,
+        owner.address,
+        await getDeadline()
+      );
+      path = [tokenA.target, tokenB.target, tokenC.target];
+    });
+
+    beforeEach(async () => await addLiquidity());
+
+    /**
+     * @test Verifies a two-hop swap returns every hop amount and pays the final token
+     */
+    it("should route through an intermediate token", async () => {
+      const quoted = await simpleSwap.getAmountsOut(toEth(10), path);
+      expect(quoted.length).to.equal(3);
+
+      const amounts = await simpleSwap.swapExactTokensForTokens.staticCall(
+        toEth(10),
+        0,
+        path,
+        addr1.address,
+        await getDeadline()
+      );
+      expect(amounts).to.deep.equal(quoted);
+
+      const before = await tokenC.balanceOf(addr1.address);
+      await swapTokens(toEth(10), 0, path, addr1.address);
+      expect(await tokenC.balanceOf(addr1.address)).to.equal(
+        before + quoted[2]
+      );
+    });
+
+    /**
+     * @test Verifies one Swap event is emitted per hop
+     */
+    it("should emit a Swap event per hop", async () => {
+      const quoted = await simpleSwap.getAmountsOut(toEth(10), path);
+
+      await expect(swapTokens(toEth(10), 0, path))
+        .to.emit(simpleSwap, "Swap")
+        .withArgs(
+          owner.address,
+          tokenA.target,
+          tokenB.target,
+          quoted[0],
+          quoted[1],
+          anyValue
+        )
+        .and.to.emit(simpleSwap, "Swap")
+        .withArgs(
+          owner.address,
+          tokenB.target,
+          tokenC.target,
+          quoted[1],
+          quoted[2],
+          anyValue
+        );
+    });
+
+    /**
+     * @test Verifies reserves of every pool on the path are updated
+     */
+    it("should update reserves of every hop", async () => {
+      const [initialAB] = await simpleSwap.getReserves(
+        tokenA.target,
+        tokenB.target
+      );
+      const [initialBC, initialCB] = await simpleSwap.getReserves(
+        tokenB.target,
+        tokenC.target
+      );
+      const quoted = await simpleSwap.getAmountsOut(toEth(10), path);
+
+      await swapTokens(toEth(10), 0, path);
+
+      const [newAB] = await simpleSwap.getReserves(
+        tokenA.target,
+        tokenB.target
+      );
+      const [newBC, newCB] = await simpleSwap.getReserves(
+        tokenB.target,
+        tokenC.target
+      );
+      expect(newAB).to.equal(initialAB + toEth(10));
+      expect(newBC).to.equal(initialBC + quoted[1]);
+      expect(newCB).to.equal(initialCB - quoted[2]);
+    });
+
+    /**
+     * @test Verifies amountOutMin is only applied to the final output
+     */
+    it("should apply amountOutMin to the final output only", async () => {
+      const quoted = await simpleSwap.getAmountsOut(toEth(10), path);
+
+      await expect(swapTokens(toEth(10), quoted[2] + 1n, path))
+        .to.be.revertedWithCustomError(simpleSwap, "BelowMinimumAmount")
+        .withArgs("Output", quoted[2] + 1n, quoted[2]);
+
+      await expect(swapTokens(toEth(10), quoted[2], path)).to.not.be.reverted;
+    });
+
+    /**
+     * @test Verifies invalid hops and quote paths revert
+     */
+    it("should revert on invalid multi-hop paths", async () => {
+      await expect(
+        swapTokens(toEth(10), 0, [tokenA.target, tokenB.target, tokenB.target])
+      ).to.be.revertedWithCustomError(simpleSwap, "IdenticalTokens");
+
+      await expect(
+        swapTokens(toEth(10), 0, [tokenA.target, ethers.ZeroAddress])
+      ).to.be.revertedWithCustomError(simpleSwap, "InvalidTokenAddress");
+
+      await expect(
+        simpleSwap.getAmountsOut(toEth(10), [tokenA.target])
+      ).to.be.revertedWithCustomError(simpleSwap, "InvalidPath");
+    });
+  });
+
+  describe("Exact Output Swaps", () => {
+    const path = () => [tokenA.target, tokenB.target];
+
+    beforeEach(async () => await addLiquidity());
+
+    /**
+     * @test Verifies the exact output is paid for the quoted input
+     */
+    it("should swap for an exact output amount", async () => {
+      const [quotedIn] = await simpleSwap.getAmountsIn(toEth(5), path());
+      const balanceA = await tokenA.balanceOf(owner.address);
+      const balanceB = await tokenB.balanceOf(addr1.address);
+
+      await expect(
+        simpleSwap.swapTokensForExactTokens(
+          toEth(5),
+          quotedIn,
+          path(),
+          addr1.address,
+          await getDeadline()
+        )
+      )
+        .to.emit(simpleSwap, "Swap")
+        .withArgs(
+          owner.address,
+          tokenA.target,
+          tokenB.target,
+          quotedIn,
+          toEth(5),
+          anyValue
+        );
+
+      expect(await tokenA.balanceOf(owner.address)).to.equal(
+        balanceA - quotedIn
+      );
+      expect(await tokenB.balanceOf(addr1.address)).to.equal(
+        balanceB + toEth(5)
+      );
+    });
+
+    /**
+     * @test Verifies amountInMax is enforced
+     */
+    it("should revert when required input exceeds amountInMax", async () => {
+      const [quotedIn] = await simpleSwap.getAmountsIn(toEth(5), path());
+
+      await expect(
+        simpleSwap.swapTokensForExactTokens(
+          toEth(5),
+          quotedIn - 1n,
+          path(),
+          owner.address,
+          await getDeadline()
+        )
+      )
+        .to.be.revertedWithCustomError(simpleSwap, "AboveMaximumAmount")
+        .withArgs("Input", quotedIn - 1n, quotedIn);
+    });
+
+    /**
+     * @test Verifies getAmountIn rounds up and is the smallest sufficient input
+     */
+    it("should round getAmountIn in favor of the pool", async () => {
+      const cases = [
+        [1n, toEth(100), toEth(200)],
+        [toEth(3), toEth(100), toEth(200)],
+        [toEth(3), toEth(200), toEth(100)],
+        [12345n, 1000003n, 7000001n],
+      ];
+
+      for (const [amountOut, reserveIn, reserveOut] of cases) {
+        const amountIn = await simpleSwap.getAmountIn(
+          amountOut,
+          reserveIn,
+          reserveOut
+        );
+
+        // Paying the quoted input yields at least the requested output
+        expect(
+          await simpleSwap.getAmountOut(amountIn, reserveIn, reserveOut)
+        ).to.be.gte(amountOut);
+
+        // One wei less would short-change the pool
+        if (amountIn > 1n) {
+          expect(
+            await simpleSwap.getAmountOut(amountIn - 1n, reserveIn, reserveOut)
+          ).to.be.lessThan(amountOut);
+        }
+      }
+    });
+
+    /**
+     * @test Verifies multi-hop exact output quotes round up on every hop
+     */
+    it("should quote multi-hop inputs that cover every hop", async () => {
+      const tokenC = await deployToken("TokenB", owner.address);
+      await approveMax(tokenC, simpleSwap.target);
+      await simpleSwap.addLiquidity(
+        tokenB.target,
+        tokenC.target,
+        toEth(300),
+        toEth(100),
+        0,
+        0,
+        owner.address,
+        await getDeadline()
+      );
+      const hops = [tokenA.target, tokenB.target, tokenC.target];
+
+      const amounts = await simpleSwap.getAmountsIn(toEth(2), hops);
+      const forward = await simpleSwap.getAmountsOut(amounts[0], hops);
+      expect(forward[1]).to.be.gte(amounts[1]);
+      expect(forward[2]).to.be.gte(toEth(2));
+
+      const before = await tokenC.balanceOf(owner.address);
+      await simpleSwap.swapTokensForExactTokens(
+        toEth(2),
+        amounts[0],
+        hops,
+        owner.address,
+        await getDeadline()
+      );
+      expect(await tokenC.balanceOf(owner.address)).to.equal(
+        before + toEth(2)
+      );
+    });
+
+    /**
+     * @test Verifies quote validation mirrors getAmountOut
+     */
+    it("should revert on invalid exact output quotes", async () => {
+      await expect(
+        simpleSwap.getAmountIn(0, toEth(100), toEth(100))
+      ).to.be.revertedWithCustomError(simpleSwap, "ZeroAmount");
+
+      await expect(
+        simpleSwap.getAmountIn(toEth(100), toEth(100), toEth(100))
+      ).to.be.revertedWithCustomError(simpleSwap, "InsufficientLiquidity");
+
+      await expect(
+        simpleSwap.getAmountIn(toEth(1), 0, toEth(100))
+      ).to.be.revertedWithCustomError(simpleSwap, "InsufficientLiquidity");
+
+      await expect(
+        simpleSwap.getAmountIn(2n, ethers.MaxUint256 / 2n, toEth(100))
+      ).to.be.revertedWithCustomError(simpleSwap, "OverflowProtection");
+
+      await expect(
+        simpleSwap.getAmountsIn(toEth(1), [tokenA.target])
+      ).to.be.revertedWithCustomError(simpleSwap, "InvalidPath");
+    });
+
+    /**
+     * @test Verifies a round trip through the same pair loses value to fees
+     */
+    it("should not profit from a path that revisits a pair", async () => {
+      const before = await tokenA.balanceOf(owner.address);
+
+      await swapTokens(toEth(10), 0, [
+        tokenA.target,
+        tokenB.target,
+        tokenA.target,
+      ]);
+
+      expect(await tokenA.balanceOf(owner.address)).to.be.lessThan(before);
+    });
+  });
+
+  describe("Swap Fee", () => {
+    // Restore the default fee after each test
+    afterEach(async () => {
+      if ((await simpleSwap.swapFee()) !== 30n) await simpleSwap.setSwapFee(30);
+    });
+
+    /**
+     * @test Verifies fee defaults and owner updates
+     */
+    it("should default to 0.30% and let the owner update it", async () => {
+      expect(await simpleSwap.swapFee()).to.equal(30);
+
+      await expect(simpleSwap.setSwapFee(50))
+        .to.emit(simpleSwap, "SwapFeeUpdated")
+        .withArgs(30, 50);
+      expect(await simpleSwap.swapFee()).to.equal(50);
+    });
+
+    /**
+     * @test Verifies fee updates are capped and restricted to the fee manager
+     */
+    it("should revert on fee above cap or non-fee-manager caller", async () => {
+      const maxFee = await simpleSwap.MAX_SWAP_FEE();
+
+      await expect(simpleSwap.setSwapFee(maxFee + 1n))
+        .to.be.revertedWithCustomError(simpleSwap, "FeeTooHigh")
+        .withArgs(maxFee + 1n, maxFee);
+
+      await expect(simpleSwap.connect(addr1).setSwapFee(10))
+        .to.be.revertedWithCustomError(
+          simpleSwap,
+          "AccessControlUnauthorizedAccount"
+        )
+        .withArgs(addr1.address, await simpleSwap.FEE_MANAGER_ROLE());
+    });
+
+    /**
+     * @test Verifies quotes follow the current fee
+     */
+    it("should apply the current fee to quotes", async () => {
+      const reserve = toEth(1000);
+
+      await simpleSwap.setSwapFee(0);
+      const noFeeOut = await simpleSwap.getAmountOut(toEth(10), reserve, reserve);
+      expect(noFeeOut).to.equal((toEth(10) * reserve) / (reserve + toEth(10)));
+
+      await simpleSwap.setSwapFee(100);
+      expect(
+        await simpleSwap.getAmountOut(toEth(10), reserve, reserve)
+      ).to.be.lessThan(noFeeOut);
+    });
+
+    /**
+     * @test Verifies the Swap event reports the fee charged
+     */
+    it("should emit the fee in the Swap event", async () => {
+      await addLiquidity();
+      const [reserveA, reserveB] = await simpleSwap.getReserves(
+        tokenA.target,
+        tokenB.target
+      );
+      const out = await simpleSwap.getAmountOut(toEth(10), reserveA, reserveB);
+
+      await expect(swapTokens(toEth(10), 0, [tokenA.target, tokenB.target]))
+        .to.emit(simpleSwap, "Swap")
+        .withArgs(
+          owner.address,
+          tokenA.target,
+          tokenB.target,
+          toEth(10),
+          out,
+          (toEth(10) * 30n) / 10000n
+        );
+    });
+
+    /**
+     * @test Verifies fees accrue to LPs by growing the value of each LP token
+     */
+    it("should grow LP token value across a series of swaps", async () => {
+      await addLiquidity();
+      const lpToken = await getLPToken(simpleSwap, tokenA, tokenB);
+
+      // Value of one LP token measured as sqrt(k) per LP unit, scaled by 1e18
+      const lpValue = async () => {
+        const [reserveA, reserveB] = await simpleSwap.getReserves(
+          tokenA.target,
+          tokenB.target
+        );
+        const root = BigInt(
+          Math.floor(Math.sqrt(Number((reserveA * reserveB) / toEth(1))))
+        );
+        return (root * toEth(1) * toEth(1)) / (await lpToken.totalSupply());
+      };
+
+      let previous = await lpValue();
+      for (let i = 0; i < 4; i++) {
+        await swapTokens(toEth(20), 0, [tokenA.target, tokenB.target]);
+        await swapTokens(toEth(20), 0, [tokenB.target, tokenA.target]);
+
+        const current = await lpValue();
+        expect(current).to.be.greaterThan(previous);
+        previous = current;
+      }
+    });
+  });
+
+  describe("Protocol Fee", () => {
+    let tokenP, lpToken;
+
+    /**
+     * Deposits into the isolated tokenA/tokenP pool
+     * @param {BigNumber} amount - Amount of each token
+     * @returns {Promise<ContractTransaction>} Transaction response
+     */
+    const deposit = async (amount) =>
+      simpleSwap.addLiquidity(
+        tokenA.target,
+        tokenP.target,
+        amount,
+        amount,
+        0,
+        0,
+        owner.address,
+        await getDeadline()
+      );
+
+    /**
+     * Trades back and forth to accrue LP fees in the tokenA/tokenP pool
+     */
+    const churn = async () => {
+      for (let i = 0; i < 3; i++) {
+        await swapTokens(toEth(50), 0, [tokenA.target, tokenP.target]);
+        await swapTokens(toEth(50), 0, [tokenP.target, tokenA.target]);
+      }
+    };
+
+    // Isolated pool so fee accounting starts from a known state
+    beforeEach(async () => {
+      tokenP = await deployToken("TokenB", owner.address);
+      await approveMax(tokenP, simpleSwap.target);
+      await deposit(toEth(1000));
+      lpToken = await getLPToken(simpleSwap, tokenA, tokenP);
+    });
+
+    afterEach(async () => {
+      if ((await simpleSwap.feeTo()) !== ethers.ZeroAddress)
+        await simpleSwap.setFeeTo(ethers.ZeroAddress);
+    });
+
+    /**
+     * @test Verifies only the fee manager can set the recipient and an event is emitted
+     */
+    it("should let the fee manager set feeTo and emit FeeToUpdated", async () => {
+      await expect(simpleSwap.setFeeTo(addr2.address))
+        .to.emit(simpleSwap, "FeeToUpdated")
+        .withArgs(ethers.ZeroAddress, addr2.address);
+      expect(await simpleSwap.feeTo()).to.equal(addr2.address);
+
+      await expect(simpleSwap.connect(addr1).setFeeTo(addr1.address))
+        .to.be.revertedWithCustomError(
+          simpleSwap,
+          "AccessControlUnauthorizedAccount"
+        )
+        .withArgs(addr1.address, await simpleSwap.FEE_MANAGER_ROLE());
+    });
+
+    /**
+     * @test Verifies no protocol fee accrues while the switch is off
+     */
+    it("should charge no protocol fee while the switch is off", async () => {
+      await churn();
+      const supplyBefore = await lpToken.totalSupply();
+      const sharesBefore = await lpToken.balanceOf(owner.address);
+      await deposit(toEth(10));
+      await simpleSwap.collectProtocolFee(tokenA.target, tokenP.target);
+
+      expect(await lpToken.balanceOf(addr2.address)).to.equal(0);
+      expect(await simpleSwap.kLast(lpToken.target)).to.equal(0);
+      // Only the depositor's shares were minted
+      expect((await lpToken.totalSupply()) - supplyBefore).to.equal(
+        (await lpToken.balanceOf(owner.address)) - sharesBefore
+      );
+    });
+
+    /**
+     * @test Verifies feeTo receives 1/6 of sqrt(k) growth as LP tokens
+     */
+    it("should mint one sixth of fee growth to feeTo", async () => {
+      await simpleSwap.setFeeTo(addr2.address);
+      await deposit(toEth(1)); // Snapshots kLast
+      const kLast = await simpleSwap.kLast(lpToken.target);
+      expect(kLast).to.be.greaterThan(0);
+
+      await churn();
+      const [reserveA, reserveP] = await simpleSwap.getReserves(
+        tokenA.target,
+        tokenP.target
+      );
+      const rootK = sqrt(reserveA * reserveP);
+      const rootKLast = sqrt(kLast);
+      const supply = await lpToken.totalSupply();
+      const expected =
+        (supply * (rootK - rootKLast)) / (rootK * 5n + rootKLast);
+
+      await simpleSwap.collectProtocolFee(tokenA.target, tokenP.target);
+
+      expect(expected).to.be.greaterThan(0);
+      expect(await lpToken.balanceOf(addr2.address)).to.equal(expected);
+      expect(await simpleSwap.kLast(lpToken.target)).to.equal(
+        reserveA * reserveP
+      );
+    });
+
+    /**
+     * @test Verifies the treasury redeems its LP tokens for both assets
+     */
+    it("should let the treasury claim the accrued fee", async () => {
+      await simpleSwap.setFeeTo(addr2.address);
+      await deposit(toEth(1));
+      await churn();
+      await simpleSwap.collectProtocolFee(tokenA.target, tokenP.target);
+
+      const share = await lpToken.balanceOf(addr2.address);
+      await expect(
+        simpleSwap
+          .connect(addr2)
+          .removeLiquidity(
+            tokenA.target,
+            tokenP.target,
+            share,
+            1,
+            1,
+            addr2.address,
+            await getDeadline()
+          )
+      ).to.emit(simpleSwap, "LiquidityRemoved");
+      expect(await lpToken.balanceOf(addr2.address)).to.equal(0);
+    });
+
+    /**
+     * @test Verifies turning the switch off clears kLast and stops accrual
+     */
+    it("should stop accruing once the switch is turned off", async () => {
+      await simpleSwap.setFeeTo(addr2.address);
+      await deposit(toEth(1));
+      await churn();
+      await simpleSwap.setFeeTo(ethers.ZeroAddress);
+
+      await deposit(toEth(1));
+      expect(await simpleSwap.kLast(lpToken.target)).to.equal(0);
+      expect(await lpToken.balanceOf(addr2.address)).to.equal(0);
+    });
+  });
+
+  describe("Pool Pause and Circuit Breaker", () => {
+    let tokenP, tokenQ, snapshot;
+
+    /**
+     * Reads a pool's reserves in the given order
+     * @param {Contract} first - First token of the pool
+     * @param {Contract} second - Second token of the pool
+     * @returns {Promise<bigint[]>} [reserveFirst, reserveSecond]
+     */
+    const reservesOf = async (first, second) =>
+      simpleSwap.getReserves(first.target, second.target);
+
+    // Two isolated 1:1 pools sharing tokenA
+    before(async () => {
+      snapshot = await takeSnapshot();
+      tokenP = await deployToken("TokenB", owner.address);
+      tokenQ = await deployToken("TokenB", owner.address);
+      for (const token of [tokenP, tokenQ]) {
+        await approveMax(token, simpleSwap.target);
+        await simpleSwap.addLiquidity(
+          tokenA.target,
+          token.target,
+          toEth(1000),
+          toEth(1000),
+          0,
+          0,
+          owner.address,
+          await getDeadline()
+        );
+      }
+    });
+
+    after(async () => {
+      await snapshot.restore();
+    });
+
+    describe("Per-pool pause", () => {
+      let poolSnapshot;
+
+      beforeEach(async () => {
+        poolSnapshot = await takeSnapshot();
+      });
+
+      afterEach(async () => {
+        await poolSnapshot.restore();
+      });
+
+      /**
+       * @test Verifies a paused pool stops while others keep trading
+       */
+      it("should pause only the targeted pool", async () => {
+        const [token0, token1] =
+          tokenA.target < tokenP.target
+            ? [tokenA.target, tokenP.target]
+            : [tokenP.target, tokenA.target];
+
+        await expect(simpleSwap.pausePool(tokenP.target, tokenA.target))
+          .to.emit(simpleSwap, "PoolPauseUpdated")
+          .withArgs(token0, token1, true);
+        expect(await simpleSwap.poolPaused(token0, token1)).to.be.true;
+
+        await expect(swapTokens(toEth(1), 0, [tokenA.target, tokenP.target]))
+          .to.be.revertedWithCustomError(simpleSwap, "PoolPaused")
+          .withArgs(token0, token1);
+        await expect(
+          simpleSwap.addLiquidity(
+            tokenA.target,
+            tokenP.target,
+            toEth(1),
+            toEth(1),
+            0,
+            0,
+            owner.address,
+            await getDeadline()
+          )
+        ).to.be.revertedWithCustomError(simpleSwap, "PoolPaused");
+
+        // Unaffected pool keeps trading
+        await expect(
+          swapTokens(toEth(1), 0, [tokenA.target, tokenQ.target])
+        ).to.emit(simpleSwap, "Swap");
+
+        // Multi-hop paths through the paused pool are blocked too
+        await expect(
+          swapTokens(toEth(1), 0, [tokenQ.target, tokenA.target, tokenP.target])
+        ).to.be.revertedWithCustomError(simpleSwap, "PoolPaused");
+
+        await simpleSwap.unpausePool(tokenA.target, tokenP.target);
+        await expect(
+          swapTokens(toEth(1), 0, [tokenA.target, tokenP.target])
+        ).to.emit(simpleSwap, "Swap");
+      });
+
+      /**
+       * @test Verifies pool pausing follows the global role split
+       */
+      it("should restrict pool pausing to pausers and resuming to guardians", async () => {
+        const PAUSER_ROLE = await simpleSwap.PAUSER_ROLE();
+        await simpleSwap.grantRole(PAUSER_ROLE, addr1.address);
+
+        await expect(
+          simpleSwap.connect(addr2).pausePool(tokenA.target, tokenP.target)
+        )
+          .to.be.revertedWithCustomError(
+            simpleSwap,
+            "AccessControlUnauthorizedAccount"
+          )
+          .withArgs(addr2.address, PAUSER_ROLE);
+
+        await simpleSwap.connect(addr1).pausePool(tokenA.target, tokenP.target);
+        await expect(
+          simpleSwap.connect(addr1).unpausePool(tokenA.target, tokenP.target)
+        )
+          .to.be.revertedWithCustomError(
+            simpleSwap,
+            "AccessControlUnauthorizedAccount"
+          )
+          .withArgs(addr1.address, await simpleSwap.OPERATOR_ROLE());
+      });
+
+      /**
+       * @test Verifies exit mode and emergency withdrawal work on a paused pool
+       */
+      it("should allow emergency exits from a paused pool only", async () => {
+        const lpToken = await getLPToken(simpleSwap, tokenA, tokenP);
+        const liquidity = (await lpToken.balanceOf(owner.address)) / 10n;
+
+        await expect(
+          simpleSwap.emergencyRemoveLiquidity(
+            tokenA.target,
+            tokenP.target,
+            liquidity,
+            owner.address
+          )
+        ).to.be.revertedWithCustomError(simpleSwap, "ExpectedPause");
+
+        await simpleSwap.pausePool(tokenA.target, tokenP.target);
+        await expect(
+          simpleSwap.emergencyRemoveLiquidity(
+            tokenA.target,
+            tokenP.target,
+            liquidity,
+            owner.address
+          )
+        ).to.emit(simpleSwap, "LiquidityRemoved");
+        await expect(
+          simpleSwap.emergencyWithdraw(
+            tokenA.target,
+            tokenP.target,
+            addr2.address,
+            toEth(1),
+            0
+          )
+        ).to.emit(simpleSwap, "EmergencyWithdraw");
+
+        // Other pools are still not withdrawable
+        await expect(
+          simpleSwap.emergencyWithdraw(
+            tokenA.target,
+            tokenQ.target,
+            addr2.address,
+            toEth(1),
+            0
+          )
+        ).to.be.revertedWithCustomError(simpleSwap, "ExpectedPause");
+      });
+    });
+
+    describe("Circuit breaker", () => {
+      let breakerSnapshot;
+
+      // 5% band over a 60 second window
+      beforeEach(async () => {
+        breakerSnapshot = await takeSnapshot();
+        await simpleSwap.setCircuitBreaker(500, 60);
+      });
+
+      afterEach(async () => {
+        await breakerSnapshot.restore();
+      });
+
+      /**
+       * @test Verifies parameters are guarded and announced
+       */
+      it("should let guardians configure the breaker", async () => {
+        await expect(simpleSwap.setCircuitBreaker(300, 120))
+          .to.emit(simpleSwap, "CircuitBreakerUpdated")
+          .withArgs(300, 120);
+        expect(await simpleSwap.maxPriceMove()).to.equal(300);
+        expect(await simpleSwap.breakerWindow()).to.equal(120);
+
+        await expect(simpleSwap.connect(addr1).setCircuitBreaker(0, 0))
+          .to.be.revertedWithCustomError(
+            simpleSwap,
+            "AccessControlUnauthorizedAccount"
+          )
+          .withArgs(addr1.address, await simpleSwap.GUARDIAN_ROLE());
+      });
+
+      /**
+       * @test Verifies out-of-range parameters cannot brick swaps
+       */
+      it("should reject breaker parameters out of bounds", async () => {
+        const maxWindow = await simpleSwap.MAX_BREAKER_WINDOW();
+
+        await expect(simpleSwap.setCircuitBreaker(10_001, 60))
+          .to.be.revertedWithCustomError(simpleSwap, "InvalidBreakerConfig")
+          .withArgs(10_001, 60);
+        await expect(simpleSwap.setCircuitBreaker(500, maxWindow + 1n))
+          .to.be.revertedWithCustomError(simpleSwap, "InvalidBreakerConfig")
+          .withArgs(500, maxWindow + 1n);
+        await expect(
+          simpleSwap.setCircuitBreaker(500, ethers.MaxUint256)
+        ).to.be.revertedWithCustomError(simpleSwap, "InvalidBreakerConfig");
+
+        // The largest accepted window still lets swaps through
+        await simpleSwap.setCircuitBreaker(10_000, maxWindow);
+        await expect(
+          swapTokens(toEth(10), 0, [tokenA.target, tokenP.target])
+        ).to.emit(simpleSwap, "Swap");
+      });
+
+      /**
+       * @test Verifies swaps within the band execute normally
+       */
+      it("should let swaps within the band through", async () => {
+        // ~2% move on a 1000/1000 pool
+        await expect(
+          swapTokens(toEth(10), 0, [tokenA.target, tokenP.target])
+        ).to.emit(simpleSwap, "Swap");
+      });
+
+      /**
+       * @test Verifies an oversized move reverts without touching the pool
+       */
+      it("should reject a swap that moves the price too far", async () => {
+        const [reserveA, reserveP] = await reservesOf(tokenA, tokenP);
+        const [token0, token1] =
+          tokenA.target < tokenP.target
+            ? [tokenA.target, tokenP.target]
+            : [tokenP.target, tokenA.target];
+        const path = [tokenA.target, tokenP.target];
+
+        // ~6% move
+        await expect(swapTokens(toEth(30), 0, path))
+          .to.be.revertedWithCustomError(simpleSwap, "CircuitBreakerTripped")
+          .withArgs(token0, token1, anyValue, anyValue);
+
+        expect(await reservesOf(tokenA, tokenP)).to.deep.equal([
+          reserveA,
+          reserveP,
+        ]);
+        await expect(swapTokens(toEth(1), 0, path)).to.emit(simpleSwap, "Swap");
+      });
+
+      /**
+       * @test Verifies a caller without funds cannot halt a pool
+       */
+      it("should not let a zero-balance caller halt a pool", async () => {
+        const path = [tokenA.target, tokenP.target];
+        const [, , , attacker] = await ethers.getSigners();
+        expect(await tokenA.balanceOf(attacker.address)).to.equal(0n);
+
+        await expect(
+          simpleSwap
+            .connect(attacker)
+            .swapExactTokensForTokens(
+              toEth(100_000),
+              0,
+              path,
+              attacker.address,
+              await getDeadline()
+            )
+        ).to.be.revertedWithCustomError(simpleSwap, "CircuitBreakerTripped");
+
+        // Honest traders keep using the whole band
+        await expect(swapTokens(toEth(10), 0, path)).to.emit(
+          simpleSwap,
+          "Swap"
+        );
+        await expect(swapTokens(toEth(10), 0, path)).to.emit(
+          simpleSwap,
+          "Swap"
+        );
+      });
+
+      /**
+       * @test Verifies moves accumulate within a window and reset after it
+       */
+      it("should measure every swap in the window against its reference", async () => {
+        const path = [tokenA.target, tokenP.target];
+
+        await swapTokens(toEth(10), 0, path);
+        await swapTokens(toEth(10), 0, path);
+        await expect(
+          swapTokens(toEth(10), 0, path)
+        ).to.be.revertedWithCustomError(simpleSwap, "CircuitBreakerTripped");
+
+        // Each swap opens a fresh window once the previous one has closed
+        for (let i = 0; i < 3; i++) {
+          await time.increase(61);
+          await expect(swapTokens(toEth(10), 0, path)).to.emit(
+            simpleSwap,
+            "Swap"
+          );
+        }
+      });
+
+      /**
+       * @test Verifies a guardian reset restarts the window at the current price
+       */
+      it("should let guardians restart a pool's window", async () => {
+        const path = [tokenA.target, tokenP.target];
+        await swapTokens(toEth(20), 0, path);
+        await expect(
+          swapTokens(toEth(10), 0, path)
+        ).to.be.revertedWithCustomError(simpleSwap, "CircuitBreakerTripped");
+
+        await expect(
+          simpleSwap
+            .connect(addr1)
+            .resetCircuitBreaker(tokenA.target, tokenP.target)
+        ).to.be.revertedWithCustomError(
+          simpleSwap,
+          "AccessControlUnauthorizedAccount"
+        );
+
+        await expect(
+          simpleSwap.resetCircuitBreaker(tokenP.target, tokenA.target)
+        ).to.emit(simpleSwap, "CircuitBreakerReset");
+        await expect(swapTokens(toEth(10), 0, path)).to.emit(
+          simpleSwap,
+          "Swap"
+        );
+      });
+
+      /**
+       * @test Verifies a rejection on a later hop reverts the earlier hops
+       */
+      it("should reject a multi-hop swap as a whole", async () => {
+        // Use most of the tokenA/tokenP band (~4%) in this window
+        await swapTokens(toEth(20), 0, [tokenA.target, tokenP.target]);
+        const [reserveQ, reserveA] = await reservesOf(tokenQ, tokenA);
+
+        // First hop moves tokenQ/tokenA by ~2% (fine), second pushes
+        // tokenA/tokenP past the band
+        const tx = swapTokens(toEth(10), 0, [
+          tokenQ.target,
+          tokenA.target,
+          tokenP.target,
+        ]);
+        const [token0, token1] =
+          tokenA.target < tokenP.target
+            ? [tokenA.target, tokenP.target]
+            : [tokenP.target, tokenA.target];
+        await expect(tx)
+          .to.be.revertedWithCustomError(simpleSwap, "CircuitBreakerTripped")
+          .withArgs(token0, token1, anyValue, anyValue);
+
+        expect(await reservesOf(tokenQ, tokenA)).to.deep.equal([
+          reserveQ,
+          reserveA,
+        ]);
+      });
+
+      /**
+       * @test Verifies exact-output and fee-on-transfer entry points honour the breaker
+       */
+      it("should apply the breaker to every swap entry point", async () => {
+        const path = [tokenA.target, tokenP.target];
+
+        await expect(
+          simpleSwap.swapTokensForExactTokens(
+            toEth(30),
+            toEth(100),
+            path,
+            owner.address,
+            await getDeadline()
+          )
+        ).to.be.revertedWithCustomError(simpleSwap, "CircuitBreakerTripped");
+        await expect(
+          simpleSwap.swapExactTokensForTokensSupportingFeeOnTransferTokens(
+            toEth(30),
+            0,
+            path,
+            owner.address,
+            await getDeadline()
+          )
+        ).to.be.revertedWithCustomError(simpleSwap, "CircuitBreakerTripped");
+      });
+    });
+  });
+
+  describe("Flash Swaps", () => {
+    let tokenF, borrower, snapshot, flashSnapshot;
+
+    // Borrower repayment modes, mirroring FlashBorrower.Mode
+    const Mode = { Repay: 0, RepayWithoutFee: 1, Keep: 2, Reenter: 3 };
+
+    /**
+     * Fee-inclusive repayment for a borrowed amount
+     * @param {bigint} amount - Borrowed amount
+     * @returns {Promise<bigint>} Amount that must be returned
+     */
+    const withFee = async (amount) => {
+      const keep = 10_000n - (await simpleSwap.swapFee());
+      return (amount * 10_000n + keep - 1n) / keep;
+    };
+
+    // Isolated 1:1 pool and a borrower funded to cover fees
+    before(async () => {
+      snapshot = await takeSnapshot();
+      tokenF = await deployToken("TokenB", owner.address);
+      await approveMax(tokenF, simpleSwap.target);
+      await simpleSwap.addLiquidity(
+        tokenA.target,
+        tokenF.target,
+        toEth(1000),
+        toEth(1000),
+        0,
+        0,
+        owner.address,
+        await getDeadline()
+      );
+
+      const FlashBorrower = await ethers.getContractFactory("FlashBorrower");
+      borrower = await FlashBorrower.deploy(simpleSwap.target);
+      await tokenA.transfer(borrower.target, toEth(10));
+      await tokenF.transfer(borrower.target, toEth(10));
+    });
+
+    after(async () => {
+      await snapshot.restore();
+    });
+
+    beforeEach(async () => {
+      flashSnapshot = await takeSnapshot();
+    });
+
+    afterEach(async () => {
+      await flashSnapshot.restore();
+    });
+
+    /**
+     * @test Verifies a borrower repaying with fee keeps k growing
+     */
+    it("should lend optimistically and accept repayment with fee", async () => {
+      const amount = toEth(100);
+      const repaid = await withFee(amount);
+      const [reserveA, reserveF] = await simpleSwap.getReserves(
+        tokenA.target,
+        tokenF.target
+      );
+
+      await expect(
+        borrower.borrow(Mode.Repay, tokenA.target, tokenF.target, amount, 0)
+      )
+        .to.emit(simpleSwap, "FlashSwap")
+        .withArgs(
+          borrower.target,
+          tokenA.target,
+          tokenF.target,
+          amount,
+          0,
+          repaid,
+          0
+        )
+        .and.to.emit(simpleSwap, "Sync")
+        .withArgs(
+          tokenA.target,
+          tokenF.target,
+          reserveA - amount + repaid,
+          reserveF
+        );
+
+      // The callback ran while holding the borrowed tokens
+      expect(await borrower.balanceASeen()).to.equal(toEth(10) + amount);
+
+      const [newA, newF] = await simpleSwap.getReserves(
+        tokenA.target,
+        tokenF.target
+      );
+      expect(newA * newF).to.be.gt(reserveA * reserveF);
+      expect(await tokenA.balanceOf(borrower.target)).to.equal(
+        toEth(10) + amount - repaid
+      );
+    });
+
+    /**
+     * @test Verifies both sides of a pool can be borrowed at once
+     */
+    it("should lend both tokens in one flash swap", async () => {
+      await expect(
+        borrower.borrow(
+          Mode.Repay,
+          tokenA.target,
+          tokenF.target,
+          toEth(5),
+          toEth(5)
+        )
+      ).to.emit(simpleSwap, "FlashSwap");
+    });
+
+    /**
+     * @test Verifies returning only the principal is rejected
+     */
+    it("should revert when the fee is not repaid", async () => {
+      await expect(
+        borrower.borrow(
+          Mode.RepayWithoutFee,
+          tokenA.target,
+          tokenF.target,
+          toEth(100),
+          0
+        )
+      ).to.be.revertedWithCustomError(simpleSwap, "InsufficientRepayment");
+    });
+
+    /**
+     * @test Verifies a borrower keeping the tokens is rejected
+     */
+    it("should revert when nothing is repaid", async () => {
+      await expect(
+        borrower.borrow(Mode.Keep, tokenA.target, tokenF.target, 1, 0)
+      ).to.be.revertedWithCustomError(simpleSwap, "InsufficientRepayment");
+    });
+
+    /**
+     * @test Verifies the callback cannot re-enter SimpleSwap
+     */
+    it("should block reentrancy from the callback", async () => {
+      await expect(
+        borrower.borrow(Mode.Reenter, tokenA.target, tokenF.target, 1, 0)
+      ).to.be.revertedWithCustomError(
+        simpleSwap,
+        "ReentrancyGuardReentrantCall"
+      );
+    });
+
+    /**
+     * @test Verifies a swap without data skips the callback and uses
+     * input sent beforehand
+     */
+    it("should swap prepaid input without calling back", async () => {
+      const amountIn = toEth(10);
+      const [reserveA, reserveF] = await simpleSwap.getReserves(
+        tokenA.target,
+        tokenF.target
+      );
+      const amountOut = await simpleSwap.getAmountOut(
+        amountIn,
+        reserveA,
+        reserveF
+      );
+
+      await tokenA.transfer(simpleSwap.target, amountIn);
+      await expect(
+        simpleSwap.swap(
+          tokenA.target,
+          tokenF.target,
+          0,
+          amountOut,
+          addr1.address,
+          "0x"
+        )
+      )
+        .to.emit(simpleSwap, "FlashSwap")
+        .withArgs(
+          owner.address,
+          tokenA.target,
+          tokenF.target,
+          0,
+          amountOut,
+          amountIn,
+          0
+        );
+      expect(await tokenF.balanceOf(addr1.address)).to.equal(amountOut);
+
+      // Asking for one more wei breaks the invariant
+      await tokenA.transfer(simpleSwap.target, amountIn);
+      await expect(
+        simpleSwap.swap(
+          tokenA.target,
+          tokenF.target,
+          0,
+          amountOut * 2n,
+          addr1.address,
+          "0x"
+        )
+      ).to.be.revertedWithCustomError(simpleSwap, "InsufficientRepayment");
+    });
+
+    /**
+     * @test Verifies invalid output amounts are rejected
+     */
+    it("should revert on zero or excessive outputs", async () => {
+      const [reserveA] = await simpleSwap.getReserves(
+        tokenA.target,
+        tokenF.target
+      );
+
+      await expect(
+        simpleSwap.swap(tokenA.target, tokenF.target, 0, 0, owner.address, "0x")
+      )
+        .to.be.revertedWithCustomError(simpleSwap, "ZeroAmount")
+        .withArgs("Output");
+      await expect(
+        borrower.borrow(Mode.Repay, tokenA.target, tokenF.target, reserveA, 0)
+      ).to.be.revertedWithCustomError(simpleSwap, "InsufficientLiquidity");
+      await expect(
+        simpleSwap.swap(tokenA.target, tokenF.target, 1, 0, tokenF.target, "0x")
+      ).to.be.revertedWithCustomError(simpleSwap, "InvalidRecipient");
+    });
+
+    /**
+     * @test Verifies paused pools and the circuit breaker apply to flash
+     * swaps
+     */
+    it("should respect pauses and the circuit breaker", async () => {
+      const [token0, token1] =
+        BigInt(tokenA.target) < BigInt(tokenF.target)
+          ? [tokenA.target, tokenF.target]
+          : [tokenF.target, tokenA.target];
+      const borrow = () =>
+        borrower.borrow(Mode.Repay, tokenA.target, tokenF.target, toEth(1), 0);
+
+      await simpleSwap.pause();
+      await expect(borrow()).to.be.revertedWithCustomError(
+        simpleSwap,
+        "EnforcedPause"
+      );
+      await simpleSwap.unpause();
+
+      await simpleSwap.pausePool(tokenA.target, tokenF.target);
+      await expect(borrow())
+        .to.be.revertedWithCustomError(simpleSwap, "PoolPaused")
+        .withArgs(token0, token1);
+      await simpleSwap.unpausePool(tokenA.target, tokenF.target);
+
+      // A large prepaid swap moves the price past the 5% band
+      await simpleSwap.setCircuitBreaker(500, 60);
+      await expect(borrow()).to.emit(simpleSwap, "FlashSwap");
+      await tokenA.transfer(simpleSwap.target, toEth(100));
+      await expect(
+        simpleSwap.swap(
+          tokenA.target,
+          tokenF.target,
+          0,
+          toEth(80),
+          owner.address,
+          "0x"
+        )
+      )
+        .to.be.revertedWithCustomError(simpleSwap, "CircuitBreakerTripped")
+        .withArgs(token0, token1, anyValue, anyValue);
+    });
+  });
+
+  describe("Stable Pools", () => {
+    let tokenS, tokenT, tokenU, tokenV, stableLP, snapshot, stableSnapshot;
+
+    /**
+     * Quotes a single hop through getAmountsOut
+     * @param {BigNumber} amountIn - Input amount
+     * @param {Contract} tokenIn - Input token
+     * @param {Contract} tokenOut - Output token
+     * @returns {Promise<bigint>} Output amount
+     */
+    const quoteOut = async (amountIn, tokenIn, tokenOut) =>
+      (
+        await simpleSwap.getAmountsOut(amountIn, [
+          tokenIn.target,
+          tokenOut.target,
+        ])
+      )[1];
+
+    /**
+     * Stable invariant D of the tokenS/tokenT pool's current reserves
+     * @returns {Promise<bigint>} Invariant D
+     */
+    const stableD = async () => {
+      const [reserveS, reserveT] = await simpleSwap.getReserves(
+        tokenS.target,
+        tokenT.target
+      );
+      return stableInvariant(reserveS, reserveT);
+    };
+
+    // A stable pool (S/T) and a constant product pool (U/V) at equal reserves
+    before(async () => {
+      snapshot = await takeSnapshot();
+      [tokenS, tokenT, tokenU, tokenV] = await Promise.all(
+        [0, 1, 2, 3].map(() => deployToken("TokenB", owner.address))
+      );
+      for (const token of [tokenS, tokenT, tokenU, tokenV]) {
+        await approveMax(token, simpleSwap.target);
+      }
+
+      await simpleSwap.createPair(
+        tokenS.target,
+        tokenT.target,
+        POOL_TYPE.Stable
+      );
+      stableLP = await getLPToken(simpleSwap, tokenS, tokenT);
+      for (const [first, second] of [
+        [tokenS, tokenT],
+        [tokenU, tokenV],
+      ]) {
+        await simpleSwap.addLiquidity(
+          first.target,
+          second.target,
+          toEth(1000),
+          toEth(1000),
+          0,
+          0,
+          owner.address,
+          await getDeadline()
+        );
+      }
+    });
+
+    after(async () => {
+      await snapshot.restore();
+    });
+
+    beforeEach(async () => {
+      stableSnapshot = await takeSnapshot();
+    });
+
+    afterEach(async () => {
+      await stableSnapshot.restore();
+    });
+
+    /**
+     * @test Verifies createPair registers the pool type once
+     */
+    it("should create pairs with a fixed pool type", async () => {
+      const [tokenX, tokenY] = await Promise.all([
+        deployToken("TokenB", owner.address),
+        deployToken("TokenB", owner.address),
+      ]);
+      const [token0, token1] = SimpleSwapSDK.sortTokens(tokenX, tokenY);
+      const index = await simpleSwap.allPairsLength();
+
+      await expect(
+        simpleSwap.createPair(tokenX.target, tokenY.target, POOL_TYPE.Stable)
+      )
+        .to.emit(simpleSwap, "PoolCreated")
+        .withArgs(token0, token1, anyValue, index);
+
+      const lpToken = await simpleSwap.getPair(tokenY.target, tokenX.target);
+      expect(await simpleSwap.poolType(lpToken)).to.equal(POOL_TYPE.Stable);
+      expect(
+        await simpleSwap.poolType(
+          await simpleSwap.getPair(tokenU.target, tokenV.target)
+        )
+      ).to.equal(POOL_TYPE.ConstantProduct);
+
+      await expect(
+        simpleSwap.createPair(
+          tokenY.target,
+          tokenX.target,
+          POOL_TYPE.ConstantProduct
+        )
+      )
+        .to.be.revertedWithCustomError(simpleSwap, "PairExists")
+        .withArgs(lpToken);
+      await expect(
+        simpleSwap.createPair(tokenX.target, tokenX.target, POOL_TYPE.Stable)
+      ).to.be.revertedWithCustomError(simpleSwap, "IdenticalTokens");
+    });
+
+    /**
+     * @test Verifies stable pairs require tokens with equal decimals
+     */
+    it("should reject stable pairs mixing decimals", async () => {
+      const six = await deployToken("SixDecimalsToken", owner.address);
+
+      await expect(
+        simpleSwap.createPair(tokenA.target, six.target, POOL_TYPE.Stable)
+      )
+        .to.be.revertedWithCustomError(simpleSwap, "DecimalsMismatch")
+        .withArgs(18, 6);
+      await expect(
+        simpleSwap.createPair(
+          tokenA.target,
+          six.target,
+          POOL_TYPE.ConstantProduct
+        )
+      ).to.emit(simpleSwap, "PoolCreated");
+    });
+
+    /**
+     * @test Verifies the first stable deposit mints D / 2
+     */
+    it("should mint D / 2 on the first stable deposit", async () => {
+      // Balanced: D equals the sum of the deposits
+      expect(await stableLP.totalSupply()).to.equal(toEth(1000));
+
+      const [tokenX, tokenY] = await Promise.all([
+        deployToken("TokenB", owner.address),
+        deployToken("TokenB", owner.address),
+      ]);
+      await approveMax(tokenX, simpleSwap.target);
+      await approveMax(tokenY, simpleSwap.target);
+      await simpleSwap.createPair(
+        tokenX.target,
+        tokenY.target,
+        POOL_TYPE.Stable
+      );
+      await simpleSwap.addLiquidity(
+        tokenX.target,
+        tokenY.target,
+        toEth(1000),
+        toEth(500),
+        0,
+        0,
+        addr1.address,
+        await getDeadline()
+      );
+
+      // Imbalanced: worth more than the geometric mean on a flat curve
+      const lp = await getLPToken(simpleSwap, tokenX, tokenY);
+      const liquidity = await lp.balanceOf(addr1.address);
+      expect(liquidity).to.equal(
+        stableInvariant(toEth(1000), toEth(500)) / 2n - 1000n
+      );
+      expect(liquidity).to.be.gt(sqrt(toEth(1000) * toEth(500)));
+    });
+
+    /**
+     * @test Compares slippage of both curves at equal reserves
+     */
+    it("should slip far less than constant product at equal reserves", async () => {
+      for (const size of [1, 10, 100, 500]) {
+        const amountIn = toEth(size);
+        const stableOut = await quoteOut(amountIn, tokenS, tokenT);
+        const productOut = await quoteOut(amountIn, tokenU, tokenV);
+        expect(productOut).to.equal(
+          await simpleSwap.getAmountOut(amountIn, toEth(1000), toEth(1000))
+        );
+
+        // Slippage beyond the 0.30% fee, in basis points of the input
+        const afterFee = (amountIn * 9970n) / 10000n;
+        const stableSlip = ((afterFee - stableOut) * 10000n) / amountIn;
+        const productSlip = ((afterFee - productOut) * 10000n) / amountIn;
+        expect(stableOut).to.be.gt(productOut);
+        expect(stableSlip * 10n).to.be.lt(productSlip);
+      }
+
+      // 10% of the pool: ~0.1% slippage versus ~9% on x*y=k
+      const stableOut = await quoteOut(toEth(100), tokenS, tokenT);
+      expect(stableOut).to.be.gt(toEth(99.5));
+      expect(await quoteOut(toEth(100), tokenU, tokenV)).to.be.lt(toEth(91));
+    });
+
+    /**
+     * @test Verifies swaps settle at the stable quote and grow D
+     */
+    it("should swap at the quoted stable amounts", async () => {
+      const path = [tokenS.target, tokenT.target];
+      const quoted = await simpleSwap.getAmountsOut(toEth(100), path);
+      const balanceBefore = await tokenT.balanceOf(addr1.address);
+      const dBefore = await stableD();
+
+      await expect(swapTokens(toEth(100), quoted[1], path, addr1.address))
+        .to.emit(simpleSwap, "Swap")
+        .withArgs(
+          owner.address,
+          tokenS.target,
+          tokenT.target,
+          toEth(100),
+          quoted[1],
+          toEth(0.3)
+        );
+      expect(await tokenT.balanceOf(addr1.address)).to.equal(
+        balanceBefore + quoted[1]
+      );
+      expect(await stableD()).to.be.gt(dBefore);
+
+      // The way back is quoted on the moved curve
+      const back = await simpleSwap.getAmountsOut(toEth(50), [
+        tokenT.target,
+        tokenS.target,
+      ]);
+      await swapTokens(toEth(50), back[1], [tokenT.target, tokenS.target]);
+    });
+
+    /**
+     * @test Verifies exact-output swaps pay exactly the stable quote
+     */
+    it("should swap exact outputs on the stable curve", async () => {
+      const path = [tokenT.target, tokenS.target];
+      for (const size of [1, 100, 500]) {
+        const amountOut = toEth(size);
+        const [amountIn] = await simpleSwap.getAmountsIn(amountOut, path);
+        expect(amountIn).to.be.gt(amountOut);
+
+        // The exact-input quote of that amount covers the requested output
+        expect(await quoteOut(amountIn, tokenT, tokenS)).to.be.gte(amountOut);
+
+        const before = await tokenS.balanceOf(addr1.address);
+        await simpleSwap.swapTokensForExactTokens(
+          amountOut,
+          amountIn,
+          path,
+          addr1.address,
+          await getDeadline()
+        );
+        expect(await tokenS.balanceOf(addr1.address)).to.equal(
+          before + amountOut
+        );
+      }
+    });
+
+    /**
+     * @test Verifies flash swaps are checked against the stable invariant
+     */
+    it("should settle flash swaps against D", async () => {
+      const FlashBorrower = await ethers.getContractFactory("FlashBorrower");
+      const borrower = await FlashBorrower.deploy(simpleSwap.target);
+      await tokenS.transfer(borrower.target, toEth(10));
+
+      await expect(
+        borrower.borrow(1, tokenS.target, tokenT.target, toEth(100), 0)
+      ).to.be.revertedWithCustomError(simpleSwap, "InsufficientRepayment");
+
+      const dBefore = await stableD();
+      await expect(
+        borrower.borrow(0, tokenS.target, tokenT.target, toEth(100), 0)
+      ).to.emit(simpleSwap, "FlashSwap");
+      expect(await stableD()).to.be.gt(dBefore);
+    });
+
+    /**
+     * @test Verifies the protocol fee tracks growth of D on stable pools
+     */
+    it("should mint the protocol fee from growth of D", async () => {
+      await simpleSwap.setFeeTo(addr2.address);
+      await simpleSwap.collectProtocolFee(tokenS.target, tokenT.target);
+      const half = (await stableD()) / 2n;
+      expect(await simpleSwap.kLast(stableLP.target)).to.equal(half * half);
+
+      for (let i = 0; i < 5; i++) {
+        await swapTokens(toEth(200), 0, [tokenS.target, tokenT.target]);
+        await swapTokens(toEth(200), 0, [tokenT.target, tokenS.target]);
+      }
+      await simpleSwap.collectProtocolFee(tokenS.target, tokenT.target);
+
+      // 1/6 of the ~6 tokens of fees, at ~2 tokens per LP token
+      const minted = await stableLP.balanceOf(addr2.address);
+      expect(minted).to.be.gt(toEth(0.4));
+      expect(minted).to.be.lt(toEth(0.6));
+      await simpleSwap.setFeeTo(ethers.ZeroAddress);
+    });
+  });
+
+  describe("Pair LP Tokens", () => {
+    let tokenC, lpAB, lpAC, pairsBefore;
+
+    // Create a second pool sharing tokenA with the main pool
+    before(async () => {
+      tokenC = await deployToken("TokenB", owner.address);
+      await approveMax(tokenC, simpleSwap.target);
+
+      await addLiquidity();
+      pairsBefore = await simpleSwap.allPairsLength();
+      await simpleSwap.addLiquidity(
+        tokenA.target,
+        tokenC.target,
+        toEth(50),
+        toEth(50),
+        0,
+        0,
+        owner.address,
+        await getDeadline()
+      );
+
+      lpAB = await getLPToken(simpleSwap, tokenA, tokenB);
+      lpAC = await getLPToken(simpleSwap, tokenA, tokenC);
+    });
+
+    /**
+     * @test Verifies every pair is registered with its own LP token
+     */
+    it("should register a distinct LP token per pair", async () => {
+      expect(lpAB.target).to.not.equal(lpAC.target);
+      expect(await simpleSwap.allPairsLength()).to.equal(pairsBefore + 1n);
+      expect(await simpleSwap.allPairs(pairsBefore)).to.equal(lpAC.target);
+    });
+
+    /**
+     * @test Verifies PoolCreated is emitted on the first deposit only
+     */
+    it("should emit PoolCreated once per pair", async () => {
+      const tokenD = await deployToken("TokenB", owner.address);
+      await approveMax(tokenD, simpleSwap.target);
+      const index = await simpleSwap.allPairsLength();
+      const [token0, token1] =
+        tokenA.target < tokenD.target
+          ? [tokenA.target, tokenD.target]
+          : [tokenD.target, tokenA.target];
+
+      /** Deposits into the tokenA/tokenD pool */
+      const deposit = async () =>
+        simpleSwap.addLiquidity(
+          tokenD.target,
+          tokenA.target,
+          toEth(10),
+          toEth(10),
+          0,
+          0,
+          owner.address,
+          await getDeadline()
+        );
+
+      await expect(deposit())
+        .to.emit(simpleSwap, "PoolCreated")
+        .withArgs(token0, token1, anyValue, index);
+      expect(await simpleSwap.allPairs(index)).to.equal(
+        await simpleSwap.getPair(token0, token1)
+      );
+
+      await expect(deposit()).to.not.emit(simpleSwap, "PoolCreated");
+    });
+
+    /**
+     * @test Verifies deposits only change the supply of their own pair
+     */
+    it("should keep LP supplies independent", async () => {
+      const supplyAB = await lpAB.totalSupply();
+      const supplyAC = await lpAC.totalSupply();
+
+      await simpleSwap.addLiquidity(
+        tokenA.target,
+        tokenC.target,
+        toEth(10),
+        toEth(10),
+        0,
+        0,
+        owner.address,
+        await getDeadline()
+      );
+
+      expect(await lpAB.totalSupply()).to.equal(supplyAB);
+      expect(await lpAC.totalSupply()).to.equal(supplyAC + toEth(10));
+    });
+
+    /**
+     * @test Verifies LP tokens of one pair cannot redeem another pair's reserves
+     */
+    it("should not redeem LP tokens against another pair", async () => {
+      await lpAB.transfer(addr1.address, toEth(1));
+
+      await expect(
+        simpleSwap
+          .connect(addr1)
+          .removeLiquidity(
+            tokenA.target,
+            tokenC.target,
+            toEth(1),
+            0,
+            0,
+            addr1.address,
+            await getDeadline()
+          )
+      ).to.be.revertedWithCustomError(lpAC, "ERC20InsufficientBalance");
+    });
+
+    /**
+     * @test Verifies removal from a pair without an LP token reverts
+     */
+    it("should revert removal from a pair that was never created", async () => {
+      const tokenD = await deployToken("TokenA", owner.address);
+
+      await expect(
+        simpleSwap.removeLiquidity(
+          tokenA.target,
+          tokenD.target,
+          toEth(1),
+          0,
+          0,
+          owner.address,
+          await getDeadline()
+        )
+      ).to.be.revertedWithCustomError(simpleSwap, "InsufficientLiquidity");
+    });
+  });
+
+  describe("Permit", () => {
+    let lpToken, permitToken;
+
+    // Fund addr1 with LP tokens and a permit-enabled token paired with tokenB
+    before(async () => {
+      await addLiquidity();
+      lpToken = await getLPToken(simpleSwap, tokenA, tokenB);
+      await lpToken.transfer(addr1.address, toEth(10));
+
+      permitToken = await deployToken("PermitToken", owner.address);
+      await approveMax(permitToken, simpleSwap.target);
+      await simpleSwap.addLiquidity(
+        permitToken.target,
+        tokenB.target,
+        toEth(100),
+        toEth(100),
+        0,
+        0,
+        owner.address,
+        await getDeadline()
+      );
+      await permitToken.transfer(addr1.address, toEth(10));
+    });
+
+    /**
+     * Removes addr1's liquidity with a freshly signed LP permit
+     * @param {BigNumber} liquidity - Amount of LP tokens to burn
+     * @param {boolean} approveMax - Whether to sign for the maximum allowance
+     * @param {Signer} [caller=addr1] - Account the permit approves and that
+     * submits it
+     * @returns {Promise<ContractTransaction>} Transaction response
+     */
+    const removeWithPermit = async (
+      liquidity,
+      approveMax = false,
+      caller = addr1
+    ) => {
+      const deadline = await getDeadline();
+      const value = approveMax ? ethers.MaxUint256 : liquidity;
+      const { v, r, s } = await signPermit(
+        addr1,
+        lpToken,
+        caller.address,
+        value,
+        deadline
+      );
+
+      return simpleSwap
+        .connect(caller)
+        .removeLiquidityWithPermit(
+          tokenA.target,
+          tokenB.target,
+          addr1.address,
+          liquidity,
+          0,
+          0,
+          addr1.address,
+          deadline,
+          approveMax,
+          v,
+          r,
+          s
+        );
+    };
+
+    /**
+     * @test Verifies LP tokens expose the EIP-2612 domain
+     */
+    it("should expose permit nonces and domain separator", async () => {
+      expect(await lpToken.nonces(addr1.address)).to.equal(0);
+      expect(await lpToken.DOMAIN_SEPARATOR()).to.not.equal(ethers.ZeroHash);
+    });
+
+    /**
+     * @test Verifies liquidity is removed with a signature instead of an approval
+     */
+    it("should remove liquidity with an LP permit", async () => {
+      const liquidity = toEth(1);
+      const nonce = await lpToken.nonces(addr1.address);
+
+      await expect(removeWithPermit(liquidity))
+        .to.emit(simpleSwap, "LiquidityRemoved")
+        .withArgs(
+          addr1.address,
+          tokenA.target,
+          tokenB.target,
+          anyValue,
+          anyValue,
+          liquidity
+        );
+
+      expect(await lpToken.nonces(addr1.address)).to.equal(nonce + 1n);
+      expect(await lpToken.allowance(addr1.address, addr1.address)).to.equal(
+        0n
+      );
+    });
+
+    /**
+     * @test Verifies a third party exits for the holder with the signature
+     */
+    it("should let the approved caller exit and consume the allowance", async () => {
+      const liquidity = toEth(1);
+      const before = await lpToken.balanceOf(addr1.address);
+
+      await expect(removeWithPermit(liquidity, false, addr2))
+        .to.emit(simpleSwap, "LiquidityRemoved")
+        .withArgs(
+          addr1.address,
+          tokenA.target,
+          tokenB.target,
+          anyValue,
+          anyValue,
+          liquidity
+        );
+
+      expect(await lpToken.balanceOf(addr1.address)).to.equal(
+        before - liquidity
+      );
+      expect(await lpToken.allowance(addr1.address, addr2.address)).to.equal(
+        0n
+      );
+
+      // The spent signature cannot be replayed
+      await expect(
+        simpleSwap
+          .connect(addr2)
+          .removeLiquidityWithPermit(
+            tokenA.target,
+            tokenB.target,
+            addr1.address,
+            liquidity,
+            0,
+            0,
+            addr2.address,
+            await getDeadline(),
+            false,
+            0,
+            ethers.ZeroHash,
+            ethers.ZeroHash
+          )
+      ).to.be.revertedWithCustomError(simpleSwap, "InvalidSignature");
+    });
+
+    /**
+     * @test Verifies an allowance granted to SimpleSwap cannot be spent by others
+     */
+    it("should not burn for accounts that only approved SimpleSwap", async () => {
+      await lpToken.connect(addr1).approve(simpleSwap.target, toEth(1));
+
+      await expect(
+        simpleSwap
+          .connect(addr2)
+          .removeLiquidityWithPermit(
+            tokenA.target,
+            tokenB.target,
+            addr1.address,
+            toEth(1),
+            0,
+            0,
+            addr2.address,
+            await getDeadline(),
+            false,
+            0,
+            ethers.ZeroHash,
+            ethers.ZeroHash
+          )
+      ).to.be.revertedWithCustomError(simpleSwap, "InvalidSignature");
+
+      await lpToken.connect(addr1).approve(simpleSwap.target, 0);
+    });
+
+    /**
+     * @test Verifies a signature from another holder is rejected
+     */
+    it("should revert with a signature from the wrong signer", async () => {
+      const deadline = await getDeadline();
+      const { v, r, s } = await signPermit(
+        addr2,
+        lpToken,
+        addr1.address,
+        toEth(2),
+        deadline
+      );
+
+      await expect(
+        simpleSwap
+          .connect(addr1)
+          .removeLiquidityWithPermit(
+            tokenA.target,
+            tokenB.target,
+            addr1.address,
+            toEth(2),
+            0,
+            0,
+            addr1.address,
+            deadline,
+            false,
+            v,
+            r,
+            s
+          )
+      ).to.be.revertedWithCustomError(simpleSwap, "InvalidSignature");
+    });
+
+    /**
+     * @test Verifies the approveMax flag signs for an unlimited allowance
+     */
+    it("should grant the caller max allowance when approveMax is set", async () => {
+      await removeWithPermit(toEth(2), true, addr2);
+
+      // An unlimited allowance is not decreased by spending it
+      expect(await lpToken.allowance(addr1.address, addr2.address)).to.equal(
+        ethers.MaxUint256
+      );
+      await lpToken.connect(addr1).approve(addr2.address, 0);
+    });
+
+    /**
+     * @test Verifies an input token permit replaces the approval for swaps
+     */
+    it("should swap with an input token permit", async () => {
+      const amountIn = toEth(1);
+      const deadline = await getDeadline();
+      const path = [permitToken.target, tokenB.target];
+      const [, expectedOut] = await simpleSwap.getAmountsOut(amountIn, path);
+      const { v, r, s } = await signPermit(
+        addr1,
+        permitToken,
+        simpleSwap.target,
+        amountIn,
+        deadline
+      );
+
+      await expect(
+        simpleSwap
+          .connect(addr1)
+          .swapExactTokensForTokensWithPermit(
+            amountIn,
+            0,
+            path,
+            addr1.address,
+            deadline,
+            v,
+            r,
+            s
+          )
+      ).to.changeTokenBalance(tokenB, addr1, expectedOut);
+
+      expect(await permitToken.nonces(addr1.address)).to.equal(1);
+    });
+
+    /**
+     * @test Verifies a front-run permit does not block the swap
+     */
+    it("should swap when the permit was already used", async () => {
+      const amountIn = toEth(1);
+      const deadline = await getDeadline();
+      const path = [permitToken.target, tokenB.target];
+      const { v, r, s } = await signPermit(
+        addr1,
+        permitToken,
+        simpleSwap.target,
+        amountIn,
+        deadline
+      );
+
+      // Anyone can submit the signature before the swap lands
+      await permitToken
+        .connect(addr2)
+        .permit(addr1.address, simpleSwap.target, amountIn, deadline, v, r, s);
+
+      await expect(
+        simpleSwap
+          .connect(addr1)
+          .swapExactTokensForTokensWithPermit(
+            amountIn,
+            0,
+            path,
+            addr1.address,
+            deadline,
+            v,
+            r,
+            s
+          )
+      ).to.emit(simpleSwap, "Swap");
+    });
+
+    /**
+     * @test Verifies an expired permit deadline reverts
+     */
+    it("should revert with an expired deadline", async () => {
+      await expect(
+        simpleSwap
+          .connect(addr1)
+          .swapExactTokensForTokensWithPermit(
+            toEth(1),
+            0,
+            [permitToken.target, tokenB.target],
+            addr1.address,
+            await getDeadline(-1),
+            0,
+            ethers.ZeroHash,
+            ethers.ZeroHash
+          )
+      ).to.be.revertedWithCustomError(simpleSwap, "DeadlinePassed");
+    });
+  });
+
+  describe("Multicall", () => {
+    let tokenX, tokenY, tokenZ, oldLP, newLP, snapshot;
+
+    /**
+     * Encodes a SimpleSwap call for multicall
+     * @param {string} method - Function name
+     * @param {Array} args - Function arguments
+     * @returns {string} ABI-encoded calldata
+     */
+    const encode = (method, args) =>
+      simpleSwap.interface.encodeFunctionData(method, args);
+
+    /**
+     * Builds the calls moving `liquidity` of X/Y into Y/Z: remove from X/Y,
+     * sell the X for Z, deposit Y and Z
+     * @param {BigNumber} liquidity - X/Y LP tokens to migrate
+     * @param {BigNumber} amountX - X returned by the removal
+     * @param {BigNumber} amountY - Y returned by the removal
+     * @param {BigNumber} amountZMin - Minimum Z from the swap
+     * @returns {Promise<string[]>} Calldata of the three steps
+     */
+    const migrationCalls = async (liquidity, amountX, amountY, amountZMin) => {
+      const deadline = await getDeadline();
+      return [
+        encode("removeLiquidity", [
+          tokenX.target,
+          tokenY.target,
+          liquidity,
+          0,
+          0,
+          owner.address,
+          deadline,
+        ]),
+        encode("swapExactTokensForTokens", [
+          amountX,
+          amountZMin,
+          [tokenX.target, tokenZ.target],
+          owner.address,
+          deadline,
+        ]),
+        encode("addLiquidity", [
+          tokenY.target,
+          tokenZ.target,
+          amountY,
+          amountZMin,
+          0,
+          0,
+          owner.address,
+          deadline,
+        ]),
+      ];
+    };
+
+    // The position starts in X/Y; X/Z routes the swap; Y/Z is the target
+    before(async () => {
+      snapshot = await takeSnapshot();
+      [tokenX, tokenY, tokenZ] = await Promise.all(
+        [0, 1, 2].map(() => deployToken("TokenB", owner.address))
+      );
+      for (const token of [tokenX, tokenY, tokenZ]) {
+        await approveMax(token, simpleSwap.target);
+      }
+      for (const [first, second] of [
+        [tokenX, tokenY],
+        [tokenX, tokenZ],
+        [tokenY, tokenZ],
+      ]) {
+        await simpleSwap.addLiquidity(
+          first.target,
+          second.target,
+          toEth(1000),
+          toEth(1000),
+          0,
+          0,
+          owner.address,
+          await getDeadline()
+        );
+      }
+      oldLP = await getLPToken(simpleSwap, tokenX, tokenY);
+      newLP = await getLPToken(simpleSwap, tokenY, tokenZ);
+    });
+
+    after(async () => {
+      await snapshot.restore();
+    });
+
+    /**
+     * @test Verifies remove → swap → add runs atomically and returns results
+     */
+    it("should migrate liquidity between pools in one transaction", async () => {
+      // A fresh 1000/1000 pool pays 1 X and 1 Y per LP token
+      const liquidity = toEth(100);
+      const [, amountZ] = await simpleSwap.getAmountsOut(liquidity, [
+        tokenX.target,
+        tokenZ.target,
+      ]);
+      const calls = await migrationCalls(
+        liquidity,
+        liquidity,
+        liquidity,
+        amountZ
+      );
+
+      const results = await simpleSwap.multicall.staticCall(calls);
+      const decode = (method, i) =>
+        simpleSwap.interface.decodeFunctionResult(method, results[i]);
+      expect([...decode("removeLiquidity", 0)]).to.deep.equal([
+        liquidity,
+        liquidity,
+      ]);
+      expect([...decode("swapExactTokensForTokens", 1).amounts]).to.deep.equal([
+        liquidity,
+        amountZ,
+      ]);
+      const [amountY, amountZAdded, minted] = decode("addLiquidity", 2);
+      expect(amountZAdded).to.equal(amountZ);
+
+      const tx = simpleSwap.multicall(calls);
+      await expect(tx)
+        .to.emit(simpleSwap, "LiquidityRemoved")
+        .and.to.emit(simpleSwap, "Swap")
+        .and.to.emit(simpleSwap, "LiquidityAdded");
+      await expect(tx).to.changeTokenBalances(oldLP, [owner], [-liquidity]);
+      await expect(tx).to.changeTokenBalances(newLP, [owner], [minted]);
+      await expect(tx).to.changeTokenBalances(
+        tokenY,
+        [owner],
+        [liquidity - amountY]
+      );
+      await expect(tx).to.changeTokenBalances(tokenX, [owner], [0n]);
+      await expect(tx).to.changeTokenBalances(tokenZ, [owner], [0n]);
+    });
+
+    /**
+     * @test Verifies a swap rejected by the circuit breaker undoes the batch
+     */
+    it("should revert the batch when the circuit breaker rejects its swap", async () => {
+      const liquidity = toEth(100);
+      const calls = await migrationCalls(liquidity, liquidity, liquidity, 0);
+      const balances = await Promise.all(
+        [oldLP, newLP].map((lp) => lp.balanceOf(owner.address))
+      );
+
+      // Selling 100 X into the 1000/1000 X/Z pool moves it ~20%
+      await simpleSwap.setCircuitBreaker(100, 60);
+      await expect(simpleSwap.multicall(calls)).to.be.revertedWithCustomError(
+        simpleSwap,
+        "CircuitBreakerTripped"
+      );
+      await simpleSwap.setCircuitBreaker(0, 0);
+
+      expect(
+        await Promise.all(
+          [oldLP, newLP].map((lp) => lp.balanceOf(owner.address))
+        )
+      ).to.deep.equal(balances);
+    });
+
+    /**
+     * @test Verifies the first failing call reverts the batch with its error
+     */
+    it("should revert every call with the first failure's custom error", async () => {
+      const liquidity = toEth(100);
+      const [, amountZ] = await simpleSwap.getAmountsOut(liquidity, [
+        tokenX.target,
+        tokenZ.target,
+      ]);
+      const calls = await migrationCalls(
+        liquidity,
+        liquidity,
+        liquidity,
+        amountZ + 1n
+      );
+      const balance = await oldLP.balanceOf(owner.address);
+
+      await expect(simpleSwap.multicall(calls))
+        .to.be.revertedWithCustomError(simpleSwap, "BelowMinimumAmount")
+        .withArgs("Output", amountZ + 1n, amountZ);
+      expect(await oldLP.balanceOf(owner.address)).to.equal(balance);
+
+      await simpleSwap.pause();
+      await expect(simpleSwap.multicall(calls)).to.be.revertedWithCustomError(
+        simpleSwap,
+        "EnforcedPause"
+      );
+    });
+
+    /**
+     * @test Verifies sub-calls keep the original caller for access control
+     */
+    it("should run sub-calls as the original caller", async () => {
+      await expect(
+        simpleSwap.connect(addr1).multicall([encode("setSwapFee", [50])])
+      )
+        .to.be.revertedWithCustomError(
+          simpleSwap,
+          "AccessControlUnauthorizedAccount"
+        )
+        .withArgs(addr1.address, await simpleSwap.FEE_MANAGER_ROLE());
+    });
+  });
+
+  describe("Edge Cases", () => {
+    /**
+     * @test Verifies correct LP token minting for initial 1:1 deposit
+     */
+    it("should mint 1e18 LP tokens minus MINIMUM_LIQUIDITY when adding 1e18 of both tokens to a new pool", async () => {
+      // Deploy isolated token pair
       const Token = await ethers.getContractFactory("TokenA");
       const tokenC = await Token.deploy(owner.address);
       const tokenD = await Token.deploy(owner.address);
@@ -631,12 +3730,130 @@ describe("SimpleSwap", () => {
         0,
         0,
         owner.address,
-        getDeadline()
+        await getDeadline()
+      );
+
+      // Verify 1 LP token minted in total, MINIMUM_LIQUIDITY of it locked
+      const lpToken = await getLPToken(isolatedSwap, tokenC, tokenD);
+      const minimum = await isolatedSwap.MINIMUM_LIQUIDITY();
+      const dead = await isolatedSwap.DEAD_ADDRESS();
+
+      expect(await lpToken.totalSupply()).to.equal(toEth(1));
+      expect(await lpToken.balanceOf(owner.address)).to.equal(
+        toEth(1) - minimum
+      );
+      expect(await lpToken.balanceOf(dead)).to.equal(minimum);
+    });
+
+    /**
+     * @test Verifies a first deposit too small to cover the locked liquidity reverts
+     */
+    it("should revert a first deposit not exceeding MINIMUM_LIQUIDITY", async () => {
+      const tokenC = await deployToken("TokenA", owner.address);
+      const tokenD = await deployToken("TokenB", owner.address);
+      const isolatedSwap = await SimpleSwap.deploy();
+      await approveMax(tokenC, isolatedSwap.target);
+      await approveMax(tokenD, isolatedSwap.target);
+
+      await expect(
+        isolatedSwap.addLiquidity(
+          tokenC.target,
+          tokenD.target,
+          1000,
+          1000,
+          0,
+          0,
+          owner.address,
+          await getDeadline()
+        )
+      ).to.be.revertedWithCustomError(isolatedSwap, "InsufficientLiquidity");
+    });
+
+    /**
+     * @test Regression: first-depositor share inflation is no longer profitable
+     * @dev The attacker opens the pool with the smallest possible deposit, then
+     * inflates the reserves per LP unit by donating through a swap that pays
+     * out almost nothing. The victim's deposit is rounded down to few LP units
+     * and the attacker redeems more than they put in. With MINIMUM_LIQUIDITY
+     * locked, the attacker owns only a sliver of the pool and the donation is
+     * mostly captured by the locked and victim shares.
+     */
+    it("should make the first-depositor inflation attack unprofitable", async () => {
+      const attacker = addr1;
+      const victim = addr2;
+      const tokenC = await deployToken("TokenA", owner.address);
+      const tokenD = await deployToken("TokenB", owner.address);
+      const isolatedSwap = await SimpleSwap.deploy();
+
+      // Fund and approve both participants
+      for (const account of [attacker, victim]) {
+        await tokenC.transfer(account.address, toEth(10));
+        await tokenD.transfer(account.address, toEth(10));
+        await tokenC
+          .connect(account)
+          .approve(isolatedSwap.target, ethers.MaxUint256);
+        await tokenD
+          .connect(account)
+          .approve(isolatedSwap.target, ethers.MaxUint256);
+      }
+      const attackerValue = async () =>
+        (await tokenC.balanceOf(attacker.address)) +
+        (await tokenD.balanceOf(attacker.address));
+      const initialValue = await attackerValue();
+
+      // 1. Attacker opens the pool with the smallest deposit accepted
+      const minimum = await isolatedSwap.MINIMUM_LIQUIDITY();
+      await isolatedSwap
+        .connect(attacker)
+        .addLiquidity(
+          tokenC.target,
+          tokenD.target,
+          minimum + 1n,
+          minimum + 1n,
+          0,
+          0,
+          attacker.address,
+          await getDeadline()
+        );
+
+      // 2. Attacker donates into the reserves through a lopsided swap
+      await isolatedSwap
+        .connect(attacker)
+        .swapExactTokensForTokens(
+          toEth(1),
+          0,
+          [tokenC.target, tokenD.target],
+          attacker.address,
+          await getDeadline()
+        );
+
+      // 3. Victim deposits at the inflated ratio
+      await isolatedSwap
+        .connect(victim)
+        .addLiquidity(
+          tokenC.target,
+          tokenD.target,
+          toEth(2),
+          toEth(10),
+          0,
+          0,
+          victim.address,
+          await getDeadline()
+        );
+
+      // 4. Value the attacker's LP position at its redeemable share
+      const lpToken = await getLPToken(isolatedSwap, tokenC, tokenD);
+      const [reserveC, reserveD] = await isolatedSwap.getReserves(
+        tokenC.target,
+        tokenD.target
       );
+      const attackerLP = await lpToken.balanceOf(attacker.address);
+      const supply = await lpToken.totalSupply();
+      const claim =
+        (attackerLP * reserveC) / supply + (attackerLP * reserveD) / supply;
 
-      // Verify exactly 1 LP token minted
-      const lpBalance = await isolatedSwap.balanceOf(owner.address);
-      expect(lpBalance).to.equal(toEth(1));
+      // The attacker ends up with less than they started with
+      expect((await attackerValue()) + claim).to.be.lessThan(initialValue);
     });
   });
 });
@@ -0,0 +1,270 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { SimpleSwapIndexer } = require("../indexer");
+const {
+  toEth,
+  getDeadline,
+  approveMax,
+  deployToken,
+  getLPToken,
+} = require("./utils/helpers");
+
+/**
+ * @file Test suite for the SimpleSwap event indexer
+ * @description Generates pool activity and checks the rebuilt state against
+ * on-chain reserves and LP balances
+ * @module SimpleSwapIndexerTests
+ */
+
+describe("SimpleSwapIndexer", () => {
+  let storeDir;
+
+  before(() => {
+    storeDir = fs.mkdtempSync(path.join(os.tmpdir(), "simple-swap-index-"));
+  });
+
+  after(() => {
+    fs.rmSync(storeDir, { recursive: true, force: true });
+  });
+
+  /**
+   * Deploys SimpleSwap with two pools sharing tokenB
+   * @returns {Promise<Object>} Fixture contracts and signers
+   */
+  const deployFixture = async () => {
+    const [owner, addr1] = await ethers.getSigners();
+    const tokenA = await deployToken("TokenA", owner.address);
+    const tokenB = await deployToken("TokenB", owner.address);
+    const tokenC = await deployToken("TokenB", owner.address);
+    const simpleSwap = await (
+      await ethers.getContractFactory("SimpleSwap")
+    ).deploy();
+    const startBlock = await ethers.provider.getBlockNumber();
+
+    for (const token of [tokenA, tokenB, tokenC]) {
+      await approveMax(token, simpleSwap.target);
+    }
+    await simpleSwap.addLiquidity(
+      tokenA.target,
+      tokenB.target,
+      toEth(100),
+      toEth(200),
+      0,
+      0,
+      owner.address,
+      await getDeadline()
+    );
+    await simpleSwap.addLiquidity(
+      tokenC.target,
+      tokenB.target,
+      toEth(50),
+      toEth(80),
+      0,
+      0,
+      owner.address,
+      await getDeadline()
+    );
+
+    return { owner, addr1, tokenA, tokenB, tokenC, simpleSwap, startBlock };
+  };
+
+  /**
+   * Creates an indexer with a per-test store file
+   * @param {Contract} simpleSwap - SimpleSwap contract
+   * @param {number} startBlock - First block to index
+   * @param {string} name - Store file name
+   * @param {number} [batchSize] - Blocks per getLogs request
+   * @returns {SimpleSwapIndexer} Indexer instance
+   */
+  const createIndexer = (simpleSwap, startBlock, name, batchSize) =>
+    new SimpleSwapIndexer(simpleSwap, {
+      storePath: path.join(storeDir, `${name}.json`),
+      startBlock,
+      batchSize,
+    });
+
+  /**
+   * Runs mixed activity: multi-hop swaps, removals, LP transfers and a sync
+   * @param {Object} fixture - Fixture contracts and signers
+   */
+  const generateActivity = async ({
+    owner,
+    addr1,
+    tokenA,
+    tokenB,
+    tokenC,
+    simpleSwap,
+  }) => {
+    await simpleSwap.swapExactTokensForTokens(
+      toEth(5),
+      0,
+      [tokenA.target, tokenB.target, tokenC.target],
+      owner.address,
+      await getDeadline()
+    );
+    await simpleSwap.swapTokensForExactTokens(
+      toEth(1),
+      toEth(10),
+      [tokenB.target, tokenA.target],
+      addr1.address,
+      await getDeadline()
+    );
+
+    const lpToken = await getLPToken(simpleSwap, tokenA, tokenB);
+    await lpToken.transfer(addr1.address, toEth(20));
+    await simpleSwap
+      .connect(addr1)
+      .removeLiquidity(
+        tokenB.target,
+        tokenA.target,
+        toEth(5),
+        0,
+        0,
+        addr1.address,
+        await getDeadline()
+      );
+
+    // Donation picked up by sync
+    await tokenC.transfer(simpleSwap.target, toEth(3));
+    await simpleSwap.sync(tokenB.target, tokenC.target);
+  };
+
+  /**
+   * @test Verifies rebuilt reserves match getReserves on every pool
+   */
+  it("should rebuild reserves that pass the consistency check", async () => {
+    const fixture = await loadFixture(deployFixture);
+    await generateActivity(fixture);
+
+    const indexer = createIndexer(
+      fixture.simpleSwap,
+      fixture.startBlock,
+      "reserves"
+    );
+    const state = await indexer.update();
+
+    expect(Object.keys(state.pools)).to.have.lengthOf(2);
+    expect(await indexer.verify()).to.deep.equal([]);
+  });
+
+  /**
+   * @test Verifies per-address LP positions equal on-chain balances
+   */
+  it("should rebuild LP positions and supply", async () => {
+    const fixture = await loadFixture(deployFixture);
+    const { owner, addr1, tokenA, tokenB, simpleSwap } = fixture;
+    await generateActivity(fixture);
+
+    const indexer = createIndexer(simpleSwap, fixture.startBlock, "positions");
+    await indexer.update();
+    const lpToken = await getLPToken(simpleSwap, tokenA, tokenB);
+
+    for (const holder of [
+      owner.address,
+      addr1.address,
+      "0x000000000000000000000000000000000000dEaD",
+    ]) {
+      expect(
+        indexer.getPosition(tokenA.target, tokenB.target, holder)
+      ).to.equal(await lpToken.balanceOf(holder));
+    }
+    expect(indexer.getPool(tokenB.target, tokenA.target).totalSupply).to.equal(
+      await lpToken.totalSupply()
+    );
+  });
+
+  /**
+   * @test Verifies swap volume and fees are attributed to the input token
+   */
+  it("should track swap volumes and fees", async () => {
+    const { tokenA, tokenB, simpleSwap, startBlock, owner } = await loadFixture(
+      deployFixture
+    );
+    await simpleSwap.swapExactTokensForTokens(
+      toEth(10),
+      0,
+      [tokenA.target, tokenB.target],
+      owner.address,
+      await getDeadline()
+    );
+
+    const indexer = createIndexer(simpleSwap, startBlock, "volumes");
+    await indexer.update();
+    const pool = indexer.getPool(tokenA.target, tokenB.target);
+    const aIsToken0 = pool.token0 === tokenA.target;
+
+    expect(pool.swaps).to.equal(1);
+    expect(aIsToken0 ? pool.volume0 : pool.volume1).to.equal(toEth(10));
+    expect(aIsToken0 ? pool.fees0 : pool.fees1).to.equal(
+      (toEth(10) * (await simpleSwap.swapFee())) / 10_000n
+    );
+  });
+
+  /**
+   * @test Verifies a new indexer resumes from the persisted block
+   */
+  it("should persist state and resume from the last block", async () => {
+    const fixture = await loadFixture(deployFixture);
+    const { simpleSwap, startBlock } = fixture;
+
+    const first = createIndexer(simpleSwap, startBlock, "resume", 2);
+    const { lastBlock } = await first.update();
+
+    await generateActivity(fixture);
+
+    const resumed = createIndexer(simpleSwap, startBlock, "resume", 2);
+    const state = await resumed.load();
+    expect(state.lastBlock).to.equal(lastBlock);
+
+    await resumed.update();
+    expect(resumed.state.lastBlock).to.equal(
+      await ethers.provider.getBlockNumber()
+    );
+    expect(await resumed.verify()).to.deep.equal([]);
+  });
+
+  /**
+   * @test Verifies an index started after the first deposits tracks net flows
+   */
+  it("should index from a later block without the earlier mints", async () => {
+    const fixture = await loadFixture(deployFixture);
+    const { owner, addr1, tokenA, tokenB, simpleSwap } = fixture;
+    const laterBlock = (await ethers.provider.getBlockNumber()) + 1;
+    await generateActivity(fixture);
+
+    const indexer = createIndexer(simpleSwap, laterBlock, "later", 2);
+    await indexer.update();
+    const lpToken = await getLPToken(simpleSwap, tokenA, tokenB);
+
+    // The owner's deposit predates the index: only the outgoing transfer
+    expect(
+      indexer.getPosition(tokenA.target, tokenB.target, owner.address)
+    ).to.equal(-toEth(20));
+    expect(
+      indexer.getPosition(tokenA.target, tokenB.target, addr1.address)
+    ).to.equal(await lpToken.balanceOf(addr1.address));
+    expect(indexer.getPool(tokenA.target, tokenB.target).totalSupply).to.equal(
+      -toEth(5)
+    );
+  });
+
+  /**
+   * @test Verifies the consistency check reports diverging reserves
+   */
+  it("should report mismatches against getReserves", async () => {
+    const { tokenA, tokenB, simpleSwap, startBlock } = await loadFixture(
+      deployFixture
+    );
+    const indexer = createIndexer(simpleSwap, startBlock, "mismatch");
+    await indexer.update();
+    indexer.getPool(tokenA.target, tokenB.target).reserve0 += 1n;
+
+    const mismatches = await indexer.verify();
+    expect(mismatches).to.have.lengthOf(1);
+    expect(mismatches[0].indexed[0]).to.equal(mismatches[0].onChain[0] + 1n);
+  });
+});
@@ -0,0 +1,278 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const {
+  loadFixture,
+  time,
+} = require("@nomicfoundation/hardhat-network-helpers");
+const {
+  toEth,
+  approveMax,
+  deployToken,
+  signSwapIntent,
+} = require("./utils/helpers");
+
+/**
+ * @file Test suite for SimpleSwapIntents
+ * @description Covers relayed EIP-712 swap intents: execution, relayer
+ * fees, replay protection, expiry and forged signatures
+ * @module SimpleSwapIntentsTests
+ */
+
+describe("SimpleSwapIntents", () => {
+  /**
+   * Deploys SimpleSwap with a 1:1 TokenA/TokenB pool and the intents
+   * contract, and funds a user who never sends a transaction
+   * @returns {Promise<Object>} Fixture contracts and signers
+   */
+  const deployFixture = async () => {
+    const [owner, user, relayer, recipient] = await ethers.getSigners();
+    const tokenA = await deployToken("TokenA", owner.address);
+    const tokenB = await deployToken("TokenB", owner.address);
+    const simpleSwap = await (
+      await ethers.getContractFactory("SimpleSwap")
+    ).deploy();
+    const intents = await (
+      await ethers.getContractFactory("SimpleSwapIntents")
+    ).deploy(simpleSwap.target);
+
+    await approveMax(tokenA, simpleSwap.target);
+    await approveMax(tokenB, simpleSwap.target);
+    await simpleSwap.addLiquidity(
+      tokenA.target,
+      tokenB.target,
+      toEth(1000),
+      toEth(1000),
+      0,
+      0,
+      owner.address,
+      (await time.latest()) + 60
+    );
+
+    // The one-time approval could itself come from an EIP-2612 permit
+    await tokenA.transfer(user.address, toEth(100));
+    await approveMax(tokenA.connect(user), intents.target);
+
+    return {
+      owner,
+      user,
+      relayer,
+      recipient,
+      tokenA,
+      tokenB,
+      simpleSwap,
+      intents,
+    };
+  };
+
+  /**
+   * Builds and signs an intent selling 10 TokenA for TokenB
+   * @param {Object} fixture - Fixture returned by deployFixture
+   * @param {Object} [overrides] - Intent fields to replace
+   * @returns {Promise<Object>} The intent and its signature
+   */
+  const signIntent = async (fixture, overrides = {}) => {
+    const { user, recipient, tokenA, tokenB, intents } = fixture;
+    const intent = {
+      signer: user.address,
+      path: [tokenA.target, tokenB.target],
+      amountIn: toEth(10),
+      amountOutMin: toEth(9),
+      recipient: recipient.address,
+      relayerFee: toEth(0.1),
+      nonce: await intents.nonces(user.address),
+      deadline: (await time.latest()) + 3600,
+      ...overrides,
+    };
+    return { intent, signature: await signSwapIntent(user, intents, intent) };
+  };
+
+  describe("Execution", () => {
+    /**
+     * @test Verifies a relayer swaps for the signer and earns its fee
+     */
+    it("should pull from the signer and split the output", async () => {
+      const fixture = await loadFixture(deployFixture);
+      const { user, relayer, recipient, tokenA, tokenB, simpleSwap, intents } =
+        fixture;
+      const { intent, signature } = await signIntent(fixture);
+      const [, quoted] = await simpleSwap.getAmountsOut(
+        intent.amountIn,
+        intent.path
+      );
+
+      expect(await intents.hashSwapIntent(intent)).to.equal(
+        ethers.TypedDataEncoder.hash(
+          {
+            name: "SimpleSwap Intents",
+            version: "1",
+            chainId: (await ethers.provider.getNetwork()).chainId,
+            verifyingContract: intents.target,
+          },
+          {
+            SwapIntent: [
+              { name: "signer", type: "address" },
+              { name: "path", type: "address[]" },
+              { name: "amountIn", type: "uint256" },
+              { name: "amountOutMin", type: "uint256" },
+              { name: "recipient", type: "address" },
+              { name: "relayerFee", type: "uint256" },
+              { name: "nonce", type: "uint256" },
+              { name: "deadline", type: "uint256" },
+            ],
+          },
+          intent
+        )
+      );
+
+      const tx = intents.connect(relayer).executeSwapIntent(intent, signature);
+      await expect(tx)
+        .to.emit(intents, "SwapIntentExecuted")
+        .withArgs(
+          user.address,
+          relayer.address,
+          0n,
+          quoted - toEth(0.1),
+          toEth(0.1)
+        );
+      await expect(tx).to.changeTokenBalance(tokenA, user, -toEth(10));
+      await expect(tx).to.changeTokenBalances(
+        tokenB,
+        [recipient, relayer, intents],
+        [quoted - toEth(0.1), toEth(0.1), 0n]
+      );
+
+      expect(await intents.nonces(user.address)).to.equal(1n);
+    });
+
+    /**
+     * @test Verifies the minimum applies to the output net of the fee
+     */
+    it("should enforce amountOutMin after the relayer fee", async () => {
+      const fixture = await loadFixture(deployFixture);
+      const { relayer, tokenA, tokenB, simpleSwap, intents } = fixture;
+      const [, quoted] = await simpleSwap.getAmountsOut(toEth(10), [
+        tokenA.target,
+        tokenB.target,
+      ]);
+
+      // Enough for either the minimum or the fee, not both
+      const { intent, signature } = await signIntent(fixture, {
+        amountOutMin: quoted - toEth(0.05),
+      });
+      await expect(
+        intents.connect(relayer).executeSwapIntent(intent, signature)
+      )
+        .to.be.revertedWithCustomError(simpleSwap, "BelowMinimumAmount")
+        .withArgs("Output", quoted + toEth(0.05), quoted);
+    });
+
+    /**
+     * @test Verifies a circuit breaker rejection keeps the input and nonce
+     */
+    it("should leave the intent usable when a circuit breaker rejects it", async () => {
+      const fixture = await loadFixture(deployFixture);
+      const { user, relayer, tokenA, simpleSwap, intents } = fixture;
+      await simpleSwap.setCircuitBreaker(100, 60);
+      const { intent, signature } = await signIntent(fixture, {
+        amountIn: toEth(100),
+        amountOutMin: 0n,
+      });
+
+      await expect(
+        intents.connect(relayer).executeSwapIntent(intent, signature)
+      ).to.be.revertedWithCustomError(simpleSwap, "CircuitBreakerTripped");
+
+      expect(await tokenA.balanceOf(user.address)).to.equal(toEth(100));
+      expect(await intents.nonces(user.address)).to.equal(0n);
+    });
+  });
+
+  describe("Replay and Expiry", () => {
+    /**
+     * @test Verifies an executed intent cannot be submitted again
+     */
+    it("should reject a replayed intent", async () => {
+      const fixture = await loadFixture(deployFixture);
+      const { user, relayer, intents } = fixture;
+      const { intent, signature } = await signIntent(fixture);
+      await intents.connect(relayer).executeSwapIntent(intent, signature);
+
+      await expect(
+        intents.connect(relayer).executeSwapIntent(intent, signature)
+      )
+        .to.be.revertedWithCustomError(intents, "InvalidAccountNonce")
+        .withArgs(user.address, 1n);
+
+      // Intents run in nonce order: a future nonce is not yet valid
+      const future = await signIntent(fixture, { nonce: 2n });
+      await expect(
+        intents.executeSwapIntent(future.intent, future.signature)
+      ).to.be.revertedWithCustomError(intents, "InvalidAccountNonce");
+    });
+
+    /**
+     * @test Verifies an intent cannot execute after its deadline
+     */
+    it("should reject an expired intent", async () => {
+      const fixture = await loadFixture(deployFixture);
+      const { relayer, intents } = fixture;
+      const { intent, signature } = await signIntent(fixture);
+
+      await time.increaseTo(intent.deadline + 1);
+      await expect(
+        intents.connect(relayer).executeSwapIntent(intent, signature)
+      ).to.be.revertedWithCustomError(intents, "DeadlinePassed");
+    });
+  });
+
+  describe("Signatures", () => {
+    /**
+     * @test Verifies tampered intents and foreign signers are rejected
+     */
+    it("should reject intents not signed by their signer", async () => {
+      const fixture = await loadFixture(deployFixture);
+      const { relayer, recipient, intents } = fixture;
+      const { intent, signature } = await signIntent(fixture);
+
+      // A relayer redirecting the output or raising its fee
+      for (const tampered of [
+        { ...intent, recipient: relayer.address },
+        { ...intent, relayerFee: toEth(1) },
+      ]) {
+        await expect(
+          intents.connect(relayer).executeSwapIntent(tampered, signature)
+        ).to.be.revertedWithCustomError(intents, "InvalidSignature");
+      }
+
+      // Someone else signing to spend the user's approval
+      const forged = await signSwapIntent(recipient, intents, intent);
+      await expect(
+        intents.connect(relayer).executeSwapIntent(intent, forged)
+      ).to.be.revertedWithCustomError(intents, "InvalidSignature");
+
+      await expect(
+        intents
+          .connect(relayer)
+          .executeSwapIntent(
+            { ...intent, recipient: ethers.ZeroAddress },
+            signature
+          )
+      ).to.be.revertedWithCustomError(intents, "InvalidRecipient");
+    });
+
+    /**
+     * @test Verifies malformed paths are rejected before any token is read
+     */
+    it("should reject intents with fewer than two tokens in the path", async () => {
+      const fixture = await loadFixture(deployFixture);
+      const { relayer, tokenA, intents } = fixture;
+
+      for (const path of [[], [tokenA.target]]) {
+        const { intent, signature } = await signIntent(fixture, { path });
+        await expect(
+          intents.connect(relayer).executeSwapIntent(intent, signature)
+        ).to.be.revertedWithCustomError(intents, "InvalidPath");
+      }
+    });
+  });
+});
@@ -0,0 +1,434 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const {
+  time,
+  takeSnapshot,
+} = require("@nomicfoundation/hardhat-network-helpers");
+const { sqrt } = require("../sdk/math");
+const { toEth, approveMax, deployToken } = require("./utils/helpers");
+const {
+  invariant,
+  InvariantViolation,
+  createRng,
+  shrinkSequence,
+  checkProperty,
+} = require("./utils/fuzz");
+
+/**
+ * @file Stateful invariant tests for SimpleSwap
+ * @description Drives random sequences of deposits, withdrawals, swaps and
+ * pause toggles across several accounts and pools, asserting the AMM
+ * invariants after every step. Override FUZZ_SEED, FUZZ_RUNS and FUZZ_STEPS
+ * to explore further or to reproduce a reported failure.
+ * @module SimpleSwapInvariantTests
+ */
+
+/** Base seed; failures print the value to reproduce them */
+const SEED = Number(process.env.FUZZ_SEED ?? 1337);
+const RUNS = Number(process.env.FUZZ_RUNS ?? 4);
+const STEPS = Number(process.env.FUZZ_STEPS ?? 30);
+
+/** Fixed-point scale for LP share values */
+const SCALE = 10n ** 36n;
+
+describe("SimpleSwap Invariants", () => {
+  let simpleSwap, tokens, users, owner, snapshot;
+
+  /** Pools as token index pairs */
+  const POOLS = [
+    [0, 1],
+    [1, 2],
+    [0, 2],
+  ];
+
+  /** Swap paths as token index lists, including multi-hop routes */
+  const PATHS = [
+    [0, 1],
+    [1, 0],
+    [1, 2],
+    [2, 1],
+    [0, 2],
+    [2, 0],
+    [0, 1, 2],
+    [2, 1, 0],
+  ];
+
+  /**
+   * Setup hook runs before all tests
+   * @dev Funds three users across three tokens; the snapshot is restored
+   * before every sequence and after the suite
+   */
+  before(async () => {
+    let signers;
+    [owner, ...signers] = await ethers.getSigners();
+    users = signers.slice(0, 3);
+
+    tokens = [
+      await deployToken("TokenA", owner.address),
+      await deployToken("TokenB", owner.address),
+      await deployToken("TokenB", owner.address),
+    ];
+    simpleSwap = await (await ethers.getContractFactory("SimpleSwap")).deploy();
+
+    for (const token of tokens) {
+      for (const user of users) {
+        await token.transfer(user.address, toEth(300_000));
+        await approveMax(token.connect(user), simpleSwap.target);
+      }
+    }
+
+    snapshot = await takeSnapshot();
+  });
+
+  after(async () => await snapshot.restore());
+
+  // ========== MODEL ==========
+
+  /**
+   * Generates one random step
+   * @param {Object} rng - Seeded generator
+   * @returns {Object} Step description, independent of chain state
+   */
+  const generateStep = (rng) => {
+    const roll = rng.next();
+    const user = rng.int(0, users.length - 1);
+
+    if (roll < 0.25) {
+      return {
+        action: "add",
+        user,
+        pool: rng.int(0, POOLS.length - 1),
+        amountA: rng.amount(17),
+        amountB: rng.amount(17),
+      };
+    }
+    if (roll < 0.45) {
+      return {
+        action: "remove",
+        user,
+        pool: rng.int(0, POOLS.length - 1),
+        shareBps: rng.int(1, 10_000),
+      };
+    }
+    if (roll < 0.75) {
+      return {
+        action: "swapExactIn",
+        user,
+        path: rng.int(0, PATHS.length - 1),
+        amount: rng.amount(17),
+      };
+    }
+    if (roll < 0.9) {
+      return {
+        action: "swapExactOut",
+        user,
+        path: rng.int(0, PATHS.length - 1),
+        amount: rng.amount(17),
+      };
+    }
+    return { action: rng.chance(0.5) ? "pause" : "unpause" };
+  };
+
+  /**
+   * Reads every pool's reserves, LP supply, k and value per LP share
+   * @returns {Promise<Object[]>} Pool snapshots in POOLS order
+   */
+  const readPools = async () =>
+    Promise.all(
+      POOLS.map(async ([a, b]) => {
+        const [reserveA, reserveB] = await simpleSwap.getReserves(
+          tokens[a].target,
+          tokens[b].target
+        );
+        const pair = await simpleSwap.getPair(
+          tokens[a].target,
+          tokens[b].target
+        );
+        const lpToken =
+          pair === ethers.ZeroAddress
+            ? null
+            : await ethers.getContractAt("SimpleSwapLP", pair);
+        const supply = lpToken ? await lpToken.totalSupply() : 0n;
+        const k = reserveA * reserveB;
+        const balances = await Promise.all(
+          users.map((user) => (lpToken ? lpToken.balanceOf(user.address) : 0n))
+        );
+
+        return {
+          reserveA,
+          reserveB,
+          supply,
+          k,
+          shareValue: supply > 0n ? (sqrt(k) * SCALE) / supply : 0n,
+          balances,
+        };
+      })
+    );
+
+  /**
+   * Reads a user's balance of every token
+   * @param {Signer} user - Account to read
+   * @returns {Promise<bigint[]>} Balances in token order
+   */
+  const readBalances = (user) =>
+    Promise.all(tokens.map((token) => token.balanceOf(user.address)));
+
+  /**
+   * Sends the transaction for a step
+   * @param {Object} step - Step description
+   * @param {Object[]} pools - Pool snapshots before the step
+   * @returns {Promise<boolean>} Whether a transaction was sent
+   */
+  const sendStep = async (step, pools) => {
+    const deadline = (await time.latest()) + 3_600;
+    const user = users[step.user];
+    const swap = simpleSwap.connect(user);
+    const path = PATHS[step.path]?.map((index) => tokens[index].target);
+
+    switch (step.action) {
+      case "add": {
+        const [a, b] = POOLS[step.pool];
+        return swap.addLiquidity(
+          tokens[a].target,
+          tokens[b].target,
+          step.amountA,
+          step.amountB,
+          0,
+          0,
+          user.address,
+          deadline
+        );
+      }
+      case "remove": {
+        const [a, b] = POOLS[step.pool];
+        const liquidity =
+          (pools[step.pool].balances[step.user] * BigInt(step.shareBps)) /
+          10_000n;
+        if (liquidity === 0n) return null;
+        return swap.removeLiquidity(
+          tokens[a].target,
+          tokens[b].target,
+          liquidity,
+          0,
+          0,
+          user.address,
+          deadline
+        );
+      }
+      case "swapExactIn":
+        return swap.swapExactTokensForTokens(
+          step.amount,
+          0,
+          path,
+          user.address,
+          deadline
+        );
+      case "swapExactOut":
+        return swap.swapTokensForExactTokens(
+          step.amount,
+          ethers.MaxUint256,
+          path,
+          user.address,
+          deadline
+        );
+      case "pause":
+        return simpleSwap.pause();
+      case "unpause":
+        return simpleSwap.unpause();
+      default:
+        throw new Error(`Unknown action ${step.action}`);
+    }
+  };
+
+  /**
+   * Runs a step sequence from the funded snapshot, checking invariants
+   * after every step
+   * @param {Object[]} sequence - Steps to execute
+   */
+  const execute = async (sequence) => {
+    await snapshot.restore();
+
+    // Per user and pool: LP value contributed plus fees, and value withdrawn
+    const entitled = users.map(() => POOLS.map(() => 0n));
+    const withdrawn = users.map(() => POOLS.map(() => 0n));
+
+    for (const [index, step] of sequence.entries()) {
+      const label = `step ${index} (${step.action})`;
+      const before = await readPools();
+      const paused = await simpleSwap.paused();
+      const user = users[step.user];
+      const balancesBefore = user ? await readBalances(user) : null;
+
+      let succeeded = false;
+      try {
+        succeeded = (await sendStep(step, before)) !== null;
+      } catch (error) {
+        if (!/reverted/.test(error.message)) throw error;
+        invariant(
+          !/panic code/.test(error.message),
+          "no arithmetic panics",
+          `${label}: ${error.message}`
+        );
+      }
+
+      const after = await readPools();
+      const balancesAfter = user ? await readBalances(user) : null;
+      const isTrade = !["pause", "unpause"].includes(step.action);
+
+      invariant(
+        !(paused && isTrade && succeeded),
+        "paused contract rejects trading",
+        label
+      );
+
+      for (const [p, pool] of after.entries()) {
+        const previous = before[p];
+
+        invariant(
+          (pool.supply === 0n) ===
+            (pool.reserveA === 0n && pool.reserveB === 0n),
+          "LP supply is zero only when reserves are zero",
+          `${label}, pool ${p}: supply ${pool.supply}, reserves ${pool.reserveA}/${pool.reserveB}`
+        );
+
+        if (step.action.startsWith("swap")) {
+          invariant(
+            pool.k >= previous.k,
+            "k never decreases on swaps",
+            `${label}, pool ${p}: ${previous.k} -> ${pool.k}`
+          );
+        }
+        if (previous.supply > 0n) {
+          invariant(
+            pool.shareValue >= previous.shareValue,
+            "k per LP share never decreases",
+            `${label}, pool ${p}: ${previous.shareValue} -> ${pool.shareValue}`
+          );
+        }
+
+        // Fee growth accrues to the shares held after the step
+        for (const u of users.keys()) {
+          entitled[u][p] +=
+            pool.balances[u] * (pool.shareValue - previous.shareValue);
+        }
+      }
+
+      if (succeeded && step.action === "add") {
+        const [a, b] = POOLS[step.pool];
+        const depositA = balancesBefore[a] - balancesAfter[a];
+        const depositB = balancesBefore[b] - balancesAfter[b];
+        entitled[step.user][step.pool] += sqrt(depositA * depositB) * SCALE;
+      }
+      if (succeeded && step.action === "remove") {
+        const [a, b] = POOLS[step.pool];
+        const receivedA = balancesAfter[a] - balancesBefore[a];
+        const receivedB = balancesAfter[b] - balancesBefore[b];
+        withdrawn[step.user][step.pool] += sqrt(receivedA * receivedB) * SCALE;
+
+        // Allow one unit of sqrt rounding per step
+        const tolerance = BigInt(index + 1) * 2n * SCALE;
+        invariant(
+          withdrawn[step.user][step.pool] <=
+            entitled[step.user][step.pool] + tolerance,
+          "no user withdraws more than contributed plus fees",
+          `${label}, user ${step.user}, pool ${step.pool}`
+        );
+      }
+
+      for (const [t, token] of tokens.entries()) {
+        const accounted = await simpleSwap.tokenReserves(token.target);
+        const pooled = POOLS.reduce(
+          (sum, [a, b], p) =>
+            sum +
+            (a === t ? after[p].reserveA : 0n) +
+            (b === t ? after[p].reserveB : 0n),
+          0n
+        );
+        invariant(
+          pooled === accounted,
+          "pool reserves sum to tokenReserves",
+          `${label}, token ${t}: ${pooled} vs ${accounted}`
+        );
+        invariant(
+          accounted <= (await token.balanceOf(simpleSwap.target)),
+          "reserves never exceed token balances",
+          `${label}, token ${t}`
+        );
+      }
+    }
+  };
+
+  // ========== PROPERTIES ==========
+
+  /**
+   * @test Verifies every invariant over random multi-user, multi-pool sequences
+   */
+  it("should hold every invariant over random sequences", async () => {
+    await checkProperty({
+      name: "SimpleSwap invariants",
+      seed: SEED,
+      runs: RUNS,
+      steps: STEPS,
+      generateStep,
+      execute,
+    });
+  });
+
+  describe("Harness", () => {
+    /**
+     * @test Verifies the same seed always yields the same sequence
+     */
+    it("should generate reproducible sequences from a seed", () => {
+      const sequence = (seed) => {
+        const rng = createRng(seed);
+        return Array.from({ length: 20 }, () => generateStep(rng));
+      };
+
+      expect(sequence(7)).to.deep.equal(sequence(7));
+      expect(sequence(7)).to.not.deep.equal(sequence(8));
+    });
+
+    /**
+     * @test Verifies failing sequences shrink to a minimal reproduction
+     */
+    it("should shrink failing sequences", async () => {
+      const failing = [
+        { amount: 5n },
+        { amount: 900n },
+        { amount: 3n },
+        { amount: 400n },
+      ];
+      const exceedsLimit = async (sequence) =>
+        sequence.reduce((sum, step) => sum + step.amount, 0n) > 1_000n;
+
+      const shrunk = await shrinkSequence(failing, exceedsLimit, 500);
+
+      expect(shrunk).to.have.lengthOf(2);
+      expect(await exceedsLimit(shrunk)).to.equal(true);
+    });
+
+    /**
+     * @test Verifies failures report the seed and the shrunk sequence
+     */
+    it("should report the seed and shrunk sequence", async () => {
+      const error = await checkProperty({
+        name: "demo",
+        seed: 99,
+        runs: 1,
+        steps: 10,
+        generateStep: (rng) => ({ amount: rng.amount(3) }),
+        execute: async (sequence) =>
+          invariant(
+            !sequence.some(({ amount }) => amount > 10n),
+            "amounts stay small",
+            "found a large amount"
+          ),
+      }).catch((e) => e);
+
+      expect(error.message).to.include("FUZZ_SEED=99");
+      expect(error.sequence).to.have.lengthOf(1);
+      expect(error.sequence[0].amount > 10n).to.equal(true);
+      expect(error.cause).to.be.instanceOf(InvariantViolation);
+    });
+  });
+});
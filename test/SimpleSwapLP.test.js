@@ -0,0 +1,66 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { toEth } = require("./utils/helpers");
+
+/**
+ * Test suite for SimpleSwapLP pair token contract
+ * @dev Tests cover:
+ *      - Pair metadata set at deployment
+ *      - Mint/burn restricted to the deploying swap contract
+ */
+describe("SimpleSwapLP", () => {
+  // Test variables
+  let lpToken; // SimpleSwapLP contract instance
+  let owner, addr1, token0, token1; // Test accounts (deployer acts as swap)
+
+  /**
+   * Setup hook runs before all tests
+   * @dev Deploys the LP token directly so the owner acts as the swap contract
+   */
+  before(async () => {
+    [owner, addr1, token0, token1] = await ethers.getSigners();
+
+    const SimpleSwapLP = await ethers.getContractFactory("SimpleSwapLP");
+    lpToken = await SimpleSwapLP.deploy(
+      owner.address,
+      token0.address,
+      token1.address
+    );
+  });
+
+  /**
+   * Test Pair Metadata
+   * @dev Verifies swap and pair token addresses are stored
+   */
+  it("Should store swap and pair tokens", async () => {
+    expect(await lpToken.swap()).to.equal(owner.address);
+    expect(await lpToken.token0()).to.equal(token0.address);
+    expect(await lpToken.token1()).to.equal(token1.address);
+  });
+
+  /**
+   * Test Mint and Burn
+   * @dev Verifies the swap contract can mint and burn LP tokens
+   */
+  it("Should let the swap mint and burn", async () => {
+    await lpToken.mint(addr1.address, toEth(10));
+    await lpToken.burn(addr1.address, toEth(4));
+
+    expect(await lpToken.balanceOf(addr1.address)).to.equal(toEth(6));
+    expect(await lpToken.totalSupply()).to.equal(toEth(6));
+  });
+
+  /**
+   * Test Access Control
+   * @dev Verifies other accounts cannot mint or burn
+   */
+  it("Should revert when non-swap mints or burns", async () => {
+    await expect(lpToken.connect(addr1).mint(addr1.address, toEth(1)))
+      .to.be.revertedWithCustomError(lpToken, "OnlySwap")
+      .withArgs(addr1.address);
+
+    await expect(lpToken.connect(addr1).burn(addr1.address, toEth(1)))
+      .to.be.revertedWithCustomError(lpToken, "OnlySwap")
+      .withArgs(addr1.address);
+  });
+});
@@ -0,0 +1,118 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const {
+  toEth,
+  getDeadline,
+  approveMax,
+  deployToken,
+  getLPToken,
+} = require("./utils/helpers");
+
+/**
+ * @file Test suite for SimpleSwapLens
+ * @description Covers the paginated pool snapshot used by dashboards
+ * @module SimpleSwapLensTests
+ */
+
+describe("SimpleSwapLens", () => {
+  /**
+   * Deploys SimpleSwap, the lens and three pools
+   * @returns {Promise<Object>} Fixture contracts and pool token pairs
+   */
+  const deployFixture = async () => {
+    const [owner] = await ethers.getSigners();
+    const tokenA = await deployToken("TokenA", owner.address);
+    const tokenB = await deployToken("TokenB", owner.address);
+    const tokenC = await deployToken("FeeOnTransferToken", owner.address);
+    const simpleSwap = await (
+      await ethers.getContractFactory("SimpleSwap")
+    ).deploy();
+    const lens = await (
+      await ethers.getContractFactory("SimpleSwapLens")
+    ).deploy(simpleSwap.target);
+
+    const pairs = [
+      [tokenA, tokenB, toEth(100), toEth(200)],
+      [tokenA, tokenC, toEth(50), toEth(50)],
+      [tokenB, tokenC, toEth(30), toEth(90)],
+    ];
+    for (const token of [tokenA, tokenB, tokenC]) {
+      await approveMax(token, simpleSwap.target);
+    }
+    for (const [first, second, amountFirst, amountSecond] of pairs) {
+      await simpleSwap.addLiquidity(
+        first.target,
+        second.target,
+        amountFirst,
+        amountSecond,
+        0,
+        0,
+        owner.address,
+        await getDeadline()
+      );
+    }
+
+    return { simpleSwap, lens, pairs };
+  };
+
+  /**
+   * @test Verifies every field of a pool snapshot
+   */
+  it("should return tokens, reserves, supply, price and metadata", async () => {
+    const { simpleSwap, lens, pairs } = await loadFixture(deployFixture);
+    const [info] = await lens.getPoolsInfo(0, 1);
+    const [tokenA, tokenB] = pairs[0];
+    const lpToken = await getLPToken(simpleSwap, tokenA, tokenB);
+
+    const [token0, token1] =
+      tokenA.target < tokenB.target ? [tokenA, tokenB] : [tokenB, tokenA];
+    const [reserve0, reserve1] = await simpleSwap.getReserves(
+      token0.target,
+      token1.target
+    );
+
+    expect(info.lpToken).to.equal(lpToken.target);
+    expect(info.token0).to.equal(token0.target);
+    expect(info.token1).to.equal(token1.target);
+    expect(info.symbol0).to.equal(await token0.symbol());
+    expect(info.symbol1).to.equal(await token1.symbol());
+    expect(info.decimals0).to.equal(18);
+    expect(info.decimals1).to.equal(18);
+    expect(info.reserve0).to.equal(reserve0);
+    expect(info.reserve1).to.equal(reserve1);
+    expect(info.totalSupply).to.equal(await lpToken.totalSupply());
+    expect(info.price).to.equal(
+      await simpleSwap.getPrice(token0.target, token1.target)
+    );
+    expect(info.poolType).to.equal(0n);
+  });
+
+  /**
+   * @test Verifies pages follow registry order and are truncated at the end
+   */
+  it("should paginate in creation order", async () => {
+    const { simpleSwap, lens } = await loadFixture(deployFixture);
+    const total = await simpleSwap.allPairsLength();
+
+    const all = await lens.getPoolsInfo(0, total);
+    expect(all.map((info) => info.lpToken)).to.deep.equal(
+      await Promise.all([0, 1, 2].map((i) => simpleSwap.allPairs(i)))
+    );
+
+    const page = await lens.getPoolsInfo(1, 5);
+    expect(page).to.have.lengthOf(2);
+    expect(page[0].lpToken).to.equal(all[1].lpToken);
+  });
+
+  /**
+   * @test Verifies out-of-range pages are empty and huge limits do not overflow
+   */
+  it("should handle out-of-range offsets and limits", async () => {
+    const { lens } = await loadFixture(deployFixture);
+
+    expect(await lens.getPoolsInfo(3, 10)).to.have.lengthOf(0);
+    expect(await lens.getPoolsInfo(0, 0)).to.have.lengthOf(0);
+    expect(await lens.getPoolsInfo(2, ethers.MaxUint256)).to.have.lengthOf(1);
+  });
+});
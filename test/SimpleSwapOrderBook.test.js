@@ -0,0 +1,275 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { anyValue } = require("@nomicfoundation/hardhat-chai-matchers/withArgs");
+const {
+  loadFixture,
+  time,
+} = require("@nomicfoundation/hardhat-network-helpers");
+const { toEth, approveMax, deployToken } = require("./utils/helpers");
+
+/**
+ * @file Test suite for SimpleSwapOrderBook
+ * @description Covers placing, filling, cancelling and expiring limit orders
+ * @module SimpleSwapOrderBookTests
+ */
+
+describe("SimpleSwapOrderBook", () => {
+  // Order lifecycle, mirroring SimpleSwapOrderBook.OrderStatus
+  const Status = { None: 0n, Open: 1n, Filled: 2n, Cancelled: 3n };
+
+  /**
+   * Deploys SimpleSwap with a 1:1 TokenA/TokenB pool and the order book
+   * @returns {Promise<Object>} Fixture contracts and signers
+   */
+  const deployFixture = async () => {
+    const [owner, keeper, trader] = await ethers.getSigners();
+    const tokenA = await deployToken("TokenA", owner.address);
+    const tokenB = await deployToken("TokenB", owner.address);
+    const simpleSwap = await (
+      await ethers.getContractFactory("SimpleSwap")
+    ).deploy();
+    const orderBook = await (
+      await ethers.getContractFactory("SimpleSwapOrderBook")
+    ).deploy(simpleSwap.target);
+
+    for (const token of [tokenA, tokenB]) {
+      await approveMax(token, simpleSwap.target);
+      await approveMax(token, orderBook.target);
+    }
+    await simpleSwap.addLiquidity(
+      tokenA.target,
+      tokenB.target,
+      toEth(1000),
+      toEth(1000),
+      0,
+      0,
+      owner.address,
+      (await time.latest()) + 60
+    );
+
+    // The trader moves the price; the keeper fills orders
+    await tokenB.transfer(trader.address, toEth(1000));
+    await approveMax(tokenB.connect(trader), simpleSwap.target);
+
+    return { owner, keeper, trader, tokenA, tokenB, simpleSwap, orderBook };
+  };
+
+  /**
+   * Places an order selling 10 TokenA for at least 1.05 TokenB each
+   * @param {Object} fixture - Fixture returned by deployFixture
+   * @param {Object} [overrides] - Order fields to replace
+   * @returns {Promise<ContractTransaction>} Transaction response
+   */
+  const placeOrder = async ({ orderBook, tokenA, tokenB }, overrides = {}) => {
+    const order = {
+      amountIn: toEth(10),
+      limitPrice: toEth(1.05),
+      bounty: toEth(0.05),
+      deadline: (await time.latest()) + 3600,
+      ...overrides,
+    };
+    return orderBook.placeOrder(
+      tokenA.target,
+      tokenB.target,
+      order.amountIn,
+      order.limitPrice,
+      order.bounty,
+      order.deadline
+    );
+  };
+
+  /**
+   * Buys TokenA with TokenB until the pool quotes well above 1.05 B per A
+   * @param {Object} fixture - Fixture returned by deployFixture
+   * @returns {Promise<ContractTransaction>} Transaction response
+   */
+  const pumpTokenA = async ({ simpleSwap, trader, tokenA, tokenB }) =>
+    simpleSwap
+      .connect(trader)
+      .swapExactTokensForTokens(
+        toEth(100),
+        0,
+        [tokenB.target, tokenA.target],
+        trader.address,
+        (await time.latest()) + 60
+      );
+
+  describe("Placing", () => {
+    /**
+     * @test Verifies an order escrows input plus bounty and records its limit
+     */
+    it("should escrow tokens and emit OrderPlaced", async () => {
+      const fixture = await loadFixture(deployFixture);
+      const { owner, orderBook, tokenA, tokenB } = fixture;
+      const deadline = (await time.latest()) + 3600;
+
+      await expect(placeOrder(fixture, { deadline })).to.changeTokenBalances(
+        tokenA,
+        [owner, orderBook],
+        [-toEth(10.05), toEth(10.05)]
+      );
+
+      const order = await orderBook.orders(0);
+      expect(order.owner).to.equal(owner.address);
+      expect(order.amountOutMin).to.equal(toEth(10.5));
+      expect(order.status).to.equal(Status.Open);
+      expect(await orderBook.nextOrderId()).to.equal(1n);
+
+      await expect(placeOrder(fixture, { deadline }))
+        .to.emit(orderBook, "OrderPlaced")
+        .withArgs(
+          1n,
+          owner.address,
+          tokenA.target,
+          tokenB.target,
+          toEth(10),
+          toEth(10.5),
+          toEth(0.05),
+          deadline
+        );
+    });
+
+    /**
+     * @test Verifies invalid orders are rejected
+     */
+    it("should reject invalid orders", async () => {
+      const fixture = await loadFixture(deployFixture);
+      const { orderBook, tokenA } = fixture;
+
+      await expect(placeOrder(fixture, { amountIn: 0n }))
+        .to.be.revertedWithCustomError(orderBook, "ZeroAmount")
+        .withArgs("Input");
+      await expect(placeOrder(fixture, { limitPrice: 0n }))
+        .to.be.revertedWithCustomError(orderBook, "ZeroAmount")
+        .withArgs("LimitPrice");
+      await expect(placeOrder(fixture, { bounty: toEth(0.2) }))
+        .to.be.revertedWithCustomError(orderBook, "BountyTooHigh")
+        .withArgs(toEth(0.2), toEth(0.1));
+      await expect(
+        placeOrder(fixture, { deadline: (await time.latest()) - 1 })
+      ).to.be.revertedWithCustomError(orderBook, "DeadlinePassed");
+      await expect(
+        orderBook.placeOrder(
+          tokenA.target,
+          tokenA.target,
+          toEth(1),
+          toEth(1),
+          0,
+          (await time.latest()) + 60
+        )
+      ).to.be.revertedWithCustomError(orderBook, "PairNotFound");
+    });
+  });
+
+  describe("Execution", () => {
+    /**
+     * @test Verifies an order only fills once the pool quotes its limit
+     */
+    it("should fill at the limit and pay the keeper", async () => {
+      const fixture = await loadFixture(deployFixture);
+      const { owner, keeper, orderBook, simpleSwap, tokenA, tokenB } = fixture;
+      await placeOrder(fixture);
+
+      expect(await orderBook.isExecutable(0)).to.be.false;
+      await expect(orderBook.connect(keeper).executeOrder(0))
+        .to.be.revertedWithCustomError(orderBook, "LimitNotReached")
+        .withArgs(toEth(10.5), anyValue);
+
+      await pumpTokenA(fixture);
+      expect(await orderBook.isExecutable(0)).to.be.true;
+
+      const [, quoted] = await simpleSwap.getAmountsOut(toEth(10), [
+        tokenA.target,
+        tokenB.target,
+      ]);
+      const tx = orderBook.connect(keeper).executeOrder(0);
+      await expect(tx)
+        .to.emit(orderBook, "OrderExecuted")
+        .withArgs(0n, keeper.address, quoted, toEth(0.05));
+      await expect(tx).to.changeTokenBalances(tokenB, [owner], [quoted]);
+      await expect(tx).to.changeTokenBalances(
+        tokenA,
+        [keeper, orderBook],
+        [toEth(0.05), -toEth(10.05)]
+      );
+
+      expect((await orderBook.orders(0)).status).to.equal(Status.Filled);
+      await expect(orderBook.connect(keeper).executeOrder(0))
+        .to.be.revertedWithCustomError(orderBook, "OrderNotOpen")
+        .withArgs(0n);
+    });
+
+    /**
+     * @test Verifies expired orders cannot fill but can be cleaned up
+     */
+    it("should expire orders after their deadline", async () => {
+      const fixture = await loadFixture(deployFixture);
+      const { owner, keeper, orderBook, tokenA } = fixture;
+      const deadline = (await time.latest()) + 3600;
+      await placeOrder(fixture, { deadline });
+      await pumpTokenA(fixture);
+
+      await time.increaseTo(deadline + 1);
+      expect(await orderBook.isExecutable(0)).to.be.false;
+      await expect(
+        orderBook.connect(keeper).executeOrder(0)
+      ).to.be.revertedWithCustomError(orderBook, "DeadlinePassed");
+
+      // Anyone may refund an expired order to its owner
+      const tx = orderBook.connect(keeper).cancelOrder(0);
+      await expect(tx)
+        .to.emit(orderBook, "OrderCancelled")
+        .withArgs(0n, keeper.address);
+      await expect(tx).to.changeTokenBalance(tokenA, owner, toEth(10.05));
+    });
+
+    /**
+     * @test Verifies a circuit breaker rejection leaves the order open
+     */
+    it("should keep the order open when a circuit breaker rejects it", async () => {
+      const fixture = await loadFixture(deployFixture);
+      const { keeper, orderBook, simpleSwap, tokenA } = fixture;
+      await placeOrder(fixture, { amountIn: toEth(100), bounty: 0n });
+      await pumpTokenA(fixture);
+      await simpleSwap.setCircuitBreaker(100, 60);
+
+      await expect(
+        orderBook.connect(keeper).executeOrder(0)
+      ).to.be.revertedWithCustomError(simpleSwap, "CircuitBreakerTripped");
+
+      expect((await orderBook.orders(0)).status).to.equal(Status.Open);
+      expect(await tokenA.balanceOf(orderBook.target)).to.equal(toEth(100));
+    });
+  });
+
+  describe("Cancellation", () => {
+    /**
+     * @test Verifies only the owner cancels a live order and gets a refund
+     */
+    it("should let the owner cancel and refund the escrow", async () => {
+      const fixture = await loadFixture(deployFixture);
+      const { owner, keeper, orderBook, tokenA } = fixture;
+      await placeOrder(fixture);
+
+      await expect(orderBook.connect(keeper).cancelOrder(0))
+        .to.be.revertedWithCustomError(orderBook, "NotOrderOwner")
+        .withArgs(keeper.address);
+      await expect(orderBook.cancelOrder(0)).to.changeTokenBalances(
+        tokenA,
+        [owner, orderBook],
+        [toEth(10.05), -toEth(10.05)]
+      );
+
+      expect((await orderBook.orders(0)).status).to.equal(Status.Cancelled);
+      await expect(orderBook.cancelOrder(0))
+        .to.be.revertedWithCustomError(orderBook, "OrderNotOpen")
+        .withArgs(0n);
+      await expect(
+        orderBook.connect(keeper).executeOrder(0)
+      ).to.be.revertedWithCustomError(orderBook, "OrderNotOpen");
+      await expect(orderBook.cancelOrder(7))
+        .to.be.revertedWithCustomError(orderBook, "OrderNotOpen")
+        .withArgs(7n);
+    });
+  });
+});
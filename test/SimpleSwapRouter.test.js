@@ -0,0 +1,612 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { anyValue } = require("@nomicfoundation/hardhat-chai-matchers/withArgs");
+const {
+  toEth,
+  getDeadline,
+  approveMax,
+  deployToken,
+  getLPToken,
+} = require("./utils/helpers");
+const {
+  getAmountOut,
+  optimalDeposit,
+  withdrawalAmounts,
+  zapSwapAmount,
+} = require("../sdk/math");
+
+/**
+ * @file Test suite for SimpleSwapRouter
+ * @description Covers native ETH liquidity and swap entry points, refunds and
+ * stray ETH rejection
+ * @module SimpleSwapRouterTests
+ */
+
+describe("SimpleSwapRouter", () => {
+  let owner, addr1;
+  let token, weth, simpleSwap, router, lpToken;
+
+  /**
+   * Adds token/ETH liquidity through the router
+   * @param {BigNumber} amountToken - Desired token amount
+   * @param {BigNumber} amountETH - ETH sent with the call
+   * @returns {Promise<ContractTransaction>} Transaction response
+   */
+  const addLiquidityETH = async (amountToken, amountETH) =>
+    router.addLiquidityETH(
+      token.target,
+      amountToken,
+      0,
+      0,
+      owner.address,
+      await getDeadline(),
+      { value: amountETH }
+    );
+
+  /**
+   * Setup hook runs before all tests
+   * @dev Deploys WETH9, SimpleSwap and the router, then seeds a 1:2 ETH/token pool
+   */
+  before(async () => {
+    [owner, addr1] = await ethers.getSigners();
+
+    token = await deployToken("TokenA", owner.address);
+    weth = await (await ethers.getContractFactory("WETH9")).deploy();
+    simpleSwap = await (await ethers.getContractFactory("SimpleSwap")).deploy();
+    router = await (
+      await ethers.getContractFactory("SimpleSwapRouter")
+    ).deploy(simpleSwap.target, weth.target);
+
+    await approveMax(token, router.target);
+    await addLiquidityETH(toEth(200), toEth(100));
+    lpToken = await getLPToken(simpleSwap, token, weth);
+  });
+
+  describe("Liquidity", () => {
+    /**
+     * @test Verifies ETH is wrapped into the token/WETH pool
+     */
+    it("should add liquidity with native ETH", async () => {
+      const [reserveToken, reserveWETH] = await simpleSwap.getReserves(
+        token.target,
+        weth.target
+      );
+
+      expect(reserveToken).to.equal(toEth(200));
+      expect(reserveWETH).to.equal(toEth(100));
+      expect(await weth.balanceOf(simpleSwap.target)).to.equal(toEth(100));
+      expect(await lpToken.balanceOf(owner.address)).to.be.gt(0);
+    });
+
+    /**
+     * @test Verifies excess ETH beyond the pool ratio is refunded
+     */
+    it("should refund excess ETH", async () => {
+      // Pool is 2 tokens per ETH, so 10 tokens only need 5 ETH
+      await expect(addLiquidityETH(toEth(10), toEth(8))).to.changeEtherBalances(
+        [owner, router],
+        [-toEth(5), 0]
+      );
+      expect(await weth.balanceOf(router.target)).to.equal(0);
+    });
+
+    /**
+     * @test Verifies excess tokens beyond the pool ratio are refunded
+     */
+    it("should refund excess tokens", async () => {
+      await expect(addLiquidityETH(toEth(50), toEth(5))).to.changeTokenBalances(
+        token,
+        [owner, router],
+        [-toEth(10), 0]
+      );
+    });
+
+    /**
+     * @test Verifies removal unwraps WETH and returns native ETH
+     */
+    it("should remove liquidity to native ETH", async () => {
+      const liquidity = toEth(10);
+      const [reserveToken, reserveWETH] = await simpleSwap.getReserves(
+        token.target,
+        weth.target
+      );
+      const supply = await lpToken.totalSupply();
+      const expectedETH = (liquidity * reserveWETH) / supply;
+      const expectedToken = (liquidity * reserveToken) / supply;
+
+      await lpToken.approve(router.target, liquidity);
+      const tx = router.removeLiquidityETH(
+        token.target,
+        liquidity,
+        0,
+        0,
+        addr1.address,
+        await getDeadline()
+      );
+
+      await expect(tx).to.changeEtherBalance(addr1, expectedETH);
+      await expect(tx).to.changeTokenBalance(token, addr1, expectedToken);
+      expect(await lpToken.balanceOf(router.target)).to.equal(0);
+    });
+
+    /**
+     * @test Verifies ETH minimums are enforced by SimpleSwap
+     */
+    it("should revert when ETH output is below minimum", async () => {
+      await lpToken.approve(router.target, toEth(1));
+
+      await expect(
+        router.removeLiquidityETH(
+          token.target,
+          toEth(1),
+          0,
+          toEth(1_000),
+          owner.address,
+          await getDeadline()
+        )
+      ).to.be.revertedWithCustomError(simpleSwap, "BelowMinimumAmount");
+    });
+
+    /**
+     * @test Verifies removal from a token without a WETH pair reverts
+     */
+    it("should revert removal for a missing pair", async () => {
+      const other = await deployToken("TokenB", owner.address);
+
+      await expect(
+        router.removeLiquidityETH(
+          other.target,
+          toEth(1),
+          0,
+          0,
+          owner.address,
+          await getDeadline()
+        )
+      ).to.be.revertedWithCustomError(router, "PairNotFound");
+    });
+  });
+
+  describe("Swaps", () => {
+    /**
+     * @test Verifies ETH input is wrapped and swapped for tokens
+     */
+    it("should swap exact ETH for tokens", async () => {
+      const path = [weth.target, token.target];
+      const [, expectedOut] = await simpleSwap.getAmountsOut(toEth(1), path);
+
+      await expect(
+        router.swapExactETHForTokens(
+          0,
+          path,
+          addr1.address,
+          await getDeadline(),
+          {
+            value: toEth(1),
+          }
+        )
+      ).to.changeTokenBalance(token, addr1, expectedOut);
+    });
+
+    /**
+     * @test Verifies token input is swapped and unwrapped to ETH
+     */
+    it("should swap exact tokens for ETH", async () => {
+      const path = [token.target, weth.target];
+      const [, expectedOut] = await simpleSwap.getAmountsOut(toEth(4), path);
+
+      await expect(
+        router.swapExactTokensForETH(
+          toEth(4),
+          0,
+          path,
+          addr1.address,
+          await getDeadline()
+        )
+      ).to.changeEtherBalance(addr1, expectedOut);
+      expect(await ethers.provider.getBalance(router.target)).to.equal(0);
+    });
+
+    /**
+     * @test Verifies paths must start or end with WETH
+     */
+    it("should revert on paths without WETH at the ETH end", async () => {
+      await expect(
+        router.swapExactETHForTokens(
+          0,
+          [token.target, weth.target],
+          owner.address,
+          await getDeadline(),
+          { value: toEth(1) }
+        )
+      ).to.be.revertedWithCustomError(router, "InvalidPath");
+
+      await expect(
+        router.swapExactTokensForETH(
+          toEth(1),
+          0,
+          [weth.target, token.target],
+          owner.address,
+          await getDeadline()
+        )
+      ).to.be.revertedWithCustomError(router, "InvalidPath");
+    });
+
+    /**
+     * @test Verifies slippage protection applies to ETH output
+     */
+    it("should revert when ETH output is below minimum", async () => {
+      await expect(
+        router.swapExactTokensForETH(
+          toEth(1),
+          toEth(1),
+          [token.target, weth.target],
+          owner.address,
+          await getDeadline()
+        )
+      ).to.be.revertedWithCustomError(simpleSwap, "BelowMinimumAmount");
+    });
+
+    /**
+     * @test Verifies zero-value ETH swaps revert
+     */
+    it("should revert when no ETH is sent", async () => {
+      await expect(
+        router.swapExactETHForTokens(
+          0,
+          [weth.target, token.target],
+          owner.address,
+          await getDeadline()
+        )
+      )
+        .to.be.revertedWithCustomError(router, "ZeroAmount")
+        .withArgs("ETH");
+    });
+
+    /**
+     * @test Verifies a circuit breaker rejection reverts the whole call
+     */
+    it("should revert when the circuit breaker rejects a swap", async () => {
+      await simpleSwap.setCircuitBreaker(100, 0);
+
+      await expect(
+        router.swapExactETHForTokens(
+          0,
+          [weth.target, token.target],
+          owner.address,
+          await getDeadline(),
+          { value: toEth(10) }
+        )
+      ).to.be.revertedWithCustomError(simpleSwap, "CircuitBreakerTripped");
+      await expect(
+        router.swapExactTokensForETH(
+          toEth(20),
+          0,
+          [token.target, weth.target],
+          owner.address,
+          await getDeadline()
+        )
+      ).to.be.revertedWithCustomError(simpleSwap, "CircuitBreakerTripped");
+
+      await simpleSwap.setCircuitBreaker(0, 0);
+    });
+  });
+
+  describe("Zaps", () => {
+    let tokenB, lpAB;
+
+    /**
+     * Zaps tokenIn into the token/tokenB pool for the owner
+     * @param {Contract} tokenIn - Token provided
+     * @param {Contract} tokenOther - Other token of the pair
+     * @param {BigNumber} amountIn - Amount of tokenIn
+     * @param {BigNumber} [minLiquidity=0] - Minimum LP tokens
+     * @returns {Promise<ContractTransaction>} Transaction response
+     */
+    const zapIn = async (tokenIn, tokenOther, amountIn, minLiquidity = 0) =>
+      router.zapIn(
+        tokenIn.target,
+        tokenOther.target,
+        amountIn,
+        minLiquidity,
+        owner.address,
+        await getDeadline()
+      );
+
+    /**
+     * Returns how much of each token the owner got back from a zap
+     * @param {Contract} tokenIn - Token provided
+     * @param {Contract} tokenOther - Other token of the pair
+     * @param {BigNumber} amountIn - Amount of tokenIn zapped
+     * @returns {Promise<bigint[]>} [dust of tokenIn, dust of tokenOther]
+     */
+    const zapDust = async (tokenIn, tokenOther, amountIn) => {
+      const [inBefore, otherBefore] = await Promise.all([
+        tokenIn.balanceOf(owner.address),
+        tokenOther.balanceOf(owner.address),
+      ]);
+      await zapIn(tokenIn, tokenOther, amountIn);
+      const [inAfter, otherAfter] = await Promise.all([
+        tokenIn.balanceOf(owner.address),
+        tokenOther.balanceOf(owner.address),
+      ]);
+      return [inAfter - (inBefore - amountIn), otherAfter - otherBefore];
+    };
+
+    // Dedicated 1:3 token/tokenB pool
+    before(async () => {
+      tokenB = await deployToken("TokenB", owner.address);
+      await approveMax(tokenB, router.target);
+      await approveMax(token, simpleSwap.target);
+      await approveMax(tokenB, simpleSwap.target);
+      await simpleSwap.addLiquidity(
+        token.target,
+        tokenB.target,
+        toEth(1000),
+        toEth(3000),
+        0,
+        0,
+        owner.address,
+        await getDeadline()
+      );
+      lpAB = await getLPToken(simpleSwap, token, tokenB);
+      await approveMax(lpAB, router.target);
+    });
+
+    /**
+     * @test Verifies the swap amount matches the SDK replica
+     */
+    it("should compute the same swap amount as the SDK", async () => {
+      const fee = await simpleSwap.swapFee();
+      for (const [amountIn, reserveIn] of [
+        [toEth(10), toEth(1000)],
+        [toEth(5000), toEth(1000)],
+        [12_345n, 67_890n],
+      ]) {
+        expect(await router.zapSwapAmount(amountIn, reserveIn, fee)).to.equal(
+          zapSwapAmount(amountIn, reserveIn, fee)
+        );
+      }
+    });
+
+    /**
+     * @test Verifies a single-token deposit mints LP with only wei-level dust
+     */
+    it("should zap in with minimal leftover dust", async () => {
+      // Small, pool-sized and larger-than-pool deposits, from both sides
+      for (const [tokenIn, tokenOther, amountIn] of [
+        [token, tokenB, toEth(1)],
+        [tokenB, token, toEth(750)],
+        [token, tokenB, toEth(2500)],
+      ]) {
+        const lpBefore = await lpAB.balanceOf(owner.address);
+        const [dustIn, dustOther] = await zapDust(
+          tokenIn,
+          tokenOther,
+          amountIn
+        );
+
+        expect(await lpAB.balanceOf(owner.address)).to.be.gt(lpBefore);
+        expect(dustIn).to.be.lte(10n);
+        expect(dustOther).to.be.lte(10n);
+      }
+
+      expect(await token.balanceOf(router.target)).to.equal(0);
+      expect(await tokenB.balanceOf(router.target)).to.equal(0);
+    });
+
+    /**
+     * @test Verifies the optimal split beats naively swapping half
+     */
+    it("should leave far less unused than swapping half", async () => {
+      const amountIn = toEth(500);
+      const [reserveIn, reserveOut] = await simpleSwap.getReserves(
+        token.target,
+        tokenB.target
+      );
+      const fee = await simpleSwap.swapFee();
+
+      // Swapping half moves the price against tokenIn, so part of the
+      // tokenB received cannot be paired and would be returned
+      const half = amountIn / 2n;
+      const out = getAmountOut(half, reserveIn, reserveOut, fee);
+      const naive = optimalDeposit(
+        amountIn - half,
+        out,
+        reserveIn + half,
+        reserveOut - out
+      );
+      expect(out - naive.amountB).to.be.gt(out / 1000n);
+
+      const [dustIn, dustOther] = await zapDust(token, tokenB, amountIn);
+      expect(dustIn).to.be.lte(10n);
+      expect(dustOther).to.be.lte(10n);
+    });
+
+    /**
+     * @test Verifies stable pools get a split sized on their own curve
+     */
+    it("should zap into a stable pool with minimal leftover dust", async () => {
+      const [usdA, usdB] = await Promise.all(
+        ["TokenA", "TokenB"].map((name) => deployToken(name, owner.address))
+      );
+      for (const usd of [usdA, usdB]) {
+        await approveMax(usd, simpleSwap.target);
+        await approveMax(usd, router.target);
+      }
+      await simpleSwap.createPair(usdA.target, usdB.target, 1);
+      await simpleSwap.addLiquidity(
+        usdA.target,
+        usdB.target,
+        toEth(1000),
+        toEth(1500),
+        0,
+        0,
+        owner.address,
+        await getDeadline()
+      );
+      const stableLP = await getLPToken(simpleSwap, usdA, usdB);
+
+      // The constant product split would leave percents of the input unused
+      for (const [tokenIn, tokenOther, amountIn] of [
+        [usdA, usdB, toEth(100)],
+        [usdB, usdA, toEth(2000)],
+      ]) {
+        const lpBefore = await stableLP.balanceOf(owner.address);
+        const [dustIn, dustOther] = await zapDust(
+          tokenIn,
+          tokenOther,
+          amountIn
+        );
+
+        expect(await stableLP.balanceOf(owner.address)).to.be.gt(lpBefore);
+        expect(dustIn).to.be.lte(10n);
+        expect(dustOther).to.be.lte(10n);
+      }
+    });
+
+    /**
+     * @test Verifies the minimum liquidity and empty pool checks
+     */
+    it("should revert below minLiquidity or without a pool", async () => {
+      await expect(zapIn(token, tokenB, toEth(1), toEth(1_000_000)))
+        .to.be.revertedWithCustomError(router, "BelowMinimumAmount")
+        .withArgs("Liquidity", toEth(1_000_000), anyValue);
+
+      const lonely = await deployToken("TokenB", owner.address);
+      await expect(
+        zapIn(token, lonely, toEth(1))
+      ).to.be.revertedWithCustomError(router, "PairNotFound");
+      await expect(zapIn(token, tokenB, 0))
+        .to.be.revertedWithCustomError(router, "ZeroAmount")
+        .withArgs("Input");
+    });
+
+    /**
+     * @test Verifies LP tokens are burned into a single token
+     */
+    it("should zap out into a single token", async () => {
+      const liquidity = (await lpAB.balanceOf(owner.address)) / 10n;
+      const [reserveA, reserveB] = await simpleSwap.getReserves(
+        token.target,
+        tokenB.target
+      );
+      const supply = await lpAB.totalSupply();
+      const fee = await simpleSwap.swapFee();
+
+      const { amountA, amountB } = withdrawalAmounts(
+        liquidity,
+        reserveA,
+        reserveB,
+        supply
+      );
+      const expected =
+        amountA +
+        getAmountOut(amountB, reserveB - amountB, reserveA - amountA, fee);
+
+      await expect(
+        router.zapOut(
+          token.target,
+          tokenB.target,
+          liquidity,
+          expected,
+          addr1.address,
+          await getDeadline()
+        )
+      ).to.changeTokenBalances(token, [addr1, router], [expected, 0]);
+      expect(await tokenB.balanceOf(router.target)).to.equal(0);
+      expect(await lpAB.balanceOf(router.target)).to.equal(0);
+    });
+
+    /**
+     * @test Verifies the output minimum is enforced
+     */
+    it("should revert when zap out output is below minimum", async () => {
+      const liquidity = (await lpAB.balanceOf(owner.address)) / 10n;
+
+      await expect(
+        router.zapOut(
+          token.target,
+          tokenB.target,
+          liquidity,
+          ethers.MaxUint256,
+          owner.address,
+          await getDeadline()
+        )
+      )
+        .to.be.revertedWithCustomError(router, "BelowMinimumAmount")
+        .withArgs("Output", ethers.MaxUint256, anyValue);
+    });
+
+    /**
+     * @test Verifies the caller's minimums catch a price moved before the zap
+     */
+    it("should reject zaps sandwiched by a front-run swap", async () => {
+      const liquidity = (await lpAB.balanceOf(owner.address)) / 10n;
+      const deadline = await getDeadline();
+      const quotedIn = await router.zapIn.staticCall(
+        token.target,
+        tokenB.target,
+        toEth(100),
+        0,
+        owner.address,
+        deadline
+      );
+      const quotedOut = await router.zapOut.staticCall(
+        token.target,
+        tokenB.target,
+        liquidity,
+        0,
+        owner.address,
+        deadline
+      );
+
+      /**
+       * Swaps on the token/tokenB pool ahead of the zap
+       * @param {Contract[]} path - Tokens sold and bought
+       */
+      const frontRun = async (path) =>
+        simpleSwap.swapExactTokensForTokens(
+          toEth(200),
+          0,
+          path.map(({ target }) => target),
+          owner.address,
+          deadline
+        );
+
+      // Selling `token` first makes the zap's share of the pool smaller
+      await frontRun([token, tokenB]);
+      await expect(zapIn(token, tokenB, toEth(100), quotedIn))
+        .to.be.revertedWithCustomError(router, "BelowMinimumAmount")
+        .withArgs("Liquidity", quotedIn, anyValue);
+
+      // Buying `token` first leaves less of it for the zap out
+      await frontRun([tokenB, token]);
+      await frontRun([tokenB, token]);
+      await expect(
+        router.zapOut(
+          token.target,
+          tokenB.target,
+          liquidity,
+          quotedOut,
+          owner.address,
+          deadline
+        )
+      )
+        .to.be.revertedWithCustomError(router, "BelowMinimumAmount")
+        .withArgs("Output", quotedOut, anyValue);
+    });
+  });
+
+  describe("Stray ETH", () => {
+    /**
+     * @test Verifies the router only accepts ETH from WETH
+     */
+    it("should reject ETH sent by anyone other than WETH", async () => {
+      await expect(
+        owner.sendTransaction({ to: router.target, value: toEth(1) })
+      )
+        .to.be.revertedWithCustomError(router, "NotWETH")
+        .withArgs(owner.address);
+    });
+  });
+});
@@ -0,0 +1,406 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const {
+  loadFixture,
+  time,
+} = require("@nomicfoundation/hardhat-network-helpers");
+const {
+  SimpleSwapSDK,
+  POOL_TYPE,
+  SimpleSwapError,
+  BelowMinimumAmountError,
+  DeadlinePassedError,
+  InsufficientLiquidityError,
+  decodeError,
+  math,
+} = require("../sdk");
+const { toEth, deployToken, getLPToken } = require("./utils/helpers");
+
+/**
+ * @file Test suite for the SimpleSwap JavaScript SDK
+ * @description Checks off-chain quotes against on-chain results and the
+ * transaction helpers against a fresh SimpleSwap fixture
+ * @module SimpleSwapSDKTests
+ */
+
+describe("SimpleSwapSDK", () => {
+  /**
+   * Deploys tokens and a seeded SimpleSwap without any approvals
+   * @returns {Promise<Object>} Fixture contracts, signers and SDK instance
+   */
+  const deployFixture = async () => {
+    const [owner, addr1] = await ethers.getSigners();
+    const tokenA = await deployToken("TokenA", owner.address);
+    const tokenB = await deployToken("TokenB", owner.address);
+    const tokenC = await deployToken("TokenB", owner.address);
+    const simpleSwap = await (
+      await ethers.getContractFactory("SimpleSwap")
+    ).deploy();
+
+    const sdk = new SimpleSwapSDK(simpleSwap, { slippageBps: 100 });
+    await sdk.addLiquidity(tokenA, tokenB, toEth(1000), toEth(2000));
+    await sdk.addLiquidity(tokenB, tokenC, toEth(500), toEth(300));
+
+    return { owner, addr1, tokenA, tokenB, tokenC, simpleSwap, sdk };
+  };
+
+  describe("Math", () => {
+    /**
+     * @test Verifies the integer square root matches known values
+     */
+    it("should compute integer square roots", () => {
+      expect(math.sqrt(0n)).to.equal(0n);
+      expect(math.sqrt(3n)).to.equal(1n);
+      expect(math.sqrt(16n)).to.equal(4n);
+      expect(math.sqrt(17n)).to.equal(4n);
+      expect(math.sqrt(10n ** 36n)).to.equal(10n ** 18n);
+    });
+
+    /**
+     * @test Verifies slippage rounds in the caller's disfavour
+     */
+    it("should apply slippage in basis points", () => {
+      expect(math.applySlippageDown(10_000n, 50n)).to.equal(9_950n);
+      expect(math.applySlippageDown(999n, 100n)).to.equal(989n);
+      expect(math.applySlippageUp(999n, 100n)).to.equal(1_009n);
+    });
+
+    /**
+     * @test Verifies single-hop math matches the contract across sizes
+     */
+    it("should match on-chain getAmountOut and getAmountIn", async () => {
+      const { simpleSwap } = await loadFixture(deployFixture);
+      const fee = await simpleSwap.swapFee();
+      const reserves = [
+        [toEth(1000), toEth(2000)],
+        [12_345n, 67_890n],
+        [toEth(1), toEth(1_000_000)],
+      ];
+
+      for (const [reserveIn, reserveOut] of reserves) {
+        for (const amount of [1n, 777n, reserveIn / 3n]) {
+          expect(
+            math.getAmountOut(amount, reserveIn, reserveOut, fee)
+          ).to.equal(
+            await simpleSwap.getAmountOut(amount, reserveIn, reserveOut)
+          );
+        }
+        const amountOut = reserveOut / 5n;
+        expect(
+          math.getAmountIn(amountOut, reserveIn, reserveOut, fee)
+        ).to.equal(
+          await simpleSwap.getAmountIn(amountOut, reserveIn, reserveOut)
+        );
+      }
+    });
+  });
+
+  describe("Quotes", () => {
+    /**
+     * @test Verifies multi-hop quotes equal getAmountsOut
+     */
+    it("should quote swaps exactly like getAmountsOut", async () => {
+      const { simpleSwap, sdk, tokenA, tokenB, tokenC } = await loadFixture(
+        deployFixture
+      );
+      const path = [tokenA.target, tokenB.target, tokenC.target];
+
+      const { amounts, amountOut, amountOutMin } = await sdk.quoteSwap(
+        toEth(3),
+        path
+      );
+
+      expect(amounts).to.deep.equal([
+        ...(await simpleSwap.getAmountsOut(toEth(3), path)),
+      ]);
+      expect(amountOutMin).to.equal(math.applySlippageDown(amountOut, 100n));
+    });
+
+    /**
+     * @test Verifies deposit quotes equal the amounts and LP tokens minted
+     */
+    it("should quote add liquidity exactly", async () => {
+      const { owner, simpleSwap, sdk, tokenA, tokenB } = await loadFixture(
+        deployFixture
+      );
+      const quote = await sdk.quoteAddLiquidity(
+        tokenA,
+        tokenB,
+        toEth(10),
+        toEth(30)
+      );
+      await sdk.ensureAllowance(tokenA, toEth(10));
+      await sdk.ensureAllowance(tokenB, toEth(30));
+
+      const result = await simpleSwap.addLiquidity.staticCall(
+        tokenA.target,
+        tokenB.target,
+        toEth(10),
+        toEth(30),
+        quote.amountAMin,
+        quote.amountBMin,
+        owner.address,
+        (await time.latest()) + 60
+      );
+      expect([quote.amountA, quote.amountB, quote.liquidity]).to.deep.equal([
+        ...result,
+      ]);
+    });
+
+    /**
+     * @test Verifies first-deposit quotes lock MINIMUM_LIQUIDITY
+     */
+    it("should quote the first deposit of a new pool", async () => {
+      const { sdk, tokenA, tokenC } = await loadFixture(deployFixture);
+
+      const quote = await sdk.quoteAddLiquidity(
+        tokenA,
+        tokenC,
+        toEth(4),
+        toEth(9)
+      );
+
+      expect(quote.liquidity).to.equal(toEth(6) - math.MINIMUM_LIQUIDITY);
+    });
+
+    /**
+     * @test Verifies withdrawal quotes equal the amounts received
+     */
+    it("should quote remove liquidity exactly", async () => {
+      const { owner, simpleSwap, sdk, tokenA, tokenB } = await loadFixture(
+        deployFixture
+      );
+      await sdk.swapExactTokensForTokens(toEth(7), [tokenA, tokenB]);
+      const liquidity = toEth(13);
+
+      const quote = await sdk.quoteRemoveLiquidity(tokenB, tokenA, liquidity);
+      const result = await simpleSwap.removeLiquidity.staticCall(
+        tokenB.target,
+        tokenA.target,
+        liquidity,
+        0,
+        0,
+        owner.address,
+        (await time.latest()) + 60
+      );
+
+      expect([quote.amountA, quote.amountB]).to.deep.equal([...result]);
+    });
+
+    /**
+     * @test Verifies quotes include the LP the protocol fee mints first
+     */
+    it("should quote liquidity exactly with the protocol fee on", async () => {
+      const { owner, addr1, simpleSwap, sdk, tokenA, tokenB } =
+        await loadFixture(deployFixture);
+      await simpleSwap.setFeeTo(addr1.address);
+      // Snapshot kLast, then accrue fees for the protocol to claim
+      await sdk.addLiquidity(tokenA, tokenB, toEth(10), toEth(20));
+      for (const path of [
+        [tokenA, tokenB],
+        [tokenB, tokenA],
+      ]) {
+        await sdk.swapExactTokensForTokens(toEth(50), path);
+      }
+
+      const state = await sdk.getPoolState(tokenA, tokenB);
+      expect(state.protocolFee).to.be.greaterThan(0n);
+
+      const added = await sdk.quoteAddLiquidity(
+        tokenA,
+        tokenB,
+        toEth(10),
+        toEth(30)
+      );
+      await sdk.ensureAllowance(tokenA, toEth(10));
+      await sdk.ensureAllowance(tokenB, toEth(30));
+      const deadline = (await time.latest()) + 60;
+      expect([added.amountA, added.amountB, added.liquidity]).to.deep.equal([
+        ...(await simpleSwap.addLiquidity.staticCall(
+          tokenA.target,
+          tokenB.target,
+          toEth(10),
+          toEth(30),
+          added.amountAMin,
+          added.amountBMin,
+          owner.address,
+          deadline
+        )),
+      ]);
+
+      const removed = await sdk.quoteRemoveLiquidity(tokenB, tokenA, toEth(13));
+      expect([removed.amountA, removed.amountB]).to.deep.equal([
+        ...(await simpleSwap.removeLiquidity.staticCall(
+          tokenB.target,
+          tokenA.target,
+          toEth(13),
+          0,
+          0,
+          owner.address,
+          deadline
+        )),
+      ]);
+    });
+
+    /**
+     * @test Verifies stable pools are quoted on the stable-swap curve
+     */
+    it("should quote stable pools exactly", async () => {
+      const { simpleSwap, sdk, tokenA, tokenC } = await loadFixture(
+        deployFixture
+      );
+      await simpleSwap.createPair(
+        tokenA.target,
+        tokenC.target,
+        POOL_TYPE.Stable
+      );
+
+      const deposit = await sdk.quoteAddLiquidity(
+        tokenA,
+        tokenC,
+        toEth(800),
+        toEth(1200)
+      );
+      expect(deposit.liquidity).to.equal(
+        math.stableInvariant(toEth(800), toEth(1200)) / 2n -
+          math.MINIMUM_LIQUIDITY
+      );
+      await sdk.addLiquidity(tokenA, tokenC, toEth(800), toEth(1200));
+
+      const path = [tokenA.target, tokenC.target];
+      const { amounts } = await sdk.quoteSwap(toEth(50), path);
+      expect(amounts).to.deep.equal([
+        ...(await simpleSwap.getAmountsOut(toEth(50), path)),
+      ]);
+      expect(amounts[1]).to.equal(
+        math.getAmountOut(toEth(50), toEth(800), toEth(1200), 30n, true)
+      );
+
+      const [amountIn] = await simpleSwap.getAmountsIn(toEth(50), path);
+      expect(
+        math.getAmountIn(toEth(50), toEth(800), toEth(1200), 30n, true)
+      ).to.equal(amountIn);
+    });
+
+    /**
+     * @test Verifies quoting an empty pool throws a typed error
+     */
+    it("should throw InsufficientLiquidityError for empty pools", async () => {
+      const { sdk, tokenA, tokenC } = await loadFixture(deployFixture);
+
+      await expect(
+        sdk.quoteSwap(toEth(1), [tokenA, tokenC])
+      ).to.be.rejectedWith(InsufficientLiquidityError);
+      await expect(
+        sdk.quoteRemoveLiquidity(tokenA, tokenC, toEth(1))
+      ).to.be.rejectedWith(InsufficientLiquidityError);
+    });
+  });
+
+  describe("Transactions", () => {
+    /**
+     * @test Verifies swaps approve only when needed and deliver the quote
+     */
+    it("should approve and swap with slippage protection", async () => {
+      const { addr1, simpleSwap, tokenA, tokenB } = await loadFixture(
+        deployFixture
+      );
+      await tokenA.transfer(addr1.address, toEth(10));
+      const sdk = new SimpleSwapSDK(simpleSwap.connect(addr1));
+
+      const { amountOut } = await sdk.quoteSwap(toEth(5), [tokenA, tokenB]);
+      await expect(
+        sdk.swapExactTokensForTokens(toEth(5), [tokenA, tokenB])
+      ).to.changeTokenBalance(tokenB, addr1, amountOut);
+
+      expect(await tokenA.allowance(addr1.address, simpleSwap.target)).to.equal(
+        0
+      );
+      expect(await sdk.ensureAllowance(tokenA, 0n)).to.equal(null);
+    });
+
+    /**
+     * @test Verifies deposits and withdrawals round-trip through the SDK
+     */
+    it("should add and remove liquidity", async () => {
+      const { owner, simpleSwap, sdk, tokenA, tokenB } = await loadFixture(
+        deployFixture
+      );
+      const lpToken = await getLPToken(simpleSwap, tokenA, tokenB);
+      const before = await lpToken.balanceOf(owner.address);
+
+      const { liquidity } = await sdk.quoteAddLiquidity(
+        tokenA,
+        tokenB,
+        toEth(10),
+        toEth(20)
+      );
+      await sdk.addLiquidity(tokenA, tokenB, toEth(10), toEth(20));
+      expect(await lpToken.balanceOf(owner.address)).to.equal(
+        before + liquidity
+      );
+
+      await expect(
+        sdk.removeLiquidity(tokenA, tokenB, liquidity)
+      ).to.changeTokenBalance(lpToken, owner, -liquidity);
+    });
+
+    /**
+     * @test Verifies BelowMinimumAmount reverts become typed errors
+     */
+    it("should decode BelowMinimumAmount into a typed error", async () => {
+      const { owner, simpleSwap, tokenA, tokenB } = await loadFixture(
+        deployFixture
+      );
+      const sdk = new SimpleSwapSDK(simpleSwap, { slippageBps: 0 });
+      const path = [tokenA.target, tokenB.target];
+      const { amountOut } = await sdk.quoteSwap(toEth(1), path);
+
+      let error;
+      try {
+        await sdk.send("swapExactTokensForTokens", [
+          toEth(1),
+          amountOut + 1n,
+          path,
+          owner.address,
+          await sdk.getDeadline(),
+        ]);
+      } catch (e) {
+        error = e;
+      }
+
+      expect(error).to.be.instanceOf(BelowMinimumAmountError);
+      expect(error).to.be.instanceOf(SimpleSwapError);
+      expect(error.tokenName).to.equal("Output");
+      expect(error.minAmount).to.equal(amountOut + 1n);
+      expect(error.actualAmount).to.equal(amountOut);
+    });
+
+    /**
+     * @test Verifies other custom errors are decoded by name
+     */
+    it("should decode other custom errors", async () => {
+      const { sdk, tokenA, tokenB } = await loadFixture(deployFixture);
+
+      await expect(
+        sdk.swapExactTokensForTokens(toEth(1), [tokenA, tokenB], {
+          deadline: 1,
+        })
+      ).to.be.rejectedWith(DeadlinePassedError);
+      await expect(sdk.send("setSwapFee", [1_000])).to.be.rejectedWith(
+        SimpleSwapError,
+        /FeeTooHigh/
+      );
+    });
+
+    /**
+     * @test Verifies unrelated errors pass through unchanged
+     */
+    it("should leave non-SimpleSwap errors untouched", async () => {
+      const { simpleSwap } = await loadFixture(deployFixture);
+      const error = new Error("network down");
+
+      expect(decodeError(error, simpleSwap.interface)).to.equal(error);
+    });
+  });
+});
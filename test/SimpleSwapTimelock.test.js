@@ -0,0 +1,349 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const {
+  time,
+  takeSnapshot,
+} = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const {
+  toEth,
+  getDeadline,
+  approveMax,
+  deployToken,
+} = require("./utils/helpers");
+
+/**
+ * @file Test suite for SimpleSwapTimelock
+ * @description Covers queueing, delayed execution, cancellation and the
+ * timelocked fee and emergency withdrawal flows for SimpleSwap
+ * @module SimpleSwapTimelockTests
+ */
+
+describe("SimpleSwapTimelock", () => {
+  const DELAY = 2 * 24 * 60 * 60;
+
+  let owner, proposer, executor, addr1;
+  let tokenA, tokenB, simpleSwap, timelock;
+  let GUARDIAN_ROLE, FEE_MANAGER_ROLE;
+  let snapshot;
+
+  /**
+   * Builds the arguments for a timelocked SimpleSwap call
+   * @param {string} fn - SimpleSwap function name
+   * @param {Array} args - Function arguments
+   * @param {number} [extra=0] - Seconds to add on top of the minimum eta
+   * @returns {Promise<Array>} [target, value, data, eta]
+   */
+  const buildCall = async (fn, args, extra = 0) => [
+    simpleSwap.target,
+    0,
+    simpleSwap.interface.encodeFunctionData(fn, args),
+    (await time.latest()) + DELAY + 10 + extra,
+  ];
+
+  /**
+   * Setup hook runs before all tests
+   * @dev Deploys SimpleSwap and a timelock, seeds a pool, then hands the
+   * guardian and fee manager roles to the timelock
+   */
+  before(async () => {
+    [owner, proposer, executor, addr1] = await ethers.getSigners();
+
+    tokenA = await deployToken("TokenA", owner.address);
+    tokenB = await deployToken("TokenB", owner.address);
+    simpleSwap = await (await ethers.getContractFactory("SimpleSwap")).deploy();
+    timelock = await (
+      await ethers.getContractFactory("SimpleSwapTimelock")
+    ).deploy(DELAY, owner.address, [proposer.address], [executor.address]);
+
+    await approveMax(tokenA, simpleSwap.target);
+    await approveMax(tokenB, simpleSwap.target);
+    await simpleSwap.addLiquidity(
+      tokenA.target,
+      tokenB.target,
+      toEth(100),
+      toEth(100),
+      0,
+      0,
+      owner.address,
+      await getDeadline()
+    );
+
+    GUARDIAN_ROLE = await simpleSwap.GUARDIAN_ROLE();
+    FEE_MANAGER_ROLE = await simpleSwap.FEE_MANAGER_ROLE();
+    for (const role of [GUARDIAN_ROLE, FEE_MANAGER_ROLE]) {
+      await simpleSwap.grantRole(role, timelock.target);
+      await simpleSwap.revokeRole(role, owner.address);
+    }
+  });
+
+  beforeEach(async () => {
+    snapshot = await takeSnapshot();
+  });
+
+  afterEach(async () => {
+    await snapshot.restore();
+  });
+
+  describe("Deployment", () => {
+    /**
+     * @test Verifies delay and roles are set
+     */
+    it("should set the delay and initial roles", async () => {
+      expect(await timelock.delay()).to.equal(DELAY);
+      expect(
+        await timelock.hasRole(await timelock.PROPOSER_ROLE(), proposer.address)
+      ).to.be.true;
+      expect(
+        await timelock.hasRole(await timelock.EXECUTOR_ROLE(), executor.address)
+      ).to.be.true;
+      expect(await simpleSwap.hasRole(GUARDIAN_ROLE, owner.address)).to.be
+        .false;
+    });
+
+    /**
+     * @test Verifies the timelock administers itself without an extra admin
+     */
+    it("should be its own admin when deployed without one", async () => {
+      const factory = await ethers.getContractFactory("SimpleSwapTimelock");
+      const selfAdmin = await factory.deploy(
+        DELAY,
+        ethers.ZeroAddress,
+        [proposer.address],
+        [executor.address]
+      );
+      const adminRole = await selfAdmin.DEFAULT_ADMIN_ROLE();
+      const proposerRole = await selfAdmin.PROPOSER_ROLE();
+      expect(await selfAdmin.hasRole(adminRole, selfAdmin.target)).to.be.true;
+      expect(await selfAdmin.hasRole(adminRole, owner.address)).to.be.false;
+
+      // New proposers can only be added through a queued call
+      await expect(selfAdmin.grantRole(proposerRole, addr1.address))
+        .to.be.revertedWithCustomError(
+          selfAdmin,
+          "AccessControlUnauthorizedAccount"
+        )
+        .withArgs(owner.address, adminRole);
+
+      const call = [
+        selfAdmin.target,
+        0,
+        selfAdmin.interface.encodeFunctionData("grantRole", [
+          proposerRole,
+          addr1.address,
+        ]),
+        (await time.latest()) + DELAY + 10,
+      ];
+      await selfAdmin.connect(proposer).queue(...call);
+      await time.increaseTo(call[3]);
+      await selfAdmin.connect(executor).execute(...call);
+      expect(await selfAdmin.hasRole(proposerRole, addr1.address)).to.be.true;
+    });
+
+    /**
+     * @test Verifies out-of-range delays are rejected
+     */
+    it("should revert on a delay outside the allowed range", async () => {
+      const factory = await ethers.getContractFactory("SimpleSwapTimelock");
+      await expect(factory.deploy(60, owner.address, [], []))
+        .to.be.revertedWithCustomError(timelock, "InvalidDelay")
+        .withArgs(60);
+    });
+  });
+
+  describe("Fee changes", () => {
+    /**
+     * @test Verifies the fee manager role is no longer usable directly
+     */
+    it("should block direct fee changes by the former owner", async () => {
+      await expect(simpleSwap.setSwapFee(10))
+        .to.be.revertedWithCustomError(
+          simpleSwap,
+          "AccessControlUnauthorizedAccount"
+        )
+        .withArgs(owner.address, FEE_MANAGER_ROLE);
+    });
+
+    /**
+     * @test Verifies a queued fee change only runs after the delay
+     */
+    it("should execute a queued fee change after the delay", async () => {
+      const call = await buildCall("setSwapFee", [10]);
+      const id = await timelock.getCallId(...call);
+
+      await expect(timelock.connect(proposer).queue(...call))
+        .to.emit(timelock, "CallQueued")
+        .withArgs(id, ...call);
+      expect(await timelock.queued(id)).to.be.true;
+
+      await expect(timelock.connect(executor).execute(...call))
+        .to.be.revertedWithCustomError(timelock, "NotReady")
+        .withArgs(call[3]);
+
+      await time.increaseTo(call[3]);
+      await expect(timelock.connect(executor).execute(...call))
+        .to.emit(timelock, "CallExecuted")
+        .withArgs(id, call[0], call[1], call[2])
+        .and.to.emit(simpleSwap, "SwapFeeUpdated");
+
+      expect(await simpleSwap.swapFee()).to.equal(10);
+      expect(await timelock.queued(id)).to.be.false;
+    });
+
+    /**
+     * @test Verifies an eta shorter than the delay is rejected
+     */
+    it("should revert when the eta does not respect the delay", async () => {
+      const [target, value, data] = await buildCall("setSwapFee", [10]);
+      const eta = (await time.latest()) + 60;
+
+      await expect(
+        timelock.connect(proposer).queue(target, value, data, eta)
+      ).to.be.revertedWithCustomError(timelock, "EtaTooEarly");
+    });
+
+    /**
+     * @test Verifies cancelled calls cannot be executed
+     */
+    it("should cancel a queued call", async () => {
+      const call = await buildCall("setSwapFee", [10]);
+      const id = await timelock.getCallId(...call);
+      await timelock.connect(proposer).queue(...call);
+
+      await expect(timelock.connect(proposer).cancel(...call))
+        .to.emit(timelock, "CallCancelled")
+        .withArgs(id);
+
+      await time.increaseTo(call[3]);
+      await expect(timelock.connect(executor).execute(...call))
+        .to.be.revertedWithCustomError(timelock, "NotQueued")
+        .withArgs(id);
+    });
+
+    /**
+     * @test Verifies calls expire after the grace period
+     */
+    it("should revert once the grace period has passed", async () => {
+      const call = await buildCall("setSwapFee", [10]);
+      await timelock.connect(proposer).queue(...call);
+
+      const expiredAt = BigInt(call[3]) + (await timelock.GRACE_PERIOD());
+      await time.increaseTo(expiredAt + 1n);
+
+      await expect(timelock.connect(executor).execute(...call))
+        .to.be.revertedWithCustomError(timelock, "Expired")
+        .withArgs(expiredAt);
+    });
+
+    /**
+     * @test Verifies duplicate queueing is rejected
+     */
+    it("should revert when queueing the same call twice", async () => {
+      const call = await buildCall("setSwapFee", [10]);
+      await timelock.connect(proposer).queue(...call);
+
+      await expect(
+        timelock.connect(proposer).queue(...call)
+      ).to.be.revertedWithCustomError(timelock, "AlreadyQueued");
+    });
+  });
+
+  describe("Emergency withdrawal", () => {
+    /**
+     * @test Verifies emergency withdrawals go through the delay
+     */
+    it("should withdraw reserves through the timelock", async () => {
+      await simpleSwap.pause();
+      const call = await buildCall("emergencyWithdraw", [
+        tokenA.target,
+        tokenB.target,
+        addr1.address,
+        toEth(1),
+        0,
+      ]);
+      await timelock.connect(proposer).queue(...call);
+      await time.increaseTo(call[3]);
+
+      await expect(timelock.connect(executor).execute(...call))
+        .to.emit(simpleSwap, "EmergencyWithdraw")
+        .withArgs(
+          timelock.target,
+          tokenA.target,
+          tokenB.target,
+          addr1.address,
+          toEth(1),
+          0
+        );
+      expect(await tokenA.balanceOf(addr1.address)).to.equal(toEth(1));
+    });
+
+    /**
+     * @test Verifies target reverts bubble up through execute
+     */
+    it("should bubble up the target revert reason", async () => {
+      const call = await buildCall("emergencyWithdraw", [
+        tokenA.target,
+        tokenB.target,
+        addr1.address,
+        toEth(1),
+        0,
+      ]);
+      await timelock.connect(proposer).queue(...call);
+      await time.increaseTo(call[3]);
+
+      // Pool is not paused, so SimpleSwap rejects the withdrawal
+      await expect(
+        timelock.connect(executor).execute(...call)
+      ).to.be.revertedWithCustomError(simpleSwap, "ExpectedPause");
+    });
+  });
+
+  describe("Access control", () => {
+    /**
+     * @test Verifies only proposers queue and only executors execute
+     */
+    it("should restrict queue and execute to their roles", async () => {
+      const call = await buildCall("setSwapFee", [10]);
+
+      await expect(timelock.connect(executor).queue(...call))
+        .to.be.revertedWithCustomError(
+          timelock,
+          "AccessControlUnauthorizedAccount"
+        )
+        .withArgs(executor.address, await timelock.PROPOSER_ROLE());
+
+      await timelock.connect(proposer).queue(...call);
+      await time.increaseTo(call[3]);
+
+      await expect(timelock.connect(proposer).execute(...call))
+        .to.be.revertedWithCustomError(
+          timelock,
+          "AccessControlUnauthorizedAccount"
+        )
+        .withArgs(proposer.address, await timelock.EXECUTOR_ROLE());
+    });
+
+    /**
+     * @test Verifies the delay can only change through the timelock itself
+     */
+    it("should only update the delay through a queued call", async () => {
+      await expect(timelock.setDelay(DELAY * 2)).to.be.revertedWithCustomError(
+        timelock,
+        "OnlyTimelock"
+      );
+
+      const call = [
+        timelock.target,
+        0,
+        timelock.interface.encodeFunctionData("setDelay", [DELAY * 2]),
+        (await time.latest()) + DELAY + 10,
+      ];
+      await timelock.connect(proposer).queue(...call);
+      await time.increaseTo(call[3]);
+
+      await expect(timelock.connect(executor).execute(...call))
+        .to.emit(timelock, "DelayUpdated")
+        .withArgs(DELAY, DELAY * 2);
+      expect(await timelock.delay()).to.equal(DELAY * 2);
+    });
+  });
+});
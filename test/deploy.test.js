@@ -0,0 +1,235 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { deploy, loadConfig } = require("../scripts/deploy");
+const { toEth } = require("./utils/helpers");
+
+/**
+ * @file Test suite for the deployment script
+ * @description Runs scripts/deploy.js end-to-end against the Hardhat network
+ * @module DeployScriptTests
+ */
+
+describe("Deploy Script", () => {
+  let manifestDir, manifestPath, firstRun;
+
+  const CONTRACTS = [
+    "TokenA",
+    "TokenB",
+    "SimpleSwap",
+    "WETH9",
+    "SimpleSwapRouter",
+    "SimpleSwapLens",
+    "SimpleSwapOrderBook",
+    "SimpleSwapIntents",
+  ];
+  const config = { liquidity: { amountA: "1000", amountB: "2000" } };
+  const quiet = () => {};
+
+  /**
+   * Setup hook runs before all tests
+   * @dev Writes the manifest to a temporary directory to keep the tree clean
+   */
+  before(async () => {
+    manifestDir = fs.mkdtempSync(path.join(os.tmpdir(), "simple-swap-"));
+    manifestPath = path.join(manifestDir, "hardhat.json");
+    firstRun = await deploy({ config, manifestPath, log: quiet });
+  });
+
+  after(() => {
+    fs.rmSync(manifestDir, { recursive: true, force: true });
+  });
+
+  /**
+   * @test Verifies addresses and ABIs are recorded for every contract
+   */
+  it("should write addresses and ABIs to the manifest", async () => {
+    const manifest = JSON.parse(fs.readFileSync(manifestPath, "utf8"));
+
+    expect(manifest.network).to.equal("hardhat");
+    expect(manifest.chainId).to.equal(31337);
+    for (const name of CONTRACTS) {
+      const { address, abi } = manifest.contracts[name];
+      expect(await ethers.provider.getCode(address)).to.not.equal("0x");
+      expect(abi).to.be.an("array").that.is.not.empty;
+    }
+  });
+
+  /**
+   * @test Verifies the configured liquidity seeds the pool
+   */
+  it("should seed initial liquidity from the config", async () => {
+    const { TokenA, TokenB, SimpleSwap } = firstRun.contracts;
+    const simpleSwap = await ethers.getContractAt(
+      "SimpleSwap",
+      SimpleSwap.address
+    );
+
+    const [reserveA, reserveB] = await simpleSwap.getReserves(
+      TokenA.address,
+      TokenB.address
+    );
+    expect(reserveA).to.equal(toEth(1000));
+    expect(reserveB).to.equal(toEth(2000));
+  });
+
+  /**
+   * @test Verifies re-running reuses deployments and does not reseed
+   */
+  it("should be idempotent on re-run", async () => {
+    const secondRun = await deploy({ config, manifestPath, log: quiet });
+
+    for (const name of CONTRACTS) {
+      expect(secondRun.contracts[name].address).to.equal(
+        firstRun.contracts[name].address
+      );
+    }
+
+    const { TokenA, TokenB, SimpleSwap } = secondRun.contracts;
+    const simpleSwap = await ethers.getContractAt(
+      "SimpleSwap",
+      SimpleSwap.address
+    );
+    const [reserveA] = await simpleSwap.getReserves(
+      TokenA.address,
+      TokenB.address
+    );
+    expect(reserveA).to.equal(toEth(1000));
+  });
+
+  /**
+   * @test Verifies stale manifest entries are redeployed
+   */
+  it("should redeploy contracts missing from the chain", async () => {
+    const manifest = JSON.parse(fs.readFileSync(manifestPath, "utf8"));
+    const stale = ethers.Wallet.createRandom().address;
+    manifest.contracts.SimpleSwap.address = stale;
+    fs.writeFileSync(manifestPath, JSON.stringify(manifest));
+
+    const rerun = await deploy({ config: {}, manifestPath, log: quiet });
+
+    expect(rerun.contracts.TokenA.address).to.equal(
+      firstRun.contracts.TokenA.address
+    );
+    expect(rerun.contracts.SimpleSwap.address).to.not.equal(stale);
+    expect(
+      await ethers.provider.getCode(rerun.contracts.SimpleSwap.address)
+    ).to.not.equal("0x");
+
+    // The router follows the redeployed SimpleSwap
+    const router = await ethers.getContractAt(
+      "SimpleSwapRouter",
+      rerun.contracts.SimpleSwapRouter.address
+    );
+    expect(await router.simpleSwap()).to.equal(
+      rerun.contracts.SimpleSwap.address
+    );
+  });
+
+  /**
+   * @test Verifies the default config leaves the deployer no timelocked role
+   */
+  it("should hand admin, guardian and fee manager roles to the timelock", async () => {
+    const [deployer] = await ethers.getSigners();
+    const timelockPath = path.join(manifestDir, "timelock.json");
+    const defaults = loadConfig();
+    expect(defaults.timelock.delay).to.be.gte(3600);
+
+    const manifest = await deploy({
+      config: defaults,
+      manifestPath: timelockPath,
+      log: quiet,
+    });
+
+    const simpleSwap = await ethers.getContractAt(
+      "SimpleSwap",
+      manifest.contracts.SimpleSwap.address
+    );
+    const timelock = manifest.contracts.SimpleSwapTimelock.address;
+    for (const roleName of [
+      "DEFAULT_ADMIN_ROLE",
+      "GUARDIAN_ROLE",
+      "FEE_MANAGER_ROLE",
+    ]) {
+      const role = await simpleSwap[roleName]();
+      expect(await simpleSwap.hasRole(role, timelock)).to.be.true;
+      expect(await simpleSwap.hasRole(role, deployer.address)).to.be.false;
+    }
+
+    // Instant recovery stays with the deployer
+    for (const roleName of ["PAUSER_ROLE", "OPERATOR_ROLE"]) {
+      const role = await simpleSwap[roleName]();
+      expect(await simpleSwap.hasRole(role, deployer.address)).to.be.true;
+    }
+
+    // The timelock alone manages its proposers and executors
+    const timelockContract = await ethers.getContractAt(
+      "SimpleSwapTimelock",
+      timelock
+    );
+    const adminRole = await timelockContract.DEFAULT_ADMIN_ROLE();
+    expect(await timelockContract.hasRole(adminRole, timelock)).to.be.true;
+    expect(await timelockContract.hasRole(adminRole, deployer.address)).to.be
+      .false;
+  });
+
+  /**
+   * @test Verifies a changed delay fails early once the deployer is no admin
+   */
+  it("should refuse a new timelock after the admin role was handed over", async () => {
+    const timelockPath = path.join(manifestDir, "timelock.json");
+    const defaults = loadConfig();
+    const recorded = JSON.parse(fs.readFileSync(timelockPath, "utf8"));
+    const timelock = recorded.contracts.SimpleSwapTimelock.address;
+    const delay = defaults.timelock.delay + 60;
+
+    await expect(
+      deploy({
+        config: { ...defaults, timelock: { ...defaults.timelock, delay } },
+        manifestPath: timelockPath,
+        log: quiet,
+      })
+    ).to.be.rejectedWith(`Queue setDelay(${delay}) through ${timelock}`);
+
+    const manifest = JSON.parse(fs.readFileSync(timelockPath, "utf8"));
+    expect(manifest.contracts.SimpleSwapTimelock.address).to.equal(timelock);
+  });
+
+  /**
+   * @test Verifies a run that fails halfway keeps what it deployed
+   */
+  it("should resume from the manifest after a partial failure", async () => {
+    const partialPath = path.join(manifestDir, "partial.json");
+
+    // An invalid WETH address makes the router deployment fail
+    await expect(
+      deploy({
+        config: { weth: "0x1234" },
+        manifestPath: partialPath,
+        log: quiet,
+      })
+    ).to.be.rejected;
+    const partial = JSON.parse(fs.readFileSync(partialPath, "utf8"));
+    expect(partial.contracts).to.have.all.keys(
+      "TokenA",
+      "TokenB",
+      "SimpleSwap"
+    );
+
+    const rerun = await deploy({
+      config,
+      manifestPath: partialPath,
+      log: quiet,
+    });
+    for (const name of ["TokenA", "TokenB", "SimpleSwap"]) {
+      expect(rerun.contracts[name].address).to.equal(
+        partial.contracts[name].address
+      );
+    }
+    expect(
+      await ethers.provider.getCode(rerun.contracts.SimpleSwapRouter.address)
+    ).to.not.equal("0x");
+  });
+});
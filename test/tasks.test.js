@@ -0,0 +1,213 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { deploy } = require("../scripts/deploy");
+const { quoteSwap } = require("../tasks");
+const {
+  toEth,
+  getDeadline,
+  approveMax,
+  deployToken,
+  getLPToken,
+} = require("./utils/helpers");
+
+/**
+ * @file Test suite for the analysis tasks
+ * @description Runs swap:quote and pool:inspect against a pool deployed and
+ * seeded by scripts/deploy.js
+ * @module AnalysisTasksTests
+ */
+
+describe("Analysis Tasks", () => {
+  const { ethers } = hre;
+  let manifestDir, manifest, simpleSwap, tokenA, tokenB;
+
+  /**
+   * Setup hook runs before all tests
+   * @dev Deploys with a 1000 TKA / 2000 TKB pool and a temporary manifest
+   */
+  before(async () => {
+    manifestDir = fs.mkdtempSync(path.join(os.tmpdir(), "simple-swap-"));
+    manifest = path.join(manifestDir, "hardhat.json");
+    const { contracts } = await deploy({
+      config: { liquidity: { amountA: "1000", amountB: "2000" } },
+      manifestPath: manifest,
+      log: () => {},
+    });
+
+    const attach = (name) =>
+      ethers.getContractAt(name, contracts[name].address);
+    simpleSwap = await attach("SimpleSwap");
+    tokenA = await attach("TokenA");
+    tokenB = await attach("TokenB");
+  });
+
+  after(() => {
+    fs.rmSync(manifestDir, { recursive: true, force: true });
+  });
+
+  /**
+   * Runs a task with console output silenced
+   * @param {string} name - Task name
+   * @param {Object} args - Task arguments
+   * @returns {Promise<Object>} Value returned by the task
+   */
+  const runQuietly = async (name, args) => {
+    const { log, table } = console;
+    console.log = console.table = () => {};
+    try {
+      return await hre.run(name, args);
+    } finally {
+      Object.assign(console, { log, table });
+    }
+  };
+
+  describe("swap:quote", () => {
+    /**
+     * @test Verifies the quote matches the contract and derived figures
+     */
+    it("should quote output, prices, impact and amountOutMin", async () => {
+      const quote = await quoteSwap(hre, {
+        in: "TKA",
+        out: "TKB",
+        amount: "100",
+        slippageBps: 100,
+        manifest,
+      });
+      const [, expected] = await simpleSwap.getAmountsOut(toEth(100), [
+        tokenA.target,
+        tokenB.target,
+      ]);
+
+      expect(quote.tokenIn.symbol).to.equal("TKA");
+      expect(quote.reserveIn).to.equal(toEth(1000));
+      expect(quote.reserveOut).to.equal(toEth(2000));
+      expect(quote.amountOut).to.equal(expected);
+      expect(quote.spotPrice).to.equal(toEth(2));
+      expect(quote.executionPrice).to.equal((expected * toEth(1)) / toEth(100));
+      expect(quote.amountOutMin).to.equal((expected * 99n) / 100n);
+
+      // 10% of the reserve: ~9% curve impact plus the 0.3% fee
+      expect(quote.priceImpactBps).to.be.within(930n, 950n);
+    });
+
+    /**
+     * @test Verifies tokens resolve by address and contract name too
+     */
+    it("should accept addresses, contract names and explicit SimpleSwap", async () => {
+      const bySymbol = await runQuietly("swap:quote", {
+        in: "TKB",
+        out: "TKA",
+        amount: "1",
+        manifest,
+      });
+      const byAddress = await runQuietly("swap:quote", {
+        in: tokenB.target,
+        out: "TokenA",
+        amount: "1",
+        swap: simpleSwap.target,
+        manifest,
+      });
+
+      expect(byAddress.amountOut).to.equal(bySymbol.amountOut);
+      expect(bySymbol.spotPrice).to.equal(toEth(0.5));
+      expect(bySymbol.slippageBps).to.equal(50n);
+    });
+
+    /**
+     * @test Verifies stable pools measure impact against the curve price
+     */
+    it("should measure stable pool impact against the curve", async () => {
+      const [deployer] = await ethers.getSigners();
+      const [usdA, usdB] = await Promise.all([
+        deployToken("TokenA", deployer.address),
+        deployToken("TokenB", deployer.address),
+      ]);
+      await simpleSwap.createPair(usdA.target, usdB.target, 1);
+      for (const token of [usdA, usdB]) {
+        await approveMax(token, simpleSwap.target);
+      }
+      // Imbalanced: the 2:1 reserve ratio is far from the curve's price
+      await simpleSwap.addLiquidity(
+        usdA.target,
+        usdB.target,
+        toEth(1000),
+        toEth(2000),
+        0,
+        0,
+        deployer.address,
+        await getDeadline()
+      );
+
+      const quote = await quoteSwap(hre, {
+        in: usdA.target,
+        out: usdB.target,
+        amount: "1",
+        manifest,
+      });
+      const [, expected] = await simpleSwap.getAmountsOut(toEth(1), [
+        usdA.target,
+        usdB.target,
+      ]);
+
+      expect(quote.stable).to.be.true;
+      expect(quote.amountOut).to.equal(expected);
+      expect(quote.spotPrice).to.be.within(toEth(1), toEth(1.01));
+      // A 0.1% trade: the 0.3% fee and almost no curve impact
+      expect(quote.priceImpactBps).to.be.within(30n, 31n);
+    });
+
+    /**
+     * @test Verifies missing contracts and unknown tokens are reported
+     */
+    it("should fail clearly without a deployment or a known token", async () => {
+      const missing = path.join(manifestDir, "missing.json");
+      await expect(
+        quoteSwap(hre, {
+          in: "TKA",
+          out: "TKB",
+          amount: "1",
+          manifest: missing,
+        })
+      ).to.be.rejectedWith("No SimpleSwap on hardhat");
+      await expect(
+        quoteSwap(hre, { in: "XYZ", out: "TKB", amount: "1", manifest })
+      ).to.be.rejectedWith("Unknown token XYZ");
+    });
+  });
+
+  describe("pool:inspect", () => {
+    /**
+     * @test Verifies reserves, supply and holder shares
+     */
+    it("should list LP holders with their share", async () => {
+      const [deployer, other] = await ethers.getSigners();
+      const lpToken = await getLPToken(simpleSwap, tokenA, tokenB);
+      await lpToken.transfer(other.address, toEth(100));
+
+      const pool = await runQuietly("pool:inspect", {
+        tokenA: "TKA",
+        tokenB: "TKB",
+        manifest,
+      });
+      const supply = await lpToken.totalSupply();
+
+      expect(pool.lpToken).to.equal(lpToken.target);
+      expect(pool.stable).to.be.false;
+      expect(pool.totalSupply).to.equal(supply);
+      expect(pool.holders.map(({ address }) => address)).to.deep.equal([
+        deployer.address,
+        other.address,
+        await simpleSwap.DEAD_ADDRESS(),
+      ]);
+      expect(pool.holders[1].shareBps).to.equal(
+        (toEth(100) * 10_000n) / supply
+      );
+      expect(
+        pool.holders.reduce((sum, { balance }) => sum + balance, 0n)
+      ).to.equal(supply);
+    });
+  });
+});
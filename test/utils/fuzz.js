@@ -0,0 +1,202 @@
+/**
+ * @file Minimal stateful property-testing harness
+ * @description Generates reproducible random step sequences from a seed,
+ * runs them against a model, and shrinks failing sequences to a minimal
+ * reproduction before reporting
+ * @module FuzzHarness
+ */
+
+/**
+ * Error raised when an invariant does not hold
+ * @property {string} invariant - Name of the violated invariant
+ */
+class InvariantViolation extends Error {
+  constructor(invariant, details) {
+    super(`Invariant "${invariant}" violated: ${details}`);
+    this.name = "InvariantViolation";
+    this.invariant = invariant;
+  }
+}
+
+/**
+ * Throws an InvariantViolation unless the condition holds
+ * @param {boolean} condition - Invariant check result
+ * @param {string} invariant - Invariant name
+ * @param {string} details - Context for the failure message
+ */
+const invariant = (condition, invariant, details) => {
+  if (!condition) throw new InvariantViolation(invariant, details);
+};
+
+/**
+ * Creates a deterministic pseudo-random generator (mulberry32)
+ * @param {number} seed - 32-bit seed
+ * @returns {Object} Generator with int, pick, chance and amount helpers
+ */
+const createRng = (seed) => {
+  let state = seed >>> 0;
+  const next = () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+  const int = (min, max) => min + Math.floor(next() * (max - min + 1));
+
+  return {
+    next,
+    int,
+    pick: (items) => items[int(0, items.length - 1)],
+    chance: (probability) => next() < probability,
+    /**
+     * Log-uniform bigint in [1, 10^(maxExponent + 6)), so tiny, typical
+     * and huge amounts are all exercised
+     */
+    amount: (maxExponent) =>
+      BigInt(int(1, 999_999)) * 10n ** BigInt(int(0, maxExponent)),
+  };
+};
+
+/**
+ * Serializes a step sequence, including bigint fields
+ * @param {Object[]} sequence - Steps to print
+ * @returns {string} Pretty JSON
+ */
+const formatSequence = (sequence) =>
+  JSON.stringify(
+    sequence,
+    (_, value) => (typeof value === "bigint" ? `${value}n` : value),
+    2
+  );
+
+/**
+ * Identifies a failure so shrinking keeps the same bug
+ * @param {Error} error - Failure raised by a run
+ * @returns {string} Invariant name, or the error name for unexpected errors
+ */
+const failureKey = (error) => error.invariant ?? error.name;
+
+/**
+ * Runs a sequence and returns its failure, if any
+ * @param {Function} execute - Async runner for a sequence
+ * @param {Object[]} sequence - Steps to run
+ * @returns {Promise<Error|null>} Thrown error or null on success
+ */
+const captureFailure = async (execute, sequence) => {
+  try {
+    await execute(sequence);
+    return null;
+  } catch (error) {
+    return error;
+  }
+};
+
+/**
+ * Shrinks a failing sequence while it keeps failing the same way
+ * @dev Drops chunks of steps (halves down to single steps), then moves
+ * bigint fields towards 1
+ * @param {Object[]} sequence - Failing sequence
+ * @param {Function} stillFails - Async predicate for a candidate sequence
+ * @param {number} budget - Maximum number of candidate runs
+ * @returns {Promise<Object[]>} Smallest failing sequence found
+ */
+const shrinkSequence = async (sequence, stillFails, budget) => {
+  let current = sequence;
+  let attempts = 0;
+  const accept = async (candidate) => {
+    if (attempts >= budget) return false;
+    attempts++;
+    if (!(await stillFails(candidate))) return false;
+    current = candidate;
+    return true;
+  };
+
+  for (let size = current.length >> 1; size >= 1; size >>= 1) {
+    for (let start = 0; start + size <= current.length; ) {
+      const candidate = [
+        ...current.slice(0, start),
+        ...current.slice(start + size),
+      ];
+      if (!(await accept(candidate))) start += size;
+    }
+  }
+
+  for (let i = 0; i < current.length; i++) {
+    for (const key of Object.keys(current[i])) {
+      while (typeof current[i][key] === "bigint" && current[i][key] > 1n) {
+        const value = current[i][key];
+        const withValue = (smaller) =>
+          current.map((step, j) =>
+            j === i ? { ...step, [key]: smaller } : step
+          );
+        if (await accept(withValue(1n))) break;
+        if (!(await accept(withValue(value / 2n)))) break;
+      }
+    }
+  }
+
+  return current;
+};
+
+/**
+ * Checks a stateful property over random sequences
+ * @param {Object} options - Property definition
+ * @param {string} options.name - Property name used in reports
+ * @param {number} options.seed - Base seed; run `i` uses `seed + i`
+ * @param {number} options.runs - Number of sequences to try
+ * @param {number} options.steps - Steps per sequence
+ * @param {Function} options.generateStep - (rng) => step description
+ * @param {Function} options.execute - Async runner throwing on violations
+ * @param {number} [options.shrinkBudget=150] - Maximum shrink attempts
+ * @returns {Promise<void>} Resolves when every run passes
+ * @throws {Error} Report with the seed and the shrunk sequence
+ */
+const checkProperty = async ({
+  name,
+  seed,
+  runs,
+  steps,
+  generateStep,
+  execute,
+  shrinkBudget = 150,
+}) => {
+  for (let run = 0; run < runs; run++) {
+    const rng = createRng(seed + run);
+    const sequence = Array.from({ length: steps }, () => generateStep(rng));
+
+    const failure = await captureFailure(execute, sequence);
+    if (!failure) continue;
+
+    const key = failureKey(failure);
+    const shrunk = await shrinkSequence(
+      sequence,
+      async (candidate) => {
+        const error = await captureFailure(execute, candidate);
+        return error !== null && failureKey(error) === key;
+      },
+      shrinkBudget
+    );
+    const shrunkFailure = (await captureFailure(execute, shrunk)) ?? failure;
+
+    const report = new Error(
+      [
+        `Property "${name}" failed on run ${run} (FUZZ_SEED=${seed})`,
+        `Shrunk from ${sequence.length} to ${shrunk.length} steps:`,
+        formatSequence(shrunk),
+        shrunkFailure.message,
+      ].join("\n")
+    );
+    report.sequence = shrunk;
+    report.cause = shrunkFailure;
+    throw report;
+  }
+};
+
+module.exports = {
+  InvariantViolation,
+  invariant,
+  createRng,
+  shrinkSequence,
+  checkProperty,
+};
@@ -1,4 +1,5 @@
 const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
 
 /**
  * Converts a value to Ether (wei units)
@@ -10,12 +11,12 @@ const toEth = (value) => ethers.parseEther(value.toString());
 
 /**
  * Calculates a future or past deadline timestamp
- * @dev Useful for time-limited transactions
+ * @dev Measured from the latest block rather than the wall clock, so tests
+ * that move chain time forward keep producing valid deadlines
  * @param {number} [minutes=5] - Minutes to add or subtract to current time
- * @returns {number} Unix timestamp (seconds since epoch)
+ * @returns {Promise<number>} Unix timestamp (seconds since epoch)
  */
-const getDeadline = (minutes = 5) =>
-  Math.floor(Date.now() / 1000) + 60 * minutes;
+const getDeadline = async (minutes = 5) => (await time.latest()) + 60 * minutes;
 
 /**
  * Approves maximum allowance for a spender
@@ -40,9 +41,92 @@ const deployToken = async (tokenName, ownerAddress) => {
   return Token.deploy(ownerAddress);
 };
 
+/**
+ * Gets the LP token contract of a SimpleSwap pair
+ * @dev Resolves the pair address through SimpleSwap.getPair
+ * @param {Contract} simpleSwap - The SimpleSwap contract instance
+ * @param {Contract} tokenA - First token of the pair
+ * @param {Contract} tokenB - Second token of the pair
+ * @returns {Promise<Contract>} The pair's SimpleSwapLP contract instance
+ */
+const getLPToken = async (simpleSwap, tokenA, tokenB) => {
+  const pair = await simpleSwap.getPair(tokenA.target, tokenB.target);
+  return ethers.getContractAt("SimpleSwapLP", pair);
+};
+
+/**
+ * Signs an EIP-2612 permit for an ERC20Permit token
+ * @dev Builds the typed-data domain from the token's name and the chain id
+ * @param {Signer} signer - Token holder signing the approval
+ * @param {Contract} token - The ERC20Permit token contract instance
+ * @param {string} spender - Address being approved
+ * @param {BigNumber} value - Allowance to grant
+ * @param {number} deadline - Permit expiry timestamp
+ * @returns {Promise<Signature>} Split signature with v, r and s
+ */
+const signPermit = async (signer, token, spender, value, deadline) => {
+  const { chainId } = await ethers.provider.getNetwork();
+  const domain = {
+    name: await token.name(),
+    version: "1",
+    chainId,
+    verifyingContract: token.target,
+  };
+  const types = {
+    Permit: [
+      { name: "owner", type: "address" },
+      { name: "spender", type: "address" },
+      { name: "value", type: "uint256" },
+      { name: "nonce", type: "uint256" },
+      { name: "deadline", type: "uint256" },
+    ],
+  };
+  const message = {
+    owner: signer.address,
+    spender,
+    value,
+    nonce: await token.nonces(signer.address),
+    deadline,
+  };
+
+  const signature = await signer.signTypedData(domain, types, message);
+  return ethers.Signature.from(signature);
+};
+
+/**
+ * Signs a SimpleSwapIntents swap intent with EIP-712 typed data
+ * @dev Builds the domain from the contract's ERC-5267 eip712Domain
+ * @param {Signer} signer - Account that pays the input and signs the intent
+ * @param {Contract} intents - The SimpleSwapIntents contract instance
+ * @param {Object} intent - SwapIntent fields; `signer` must match `signer`
+ * @returns {Promise<string>} 65-byte signature
+ */
+const signSwapIntent = async (signer, intents, intent) => {
+  const { name, version, chainId, verifyingContract } =
+    await intents.eip712Domain();
+  const domain = { name, version, chainId, verifyingContract };
+  const types = {
+    SwapIntent: [
+      { name: "signer", type: "address" },
+      { name: "path", type: "address[]" },
+      { name: "amountIn", type: "uint256" },
+      { name: "amountOutMin", type: "uint256" },
+      { name: "recipient", type: "address" },
+      { name: "relayerFee", type: "uint256" },
+      { name: "nonce", type: "uint256" },
+      { name: "deadline", type: "uint256" },
+    ],
+  };
+
+  return signer.signTypedData(domain, types, intent);
+};
+
 module.exports = {
   toEth,
   getDeadline,
   approveMax,
   deployToken,
+  getLPToken,
+  signPermit,
+  signSwapIntent,
 };